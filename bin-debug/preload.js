@@ -0,0 +1,8 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+contextBridge.exposeInMainWorld('runeFileSystem', {
+    read: (name) => ipcRenderer.sendSync('rune-fs-read', name),
+    write: (name, data) => ipcRenderer.sendSync('rune-fs-write', name, data),
+    remove: (name) => ipcRenderer.sendSync('rune-fs-remove', name),
+    list: () => ipcRenderer.sendSync('rune-fs-list')
+});
\ No newline at end of file
@@ -1,4 +1,50 @@
-const { app, BrowserWindow } = require('electron')
+const { app, BrowserWindow, ipcMain } = require('electron')
+const fs = require('fs')
+const path = require('path')
+
+function saveDirectory () {
+    return path.join(app.getPath('userData'), 'saves');
+}
+
+function savePath (name) {
+    return path.join(saveDirectory(), path.basename(String(name)));
+}
+
+ipcMain.on('rune-fs-read', (event, name) => {
+    try {
+        event.returnValue = fs.readFileSync(savePath(name), 'utf8');
+    } catch (e) {
+        event.returnValue = null;
+    }
+});
+
+ipcMain.on('rune-fs-write', (event, name, data) => {
+    try {
+        fs.mkdirSync(saveDirectory(), { recursive: true });
+        fs.writeFileSync(savePath(name) + '.tmp', String(data), 'utf8');
+        fs.renameSync(savePath(name) + '.tmp', savePath(name));
+        event.returnValue = true;
+    } catch (e) {
+        event.returnValue = false;
+    }
+});
+
+ipcMain.on('rune-fs-remove', (event, name) => {
+    try {
+        fs.rmSync(savePath(name), { force: true });
+        event.returnValue = true;
+    } catch (e) {
+        event.returnValue = false;
+    }
+});
+
+ipcMain.on('rune-fs-list', (event) => {
+    try {
+        event.returnValue = fs.readdirSync(saveDirectory());
+    } catch (e) {
+        event.returnValue = [];
+    }
+});
 
 function createWindow () {
     let win = new BrowserWindow({
@@ -7,7 +53,8 @@ function createWindow () {
         useContentSize: true,
         resizable: false,
         webPreferences: {
-            nodeIntegration: false
+            nodeIntegration: false,
+            preload: path.join(__dirname, 'preload.js')
         }
     });
     
@@ -29,6 +29,7 @@ demo.system.Application = function() {
 		resources: demo.data.Requests,
 		useGamepads:true,
 		useKeyboard:true,
+		usePointer:true,
 		debug: true,
 		framerate: 30,
 		//screenResolutionX: 1280,
@@ -8,10 +8,12 @@ npx google-closure-compiler \
 --js "./../../src/scope/Manifest.js" \
 --js "./../../src/util/Executable.js" \
 --js "./../../src/util/Filter.js" \
+--js "./../../src/util/Heap.js" \
 --js "./../../src/util/Math.js" \
 --js "./../../src/util/Palette.js" \
 --js "./../../src/util/Path.js" \
 --js "./../../src/util/Paths.js" \
+--js "./../../src/util/Random.js" \
 --js "./../../src/util/Stack.js" \
 --js "./../../src/util/URL.js" \
 --js "./../../src/net/URLResponse.js" \
@@ -23,28 +25,42 @@ npx google-closure-compiler \
 --js "./../../src/timer/TimerOptions.js" \
 --js "./../../src/timer/Timer.js" \
 --js "./../../src/timer/Timers.js" \
+--js "./../../src/tween/transition/Back.js" \
+--js "./../../src/tween/transition/Bezier.js" \
+--js "./../../src/tween/transition/Bounce.js" \
 --js "./../../src/tween/transition/Circular.js" \
 --js "./../../src/tween/transition/Cubic.js" \
+--js "./../../src/tween/transition/Elastic.js" \
 --js "./../../src/tween/transition/Expo.js" \
 --js "./../../src/tween/transition/Linear.js" \
 --js "./../../src/tween/transition/Quad.js" \
 --js "./../../src/tween/transition/Quart.js" \
 --js "./../../src/tween/transition/Quint.js" \
 --js "./../../src/tween/transition/Sine.js" \
+--js "./../../src/tween/transition/Steps.js" \
 --js "./../../src/tween/TweenValue.js" \
+--js "./../../src/tween/TweenColor.js" \
 --js "./../../src/tween/Tween.js" \
+--js "./../../src/tween/Timeline.js" \
+--js "./../../src/tween/Spring.js" \
 --js "./../../src/tween/Tweens.js" \
 --js "./../../src/geom/Point.js" \
 --js "./../../src/geom/Vector2D.js" \
 --js "./../../src/geom/Rectangle.js" \
 --js "./../../src/physics/Velocity.js" \
 --js "./../../src/physics/Space.js" \
+--js "./../../src/physics/RaycastHit.js" \
+--js "./../../src/physics/Collider.js" \
+--js "./../../src/physics/Collisions.js" \
 --js "./../../src/input/keyboard/KeyboardOptions.js" \
 --js "./../../src/input/keyboard/KeyboardKey.js" \
 --js "./../../src/input/keyboard/Keyboard.js" \
 --js "./../../src/input/gamepad/GamepadsOptions.js" \
 --js "./../../src/input/gamepad/Gamepad.js" \
 --js "./../../src/input/gamepad/Gamepads.js" \
+--js "./../../src/input/pointer/PointerOptions.js" \
+--js "./../../src/input/pointer/PointerPoint.js" \
+--js "./../../src/input/pointer/Pointer.js" \
 --js "./../../src/input/Inputs.js" \
 --js "./../../src/resource/Request.js" \
 --js "./../../src/resource/Requests.js" \
@@ -56,6 +72,7 @@ npx google-closure-compiler \
 --js "./../../src/state/States.js" \
 --js "./../../src/animation/AnimationScripts.js" \
 --js "./../../src/animation/Animation.js" \
+--js "./../../src/animation/Aseprite.js" \
 --js "./../../src/animation/Animations.js" \
 --js "./../../src/display/Quadtree.js" \
 --js "./../../src/display/DisplayGroup.js" \
@@ -79,8 +96,16 @@ npx google-closure-compiler \
 --js "./../../src/particle/EmitterOptions.js" \
 --js "./../../src/particle/Emitter.js" \
 --js "./../../src/tilemap/Block.js" \
+--js "./../../src/tilemap/Slope.js" \
 --js "./../../src/tilemap/Tile.js" \
 --js "./../../src/tilemap/TilemapLayer.js" \
+--js "./../../src/tilemap/FlowField.js" \
+--js "./../../src/tilemap/TilemapChunk.js" \
+--js "./../../src/tilemap/TilemapChunks.js" \
+--js "./../../src/tilemap/AutoTile.js" \
+--js "./../../src/tilemap/Generator.js" \
+--js "./../../src/tilemap/TilemapObject.js" \
+--js "./../../src/tilemap/Tiled.js" \
 --js "./../../src/tilemap/Tilemap.js" \
 --js "./../../src/text/bitmapfont/BitmapFormat.js" \
 --js "./../../src/text/bitmapfont/BitmapField.js" \
@@ -123,6 +148,9 @@ npx google-closure-compiler \
 --js "./../../src/media/sound/SoundChannel.js" \
 --js "./../../src/media/sound/Sounds.js" \
 --js "./../../src/data/highscore/Highscores.js" \
+--js "./../../src/data/save/SaveStorage.js" \
+--js "./../../src/data/save/FileStorage.js" \
+--js "./../../src/data/save/Saves.js" \
 --js "./../../src/data/graphics/Logo.js" \
 --js "./../../src/data/resource/Requests.js" \
 --js "./../../src/data/scene/Loader.js" \
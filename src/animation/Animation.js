@@ -11,13 +11,15 @@
  * @param {Array} frames List of which frames are included in the animation and in which order.
  * @param {number} [framerate=0] Playback speed specified in frames per second.
  * @param {boolean} [looped=false] Whether or not to loop the animation sequence.
+ * @param {string} [direction="forward"] Playback direction, see DIRECTION_FORWARD, DIRECTION_REVERSE and DIRECTION_PINGPONG.
+ * @param {Array.<number>} [durations] Display time (in milliseconds) of each keyframe.
  *
  * @class
  * @classdesc
  * 
  * The Animation class represents a keyframe based animation sequence.
  */
-rune.animation.Animation = function(name, frames, framerate, looped) {
+rune.animation.Animation = function(name, frames, framerate, looped, direction, durations) {
 	
 	//--------------------------------------------------------------------------
 	// Public properties
@@ -31,6 +33,15 @@ rune.animation.Animation = function(name, frames, framerate, looped) {
 	 */
 	this.frames = frames || [];
 	
+	/**
+	 * Display time (in milliseconds) of each keyframe. The list is parallel 
+	 * to the list of keyframes. Keyframes that lack a display time use the 
+	 * delay calculated from the framerate of the animation.
+	 *
+	 * @type {Array.<number>}
+	 */
+	this.durations = durations || [];
+	
 	/**
 	 * Whether (true) or not (false) to loop the animation sequence.
 	 *
@@ -50,6 +61,14 @@ rune.animation.Animation = function(name, frames, framerate, looped) {
 	 */
 	this.m_delay = parseInt(framerate, 10) > 0 ? parseInt((1 / framerate) * 1000, 10) : 0;
 	
+	/**
+	 * Playback direction.
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this.m_direction = rune.animation.Animation.DIRECTION_FORWARD;
+	
 	/**
 	 * Elapsed time.
 	 *
@@ -82,6 +101,15 @@ rune.animation.Animation = function(name, frames, framerate, looped) {
 	 */
 	this.m_paused = false;
 	
+	/**
+	 * The direction in which the playhead is currently moving; 1 for forward 
+	 * and -1 for backward.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this.m_step = 1;
+	
 	//--------------------------------------------------------------------------
 	// Constructor call
 	//--------------------------------------------------------------------------
@@ -89,9 +117,38 @@ rune.animation.Animation = function(name, frames, framerate, looped) {
 	/**
 	 * Invokes secondary class constructor.
 	 */
-	this.m_construct();
+	this.m_construct(direction);
 };
 
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Plays the animation sequence from the first keyframe to the last.
+ *
+ * @const {string}
+ * @default "forward"
+ */
+rune.animation.Animation.DIRECTION_FORWARD = "forward";
+
+/**
+ * Plays the animation sequence back and forth, starting from the first 
+ * keyframe.
+ *
+ * @const {string}
+ * @default "pingpong"
+ */
+rune.animation.Animation.DIRECTION_PINGPONG = "pingpong";
+
+/**
+ * Plays the animation sequence from the last keyframe to the first.
+ *
+ * @const {string}
+ * @default "reverse"
+ */
+rune.animation.Animation.DIRECTION_REVERSE = "reverse";
+
 //------------------------------------------------------------------------------
 // Public getter and setter methods
 //------------------------------------------------------------------------------
@@ -139,6 +196,43 @@ Object.defineProperty(rune.animation.Animation.prototype, "delay", {
 	}
 });
 
+/**
+ * Playback direction of the animation sequence. Changing the direction moves 
+ * the playhead to the first keyframe of the new direction.
+ *
+ * @member {string} direction
+ * @memberof rune.animation.Animation
+ * @instance
+ */
+Object.defineProperty(rune.animation.Animation.prototype, "direction", {
+	/**
+	 * @this rune.animation.Animation
+	 * @ignore
+	 */
+	get : function() {
+		return this.m_direction;
+	},
+	
+	/**
+	 * @this rune.animation.Animation
+	 * @ignore
+	 */
+	set : function(value) {
+		switch (value) {
+			case rune.animation.Animation.DIRECTION_PINGPONG:
+			case rune.animation.Animation.DIRECTION_REVERSE:
+				this.m_direction = value;
+				break;
+				
+			default:
+				this.m_direction = rune.animation.Animation.DIRECTION_FORWARD;
+				break;
+		}
+		
+		this.goto();
+	}
+});
+
 /**
  * The total length of the animation specified in milliseconds.
  *
@@ -153,7 +247,12 @@ Object.defineProperty(rune.animation.Animation.prototype, "duration", {
 	 * @ignore
 	 */
 	get : function() {
-		return this['delay'] * this.frames.length;
+		var duration = 0;
+		for (var i = 0; i < this.frames.length; i++) {
+			duration += this.m_getDelayAt(i);
+		}
+		
+		return duration;
 	}
 });
 
@@ -313,14 +412,20 @@ Object.defineProperty(rune.animation.Animation.prototype, "index", {
 //------------------------------------------------------------------------------
 
 /**
- * Jumps to a specific frame within the animation sequence.
+ * Jumps to a specific frame within the animation sequence. If no frame is 
+ * specified, the playhead is moved to the first keyframe of the playback 
+ * direction, ie. the last frame of a reversed animation. Ping-pong 
+ * animations always continue forward from the new frame.
  *
- * @param {number} frame Frame to go to.
+ * @param {number} [frame] Frame to go to.
  *
  * @returns {undefined}
  */
 rune.animation.Animation.prototype.goto = function(frame) {
-	if (frame > -1) {
+	this.m_step = (this.m_direction == rune.animation.Animation.DIRECTION_REVERSE) ? -1 : 1;
+	if (frame == null || frame < 0) {
+		this.m_index = (this.m_step < 0) ? Math.max(this.frames.length - 1, 0) : 0;
+	} else {
 		this['index'] = frame;
 	}
 	
@@ -329,9 +434,10 @@ rune.animation.Animation.prototype.goto = function(frame) {
 
 /**
  * Jumps to a specific frame within the animation sequence and starts playback 
- * from this location.
+ * from this location. If no frame is specified, playback starts from the 
+ * first keyframe of the playback direction.
  *
- * @param {number} frame Frame to go to.
+ * @param {number} [frame] Frame to go to.
  *
  * @returns {undefined}
  */
@@ -342,9 +448,10 @@ rune.animation.Animation.prototype.gotoAndPlay = function(frame) {
 
 /**
  * Jumps to a specific frame within the animation sequence and stops playback 
- * on that frame.
+ * on that frame. If no frame is specified, playback stops on the first 
+ * keyframe of the playback direction.
  *
- * @param {number} frame Frame to go to.
+ * @param {number} [frame] Frame to go to.
  *
  * @returns {undefined}
  */
@@ -376,10 +483,12 @@ rune.animation.Animation.prototype.gotoPreviousFrame = function() {
 /**
  * Sends the playhead to a random frame.
  *
+ * @param {rune.util.Random} [generator] The random number generator to draw from.
+ *
  * @returns {undefined}
  */
-rune.animation.Animation.prototype.gotoRandomFrame = function() {
-	this['index'] = rune.util.Math.randomInt(0, this.frames.length - 1);
+rune.animation.Animation.prototype.gotoRandomFrame = function(generator) {
+	this['index'] = rune.util.Math.randomInt(0, this.frames.length - 1, generator);
 	this.m_elapsed = 0;
 };
 
@@ -427,14 +536,16 @@ rune.animation.Animation.prototype.dispose = function() {
  * @ignore
  */
 rune.animation.Animation.prototype.update = function(step) {
-	if (this.m_delay > 0 && this.m_paused == false) {
+	if (this.m_getDelayAt(this.m_index) > 0 && this.m_paused == false) {
 		this.m_elapsed += step;
 		
-		while (this.m_elapsed  > this.m_delay) {
-			   this.m_elapsed -= this.m_delay;
-			   this['index']++;
-			   
+		var delay = this.m_getDelayAt(this.m_index);
+		while (delay > 0 && this.m_elapsed > delay) {
+			   this.m_elapsed -= delay;
+			   this.m_advance();
 			   this.m_execScript();
+			   
+			   delay = this.m_getDelayAt(this.m_index);
 		}
 	}
 };
@@ -446,11 +557,14 @@ rune.animation.Animation.prototype.update = function(step) {
 /**
  * The class constructor.
  *
+ * @param {string} [direction] Playback direction.
+ *
  * @returns {undefined}
  * @protected
  * @ignore
  */
-rune.animation.Animation.prototype.m_construct = function() {
+rune.animation.Animation.prototype.m_construct = function(direction) {
+	this['direction'] = direction;
 	this.m_constructScripts();
 };
 
@@ -458,6 +572,25 @@ rune.animation.Animation.prototype.m_construct = function() {
 // Private prototype methods
 //------------------------------------------------------------------------------
 
+/**
+ * Moves the playhead one step in the current playback direction.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.animation.Animation.prototype.m_advance = function() {
+	if (this.m_direction == rune.animation.Animation.DIRECTION_PINGPONG && this.frames.length > 1) {
+		if (this.m_step > 0 && this.m_index >= this.frames.length - 1) {
+			this.m_step = -1;
+		} else if (this.m_step < 0 && this.m_index <= 0) {
+			if (this.looped === false) return;
+			this.m_step = 1;
+		}
+	}
+	
+	this['index'] += this.m_step;
+};
+
 /**
  * Creates the script subsystem.
  *
@@ -494,4 +627,17 @@ rune.animation.Animation.prototype.m_execScript = function() {
 	if (this.m_scripts != null) {
 		this.m_scripts.exec(this['index']);	
 	}
+};
+
+/**
+ * Returns the display time (in milliseconds) of a specific keyframe.
+ *
+ * @param {number} index Index of the keyframe.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.animation.Animation.prototype.m_getDelayAt = function(index) {
+	var duration = parseInt(this.durations[index], 10);
+	return (duration > 0) ? duration : this.m_delay;
 };
\ No newline at end of file
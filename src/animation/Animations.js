@@ -157,15 +157,19 @@ rune.animation.Animations.prototype.clear = function() {
  * @param {Array.<number>} frames Frame sequence.
  * @param {number} framerate Playback speed specified in frames per second.
  * @param {boolean} looped Whether or not to loop the animation sequence.
+ * @param {string} [direction="forward"] Playback direction.
+ * @param {Array.<number>} [durations] Display time (in milliseconds) of each keyframe.
  *
  * @returns {boolean}
  */
-rune.animation.Animations.prototype.create = function(name, frames, framerate, looped) {
+rune.animation.Animations.prototype.create = function(name, frames, framerate, looped, direction, durations) {
 	var animation = new rune.animation.Animation(
         name,
         frames,
         framerate,
-        looped
+        looped,
+        direction,
+        durations
     );
     
     return this.add(animation);
@@ -194,7 +198,7 @@ rune.animation.Animations.prototype.find = function(name) {
  * Changes the animation sequence and goes to a specific frame in that sequence.
  *
  * @param {string} name Requested animation.
- * @param {number} frame Frame to go to.
+ * @param {number} [frame] Frame to go to. Defaults to the first keyframe of the playback direction.
  *
  * @returns {undefined}
  */
@@ -212,7 +216,7 @@ rune.animation.Animations.prototype.goto = function(name, frame) {
  * and resumes playback from there.
  *
  * @param {string} name Requested animation.
- * @param {number} frame Frame to go to.
+ * @param {number} [frame] Frame to go to. Defaults to the first keyframe of the playback direction.
  *
  * @returns {undefined}
  */
@@ -228,7 +232,7 @@ rune.animation.Animations.prototype.gotoAndPlay = function(name, frame) {
  * and stops playback on that frame.
  *
  * @param {string} name Requested animation.
- * @param {number} frame Frame to go to.
+ * @param {number} [frame] Frame to go to. Defaults to the first keyframe of the playback direction.
  *
  * @returns {undefined}
  */
@@ -264,11 +268,13 @@ rune.animation.Animations.prototype.gotoPreviousFrame = function() {
 /**
  * Goes to a random frame in the current animation sequence.
  *
+ * @param {rune.util.Random} [generator] The random number generator to draw from.
+ *
  * @returns {undefined}
  */
-rune.animation.Animations.prototype.gotoRandomFrame = function() {
+rune.animation.Animations.prototype.gotoRandomFrame = function(generator) {
     if (this.m_animation != null) {
-        this.m_animation.gotoRandomFrame();
+        this.m_animation.gotoRandomFrame(generator);
     }
 };
 
@@ -285,6 +291,39 @@ rune.animation.Animations.prototype.play = function() {
     } 
 };
 
+/**
+ * Creates animations from sprite sheet data exported from Aseprite (JSON, 
+ * array or hash format). The data is retrieved from the resource library via 
+ * its resource name. Each frame tag becomes an animation named after the tag, 
+ * that uses the display time and direction of the tag. Animations whose 
+ * names are already in use are not created.
+ *
+ * @param {string} name Resource name of the sprite sheet data.
+ *
+ * @throws {Error} In case of missing or invalid sprite sheet data.
+ *
+ * @returns {number} The number of animations created.
+ */
+rune.animation.Animations.prototype.load = function(name) {
+    var data = this.m_target['application']['resources'].get(name);
+    if (data) {
+        var animations = rune.animation.Aseprite.parse(data['data'], name);
+        var created = 0;
+        for (var i = 0; i < animations.length; i++) {
+            if (this.create(
+                animations[i]['name'],
+                animations[i]['frames'],
+                0,
+                animations[i]['looped'],
+                animations[i]['direction'],
+                animations[i]['durations']
+            )) created++;
+        }
+        
+        return created;
+    } else throw new Error("Invalid sprite sheet");
+};
+
 /**
  * Removes an animation.
  *
@@ -0,0 +1,174 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the Aseprite class.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Aseprite class contains static methods for converting sprite sheet data
+ * exported from Aseprite (https://www.aseprite.org) into animation data that
+ * can be loaded by an Animations object. Both the array and the hash format
+ * of the JSON export are supported. Each frame tag is converted into an
+ * animation, where the display time of each frame is preserved and the
+ * direction of the tag (forward, reverse or ping-pong) is used as playback
+ * direction. If the data lacks frame tags, all frames are converted into a
+ * single animation.
+ * <br><br>
+ * Note that the sprite sheet is expected to consist of frames of equal size,
+ * without trimming, padding or rotation, as frames are referenced by atlas
+ * index. Note that all class content is static, so the class never needs to
+ * be instantiated.
+ *
+ * @see rune.animation.Animations
+ */
+rune.animation.Aseprite = function() {
+	console.warn("This class is not meant to be instantiated.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Determines whether the specified data represents sprite sheet data
+ * exported from Aseprite.
+ *
+ * @param {Object} data The data to evaluate.
+ *
+ * @returns {boolean}
+ */
+rune.animation.Aseprite.isAseprite = function(data) {
+	if (data != null && typeof data === "object") {
+		return data['frames'] != null && typeof data['frames'] === "object" && data['meta'] != null && data['meta']['size'] != null;
+	}
+	
+	return false;
+};
+
+/**
+ * Converts sprite sheet data exported from Aseprite into a list of animation
+ * data objects. Each object contains the properties name, frames, durations,
+ * direction and looped, and can be used to create an Animation.
+ *
+ * @param {Object} data Sprite sheet data, as a parsed JSON object.
+ * @param {string} [name="default"] Name of the animation that is created if the data lacks frame tags.
+ *
+ * @throws {Error} In case of unsupported or corrupt sprite sheet data.
+ *
+ * @returns {Array.<Object>}
+ */
+rune.animation.Aseprite.parse = function(data, name) {
+	if (!rune.animation.Aseprite.isAseprite(data)) throw new Error("Invalid sprite sheet");
+	
+	var frames = rune.animation.Aseprite.m_parseFrames(data);
+	var tags   = data['meta']['frameTags'] || [];
+	var output = [];
+	
+	if (tags.length == 0) {
+		tags = [{
+			name : name || "default",
+			from : 0,
+			to   : frames.length - 1
+		}];
+	}
+	
+	for (var i = 0; i < tags.length; i++) {
+		output.push(rune.animation.Aseprite.m_parseTag(tags[i], frames));
+	}
+	
+	return output;
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Converts the frames of a sprite sheet into a list of objects containing
+ * the atlas index and display time of each frame.
+ *
+ * @param {Object} data Sprite sheet data.
+ *
+ * @throws {Error} In case of corrupt frame data.
+ *
+ * @returns {Array.<Object>}
+ * @private
+ */
+rune.animation.Aseprite.m_parseFrames = function(data) {
+	var frames = data['frames'];
+	if (!Array.isArray(frames)) {
+		frames = Object.keys(frames).map(function(key) {
+			return frames[key];
+		});
+	}
+	
+	var width   = parseInt(data['meta']['size']['w'], 10) || 0;
+	var output  = [];
+	var columns = 0;
+	
+	for (var i = 0; i < frames.length; i++) {
+		var rect = frames[i]['frame'];
+		if (rect == null || !(rect['w'] > 0) || !(rect['h'] > 0)) throw new Error("Invalid frame");
+		
+		columns = Math.max(Math.floor(width / rect['w']), 1);
+		output.push({
+			index    : Math.floor(rect['y'] / rect['h']) * columns + Math.floor(rect['x'] / rect['w']),
+			duration : parseInt(frames[i]['duration'], 10) || 0
+		});
+	}
+	
+	return output;
+};
+
+/**
+ * Converts a frame tag into animation data.
+ *
+ * @param {Object} tag Frame tag.
+ * @param {Array.<Object>} frames Parsed frames of the sprite sheet.
+ *
+ * @throws {Error} If the tag refers to frames that do not exist.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.animation.Aseprite.m_parseTag = function(tag, frames) {
+	var from = parseInt(tag['from'], 10);
+	var to   = parseInt(tag['to'], 10);
+	if (!(from >= 0) || !(to < frames.length) || from > to) throw new Error("Invalid frame tag");
+	
+	var output = {
+		name      : tag['name'],
+		frames    : [],
+		durations : [],
+		direction : rune.animation.Animation.DIRECTION_FORWARD,
+		looped    : !(parseInt(tag['repeat'], 10) > 0)
+	};
+	
+	for (var i = from; i <= to; i++) {
+		output['frames'].push(frames[i]['index']);
+		output['durations'].push(frames[i]['duration']);
+	}
+	
+	switch (tag['direction']) {
+		case "reverse":
+			output['direction'] = rune.animation.Animation.DIRECTION_REVERSE;
+			break;
+		
+		case "pingpong":
+			output['direction'] = rune.animation.Animation.DIRECTION_PINGPONG;
+			break;
+		
+		case "pingpong_reverse":
+			output['frames'].reverse();
+			output['durations'].reverse();
+			output['direction'] = rune.animation.Animation.DIRECTION_PINGPONG;
+			break;
+	}
+	
+	return output;
+};
\ No newline at end of file
@@ -18,6 +18,17 @@
  * 
  * The camera class is used to render display objects that have been added to 
  * the current stage and that are made visible within the camera's viewport.
+ * <br><br>
+ * When following targets, the camera can be configured with a deadzone, 
+ * ie. an area of the viewport within which the targets can move without 
+ * moving the camera, a look-ahead that moves the camera in the direction 
+ * that the targets are moving, and smoothing in the form of lag or damping 
+ * along each axis. The position of the camera can be limited to a 
+ * rectangular area, or to the area of the current Tilemap.
+ * <br><br>
+ * The zoom and rotation of the viewport can be animated via zoomTo and 
+ * rotateTo. When zooming toward a focus point, the point remains at the 
+ * same position on screen throughout the animation.
  */
 rune.camera.Camera = function(x, y, width, height) {
     
@@ -34,6 +45,39 @@ rune.camera.Camera = function(x, y, width, height) {
      */
     this.bounderies = null;
     
+    /**
+     * Whether the position of the camera is limited to the area of the 
+     * current Tilemap, so that the camera never shows anything outside the 
+     * map. Only used when no bounderies are specified.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.clampToMap = false;
+    
+    /**
+     * An area, relative to the top left corner of the viewport, within 
+     * which the targets of the camera can move without moving the camera. 
+     * If null, the camera strives to keep its targets at the center of the 
+     * viewport.
+     *
+     * @type {rune.geom.Rectangle}
+     * @default null
+     */
+    this.deadzone = null;
+    
+    /**
+     * A function that decides which objects of the stage the camera renders. 
+     * The function is called, in the scope of the camera, with each object 
+     * of the stage as argument and should return true if the object is to 
+     * be rendered. This makes it possible to render an object, such as the 
+     * HUD of a player, in one camera only. If null, all objects are rendered.
+     *
+     * @type {Function}
+     * @default null
+     */
+    this.filter = null;
+    
     //--------------------------------------------------------------------------
     // Internal properties
     //--------------------------------------------------------------------------
@@ -51,6 +95,17 @@ rune.camera.Camera = function(x, y, width, height) {
     // Protected properties
     //--------------------------------------------------------------------------
     
+    /**
+     * The time, in milliseconds, that it takes for the camera to approximately 
+     * reach its destination when following objects. Axes with a damping of 
+     * zero are smoothed using lag instead.
+     *
+     * @type {rune.geom.Point}
+     * @protected
+     * @ignore
+     */
+    this.m_damping = new rune.geom.Point(0, 0);
+    
     /**
      * Subsystem for fading the camera in and out.
      *
@@ -79,6 +134,16 @@ rune.camera.Camera = function(x, y, width, height) {
      */
     this.m_lag = new rune.geom.Point(0.125, 0.125);
     
+    /**
+     * Dictates how far ahead of its targets the camera looks, as a factor of 
+     * the velocity of the targets.
+     *
+     * @type {rune.geom.Point}
+     * @protected
+     * @ignore
+     */
+    this.m_lookAhead = new rune.geom.Point(0, 0);
+    
     /**
      * Subsystem that handles shake effects on the camera.
      *
@@ -97,6 +162,16 @@ rune.camera.Camera = function(x, y, width, height) {
      */
     this.m_targets = null;
     
+    /**
+     * Handler for the Tween objects that animate the zoom and rotation of 
+     * the viewport.
+     *
+     * @type {rune.tween.Tweens}
+     * @protected
+     * @ignore
+     */
+    this.m_tweens = null;
+    
     /**
      * Used to apply a color tint to the current camera instance.
      *
@@ -125,6 +200,62 @@ rune.camera.Camera = function(x, y, width, height) {
      */
     this.m_viewportOffset = null;
     
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The current velocity of the camera along each damped axis, given in 
+     * pixels per millisecond.
+     *
+     * @type {rune.geom.Point}
+     * @private
+     */
+    this.m_dampVelocity = new rune.geom.Point(0, 0);
+    
+    /**
+     * The area of the current Tilemap, used to limit the position of the 
+     * camera.
+     *
+     * @type {rune.geom.Rectangle}
+     * @private
+     */
+    this.m_mapBounds = new rune.geom.Rectangle();
+    
+    /**
+     * How far outside the viewport, in pixels, objects are rendered. The 
+     * margin is used when the viewport is rotated, as the corners of the 
+     * camera then show content outside the unrotated viewport.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_renderMargin = 0;
+    
+    /**
+     * The area of the map to render when the viewport is rotated.
+     *
+     * @type {rune.geom.Rectangle}
+     * @private
+     */
+    this.m_renderRect = new rune.geom.Rectangle();
+    
+    /**
+     * The Tween object that currently animates the rotation of the viewport.
+     *
+     * @type {rune.tween.Tween}
+     * @private
+     */
+    this.m_rotateTween = null;
+    
+    /**
+     * The Tween object that currently animates the zoom of the viewport.
+     *
+     * @type {rune.tween.Tween}
+     * @private
+     */
+    this.m_zoomTween = null;
+    
     //--------------------------------------------------------------------------
     // Super call
     //--------------------------------------------------------------------------
@@ -146,6 +277,28 @@ rune.camera.Camera.prototype.constructor = rune.camera.Camera;
 // Public getter and setter methods
 //------------------------------------------------------------------------------
 
+/**
+ * The time, in milliseconds, that it takes for the camera to approximately 
+ * reach its destination when following objects. Damping gives smoother 
+ * movement than lag, as the camera accelerates and decelerates gradually. 
+ * Axes with a damping of zero are smoothed using lag instead. The default 
+ * value is 0 in both the x and y axes.
+ *
+ * @member {rune.geom.Point} damping
+ * @memberof rune.camera.Camera
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.camera.Camera.prototype, "damping", {
+    /**
+     * @this rune.camera.Camera
+     * @ignore
+     */
+    get : function() {
+        return this.m_damping;
+    }
+});
+
 /**
  * Subsystem for fading the camera in and out.
  *
@@ -202,6 +355,27 @@ Object.defineProperty(rune.camera.Camera.prototype, "lag", {
     }
 });
 
+/**
+ * Dictates how far ahead of its targets the camera looks, as a factor of 
+ * the velocity of the targets. For example, a value of 20 moves the camera 
+ * 20 pixels ahead of a target moving at 1 pixel per frame. The default 
+ * value is 0 in both the x and y axes.
+ *
+ * @member {rune.geom.Point} lookAhead
+ * @memberof rune.camera.Camera
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.camera.Camera.prototype, "lookAhead", {
+    /**
+     * @this rune.camera.Camera
+     * @ignore
+     */
+    get : function() {
+        return this.m_lookAhead;
+    }
+});
+
 /**
  * Subsystem that handles shake effects on the camera.
  *
@@ -275,6 +449,75 @@ Object.defineProperty(rune.camera.Camera.prototype, "viewport", {
     }
 });
 
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Animates the rotation of the viewport. Any ongoing rotation animation is 
+ * interrupted.
+ *
+ * @param {number} rotation The final rotation, in degrees.
+ * @param {number} [duration=1000] The duration of the animation, in milliseconds.
+ * @param {Function} [easing=rune.tween.Sine.easeInOut] Easing function of the animation.
+ *
+ * @returns {rune.tween.Tween} The Tween object that animates the rotation.
+ */
+rune.camera.Camera.prototype.rotateTo = function(rotation, duration, easing) {
+    this.m_stopTween(this.m_rotateTween);
+    this.m_rotateTween = this.m_tweens.create({
+        target: this.m_viewport,
+        duration: duration || 1000,
+        easing: easing,
+        args: {
+            rotation: rotation
+        }
+    });
+    
+    return this.m_rotateTween;
+};
+
+/**
+ * Animates the zoom of the viewport. The focus point, given in world 
+ * coordinates, remains at the same position on screen throughout the 
+ * animation. Any ongoing zoom animation is interrupted. A camera that 
+ * follows targets stops following them until the animation is complete, 
+ * while the boundaries of the camera still apply.
+ *
+ * @param {number} zoom The final zoom value, between 0.25 and 4.0.
+ * @param {number} [duration=1000] The duration of the animation, in milliseconds.
+ * @param {Function} [easing=rune.tween.Sine.easeInOut] Easing function of the animation.
+ * @param {rune.geom.Point} [focus] Point to zoom toward. The center of the viewport is used if omitted.
+ *
+ * @returns {rune.tween.Tween} The Tween object that animates the zoom.
+ */
+rune.camera.Camera.prototype.zoomTo = function(zoom, duration, easing, focus) {
+    var z  = this.m_viewport['zoom'];
+    var fx = (focus) ? focus['x'] : this.m_viewport['centerX'];
+    var fy = (focus) ? focus['y'] : this.m_viewport['centerY'];
+    var sx = (fx - this.m_viewport['x']) * z;
+    var sy = (fy - this.m_viewport['y']) * z;
+    
+    var focusUpdate = function(viewport) {
+        viewport['x'] = fx - sx / viewport['zoom'];
+        viewport['y'] = fy - sy / viewport['zoom'];
+    };
+    
+    this.m_stopTween(this.m_zoomTween);
+    this.m_zoomTween = this.m_tweens.create({
+        target: this.m_viewport,
+        duration: duration || 1000,
+        easing: easing,
+        onUpdate: focusUpdate,
+        onDispose: focusUpdate, //@note: onUpdate is not called on the final frame.
+        args: {
+            zoom: zoom
+        }
+    });
+    
+    return this.m_zoomTween;
+};
+
 //------------------------------------------------------------------------------
 // Override public prototype methods (ENGINE)
 //------------------------------------------------------------------------------
@@ -287,6 +530,7 @@ rune.camera.Camera.prototype.update = function(step) {
     this.m_updateShake(step);
     this.m_updateFlash(step);
     this.m_updateFade(step);
+    this.m_updateTweens(step);
     this.m_updateTargets(step);
     this.m_updateBoundaries(step);
 };
@@ -298,9 +542,11 @@ rune.camera.Camera.prototype.render = function() {
     //@note: Never perform cache checking, cameras do not use cache.
     //@note: Always use custom render flow.
     this.m_renderBackgroundColor();
+    this.m_beginRotation();
     this.m_renderMapBackBuffer();
     this.m_renderInput();
     this.m_renderMapFrontBuffer();
+    this.m_endRotation();
     this.m_renderChildren();
     this.m_renderGraphics();
     this.m_renderTint();
@@ -312,6 +558,7 @@ rune.camera.Camera.prototype.render = function() {
  * @inheritDoc
  */
 rune.camera.Camera.prototype.dispose = function() {
+    this.m_disposeTweens();
     this.m_disposeTargets();
     this.m_disposeFade();
     this.m_disposeFlash();
@@ -356,6 +603,7 @@ rune.camera.Camera.prototype.m_construct = function() {
     this.m_constructFlash();
     this.m_constructFade();
     this.m_constructTargets();
+    this.m_constructTweens();
 };
 
 /**
@@ -461,6 +709,20 @@ rune.camera.Camera.prototype.m_constructTargets = function() {
     }
 };
 
+/**
+ * Creates the handler for Tween objects.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.camera.Camera.prototype.m_constructTweens = function() {
+    this.m_disposeTweens();
+    if (this.m_tweens == null) {
+        this.m_tweens = new rune.tween.Tweens();
+    }
+};
+
 /**
  * Updates the shake effects subsystem.
  *
@@ -512,7 +774,24 @@ rune.camera.Camera.prototype.m_updateFade = function(step) {
 };
 
 /**
- * Updates the camera position, if there are objects to follow.
+ * Updates the Tween objects that animate the viewport.
+ *
+ * @param {number} step Current time step.
+ *
+ * @return {undefined}
+ * @protected
+ * @ignore
+ */
+rune.camera.Camera.prototype.m_updateTweens = function(step) {
+    if (this.m_tweens != null) {
+        this.m_tweens.update(step);
+    }
+};
+
+/**
+ * Updates the camera position, if there are objects to follow. Targets are 
+ * not followed while the zoom is animated, as the position of the viewport 
+ * is then determined by the focus point of the animation.
  *
  * @param {number} step Current time step.
  *
@@ -521,12 +800,41 @@ rune.camera.Camera.prototype.m_updateFade = function(step) {
  * @ignore
  */
 rune.camera.Camera.prototype.m_updateTargets = function(step) {
-    if (this.m_targets['length'] > 0) {
-        var tx = (this['targets'].position.x - (this.m_viewport.width  >> 1));
-        var ty = (this['targets'].position.y - (this.m_viewport.height >> 1));
+    var zooming = (this.m_zoomTween != null && this.m_zoomTween['complete'] == false);
+    if (this.m_targets['length'] > 0 && zooming == false) {
+        var position = this.m_targets['position'];
+        var velocity = this.m_targets['velocity'];
+        
+        var fx = position.x + velocity.x * this.m_lookAhead.x;
+        var fy = position.y + velocity.y * this.m_lookAhead.y;
+        var tx = (fx - (this.m_viewport.width  >> 1));
+        var ty = (fy - (this.m_viewport.height >> 1));
+        
+        if (this.deadzone != null) {
+            tx = this.m_viewport.x;
+            ty = this.m_viewport.y;
+            
+            if      (fx < tx + this.deadzone['left'])   tx = fx - this.deadzone['left'];
+            else if (fx > tx + this.deadzone['right'])  tx = fx - this.deadzone['right'];
+            
+            if      (fy < ty + this.deadzone['top'])    ty = fy - this.deadzone['top'];
+            else if (fy > ty + this.deadzone['bottom']) ty = fy - this.deadzone['bottom'];
+        }
+        
+        if (this.m_damping.x > 0) {
+            this.m_viewport.x = this.m_smoothDamp(this.m_viewport.x, tx, this.m_damping.x, "x", step);
+        } else {
+            this.m_viewport.x += (tx - this.m_viewport.x) * this.m_lag.x;
+        }
         
-        this.m_viewport.x += (tx - this.m_viewport.x) * this.m_lag.x;
-        this.m_viewport.y += (ty - this.m_viewport.y) * this.m_lag.y;
+        if (this.m_damping.y > 0) {
+            this.m_viewport.y = this.m_smoothDamp(this.m_viewport.y, ty, this.m_damping.y, "y", step);
+        } else {
+            this.m_viewport.y += (ty - this.m_viewport.y) * this.m_lag.y;
+        }
+    } else {
+        this.m_dampVelocity.x = 0;
+        this.m_dampVelocity.y = 0;
     }
 };
 
@@ -540,21 +848,31 @@ rune.camera.Camera.prototype.m_updateTargets = function(step) {
  * @ignore
  */
 rune.camera.Camera.prototype.m_updateBoundaries = function(step) {
-    if (this.bounderies != null) {
-        if (this.m_viewport['left'] < this.bounderies['left']) {
-            this.m_viewport['left'] = this.bounderies['left'];
+    var bounds = this.bounderies;
+    if (bounds == null && this.clampToMap == true && this.input != null && this.input['map'] != null) {
+        bounds = this.m_mapBounds;
+        bounds['width']  = this.input['map']['width'];
+        bounds['height'] = this.input['map']['height'];
+        if (bounds['width'] == 0 || bounds['height'] == 0) {
+            bounds = null;
+        }
+    }
+    
+    if (bounds != null) {
+        if (this.m_viewport['left'] < bounds['left']) {
+            this.m_viewport['left'] = bounds['left'];
         }
 
-        if (this.m_viewport['right'] > this.bounderies['right']) {
-            this.m_viewport['right'] = this.bounderies['right'];
+        if (this.m_viewport['right'] > bounds['right']) {
+            this.m_viewport['right'] = bounds['right'];
         }
 
-        if (this.m_viewport['top'] < this.bounderies['top']) {
-            this.m_viewport['top'] = this.bounderies['top'];
+        if (this.m_viewport['top'] < bounds['top']) {
+            this.m_viewport['top'] = bounds['top'];
         }
 
-        if (this.m_viewport['bottom'] > this.bounderies['bottom']) {
-            this.m_viewport['bottom'] = this.bounderies['bottom'];
+        if (this.m_viewport['bottom'] > bounds['bottom']) {
+            this.m_viewport['bottom'] = bounds['bottom'];
         }
     }
 };
@@ -568,8 +886,7 @@ rune.camera.Camera.prototype.m_updateBoundaries = function(step) {
  */
 rune.camera.Camera.prototype.m_renderMapBackBuffer = function() {
     if (this.input['map']['back'] && this.input['map']['back'].visible) {
-        this["canvas"].renderTiles(
-            this.input['map'], 
+        this.m_renderTiles(
             this.m_viewportOffset,
             rune.tilemap.Tilemap.BACK_BUFFER
         );
@@ -610,10 +927,15 @@ rune.camera.Camera.prototype.m_renderInput = function() {
     if (this.input != null) {
         var children = this.input.getChildren();
         for (var i = 0, l = children.length; i < l; i++) {
+            if (this.filter != null && this.filter.call(this, children[i]) !== true) {
+                continue;
+            }
+            
             this["canvas"].renderDisplayObject(
                 children[i], 
                 this.m_viewportOffset['x'], 
-                this.m_viewportOffset['y']
+                this.m_viewportOffset['y'],
+                this.m_renderMargin
             );
             
             this.m_renderInputDebug(children[i]);
@@ -663,8 +985,7 @@ rune.camera.Camera.prototype.m_renderInputDebug = function(obj) {
  */
 rune.camera.Camera.prototype.m_renderMapFrontBuffer = function() {
     if (this.input['map']['front'] && this.input['map']['front'].visible) {
-        this["canvas"].renderTiles(
-            this.input['map'], 
+        this.m_renderTiles(
             this.m_viewport,
             rune.tilemap.Tilemap.FRONT_BUFFER
         ); 
@@ -712,6 +1033,126 @@ rune.camera.Camera.prototype.m_renderFade = function() {
     }
 };
 
+/**
+ * Applies the rotation of the viewport to the camera's pixel buffer, so 
+ * that the content of the viewport is rendered rotated around the center 
+ * of the camera.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Camera.prototype.m_beginRotation = function() {
+    this.m_renderMargin = 0;
+    if (this.m_viewport['rotation'] != 0) {
+        var w = this.m_viewport['width'];
+        var h = this.m_viewport['height'];
+        var c = this["canvas"]["context"];
+        
+        this.m_renderMargin = Math.ceil((Math.sqrt(w * w + h * h) - Math.min(w, h)) * 0.5);
+        
+        c.save();
+        c.translate(w * 0.5, h * 0.5);
+        c.rotate(this.m_viewport['rotation'] * rune.util.Math.DEG_TO_RAD);
+        c.translate(-w * 0.5, -h * 0.5);
+    }
+};
+
+/**
+ * Restores the camera's pixel buffer after the content of a rotated 
+ * viewport has been rendered.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Camera.prototype.m_endRotation = function() {
+    if (this.m_viewport['rotation'] != 0) {
+        this["canvas"]["context"].restore();
+    }
+};
+
+/**
+ * Renders a buffer of the tilemap. When the viewport is rotated, the area 
+ * is extended by the render margin so that the corners of the camera are 
+ * filled.
+ *
+ * @param {rune.geom.Rectangle} rect The area of the map to render.
+ * @param {number} buffer Index of the buffer to render.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Camera.prototype.m_renderTiles = function(rect, buffer) {
+    var m = this.m_renderMargin;
+    if (m > 0) {
+        this.m_renderRect['x'] = rect['x'] - m;
+        this.m_renderRect['y'] = rect['y'] - m;
+        this.m_renderRect['width']  = rect['width']  + m * 2;
+        this.m_renderRect['height'] = rect['height'] + m * 2;
+        
+        this["canvas"]["context"].save();
+        this["canvas"]["context"].translate(-m, -m);
+        this["canvas"].renderTiles(this.input['map'], this.m_renderRect, buffer);
+        this["canvas"]["context"].restore();
+    } else {
+        this["canvas"].renderTiles(this.input['map'], rect, buffer);
+    }
+};
+
+/**
+ * Moves a value toward a destination using a critically damped spring, 
+ * which gives smooth acceleration and deceleration.
+ *
+ * @param {number} current The current value.
+ * @param {number} target The destination value.
+ * @param {number} time The approximate time, in milliseconds, to reach the destination.
+ * @param {string} axis The axis of the value, ie. "x" or "y".
+ * @param {number} step Current time step.
+ *
+ * @returns {number} The new value.
+ * @private
+ */
+rune.camera.Camera.prototype.m_smoothDamp = function(current, target, time, axis, step) {
+    var o = 2 / time;
+    var x = o * step;
+    var e = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+    var c = current - target;
+    var t = (this.m_dampVelocity[axis] + o * c) * step;
+    
+    this.m_dampVelocity[axis] = (this.m_dampVelocity[axis] - o * t) * e;
+    
+    return target + (c + t) * e;
+};
+
+/**
+ * Interrupts a Tween object, unless it is already completed.
+ *
+ * @param {rune.tween.Tween} tween The Tween object to interrupt.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Camera.prototype.m_stopTween = function(tween) {
+    if (tween != null && tween['complete'] == false) {
+        this.m_tweens.remove(tween);
+    }
+};
+
+/**
+ * Removes the handler for Tween objects.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Camera.prototype.m_disposeTweens = function() {
+    if (this.m_tweens instanceof rune.tween.Tweens) {
+        this.m_tweens.dispose();
+        this.m_tweens = null;
+    }
+    
+    this.m_rotateTween = null;
+    this.m_zoomTween = null;
+};
+
 /**
  * Removes the subsystem (CameraTargets).
  *
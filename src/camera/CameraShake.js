@@ -15,6 +15,19 @@
  */
 rune.camera.CameraShake = function() {
 
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+
+    /**
+     * The random number generator used to compute the shake offset. If 
+     * null, the generator of rune.util.Math is used.
+     *
+     * @type {rune.util.Random}
+     * @default null
+     */
+    this.generator = null;
+
     //--------------------------------------------------------------------------
     // Private properties
     //--------------------------------------------------------------------------
@@ -192,8 +205,8 @@ rune.camera.CameraShake.prototype.update = function(step) {
         var x = this.m_ammount.x * e;
         var y = this.m_ammount.y * e;
         
-        this.m_offset.x = rune.util.Math.random(-x, x);
-        this.m_offset.y = rune.util.Math.random(-y, y);
+        this.m_offset.x = rune.util.Math.random(-x, x, this.generator);
+        this.m_offset.y = rune.util.Math.random(-y, y, this.generator);
         
         if (this.m_remaining <= 0) {
             this.stop(true);
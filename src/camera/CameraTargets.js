@@ -11,7 +11,9 @@
  * @classdesc
  * 
  * The CameraTargets class represents a subsystem that allows cameras to track 
- * one or more display objects.
+ * one or more display objects. Each target has a weight, which determines 
+ * how much the target affects the destination of the camera. This makes it 
+ * possible to, for example, favour the player over a boss.
  */
 rune.camera.CameraTargets = function() {
 
@@ -35,6 +37,22 @@ rune.camera.CameraTargets = function() {
      * @private
      */
     this.m_targets = [];
+
+    /**
+     * The average velocity of the targets.
+     *
+     * @type {rune.geom.Point}
+     * @private
+     */
+    this.m_velocity = new rune.geom.Point();
+
+    /**
+     * The weight of each target, in the same order as the list of targets.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_weights = [];
 };
 
 //--------------------------------------------------------------------------
@@ -60,7 +78,8 @@ Object.defineProperty(rune.camera.CameraTargets.prototype, "length", {
 });
 
 /**
- * Destination point, ie. the position to which the camera should move.
+ * Destination point, ie. the position to which the camera should move. The 
+ * position is the weighted average of the center points of the targets.
  *
  * @member {number} position
  * @memberof rune.camera.CameraTargets
@@ -73,34 +92,83 @@ Object.defineProperty(rune.camera.CameraTargets.prototype, "position", {
      * @ignore
      */
     get : function() {
+        var total = this.m_getTotalWeight();
+        
         this.m_position.x = 0;
         this.m_position.y = 0;
         for (var i = 0, l = this.m_targets.length; i < l; i++) {
-            this.m_position.x += this.m_targets[i]['center'].x;
-            this.m_position.y += this.m_targets[i]['center'].y;
+            var w = this.m_getWeightAt(i, total);
+            this.m_position.x += this.m_targets[i]['center'].x * w;
+            this.m_position.y += this.m_targets[i]['center'].y * w;
         }
         
-        this.m_position.x = Math.floor(this.m_position.x / this.m_targets.length);
-        this.m_position.y = Math.floor(this.m_position.y / this.m_targets.length);
+        this.m_position.x = Math.floor(this.m_position.x / (total || this.m_targets.length));
+        this.m_position.y = Math.floor(this.m_position.y / (total || this.m_targets.length));
         
         return this.m_position;
     }
 });
 
+/**
+ * The weighted average velocity of the targets. Targets without velocity, 
+ * ie. objects that are not interactive, are treated as stationary.
+ *
+ * @member {rune.geom.Point} velocity
+ * @memberof rune.camera.CameraTargets
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.camera.CameraTargets.prototype, "velocity", {
+    /**
+     * @this rune.camera.CameraTargets
+     * @ignore
+     */
+    get : function() {
+        var total = this.m_getTotalWeight();
+        
+        this.m_velocity.x = 0;
+        this.m_velocity.y = 0;
+        for (var i = 0, l = this.m_targets.length; i < l; i++) {
+            var v = this.m_targets[i]['velocity'];
+            if (v != null) {
+                var w = this.m_getWeightAt(i, total);
+                this.m_velocity.x += v.x * w;
+                this.m_velocity.y += v.y * w;
+            }
+        }
+        
+        if (this.m_targets.length > 0) {
+            this.m_velocity.x /= (total || this.m_targets.length);
+            this.m_velocity.y /= (total || this.m_targets.length);
+        }
+        
+        return this.m_velocity;
+    }
+});
+
 //------------------------------------------------------------------------------
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
 
 /**
- * Add a target to follow.
+ * Add a target to follow. If the target is already registered, its weight 
+ * is updated.
  * 
  * @param {rune.display.DisplayObject} target Target to follow.
+ * @param {number} [weight=1] How much the target affects the destination, relative to other targets.
  *
  * @return {undefined}
  */
-rune.camera.CameraTargets.prototype.add = function(target) {
+rune.camera.CameraTargets.prototype.add = function(target, weight) {
+    weight = (typeof weight === "number") ? Math.max(weight, 0) : 1;
+    
     var index = this.m_targets.indexOf(target);
-    if (index === -1) this.m_targets.push(target);
+    if (index === -1) {
+        this.m_targets.push(target);
+        this.m_weights.push(weight);
+    } else {
+        this.m_weights[index] = weight;
+    }
 };
 
 /**
@@ -112,6 +180,20 @@ rune.camera.CameraTargets.prototype.clear = function() {
     while (this.m_targets.length > 0) {
         this.m_targets.shift();
     }
+    
+    this.m_weights.length = 0;
+};
+
+/**
+ * Returns the weight of a registered target.
+ * 
+ * @param {rune.display.DisplayObject} target A registered target.
+ *
+ * @return {number} The weight, or 0 if the target is not registered.
+ */
+rune.camera.CameraTargets.prototype.getWeight = function(target) {
+    var index = this.m_targets.indexOf(target);
+    return (index > -1) ? this.m_weights[index] : 0;
 };
 
 /**
@@ -123,7 +205,25 @@ rune.camera.CameraTargets.prototype.clear = function() {
  */
 rune.camera.CameraTargets.prototype.remove = function(target) {
     var index = this.m_targets.indexOf(target);
-    if (index > -1) this.m_targets.splice(index, 1);
+    if (index > -1) {
+        this.m_targets.splice(index, 1);
+        this.m_weights.splice(index, 1);
+    }
+};
+
+/**
+ * Sets the weight of a registered target.
+ * 
+ * @param {rune.display.DisplayObject} target A registered target.
+ * @param {number} weight How much the target affects the destination, relative to other targets.
+ *
+ * @return {undefined}
+ */
+rune.camera.CameraTargets.prototype.setWeight = function(target, weight) {
+    var index = this.m_targets.indexOf(target);
+    if (index > -1) {
+        this.m_weights[index] = Math.max(weight, 0);
+    }
 };
 
 //------------------------------------------------------------------------------
@@ -140,6 +240,41 @@ rune.camera.CameraTargets.prototype.remove = function(target) {
  */
 rune.camera.CameraTargets.prototype.dispose = function() {
     this.m_position = null;
+    this.m_velocity = null;
     this.m_targets.length = 0;
     this.m_targets = null;
+    this.m_weights = null;
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the sum of all target weights.
+ *
+ * @return {number}
+ * @private
+ */
+rune.camera.CameraTargets.prototype.m_getTotalWeight = function() {
+    var total = 0;
+    for (var i = 0; i < this.m_weights.length; i++) {
+        total += this.m_weights[i];
+    }
+    
+    return total;
+};
+
+/**
+ * Returns the weight of the target at a specific index. If all targets 
+ * have a weight of zero, all targets are weighted equally.
+ *
+ * @param {number} i Index of the target.
+ * @param {number} total The sum of all target weights.
+ *
+ * @return {number}
+ * @private
+ */
+rune.camera.CameraTargets.prototype.m_getWeightAt = function(i, total) {
+    return (total > 0) ? this.m_weights[i] : 1;
 };
\ No newline at end of file
@@ -31,6 +31,14 @@ rune.camera.CameraViewport = function(camera) {
      */
     this.m_camera = camera;
     
+    /**
+     * Current rotation, in degrees.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_rotation = 0;
+    
     /**
      * Current zoom value, where 1.0 is the default, ie. rendered on a 100% 
      * scale.
@@ -115,6 +123,33 @@ Object.defineProperty(rune.camera.CameraViewport.prototype, "height", {
 // Public getter and setter methods
 //--------------------------------------------------------------------------
 
+/**
+ * Current rotation of the viewport, in degrees. The content of the viewport 
+ * is rotated around the center of the camera, while objects added directly 
+ * to the camera, such as a HUD, are not rotated.
+ *
+ * @member {number} rotation
+ * @memberof rune.camera.CameraViewport
+ * @instance
+ */
+Object.defineProperty(rune.camera.CameraViewport.prototype, "rotation", {
+    /**
+     * @this rune.camera.CameraViewport
+     * @ignore
+     */
+    get : function() {
+        return this.m_rotation;
+    },
+    
+    /**
+     * @this rune.camera.CameraViewport
+     * @ignore
+     */
+    set : function(value) {
+        this.m_rotation = value % 360;
+    }
+});
+
 /**
  * Current zoom value, where 1.0 is the default, ie. rendered on a 100% 
  * scale. The value can vary between 0.25 (min) and 4.0 (max).
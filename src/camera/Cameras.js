@@ -14,9 +14,29 @@
  * 
  * The Cameras class represents a camera system with the ability to create, 
  * delete and manage camera objects.
+ * <br><br>
+ * The viewports of the cameras can be arranged automatically according to a 
+ * layout, such as a split screen or grid for local multiplayer, or a full 
+ * screen camera with a picture-in-picture inset such as a minimap. When the 
+ * camera system is bound to a Gamepads instance, each camera is bound to a 
+ * gamepad and is only shown while its gamepad is connected, and the layout 
+ * is applied again when players join or leave.
  */
 rune.camera.Cameras = function(input) {
     
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The size of inset cameras, as a factor of the size of the screen. Only 
+     * used by the rune.camera.Cameras.LAYOUT_INSET layout.
+     *
+     * @type {number}
+     * @default 0.25
+     */
+    this.insetScale = 0.25;
+    
     //--------------------------------------------------------------------------
     // Private properties
     //--------------------------------------------------------------------------
@@ -29,6 +49,23 @@ rune.camera.Cameras = function(input) {
      */
     this.m_cameras = [];
     
+    /**
+     * The Gamepads instance that controls the number of visible cameras.
+     *
+     * @type {rune.input.Gamepads}
+     * @private
+     */
+    this.m_gamepads = null;
+    
+    /**
+     * Gamepad ID of each camera. If null, each camera is bound to the 
+     * gamepad with the same ID as the index of the camera.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_gamepadIds = null;
+    
     /**
      * Camera system input, ie. what is to be rendered by one or more cameras.
      *
@@ -36,12 +73,99 @@ rune.camera.Cameras = function(input) {
      * @private
      */
     this.m_input = input || null;
+    
+    /**
+     * The layout used to arrange the viewports of the cameras.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_layout = rune.camera.Cameras.LAYOUT_NONE;
 }
 
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Layout where visible cameras are arranged in a grid, with as many columns 
+ * as rows, or one more column than rows. Two cameras are shown side by 
+ * side, while three or four cameras are shown in a 2x2 grid.
+ *
+ * @const {number}
+ * @default 3
+ */
+rune.camera.Cameras.LAYOUT_GRID = 3;
+
+/**
+ * Layout where the screen is split horizontally, ie. visible cameras are 
+ * stacked on top of each other and cover the full width of the screen.
+ *
+ * @const {number}
+ * @default 1
+ */
+rune.camera.Cameras.LAYOUT_HORIZONTAL = 1;
+
+/**
+ * Layout where the first visible camera covers the entire screen, while the 
+ * remaining visible cameras are shown as insets stacked along the right edge 
+ * of the screen, for example as a minimap.
+ *
+ * @const {number}
+ * @default 4
+ */
+rune.camera.Cameras.LAYOUT_INSET = 4;
+
+/**
+ * Layout where cameras are not arranged automatically, ie. the position 
+ * and size of each camera is set manually.
+ *
+ * @const {number}
+ * @default 0
+ */
+rune.camera.Cameras.LAYOUT_NONE = 0;
+
+/**
+ * Layout where the screen is split vertically, ie. visible cameras are 
+ * placed side by side and cover the full height of the screen.
+ *
+ * @const {number}
+ * @default 2
+ */
+rune.camera.Cameras.LAYOUT_VERTICAL = 2;
+
 //------------------------------------------------------------------------------
 // Public prototype getter and setter methods
 //------------------------------------------------------------------------------
 
+/**
+ * The layout used to arrange the viewports of the cameras, ie. one of 
+ * rune.camera.Cameras.LAYOUT_NONE, LAYOUT_HORIZONTAL, LAYOUT_VERTICAL, 
+ * LAYOUT_GRID or LAYOUT_INSET. The layout is applied when it is assigned.
+ *
+ * @member {number} layout
+ * @memberof rune.camera.Cameras
+ * @instance
+ */
+Object.defineProperty(rune.camera.Cameras.prototype, "layout", {
+    /**
+     * @this rune.camera.Cameras
+     * @ignore
+     */
+    get : function() {
+        return this.m_layout;
+    },
+    
+    /**
+     * @this rune.camera.Cameras
+     * @ignore
+     */
+    set : function(value) {
+        this.m_layout = value;
+        this.applyLayout();
+    }
+});
+
 /**
  * Returns the number of available cameras.
  *
@@ -79,12 +203,97 @@ rune.camera.Cameras.prototype.addCamera = function(camera) {
             this.m_cameras.push(camera);
             camera.input = this.m_input;
             camera.init();
+            this.applyLayout();
         }
     } else throw new TypeError();
     
     return camera;
 };
 
+/**
+ * Arranges the viewports of all visible cameras according to the current 
+ * layout. The layout is applied automatically when cameras are added or 
+ * removed, but must be applied manually when the visibility of a camera 
+ * or the size of the screen changes.
+ *
+ * @returns {undefined}
+ */
+rune.camera.Cameras.prototype.applyLayout = function() {
+    if (this.m_layout == rune.camera.Cameras.LAYOUT_NONE) return;
+    
+    var cameras = [];
+    for (var i = 0; i < this.m_cameras.length; i++) {
+        if (this.m_cameras[i]['visible'] == true) {
+            cameras.push(this.m_cameras[i]);
+        }
+    }
+    
+    var w = rune.system.Application['instance']['screen']['width'];
+    var h = rune.system.Application['instance']['screen']['height'];
+    var n = cameras.length;
+    var c = 1;
+    var r = 1;
+    
+    switch (this.m_layout) {
+        case rune.camera.Cameras.LAYOUT_HORIZONTAL:
+            r = n;
+            break;
+            
+        case rune.camera.Cameras.LAYOUT_VERTICAL:
+            c = n;
+            break;
+            
+        case rune.camera.Cameras.LAYOUT_GRID:
+            c = Math.ceil(Math.sqrt(n));
+            r = Math.ceil(n / c);
+            break;
+            
+        case rune.camera.Cameras.LAYOUT_INSET:
+            this.m_applyInsetLayout(cameras, w, h);
+            return;
+    }
+    
+    for (var j = 0; j < n; j++) {
+        var x = j % c;
+        var y = Math.floor(j / c);
+        this.m_setCameraFrame(
+            cameras[j],
+            Math.round(x * w / c),
+            Math.round(y * h / r),
+            Math.round((x + 1) * w / c) - Math.round(x * w / c),
+            Math.round((y + 1) * h / r) - Math.round(y * h / r)
+        );
+    }
+};
+
+/**
+ * Binds the camera system to a Gamepads instance. Each camera is bound to 
+ * the gamepad with the same ID as the index of the camera, or to the ID at 
+ * the same index in the ids list. Whenever a gamepad is connected or 
+ * disconnected, cameras whose gamepad is connected are made visible while 
+ * the remaining cameras are hidden, after which the layout is applied. At 
+ * least one camera is always visible. When the rune.camera.Cameras.LAYOUT_INSET 
+ * layout is used, only the first camera is bound, as the visibility of inset 
+ * cameras does not depend on the number of players.
+ *
+ * @param {rune.input.Gamepads} gamepads The gamepads to bind to.
+ * @param {Array.<number>} [ids] Gamepad ID of each camera, in the order in which the cameras were added.
+ *
+ * @throws {TypeError} If no valid Gamepads object.
+ *
+ * @returns {undefined}
+ */
+rune.camera.Cameras.prototype.bindGamepads = function(gamepads, ids) {
+    if (gamepads instanceof rune.input.Gamepads) {
+        this.unbindGamepads();
+        this.m_gamepads = gamepads;
+        this.m_gamepadIds = ids || null;
+        this.m_gamepads['onConnect'].add(this.m_onGamepadsChange, this);
+        this.m_gamepads['onDisconnect'].add(this.m_onGamepadsChange, this);
+        this.m_onGamepadsChange();
+    } else throw new TypeError();
+};
+
 /**
  * Creates a new Camera instance.
  *
@@ -150,6 +359,8 @@ rune.camera.Cameras.prototype.removeCamera = function(camera, dispose) {
                 camera.dispose();
                 camera = null;
             }
+            
+            this.applyLayout();
         }
     } else throw new TypeError();
 
@@ -169,6 +380,24 @@ rune.camera.Cameras.prototype.removeCameras = function(dispose) {
     }
 };
 
+/**
+ * Removes the binding to the current Gamepads instance. The visibility of 
+ * the cameras is left as is.
+ *
+ * @returns {undefined}
+ */
+rune.camera.Cameras.prototype.unbindGamepads = function() {
+    if (this.m_gamepads != null) {
+        if (this.m_gamepads['onConnect'] != null) {
+            this.m_gamepads['onConnect'].remove(this.m_onGamepadsChange, this);
+            this.m_gamepads['onDisconnect'].remove(this.m_onGamepadsChange, this);
+        }
+        
+        this.m_gamepads = null;
+        this.m_gamepadIds = null;
+    }
+};
+
 //------------------------------------------------------------------------------
 // Public prototype methods (ENGINE)
 //------------------------------------------------------------------------------
@@ -230,6 +459,109 @@ rune.camera.Cameras.prototype.m_updateCamera = function(camera, step) {
     }
 };
 
+/**
+ * Arranges cameras according to the inset layout, where the first camera 
+ * covers the entire screen and the remaining cameras are stacked along the 
+ * right edge of the screen.
+ *
+ * @param {Array.<rune.camera.Camera>} cameras Visible cameras.
+ * @param {number} w The width of the screen.
+ * @param {number} h The height of the screen.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Cameras.prototype.m_applyInsetLayout = function(cameras, w, h) {
+    var iw = Math.round(w * this.insetScale);
+    var ih = Math.round(h * this.insetScale);
+    var m  = Math.round(Math.min(w, h) * 0.025);
+    
+    for (var i = 0; i < cameras.length; i++) {
+        if (i == 0) {
+            this.m_setCameraFrame(cameras[i], 0, 0, w, h);
+        } else {
+            this.m_setCameraFrame(cameras[i], w - iw - m, m + (i - 1) * (ih + m), iw, ih);
+        }
+    }
+};
+
+/**
+ * Callback for when gamepads are connected or disconnected. Shows the 
+ * cameras whose gamepad is connected and hides the rest, while inset 
+ * cameras are left as is.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Cameras.prototype.m_onGamepadsChange = function() {
+    var n = this.m_cameras.length;
+    var v = false;
+    
+    if (this.m_layout == rune.camera.Cameras.LAYOUT_INSET) {
+        n = Math.min(n, 1);
+    }
+    
+    for (var i = 0; i < n; i++) {
+        this.m_cameras[i]['visible'] = this.m_isGamepadConnected(this.m_getGamepadId(i));
+        v = v || this.m_cameras[i]['visible'];
+    }
+    
+    if (v == false && n > 0) {
+        this.m_cameras[0]['visible'] = true;
+    }
+    
+    this.applyLayout();
+};
+
+/**
+ * Returns the ID of the gamepad that a camera is bound to.
+ *
+ * @param {number} index The index of the camera.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.camera.Cameras.prototype.m_getGamepadId = function(index) {
+    if (this.m_gamepadIds != null) {
+        return (index < this.m_gamepadIds.length) ? this.m_gamepadIds[index] : -1;
+    }
+    
+    return index;
+};
+
+/**
+ * Whether the gamepad with a specific ID is connected. IDs outside the 
+ * range of the bound Gamepads instance are never connected.
+ *
+ * @param {number} id The ID of the gamepad.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.camera.Cameras.prototype.m_isGamepadConnected = function(id) {
+    return id >= 0 && id < this.m_gamepads['length'] && this.m_gamepads.get(id)['connected'] == true;
+};
+
+/**
+ * Sets the position and size of a camera.
+ *
+ * @param {rune.camera.Camera} camera The camera to update.
+ * @param {number} x The x position of the camera.
+ * @param {number} y The y position of the camera.
+ * @param {number} width The width of the camera.
+ * @param {number} height The height of the camera.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.camera.Cameras.prototype.m_setCameraFrame = function(camera, x, y, width, height) {
+    camera['x'] = x;
+    camera['y'] = y;
+    camera['width']  = width;
+    camera['height'] = height;
+    camera['viewport']['zoom'] = camera['viewport']['zoom']; //@note: Resizes the viewport to the new size.
+};
+
 /**
  * Removes all cameras.
  *
@@ -237,6 +569,8 @@ rune.camera.Cameras.prototype.m_updateCamera = function(camera, step) {
  * @ignore
  */
 rune.camera.Cameras.prototype.m_disposeCameras = function() {
+    this.unbindGamepads();
+    this.m_layout = rune.camera.Cameras.LAYOUT_NONE;
     this.removeCameras(true);
     this.m_cameras = null;
     this.m_input = null;
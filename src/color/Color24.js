@@ -158,6 +158,40 @@ rune.color.Color24.prototype.dispose = function() {
     this.m_b = null;
 }
 
+/**
+ * Returns the color in the HSL color model, ie. as hue (between 0 and 360), 
+ * saturation (between 0 and 1) and lightness (between 0 and 1).
+ *
+ * @return {Object} Object containing the properties h, s and l.
+ */
+rune.color.Color24.prototype.getHSL = function() {
+    var r = this.m_r['value'] / 0xff;
+    var g = this.m_g['value'] / 0xff;
+    var b = this.m_b['value'] / 0xff;
+    var max = Math.max(r, g, b);
+    var min = Math.min(r, g, b);
+    var d = max - min;
+    var h = 0;
+    var s = 0;
+    var l = (max + min) * 0.5;
+    
+    if (d > 0) {
+        s = (l > 0.5) ? d / (2 - max - min) : d / (max + min);
+        
+        if      (max == r) h = (g - b) / d + ((g < b) ? 6 : 0);
+        else if (max == g) h = (b - r) / d + 2;
+        else               h = (r - g) / d + 4;
+        
+        h *= 60;
+    }
+    
+    return {
+        h: h,
+        s: s,
+        l: l
+    };
+}
+
 /**
  * Generates a random color for this object.
  *
@@ -169,6 +203,35 @@ rune.color.Color24.prototype.random = function() {
     this.m_b['value'] = rune.util.Math.randomInt(0, 255);
 }
 
+/**
+ * Sets the color instance to the specified value of the HSL color model.
+ *
+ * @param {number} h The hue, ie, a value between 0 and 360.
+ * @param {number} s The saturation, ie, a value between 0 and 1.
+ * @param {number} l The lightness, ie, a value between 0 and 1.
+ *
+ * @return {undefined}
+ */
+rune.color.Color24.prototype.setHSL = function(h, s, l) {
+    h = (((h % 360) + 360) % 360) / 60;
+    s = rune.util.Math.clamp(s, 0, 1);
+    l = rune.util.Math.clamp(l, 0, 1);
+    
+    var c = (1 - Math.abs(2 * l - 1)) * s;
+    var x = c * (1 - Math.abs(h % 2 - 1));
+    var m = l - c * 0.5;
+    var i = Math.floor(h);
+    var r = [c, x, 0, 0, x, c][i];
+    var g = [x, c, c, x, 0, 0][i];
+    var b = [0, 0, x, c, c, x][i];
+    
+    this.setRGB(
+        (r + m) * 0xff,
+        (g + m) * 0xff,
+        (b + m) * 0xff
+    );
+}
+
 /**
  * Sets the color instance to the specified RGB value.
  *
@@ -0,0 +1,147 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the FileStorage class.
+ *
+ * @constructor
+ * @extends rune.data.SaveStorage
+ *
+ * @class
+ * @classdesc
+ *
+ * The FileStorage class represents a storage backend that writes saved games
+ * as files on the local file system, in addition to the device's
+ * LocalStorage. File access is provided by the Electron bootstrap, which
+ * stores the files in the saves directory of the application's user data
+ * folder. When data is read, the file is preferred and LocalStorage is used
+ * as a fallback. The Saves class uses this backend by default when the
+ * application is executed via the Electron bootstrap.
+ *
+ * @see rune.data.Saves
+ */
+rune.data.FileStorage = function() {
+    
+    //--------------------------------------------------------------------------
+    // Super call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Extend rune.data.SaveStorage
+     */
+    rune.data.SaveStorage.call(this);
+};
+
+//------------------------------------------------------------------------------
+// Inheritance
+//------------------------------------------------------------------------------
+
+rune.data.FileStorage.prototype = Object.create(rune.data.SaveStorage.prototype);
+rune.data.FileStorage.prototype.constructor = rune.data.FileStorage;
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * File extension used for saved files.
+ *
+ * @const {string}
+ * @private
+ */
+rune.data.FileStorage.EXTENSION = ".json";
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Whether file access is available, ie. whether the application is executed
+ * via the Electron bootstrap.
+ *
+ * @return {boolean}
+ */
+rune.data.FileStorage.isSupported = function() {
+    return rune.data.FileStorage.m_getFileSystem() != null;
+};
+
+//------------------------------------------------------------------------------
+// Override public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * @inheritDoc
+ */
+rune.data.FileStorage.prototype.getItem = function(key) {
+    var fs = rune.data.FileStorage.m_getFileSystem();
+    if (fs != null) {
+        var data = fs['read'](key + rune.data.FileStorage.EXTENSION);
+        if (data != null) {
+            return data;
+        }
+    }
+    
+    return rune.data.SaveStorage.prototype.getItem.call(this, key);
+};
+
+/**
+ * @inheritDoc
+ */
+rune.data.FileStorage.prototype.keys = function(prefix) {
+    var output = rune.data.SaveStorage.prototype.keys.call(this, prefix);
+    var fs = rune.data.FileStorage.m_getFileSystem();
+    if (fs != null) {
+        var ext = rune.data.FileStorage.EXTENSION;
+        var files = fs['list']() || [];
+        for (var i = 0; i < files.length; i++) {
+            var key = files[i].slice(0, -ext.length);
+            if (files[i].slice(-ext.length) === ext && key.indexOf(prefix) === 0 && output.indexOf(key) === -1) {
+                output.push(key);
+            }
+        }
+    }
+    
+    return output;
+};
+
+/**
+ * @inheritDoc
+ */
+rune.data.FileStorage.prototype.removeItem = function(key) {
+    var fs = rune.data.FileStorage.m_getFileSystem();
+    var result = rune.data.SaveStorage.prototype.removeItem.call(this, key);
+    if (fs != null) {
+        result = fs['remove'](key + rune.data.FileStorage.EXTENSION) === true && result;
+    }
+    
+    return result;
+};
+
+/**
+ * @inheritDoc
+ */
+rune.data.FileStorage.prototype.setItem = function(key, value) {
+    var fs = rune.data.FileStorage.m_getFileSystem();
+    var result = rune.data.SaveStorage.prototype.setItem.call(this, key, value);
+    if (fs != null) {
+        result = fs['write'](key + rune.data.FileStorage.EXTENSION, value) === true;
+    }
+    
+    return result;
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the file system interface exposed by the Electron bootstrap, or
+ * null if the interface is unavailable.
+ *
+ * @return {Object}
+ * @private
+ */
+rune.data.FileStorage.m_getFileSystem = function() {
+    return window['runeFileSystem'] || null;
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the SaveStorage class.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The SaveStorage class represents a storage backend for saved games. The
+ * class stores data as strings in the device's LocalStorage and is used as
+ * the default backend by the Saves class. Custom backends, for example cloud
+ * based storage, can be created by inheriting from this class and overriding
+ * the getItem, setItem, removeItem and keys methods.
+ *
+ * @see rune.data.Saves
+ */
+rune.data.SaveStorage = function() {
+    //NOTHING, ATM.
+};
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the data stored under a specific key, or null if no data exists.
+ *
+ * @param {string} key The key to read.
+ *
+ * @return {?string}
+ */
+rune.data.SaveStorage.prototype.getItem = function(key) {
+    try {
+        return window.localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Returns all keys that begin with a specific prefix.
+ *
+ * @param {string} prefix The prefix to match.
+ *
+ * @return {Array.<string>}
+ */
+rune.data.SaveStorage.prototype.keys = function(prefix) {
+    var output = [];
+    try {
+        for (var i = 0; i < window.localStorage.length; i++) {
+            var key = window.localStorage.key(i);
+            if (key != null && key.indexOf(prefix) === 0) {
+                output.push(key);
+            }
+        }
+    } catch (e) {
+        //NOTHING, STORAGE IS UNAVAILABLE.
+    }
+    
+    return output;
+};
+
+/**
+ * Removes the data stored under a specific key.
+ *
+ * @param {string} key The key to remove.
+ *
+ * @return {boolean} If the data was removed.
+ */
+rune.data.SaveStorage.prototype.removeItem = function(key) {
+    try {
+        window.localStorage.removeItem(key);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Stores data under a specific key. Existing data is overwritten.
+ *
+ * @param {string} key The key to write.
+ * @param {string} value The data to store.
+ *
+ * @return {boolean} If the data was stored, false if the storage is full or unavailable.
+ */
+rune.data.SaveStorage.prototype.setItem = function(key, value) {
+    try {
+        window.localStorage.setItem(key, value);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
\ No newline at end of file
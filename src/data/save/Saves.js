@@ -0,0 +1,527 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new object.
+ *
+ * @constructor
+ *
+ * @param {string} id The App ID.
+ * @param {number} [version=1] The current version of the save data format.
+ * @param {rune.data.SaveStorage} [storage] Storage backend.
+ *
+ * @class
+ * @classdesc
+ *
+ * Represents the saved games of an application, organized into named slots,
+ * for example "auto", "slot1" and "slot2". Each slot contains a JSON
+ * serializable payload together with metadata describing when the game was
+ * saved, the accumulated play time and the version of the payload. Saved
+ * data is protected by a checksum, which means that slots that have been
+ * corrupted or modified outside the application are rejected when loaded.
+ * <br><br>
+ * The format of the payload is versioned. When the format changes, the
+ * version is increased and a migration is registered for the previous
+ * version. Payloads saved by older versions of the application are then
+ * migrated, step by step, to the current version when they are loaded.
+ * <br><br>
+ * Data is stored via a storage backend. By default, data is stored in the
+ * device's LocalStorage and, when the application is executed via the
+ * Electron bootstrap, also as files on the local file system.
+ *
+ * @see rune.data.SaveStorage
+ * @see rune.data.FileStorage
+ */
+rune.data.Saves = function(id, version, storage) {
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * App ID.
+     *
+     * @type {string}
+     * @private
+     */
+    this.m_id = id;
+    
+    /**
+     * Migrations, indexed by the version they convert payloads from.
+     *
+     * @type {Object.<number, Object>}
+     * @private
+     */
+    this.m_migrations = {};
+    
+    /**
+     * Accumulated play time, in milliseconds.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_playTime = 0;
+    
+    /**
+     * Storage backend.
+     *
+     * @type {rune.data.SaveStorage}
+     * @private
+     */
+    this.m_storage = storage || null;
+    
+    /**
+     * The current version of the save data format.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_version = parseInt(version, 10) || 1;
+    
+    //--------------------------------------------------------------------------
+    // Private constants
+    //--------------------------------------------------------------------------
+    
+    /**
+     * ID suffix used to generate the save keys.
+     *
+     * @const {string}
+     * @private
+     */
+    this.SUFFIX = ".save.";
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct();
+};
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * A string value that prefixes the keys of all saved slots. Useful when
+ * several applications are distributed via the same domain.
+ *
+ * @member {string} key
+ * @memberof rune.data.Saves
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.data.Saves.prototype, "key", {
+    /**
+     * @this rune.data.Saves
+     * @ignore
+     */
+    get : function() {
+        return this.m_id + this.SUFFIX;
+    }
+});
+
+/**
+ * The accumulated play time, in milliseconds. Play time is accumulated while
+ * the application is running and is stored together with each save. When a
+ * slot is loaded, the play time is restored to the play time of the slot.
+ *
+ * @member {number} playTime
+ * @memberof rune.data.Saves
+ * @instance
+ */
+Object.defineProperty(rune.data.Saves.prototype, "playTime", {
+    /**
+     * @this rune.data.Saves
+     * @ignore
+     */
+    get : function() {
+        return this.m_playTime;
+    },
+    
+    /**
+     * @this rune.data.Saves
+     * @ignore
+     */
+    set : function(value) {
+        this.m_playTime = Math.max(Number(value) || 0, 0);
+    }
+});
+
+/**
+ * The storage backend used to read and write saved data.
+ *
+ * @member {rune.data.SaveStorage} storage
+ * @memberof rune.data.Saves
+ * @instance
+ */
+Object.defineProperty(rune.data.Saves.prototype, "storage", {
+    /**
+     * @this rune.data.Saves
+     * @ignore
+     */
+    get : function() {
+        return this.m_storage;
+    },
+    
+    /**
+     * @this rune.data.Saves
+     * @ignore
+     */
+    set : function(value) {
+        if (value instanceof rune.data.SaveStorage) {
+            this.m_storage = value;
+        } else throw new TypeError();
+    }
+});
+
+/**
+ * The current version of the save data format. Payloads of older versions
+ * are migrated to this version when loaded.
+ *
+ * @member {number} version
+ * @memberof rune.data.Saves
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.data.Saves.prototype, "version", {
+    /**
+     * @this rune.data.Saves
+     * @ignore
+     */
+    get : function() {
+        return this.m_version;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Registers a migration that converts payloads of a specific version into
+ * the following version. The callback method receives the payload as its
+ * only argument and must return the converted payload.
+ *
+ * @param {number} version The version that the migration converts from.
+ * @param {Function} callback Converts a payload.
+ * @param {Object} [scope] Scope of execution for the callback method.
+ *
+ * @throws {TypeError} If the callback is not a function.
+ *
+ * @return {undefined}
+ */
+rune.data.Saves.prototype.addMigration = function(version, callback, scope) {
+    if (typeof callback !== "function") throw new TypeError();
+    this.m_migrations[parseInt(version, 10)] = {
+        callback : callback,
+        scope    : scope || this
+    };
+};
+
+/**
+ * Removes all saved slots associated with the current application. Note
+ * that this action cannot be undone.
+ *
+ * @return {undefined}
+ */
+rune.data.Saves.prototype.clear = function() {
+    var keys = this.m_storage.keys(this['key']);
+    for (var i = 0; i < keys.length; i++) {
+        this.m_storage.removeItem(keys[i]);
+    }
+};
+
+/**
+ * Returns the metadata of a specific slot, ie. an object containing the
+ * properties slot, version, timestamp (given in Unix time) and playTime
+ * (given in milliseconds). If the slot is empty or invalid, null is
+ * returned.
+ *
+ * @param {string} slot Name of the slot.
+ *
+ * @return {Object}
+ */
+rune.data.Saves.prototype.getInfo = function(slot) {
+    var record = this.m_read(slot);
+    if (record != null) {
+        return record['meta'];
+    }
+    
+    return null;
+};
+
+/**
+ * Returns the metadata of all valid slots, sorted so that the most recently
+ * saved slot comes first.
+ *
+ * @return {Array.<Object>}
+ */
+rune.data.Saves.prototype.getSlots = function() {
+    var output = [];
+    var keys = this.m_storage.keys(this['key']);
+    for (var i = 0; i < keys.length; i++) {
+        var info = this.getInfo(keys[i].substr(this['key'].length));
+        if (info != null) {
+            output.push(info);
+        }
+    }
+    
+    return output.sort(function(a, b) {
+        return b['timestamp'] - a['timestamp'];
+    });
+};
+
+/**
+ * Whether a specific slot contains valid saved data.
+ *
+ * @param {string} slot Name of the slot.
+ *
+ * @return {boolean}
+ */
+rune.data.Saves.prototype.has = function(slot) {
+    return this.m_read(slot) != null;
+};
+
+/**
+ * Loads the payload of a specific slot. Payloads of older versions are
+ * migrated to the current version, and the play time is restored to the
+ * play time of the slot. If the slot is empty, has been corrupted or
+ * modified, or cannot be migrated, null is returned.
+ *
+ * @param {string} slot Name of the slot.
+ *
+ * @return {*}
+ */
+rune.data.Saves.prototype.load = function(slot) {
+    var record = this.m_read(slot);
+    if (record != null) {
+        var data = this.m_migrate(record['data'], record['meta']['version']);
+        if (data !== undefined) {
+            this.m_playTime = record['meta']['playTime'];
+            return data;
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Removes a specific slot. Note that this action cannot be undone.
+ *
+ * @param {string} slot Name of the slot.
+ *
+ * @throws {Error} If the slot name is invalid.
+ *
+ * @return {boolean} If the slot was removed.
+ */
+rune.data.Saves.prototype.remove = function(slot) {
+    return this.m_storage.removeItem(this.m_getKey(slot));
+};
+
+/**
+ * Saves a payload to a specific slot. Existing data in the slot is
+ * overwritten. The payload must be JSON serializable.
+ *
+ * @param {string} slot Name of the slot, consisting of letters, digits, hyphens and underscores.
+ * @param {*} data The payload to save.
+ *
+ * @throws {Error} If the slot name is invalid.
+ *
+ * @return {Object} The metadata of the slot, or null if the data could not be stored.
+ */
+rune.data.Saves.prototype.save = function(slot, data) {
+    var meta = {
+        slot      : slot,
+        version   : this.m_version,
+        timestamp : Date.now(),
+        playTime  : Math.round(this.m_playTime)
+    };
+    
+    var key = this.m_getKey(slot);
+    var payload = (data !== undefined) ? data : null;
+    var record = {
+        meta     : meta,
+        data     : payload,
+        checksum : this.m_checksum(JSON.stringify(meta) + JSON.stringify(payload))
+    };
+    
+    if (this.m_storage.setItem(key, JSON.stringify(record))) {
+        return meta;
+    }
+    
+    return null;
+};
+
+//------------------------------------------------------------------------------
+// Public prototype methods (ENGINE)
+//------------------------------------------------------------------------------
+
+/**
+ * Initiates deallocation of this object.
+ *
+ * @return {undefined}
+ * @ignore
+ */
+rune.data.Saves.prototype.dispose = function() {
+    this.m_migrations = null;
+    this.m_storage = null;
+};
+
+/**
+ * Accumulates play time.
+ *
+ * @param {number} step Current time step.
+ *
+ * @return {undefined}
+ * @ignore
+ */
+rune.data.Saves.prototype.update = function(step) {
+    this.m_playTime += step;
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ *
+ * @return {undefined}
+ * @protected
+ * @ignore
+ */
+rune.data.Saves.prototype.m_construct = function() {
+    this.m_constructStorage();
+};
+
+/**
+ * Creates the default storage backend, unless a backend was specified.
+ *
+ * @return {undefined}
+ * @protected
+ * @ignore
+ */
+rune.data.Saves.prototype.m_constructStorage = function() {
+    if (this.m_storage == null) {
+        this.m_storage = rune.data.FileStorage.isSupported() ? new rune.data.FileStorage() : new rune.data.SaveStorage();
+    }
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Calculates a checksum (32-bit FNV-1a hash) of a string. The App ID is
+ * included in the hash, so that data cannot be copied between applications.
+ *
+ * @param {string} str String to hash.
+ *
+ * @return {string} The checksum as a hexadecimal string.
+ * @private
+ */
+rune.data.Saves.prototype.m_checksum = function(str) {
+    str = this.m_id + str;
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+        hash >>>= 0;
+    }
+    
+    return ("0000000" + hash.toString(16)).slice(-8);
+};
+
+/**
+ * Returns the storage key of a specific slot.
+ *
+ * @param {string} slot Name of the slot.
+ *
+ * @throws {Error} If the slot name is invalid.
+ *
+ * @return {string}
+ * @private
+ */
+rune.data.Saves.prototype.m_getKey = function(slot) {
+    if (!/^[a-zA-Z0-9-_]+$/.test(slot)) throw new Error("Invalid slot name.");
+    return this['key'] + slot;
+};
+
+/**
+ * Migrates a payload from a specific version to the current version.
+ *
+ * @param {*} data The payload to migrate.
+ * @param {number} version The version of the payload.
+ *
+ * @return {*} The migrated payload, or undefined if the payload cannot be migrated.
+ * @private
+ */
+rune.data.Saves.prototype.m_migrate = function(data, version) {
+    if (version > this.m_version) {
+        return undefined;
+    }
+    
+    while (version < this.m_version) {
+        var migration = this.m_migrations[version];
+        if (migration == null) {
+            return undefined;
+        }
+        
+        data = migration.callback.call(migration.scope, data);
+        version++;
+    }
+    
+    return data;
+};
+
+/**
+ * Reads and validates the record of a specific slot.
+ *
+ * @param {string} slot Name of the slot.
+ *
+ * @return {?Object} The record, or null if the slot is empty or invalid.
+ * @private
+ */
+rune.data.Saves.prototype.m_read = function(slot) {
+    var json = this.m_storage.getItem(this.m_getKey(slot));
+    if (json == null) {
+        return null;
+    }
+    
+    /** @type {*} */
+    var record = null;
+    try {
+        record = JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+    
+    if (typeof record === "object" && this.m_validate(record)) {
+        return record;
+    }
+    
+    return null;
+};
+
+/**
+ * Validates the structure and checksum of a record.
+ *
+ * @param {?Object} record Record to validate.
+ *
+ * @return {boolean}
+ * @private
+ */
+rune.data.Saves.prototype.m_validate = function(record) {
+    if (record != null && typeof record === "object" && record['meta'] != null && typeof record['meta'] === "object") {
+        var meta = record['meta'];
+        if (typeof meta['version'] === "number" && typeof meta['timestamp'] === "number" && typeof meta['playTime'] === "number") {
+            return record['checksum'] === this.m_checksum(JSON.stringify(meta) + JSON.stringify(record['data']));
+        }
+    }
+    
+    return false;
+};
\ No newline at end of file
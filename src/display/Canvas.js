@@ -428,15 +428,17 @@ rune.display.Canvas.prototype.drawRectFill = function(x, y, w, h, c, a) {
  * with this canvas object.
  *
  * @param {rune.geom.Rectangle} rect The Rectangle object to compare against.
+ * @param {number} [margin=0] Extends the area of the canvas by this number of pixels in each direction.
  *
  * @return {boolean} A value of true if the specified object intersects with this Rectangle object; otherwise false.
  */
-rune.display.Canvas.prototype.intersects = function(rect) {
+rune.display.Canvas.prototype.intersects = function(rect, margin) {
+	margin = margin || 0;
 	return rune.geom.Rectangle.intersects(
-		0,
-		0,
-		this.m_canvas.width,
-		this.m_canvas.height,
+		-margin,
+		-margin,
+		this.m_canvas.width  + margin * 2,
+		this.m_canvas.height + margin * 2,
 		rect.x,
 		rect.y,
 		rect['width'],
@@ -451,16 +453,17 @@ rune.display.Canvas.prototype.intersects = function(rect) {
  * @param {rune.display.DisplayObject} obj The object to be rendered.
  * @param {number} [offsetX] Render offset in x direction.
  * @param {number} [offsetY] Render offset in y direction.
+ * @param {number} [margin=0] Culling margin, ie. how far outside the canvas an object can be and still be rendered.
  *
  * @return {undefined}
  */
-rune.display.Canvas.prototype.renderDisplayObject = function(obj, offsetX, offsetY) {
+rune.display.Canvas.prototype.renderDisplayObject = function(obj, offsetX, offsetY, margin) {
 	if (obj['hidden'] == false) {
 		var frame = obj.getRenderFrame();
 			frame.x -= offsetX || 0;
 			frame.y -= offsetY || 0;
 			
-		if (this.intersects(frame)) {
+		if (this.intersects(frame, margin)) {
 			obj.render();
 			
 			var fx = (obj['flippedX']) ? -1 : 1;
@@ -526,7 +529,8 @@ rune.display.Canvas.prototype.renderPath = function(path, offsetX, offsetY) {
 };
 
 /**
- * Renders Tiles from a Tilemap.
+ * Renders Tiles from a Tilemap. Chunked maps are rendered via the 
+ * pre-rendered graphics of each visible chunk.
  *
  * @param {rune.tilemap.Tilemap} map The map to be rendered.
  * @param {rune.geom.Rectangle} rect Which part of the map to render.
@@ -535,6 +539,11 @@ rune.display.Canvas.prototype.renderPath = function(path, offsetX, offsetY) {
  * @return {undefined}
  */
 rune.display.Canvas.prototype.renderTiles = function(map, rect, buffer) {
+	if (map['chunks'] != null) {
+		this.m_renderTileChunks(map, rect, buffer);
+		return;
+	}
+	
 	var ti = (buffer == 0) ? map.getBackBufferInRect(rect) : map.getFrontBufferInRect(rect);
 	var wt = map['widthInTiles'];
 	var ht = map['heightInTiles'];
@@ -544,6 +553,9 @@ rune.display.Canvas.prototype.renderTiles = function(map, rect, buffer) {
 	var oy = rect['y'] % th;
 	var tv = 0;
 	var tp = null;
+	var tf = 0;
+	var tx = 0;
+	var ty = 0;
 	
 	if (ox < 0) {
 		ox = tw + ox;
@@ -561,17 +573,25 @@ rune.display.Canvas.prototype.renderTiles = function(map, rect, buffer) {
 		tv = map[tb].getTileValueAt(ti[i]);
 		if (tv > 0) {
 			tp = map.getTileTextureRectOf(tv);
-			this.m_context.drawImage(
-				map['texture'],
-				tp.x,
-				tp.y,
-				tw,
-				th,
-				(((ti[i] % wt) - ua) * tw) - ox,
-				((Math.floor(ti[i] / wt) - ub) * th) - oy,
-				tw,
-				th
-			);
+			tf = map[tb].getTileFlagsAt(ti[i]);
+			tx = (((ti[i] % wt) - ua) * tw) - ox;
+			ty = ((Math.floor(ti[i] / wt) - ub) * th) - oy;
+			
+			if (tf == rune.tilemap.TilemapLayer.FLIP_NONE) {
+				this.m_context.drawImage(
+					map['texture'],
+					tp.x,
+					tp.y,
+					tw,
+					th,
+					tx,
+					ty,
+					tw,
+					th
+				);
+			} else {
+				this.m_renderFlippedTile(map['texture'], tp, tx, ty, tw, th, tf);
+			}
 		}
 	}
 };
@@ -644,6 +664,139 @@ rune.display.Canvas.prototype.m_constructContext = function() {
 	} else throw new Error();
 };
 
+/**
+ * Renders a flipped tile. The diagonal flip is applied first, followed by the 
+ * horizontal and vertical flip.
+ *
+ * @param {HTMLImageElement} img The tile texture atlas.
+ * @param {rune.geom.Rectangle} rect The tile's location in the texture atlas.
+ * @param {number} x The x coordinate at which to place the tile.
+ * @param {number} y The y coordinate at which to place the tile.
+ * @param {number} w The width of the tile.
+ * @param {number} h The height of the tile.
+ * @param {number} flags Bit field of flip flags.
+ *
+ * @return {undefined}
+ * @protected
+ * @ignore
+ */
+rune.display.Canvas.prototype.m_renderFlippedTile = function(img, rect, x, y, w, h, flags) {
+	var fx = (flags & rune.tilemap.TilemapLayer.FLIP_HORIZONTAL) ? -1 : 1;
+	var fy = (flags & rune.tilemap.TilemapLayer.FLIP_VERTICAL)   ? -1 : 1;
+	
+	this.m_context.save();
+	this.m_context.translate(x + w * 0.5, y + h * 0.5);
+	this.m_context.scale(fx, fy);
+	if (flags & rune.tilemap.TilemapLayer.FLIP_DIAGONAL) {
+		this.m_context.transform(0, 1, 1, 0, 0, 0);
+	}
+	
+	this.m_context.drawImage(
+		img,
+		rect.x,
+		rect.y,
+		w,
+		h,
+		-w * 0.5,
+		-h * 0.5,
+		w,
+		h
+	);
+	
+	this.m_context.restore();
+};
+
+/**
+ * Renders the visible chunks of a chunked Tilemap. Chunks whose tiles have 
+ * changed are pre-rendered again before they are drawn.
+ *
+ * @param {rune.tilemap.Tilemap} map The map to be rendered.
+ * @param {rune.geom.Rectangle} rect Which part of the map to render.
+ * @param {number} buffer Index to the buffer (layer) to be rendered.
+ *
+ * @return {undefined}
+ * @protected
+ * @ignore
+ */
+rune.display.Canvas.prototype.m_renderTileChunks = function(map, rect, buffer) {
+	var cw = map['chunks']['chunkWidth']  * map['tileWidth'];
+	var ch = map['chunks']['chunkHeight'] * map['tileHeight'];
+	var cs = map['chunks'].getChunksInRect(rect);
+	var cc = null;
+	
+	for (var i = 0; i < cs.length; i++) {
+		cc = cs[i].getCanvas(buffer, cw, ch);
+		if (cs[i].isInvalid(buffer)) {
+			cc.m_renderChunk(map, cs[i], buffer);
+			cs[i].validate(buffer);
+		}
+		
+		this.m_context.drawImage(
+			cc['element'],
+			cs[i]['x'] * cw - rect['x'],
+			cs[i]['y'] * ch - rect['y']
+		);
+	}
+};
+
+/**
+ * Pre-renders the tiles of a chunk onto the canvas. Tiles of the back 
+ * buffer that are hidden behind tiles of the front buffer are omitted, 
+ * just as when ordinary maps are rendered.
+ *
+ * @param {rune.tilemap.Tilemap} map The map that the chunk belongs to.
+ * @param {rune.tilemap.TilemapChunk} chunk The chunk to render.
+ * @param {number} buffer Index to the buffer (layer) to be rendered.
+ *
+ * @return {undefined}
+ * @protected
+ * @ignore
+ */
+rune.display.Canvas.prototype.m_renderChunk = function(map, chunk, buffer) {
+	var cw = map['chunks']['chunkWidth'];
+	var ch = map['chunks']['chunkHeight'];
+	var tw = map['tileWidth'];
+	var th = map['tileHeight'];
+	var mx = map['widthInTiles']  - chunk['x'] * cw;
+	var my = map['heightInTiles'] - chunk['y'] * ch;
+	var tv = 0;
+	var tp = null;
+	var tf = 0;
+	var tx = 0;
+	var ty = 0;
+	
+	this.clear();
+	
+	for (var i = 0; i < cw * ch; i++) {
+		tx = i % cw;
+		ty = Math.floor(i / cw);
+		if (tx >= mx || ty >= my) continue;
+		if (buffer == rune.tilemap.Tilemap.BACK_BUFFER && chunk.getTileValueAt(rune.tilemap.Tilemap.FRONT_BUFFER, i) > 0) continue;
+		
+		tv = chunk.getTileValueAt(buffer, i);
+		if (tv > 0) {
+			tp = map.getTileTextureRectOf(tv);
+			tf = chunk.getTileFlagsAt(buffer, i);
+			
+			if (tf == rune.tilemap.TilemapLayer.FLIP_NONE) {
+				this.m_context.drawImage(
+					map['texture'],
+					tp.x,
+					tp.y,
+					tw,
+					th,
+					tx * tw,
+					ty * th,
+					tw,
+					th
+				);
+			} else {
+				this.m_renderFlippedTile(map['texture'], tp, tx * tw, ty * th, tw, th, tf);
+			}
+		}
+	}
+};
+
 /**
  * Deletes current context.
  *
@@ -334,13 +334,13 @@ rune.display.DisplayGroup.prototype.getMembers = function() {
  * close proximity to the argument object are returned; otherwise a list of all 
  * members is returned.
  *
- * @param {rune.display.DisplayObject} obj Main object.
+ * @param {rune.display.InteractiveObject} obj Main object.
  *
  * @return {Array.<rune.display.DisplayObject>}
  */
 rune.display.DisplayGroup.prototype.getMembersCloseTo = function(obj) {
     if (this.m_quadtree != null) {
-        var prospects = this.m_quadtree.retrieve(obj);
+        var prospects = this.m_quadtree.retrieve(obj.continuous ? rune.physics.Space.getSweptBounds(obj) : obj);
         var i = prospects.indexOf(obj);
         if (i > -1) {
             prospects.splice(i, 1);
@@ -580,6 +580,63 @@ rune.display.DisplayGroup.prototype.hitTestPoint = function(point, callback, sco
     return collide;
 };
 
+/**
+ * Casts a ray, ie. a line segment, between two points and returns 
+ * information about the nearest member whose hitbox the ray intersects. If 
+ * the useQuadtree property is set to true, only members that are in close 
+ * proximity to the ray are evaluated. If the ray does not hit any member, 
+ * null is returned.
+ *
+ * @param {number} x1 The x-coordinate of the starting point.
+ * @param {number} y1 The y-coordinate of the starting point.
+ * @param {number} x2 The x-coordinate of the end point.
+ * @param {number} y2 The y-coordinate of the end point.
+ *
+ * @returns {rune.physics.RaycastHit}
+ */
+rune.display.DisplayGroup.prototype.raycast = function(x1, y1, x2, y2) {
+    var members = this.m_members;
+    if (this.m_quadtree != null) {
+        members = this.m_quadtree.retrieve(new rune.geom.Rectangle(
+            Math.min(x1, x2),
+            Math.min(y1, y2),
+            Math.abs(x2 - x1),
+            Math.abs(y2 - y1)
+        ));
+    }
+    
+    var nearest = null;
+    for (var i = 0; i < members.length; i++) {
+        if (members[i] instanceof rune.display.InteractiveObject) {
+            var hit = this.m_raycastHitbox(members[i], x1, y1, x2 - x1, y2 - y1);
+            if (hit != null && (nearest == null || hit['distance'] < nearest['distance'])) {
+                nearest = hit;
+            }
+        }
+    }
+    
+    return nearest;
+};
+
+/**
+ * Casts a ray between two points and returns information about the nearest 
+ * member whose hitbox the ray intersects, where the points are defined via 
+ * Point objects.
+ *
+ * @param {rune.geom.Point} a Starting point.
+ * @param {rune.geom.Point} b End point.
+ *
+ * @returns {rune.physics.RaycastHit}
+ */
+rune.display.DisplayGroup.prototype.raycastBetweenPoints = function(a, b) {
+    return this.raycast(
+        a['x'],
+        a['y'],
+        b['x'],
+        b['y']
+    );
+};
+
 /**
  * Removes a member from the group. Note that the member will also be removed 
  * from the display object's display list. It is not possible to be a member 
@@ -849,4 +906,67 @@ rune.display.DisplayGroup.prototype.m_calculateArea = function(rect) {
     rect['height'] = Math.abs(max['y'] - min['y']);
     
     return rect;
+};
+
+/**
+ * Evaluates where a ray intersects the hitbox of an interactive object.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ * @param {number} x1 The x-coordinate of the starting point of the ray.
+ * @param {number} y1 The y-coordinate of the starting point of the ray.
+ * @param {number} dx The length of the ray in the x direction.
+ * @param {number} dy The length of the ray in the y direction.
+ *
+ * @returns {rune.physics.RaycastHit}
+ * @private
+ */
+rune.display.DisplayGroup.prototype.m_raycastHitbox = function(obj, x1, y1, dx, dy) {
+    var hitbox = obj['hitbox'];
+    var bounds = [
+        [x1, dx, hitbox['x'], hitbox['x'] + hitbox['width']],
+        [y1, dy, hitbox['y'], hitbox['y'] + hitbox['height']]
+    ];
+    
+    var tmin = 0;
+    var tmax = 1;
+    var nx = 0;
+    var ny = 0;
+    
+    for (var i = 0; i < bounds.length; i++) {
+        var o = bounds[i][0];
+        var d = bounds[i][1];
+        if (d == 0) {
+            if (o < bounds[i][2] || o > bounds[i][3]) return null;
+        } else {
+            var ta = (bounds[i][2] - o) / d;
+            var tb = (bounds[i][3] - o) / d;
+            var n  = (d > 0) ? -1 : 1;
+            if (ta > tb) {
+                var tt = ta;
+                ta = tb;
+                tb = tt;
+            }
+            
+            if (ta > tmin) {
+                tmin = ta;
+                nx = (i == 0) ? n : 0;
+                ny = (i == 1) ? n : 0;
+            }
+            
+            tmax = Math.min(tmax, tb);
+            if (tmin > tmax) return null;
+        }
+    }
+    
+    var hit = new rune.physics.RaycastHit(
+        x1 + dx * tmin,
+        y1 + dy * tmin,
+        nx,
+        ny,
+        Math.sqrt(dx * dx + dy * dy) * tmin
+    );
+    
+    hit.object = obj;
+    
+    return hit;
 };
\ No newline at end of file
@@ -510,14 +510,41 @@ rune.display.DisplayObjectContainer.prototype.m_renderChildDebug = function(chil
     }
     
     if (child['hitbox'].debug == true) {
-        this.m_canvas.drawRect(
-            child['hitbox']['x'],
-            child['hitbox']['y'],
-            child['hitbox']['width'],
-            child['hitbox']['height'],
-            child['hitbox'].debugColor,
-            1
-        );   
+        if (child['hitbox']['shape'] === rune.display.Hitbox.CIRCLE) {
+            var center = child['hitbox'].getVertices()[0];
+            this.m_canvas.drawArc(
+                center.x,
+                center.y,
+                child['hitbox']['radius'],
+                0,
+                Math.PI * 2,
+                child['hitbox'].debugColor,
+                1
+            );
+        } else if (child['hitbox']['shape'] === rune.display.Hitbox.POLYGON) {
+            var vertices = child['hitbox'].getVertices();
+            for (var i = 0; i < vertices.length; i++) {
+                var next = vertices[(i + 1) % vertices.length];
+                this.m_canvas.drawLine(
+                    vertices[i].x,
+                    vertices[i].y,
+                    next.x,
+                    next.y,
+                    child['hitbox'].debugColor,
+                    1,
+                    1
+                );
+            }
+        } else {
+            this.m_canvas.drawRect(
+                child['hitbox']['x'],
+                child['hitbox']['y'],
+                child['hitbox']['width'],
+                child['hitbox']['height'],
+                child['hitbox'].debugColor,
+                1
+            );
+        }
     }
 };
 
@@ -17,6 +17,13 @@
  * class is primarily intended to be used internally by Rune. For example, the 
  * DisplayObject class uses an instance of Hitbox to do all of its collision 
  * handling.
+ * <br><br>
+ * By default, the hitbox is an axis-aligned rectangle. The hitbox can also be 
+ * shaped as a circle or a convex polygon, via setCircle and setPolygon. 
+ * Circles and polygons follow the rotation, scale and flipping of the owner 
+ * and are evaluated using the Separating Axis Theorem (SAT). For these 
+ * shapes, the x, y, width and height properties describe the axis-aligned 
+ * bounding box of the shape.
  *
  * @see rune.display.DisplayObject
  * @see rune.physics.Space
@@ -92,8 +99,115 @@ rune.display.Hitbox = function(obj) {
      * @ignore
      */
     this.m_y = 0.0;
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The axis-aligned bounding box of a circular or polygonal shape, in 
+     * world coordinates.
+     *
+     * @type {rune.geom.Rectangle}
+     * @private
+     */
+    this.m_bounds = new rune.geom.Rectangle();
+    
+    /**
+     * The vertices of a polygonal shape, or the center of a circular shape, 
+     * relative to the owner of the hitbox.
+     *
+     * @type {Array.<rune.geom.Point>}
+     * @private
+     */
+    this.m_points = [];
+    
+    /**
+     * The radius of a circular shape, in pixels.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_radius = 0.0;
+    
+    /**
+     * The shape of the hitbox.
+     *
+     * @type {string}
+     * @private
+     */
+    this.m_shape = rune.display.Hitbox.RECTANGLE;
+    
+    /**
+     * The transformation of the owner the last time the world vertices were 
+     * calculated.
+     *
+     * @type {Array}
+     * @private
+     */
+    this.m_transform = [];
+    
+    /**
+     * The vertices of a polygonal shape, or the center of a circular shape, 
+     * in world coordinates.
+     *
+     * @type {Array.<rune.geom.Point>}
+     * @private
+     */
+    this.m_vertices = [];
 };
 
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Circular hitbox shape.
+ *
+ * @const {string}
+ * @default "circle"
+ */
+rune.display.Hitbox.CIRCLE = "circle";
+
+/**
+ * Convex polygonal hitbox shape.
+ *
+ * @const {string}
+ * @default "polygon"
+ */
+rune.display.Hitbox.POLYGON = "polygon";
+
+/**
+ * Axis-aligned rectangular hitbox shape.
+ *
+ * @const {string}
+ * @default "rectangle"
+ */
+rune.display.Hitbox.RECTANGLE = "rectangle";
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Properties of the owner that affect the world vertices of circular and 
+ * polygonal shapes.
+ *
+ * @const {Array.<string>}
+ * @private
+ */
+rune.display.Hitbox.TRANSFORM = [
+    "x",
+    "y",
+    "rotation",
+    "scaleX",
+    "scaleY",
+    "flippedX",
+    "flippedY",
+    "pivotX",
+    "pivotY"
+];
+
 //------------------------------------------------------------------------------
 // Public prototype getter and setter methods
 //------------------------------------------------------------------------------
@@ -222,6 +336,10 @@ Object.defineProperty(rune.display.Hitbox.prototype, "height", {
      * @ignore
      */
     get : function() {
+        if (this.m_shape !== rune.display.Hitbox.RECTANGLE) {
+            return this.m_getBounds()['height'];
+        }
+        
         return this.m_height * this.m_interactiveObject['scaleY'];
     }
 });
@@ -257,6 +375,10 @@ Object.defineProperty(rune.display.Hitbox.prototype, "previousX", {
      * @ignore
      */
     get : function() {
+        if (this.m_shape !== rune.display.Hitbox.RECTANGLE) {
+            return this.m_interactiveObject['previousX'] + (this.m_getBounds()['x'] - this.m_interactiveObject['x']);
+        }
+        
         return this.m_interactiveObject['previousX'] + (this.m_interactiveObject['scaleX'] * this.m_x);
     }
 });
@@ -275,10 +397,37 @@ Object.defineProperty(rune.display.Hitbox.prototype, "previousY", {
      * @ignore
      */
     get : function() {
+        if (this.m_shape !== rune.display.Hitbox.RECTANGLE) {
+            return this.m_interactiveObject['previousY'] + (this.m_getBounds()['y'] - this.m_interactiveObject['y']);
+        }
+        
         return this.m_interactiveObject['previousY'] + (this.m_interactiveObject['scaleY'] * this.m_y);
     }
 });
 
+/**
+ * The radius of a circular hitbox, in pixels, scaled by the largest scale 
+ * factor of the owner. Other shapes have a radius of zero.
+ *
+ * @member {number} radius
+ * @memberof rune.display.Hitbox
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.display.Hitbox.prototype, "radius", {
+    /**
+     * @this rune.display.Hitbox
+     * @ignore
+     */
+    get : function() {
+        if (this.m_shape === rune.display.Hitbox.CIRCLE) {
+            return this.m_radius * Math.max(this.m_interactiveObject['scaleX'], this.m_interactiveObject['scaleY']);
+        }
+        
+        return 0.0;
+    }
+});
+
 /**
  * The sum of the x and width properties.
  *
@@ -296,6 +445,25 @@ Object.defineProperty(rune.display.Hitbox.prototype, "right", {
     }
 });
 
+/**
+ * The shape of the hitbox, ie. Hitbox.RECTANGLE, Hitbox.CIRCLE or 
+ * Hitbox.POLYGON.
+ *
+ * @member {string} shape
+ * @memberof rune.display.Hitbox
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.display.Hitbox.prototype, "shape", {
+    /**
+     * @this rune.display.Hitbox
+     * @ignore
+     */
+    get : function() {
+        return this.m_shape;
+    }
+});
+
 /**
  * The y coordinate of the top-left corner of the hitbox.
  *
@@ -363,6 +531,10 @@ Object.defineProperty(rune.display.Hitbox.prototype, "width", {
      * @ignore
      */
     get : function() {
+        if (this.m_shape !== rune.display.Hitbox.RECTANGLE) {
+            return this.m_getBounds()['width'];
+        }
+        
         return this.m_width * this.m_interactiveObject['scaleX'];
     }
 });
@@ -381,6 +553,10 @@ Object.defineProperty(rune.display.Hitbox.prototype, "x", {
      * @ignore
      */
     get : function() {
+        if (this.m_shape !== rune.display.Hitbox.RECTANGLE) {
+            return this.m_getBounds()['x'];
+        }
+        
         return this.m_interactiveObject['x'] + (this.m_interactiveObject['scaleX'] * this.m_x);
     }
 });
@@ -399,6 +575,10 @@ Object.defineProperty(rune.display.Hitbox.prototype, "y", {
      * @ignore
      */
     get : function() {
+        if (this.m_shape !== rune.display.Hitbox.RECTANGLE) {
+            return this.m_getBounds()['y'];
+        }
+        
         return this.m_interactiveObject['y'] + (this.m_interactiveObject['scaleY'] * this.m_y);
     }
 });
@@ -407,9 +587,38 @@ Object.defineProperty(rune.display.Hitbox.prototype, "y", {
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
 
+/**
+ * Returns the vertices of the hitbox in world coordinates. Rectangular 
+ * hitboxes return their four corners, while polygonal hitboxes return their 
+ * vertices transformed by the rotation, scale and flipping of the owner. For 
+ * circular hitboxes, the list contains a single vertex: the center of the 
+ * circle.
+ *
+ * @return {Array.<rune.geom.Point>}
+ */
+rune.display.Hitbox.prototype.getVertices = function() {
+    var output = [];
+    if (this.m_shape === rune.display.Hitbox.RECTANGLE) {
+        output.push(
+            this['topLeft'],
+            this['topRight'],
+            this['bottomRight'],
+            this['bottomLeft']
+        );
+    } else {
+        this.m_getBounds();
+        for (var i = 0; i < this.m_vertices.length; i++) {
+            output.push(new rune.geom.Point(this.m_vertices[i].x, this.m_vertices[i].y));
+        }
+    }
+    
+    return output;
+};
+
 /**
  * Set the position and size of the hitbox. Note that x and y coordinates are 
- * relative to the interactive object that owns the hitbox.
+ * relative to the interactive object that owns the hitbox. The hitbox is 
+ * shaped as a rectangle, even if it was previously a circle or a polygon.
  *
  * @param {number} x The x position of the hitbox
  * @param {number} y The y position of the hitbox
@@ -423,6 +632,75 @@ rune.display.Hitbox.prototype.set = function(x, y, width, height) {
     this.m_y = y;
     this.m_width = width;
     this.m_height = height;
+    this.m_shape = rune.display.Hitbox.RECTANGLE;
+    this.m_radius = 0.0;
+    this.m_points.length = 0;
+    this.m_vertices.length = 0;
+};
+
+/**
+ * Shapes the hitbox as a circle. Note that the center coordinates are 
+ * relative to the interactive object that owns the hitbox.
+ *
+ * @param {number} x The x position of the center of the circle.
+ * @param {number} y The y position of the center of the circle.
+ * @param {number} radius The radius of the circle.
+ *
+ * @return {undefined}
+ */
+rune.display.Hitbox.prototype.setCircle = function(x, y, radius) {
+    this.m_x = x - radius;
+    this.m_y = y - radius;
+    this.m_width = radius * 2;
+    this.m_height = radius * 2;
+    this.m_shape = rune.display.Hitbox.CIRCLE;
+    this.m_radius = radius;
+    this.m_points = [new rune.geom.Point(x, y)];
+    this.m_vertices = [new rune.geom.Point(x, y)];
+    this.m_transform.length = 0;
+};
+
+/**
+ * Shapes the hitbox as a convex polygon. Note that the coordinates of the 
+ * vertices are relative to the interactive object that owns the hitbox. 
+ * Concave polygons are not supported and result in inaccurate collisions.
+ *
+ * @param {Array.<rune.geom.Point>} vertices The vertices of the polygon, in clockwise or counter-clockwise order.
+ *
+ * @throws {Error} If the polygon consists of less than three vertices.
+ *
+ * @return {undefined}
+ */
+rune.display.Hitbox.prototype.setPolygon = function(vertices) {
+    if (!(vertices instanceof Array) || vertices.length < 3) throw new Error("A polygon requires at least three vertices");
+    
+    var minX =  Infinity;
+    var minY =  Infinity;
+    var maxX = -Infinity;
+    var maxY = -Infinity;
+    
+    this.m_points = [];
+    this.m_vertices = [];
+    for (var i = 0; i < vertices.length; i++) {
+        var x = Number(vertices[i]['x']) || 0;
+        var y = Number(vertices[i]['y']) || 0;
+        
+        this.m_points.push(new rune.geom.Point(x, y));
+        this.m_vertices.push(new rune.geom.Point(x, y));
+        
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+    
+    this.m_x = minX;
+    this.m_y = minY;
+    this.m_width = maxX - minX;
+    this.m_height = maxY - minY;
+    this.m_shape = rune.display.Hitbox.POLYGON;
+    this.m_radius = 0.0;
+    this.m_transform.length = 0;
 };
 
 /**
@@ -445,5 +723,88 @@ rune.geom.Rectangle.prototype.toString = function() {
  * @ignore
  */
 rune.display.Hitbox.prototype.dispose = function() {
-    // NOTHING, ATM.
+    this.m_points = null;
+    this.m_vertices = null;
+    this.m_transform = null;
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the axis-aligned bounding box of a circular or polygonal shape. The 
+ * world vertices of the shape, and thus the bounding box, are only 
+ * recalculated when the transformation of the owner has changed.
+ *
+ * @return {rune.geom.Rectangle}
+ * @private
+ */
+rune.display.Hitbox.prototype.m_getBounds = function() {
+    var obj = this.m_interactiveObject;
+    var keys = rune.display.Hitbox.TRANSFORM;
+    var changed = false;
+    for (var i = 0; i < keys.length; i++) {
+        if (this.m_transform[i] !== obj[keys[i]]) {
+            this.m_transform[i] = obj[keys[i]];
+            changed = true;
+        }
+    }
+    
+    if (changed) {
+        this.m_updateVertices();
+    }
+    
+    return this.m_bounds;
+};
+
+/**
+ * Transforms the local vertices of the shape into world coordinates and 
+ * updates the bounding box. Vertices are rotated and flipped around the pivot 
+ * point of the owner, in the same way as its graphical representation.
+ *
+ * @return {undefined}
+ * @private
+ */
+rune.display.Hitbox.prototype.m_updateVertices = function() {
+    var obj = this.m_interactiveObject;
+    var rad = (obj['rotation'] || 0) * rune.util.Math.DEG_TO_RAD;
+    var cos = Math.cos(rad);
+    var sin = Math.sin(rad);
+    var fx  = obj['flippedX'] ? -1 : 1;
+    var fy  = obj['flippedY'] ? -1 : 1;
+    var px  = obj['x'] + (obj['pivotX'] || 0);
+    var py  = obj['y'] + (obj['pivotY'] || 0);
+    
+    var minX =  Infinity;
+    var minY =  Infinity;
+    var maxX = -Infinity;
+    var maxY = -Infinity;
+    
+    for (var i = 0; i < this.m_points.length; i++) {
+        var dx = obj['x'] + this.m_points[i].x * obj['scaleX'] - px;
+        var dy = obj['y'] + this.m_points[i].y * obj['scaleY'] - py;
+        var vertex = this.m_vertices[i];
+        
+        vertex.x = px + fx * (dx * cos - dy * sin);
+        vertex.y = py + fy * (dx * sin + dy * cos);
+        
+        minX = Math.min(minX, vertex.x);
+        minY = Math.min(minY, vertex.y);
+        maxX = Math.max(maxX, vertex.x);
+        maxY = Math.max(maxY, vertex.y);
+    }
+    
+    if (this.m_shape === rune.display.Hitbox.CIRCLE) {
+        var radius = this['radius'];
+        minX -= radius;
+        minY -= radius;
+        maxX += radius;
+        maxY += radius;
+    }
+    
+    this.m_bounds.x = minX;
+    this.m_bounds.y = minY;
+    this.m_bounds.width = maxX - minX;
+    this.m_bounds.height = maxY - minY;
 };
\ No newline at end of file
@@ -36,6 +36,43 @@ rune.display.InteractiveObject = function(x, y, width, height) {
      */
     this.mass = 1.0;
     
+    /**
+     * Bit field describing which collision category (or categories) the 
+     * object belongs to. Used together with collisionMask to determine which 
+     * objects are allowed to collide with each other.
+     *
+     * @type {number}
+     * @default 0x0001
+     */
+    this.collisionCategory = 0x0001;
+    
+    /**
+     * Bit field describing which collision categories the object collides 
+     * with. Two objects are only allowed to collide if the mask of each object 
+     * contains the category of the other object. By default, the object 
+     * collides with all categories. The mask is respected by scene collision 
+     * rules as well as by hitTestObject and hitTestAndSeparateObject, and 
+     * thus by all hit tests between objects, but not by hit tests against 
+     * tilemap layers or points.
+     *
+     * @type {number}
+     * @default 0xFFFFFFFF
+     */
+    this.collisionMask = 0xFFFFFFFF;
+    
+    /**
+     * Whether the object uses continuous (swept) collision detection. A 
+     * continuous object sweeps its hitbox from its previous to its current 
+     * position when colliding with tiles and other objects, and is stopped 
+     * at the first point of impact. This prevents fast-moving objects, such 
+     * as bullets, from passing through thin walls between two updates, but 
+     * is more expensive than the default collision detection.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.continuous = false;
+    
     /**
      * The elasticity of the object. Used to calculate the impact when two 
      * objects collide with each other. The greater the value, the more bouncy 
@@ -57,6 +94,17 @@ rune.display.InteractiveObject = function(x, y, width, height) {
      */
     this.sticky = false;
     
+    /**
+     * Used in collision handling. If an object is one-way, it only blocks 
+     * objects that land on it from above, while objects can pass through it 
+     * from below or from the sides. This is useful when developing platform 
+     * games with platforms that the player can jump through.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.oneWay = false;
+    
     //--------------------------------------------------------------------------
     // Protected properties
     //--------------------------------------------------------------------------
@@ -80,6 +128,16 @@ rune.display.InteractiveObject = function(x, y, width, height) {
      */
     this.m_allowCollisions = rune.physics.Space.ANY;
     
+    /**
+     * Remaining time (in milliseconds) during which the object ignores 
+     * one-way objects.
+     *
+     * @type {number}
+     * @protected
+     * @ignore
+     */
+    this.m_dropThrough = 0;
+    
     /**
      * Represents a boundary box used for collision detection.
      *
@@ -127,6 +185,15 @@ rune.display.InteractiveObject = function(x, y, width, height) {
      */
     this.m_previousY = y || 0.0;
     
+    /**
+     * The pointer point that is currently dragging the object, if any.
+     *
+     * @type {rune.input.PointerPoint}
+     * @protected
+     * @ignore
+     */
+    this.m_pointerPoint = null;
+    
     /**
      * The object's current scale in the x and y directions.
      *
@@ -337,6 +404,27 @@ Object.defineProperty(rune.display.InteractiveObject.prototype, "application", {
     }
 });
 
+/**
+ * Whether the object currently ignores one-way objects, ie. falls through 
+ * one-way platforms.
+ *
+ * @see rune.display.InteractiveObject#dropThrough
+ *
+ * @member {boolean} droppingThrough
+ * @memberof rune.display.InteractiveObject
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.display.InteractiveObject.prototype, "droppingThrough", {
+    /**
+     * @this rune.display.InteractiveObject
+     * @ignore
+     */
+    get : function() {
+        return this.m_dropThrough > 0;
+    }
+});
+
 /**
  * Reference to the application's subsystem for connected gamepad devices.
  *
@@ -446,6 +534,25 @@ Object.defineProperty(rune.display.InteractiveObject.prototype, "movable", {
     }
 });
 
+/**
+ * Reference to the pointer manager. Use this reference to read the state of 
+ * the mouse and touch contacts.
+ *
+ * @member {rune.input.Pointer} pointer
+ * @memberof rune.display.InteractiveObject
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.display.InteractiveObject.prototype, "pointer", {
+    /**
+     * @this rune.display.InteractiveObject
+     * @ignore
+     */
+    get : function() {
+        return rune.system.Application['instance']['inputs']['pointer'];
+    }
+});
+
 /**
  * Indicates the horizontal scale (percentage) of the object as applied from 
  * the upper left corner. 1.0 is 100% scale.
@@ -638,6 +745,33 @@ Object.defineProperty(rune.display.InteractiveObject.prototype, "previousY", {
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
 
+/**
+ * Whether the object is allowed to collide with another object, based on the 
+ * collision category and collision mask of both objects.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ *
+ * @returns {boolean}
+ */
+rune.display.InteractiveObject.prototype.canCollideWith = function(obj) {
+    return ((this.collisionMask & obj.collisionCategory) !== 0) && 
+           ((obj.collisionMask & this.collisionCategory) !== 0);
+};
+
+/**
+ * Lets the object fall through one-way objects, such as one-way platforms, 
+ * for a limited time. This is typically used to let the player drop down 
+ * through a platform by pressing down. Calling the method with a duration 
+ * of zero cancels an ongoing drop.
+ *
+ * @param {number} [duration=250] Duration in milliseconds.
+ *
+ * @returns {undefined}
+ */
+rune.display.InteractiveObject.prototype.dropThrough = function(duration) {
+    this.m_dropThrough = Math.max(Number(duration != null ? duration : 250) || 0, 0);
+};
+
 /**
  * Evaluates whether the object's hitbox overlaps or intersects with the 
  * parameter object's hitbox.
@@ -716,7 +850,9 @@ rune.display.InteractiveObject.prototype.hitTestContentOf = function(array, call
 
 /**
  * Evaluates the bounding box of the interactive object to see if it overlaps 
- * or intersects with the bounding box of the obj interactive object.
+ * or intersects with the bounding box of the obj interactive object. Circular 
+ * and polygonal hitboxes are evaluated by their actual shape. Objects whose 
+ * collision masks exclude each other never intersect.
  *
  * @param {rune.display.InteractiveObject} obj The interactive object to test against.
  * @param {Function} [callback] Executed in case of collision.
@@ -725,17 +861,8 @@ rune.display.InteractiveObject.prototype.hitTestContentOf = function(array, call
  * @returns {boolean} true if the bounding boxes of the interactive objects intersect; false if not.
  */
 rune.display.InteractiveObject.prototype.hitTestObject = function(obj, callback, scope) {
-    if (obj != null && obj['hitbox'] != null && this['hitbox'] != null) {
-        if (rune.geom.Rectangle.intersects(
-            this['hitbox']['x'],
-            this['hitbox']['y'],
-            this['hitbox']['width'],
-            this['hitbox']['height'],
-            obj['hitbox']['x'],
-            obj['hitbox']['y'],
-            obj['hitbox']['width'],
-            obj['hitbox']['height']
-        )) {
+    if (obj != null && obj['hitbox'] != null && this['hitbox'] != null && this.canCollideWith(obj)) {
+        if (rune.physics.Space.intersects(this, obj)) {
             if (typeof callback === "function") {
                 callback.call(scope || this, this, obj);
             }
@@ -848,7 +975,10 @@ rune.display.InteractiveObject.prototype.hitTestAndSeparateContentOf = function(
 /**
  * Evaluates whether the object's bounding box overlaps a bounding box of 
  * another object and in the event of a collision, the objects are separated 
- * in order to resolve the collision.
+ * in order to resolve the collision. If any of the objects is continuous, 
+ * collisions that occurred between the previous and the current position of 
+ * the objects are also resolved. Objects whose collision masks exclude each 
+ * other are never separated.
  *
  * @param {rune.display.InteractiveObject} obj The interactive object to test against.
  * @param {Function} [callback=null] Executed in case of collision.
@@ -864,6 +994,12 @@ rune.display.InteractiveObject.prototype.hitTestAndSeparateObject = function(obj
             }
         }
         
+        return true;
+    } else if ((this.continuous || obj.continuous) && this.canCollideWith(obj) && rune.physics.Space.separateSwept(this, obj)) {
+        if (typeof callback === "function") {
+            callback.call(scope || this, this, obj);
+        }
+        
         return true;
     }
     
@@ -934,6 +1070,90 @@ rune.display.InteractiveObject.prototype.hitTestPoint = function(point, callback
     return false;
 };
 
+/**
+ * Tests whether the object was just clicked, ie. if the primary button of a 
+ * pointer point was both pressed and released over the object's hitbox.
+ *
+ * @param {Function} [callback] Executed if the object was clicked.
+ * @param {Object} [scope] Scope of execution for callback method.
+ *
+ * @returns {boolean}
+ */
+rune.display.InteractiveObject.prototype.isClicked = function(callback, scope) {
+    var points = this['pointer']['points'];
+    for (var i = 0; i < points.length; i++) {
+        var point = points[i];
+        if (point['active'] == true && 
+            point.isJustReleased(rune.input.Pointer.BUTTON_PRIMARY) &&
+            this.hitTestPoint(point['origin']) &&
+            this.hitTestPoint(point['world'], callback, scope)) {
+            return true;
+        }
+    }
+    
+    return false;
+};
+
+/**
+ * Tests whether the object is being dragged, ie. if the primary button of a 
+ * pointer point was pressed over the object's hitbox and is still held down. 
+ * The object remains dragged until the button is released, even if the 
+ * point leaves the hitbox.
+ *
+ * @param {Function} [callback] Executed with the dragging point as long as the object is dragged.
+ * @param {Object} [scope] Scope of execution for callback method.
+ *
+ * @returns {boolean}
+ */
+rune.display.InteractiveObject.prototype.isDragged = function(callback, scope) {
+    if (this.m_pointerPoint != null && (this.m_pointerPoint['active'] == false || this.m_pointerPoint.isPressed(rune.input.Pointer.BUTTON_PRIMARY) == false)) {
+        this.m_pointerPoint = null;
+    }
+    
+    if (this.m_pointerPoint == null) {
+        var points = this['pointer']['points'];
+        for (var i = 0; i < points.length; i++) {
+            var point = points[i];
+            if (point['active'] == true && 
+                point.isJustPressed(rune.input.Pointer.BUTTON_PRIMARY) &&
+                this.hitTestPoint(point['world'])) {
+                this.m_pointerPoint = point;
+                break;
+            }
+        }
+    }
+    
+    if (this.m_pointerPoint != null) {
+        if (typeof callback === "function") {
+            callback.call(scope || this, this, this.m_pointerPoint);
+        }
+        
+        return true;
+    }
+    
+    return false;
+};
+
+/**
+ * Tests whether any active pointer point is located over the object's 
+ * hitbox.
+ *
+ * @param {Function} [callback] Executed if the object is hovered.
+ * @param {Object} [scope] Scope of execution for callback method.
+ *
+ * @returns {boolean}
+ */
+rune.display.InteractiveObject.prototype.isHovered = function(callback, scope) {
+    var points = this['pointer']['points'];
+    for (var i = 0; i < points.length; i++) {
+        if (points[i]['active'] == true && this.hitTestPoint(points[i]['world'], callback, scope)) {
+            return true;
+        }
+    }
+    
+    return false;
+};
+
 /**
  * Test whether the object touches another object in one or more directions. 
  * The test does not tell what the object touches, only whether it does so 
@@ -1018,6 +1238,7 @@ rune.display.InteractiveObject.prototype.update = function(step) {
  */
 rune.display.InteractiveObject.prototype.postUpdate = function(step) {
     this.m_updateVelocity(step);
+    this.m_updateDropThrough(step);
 };
 
 /**
@@ -1028,6 +1249,7 @@ rune.display.InteractiveObject.prototype.postUpdate = function(step) {
  * @returns {undefined}
  */
 rune.display.InteractiveObject.prototype.dispose = function() {
+    this.m_pointerPoint = null;
     this.m_disposeHitbox();
     this.m_disposeStates();
 };
@@ -1092,6 +1314,21 @@ rune.display.InteractiveObject.prototype.m_updatePreviousPosition = function(ste
     this.m_previousY = this.y;
 };
 
+/**
+ * Counts down the time during which the object ignores one-way objects.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.display.InteractiveObject.prototype.m_updateDropThrough = function(step) {
+    if (this.m_dropThrough > 0) {
+        this.m_dropThrough = Math.max(this.m_dropThrough - step, 0);
+    }
+};
+
 /**
  * Updates the object's finite-state machine.
  *
@@ -207,6 +207,16 @@ rune.display.Stage.prototype.render = function() {
 	//DO NOTHING; THE CHILDREN OF THE STAGE SHOULD BE DRAWN BY CAMERAS, NOT THE STAGE ITSELF.
 };
 
+/**
+ * @inheritDoc
+ */
+rune.display.Stage.prototype.update = function(step) {
+	rune.display.DisplayObjectContainer.prototype.update.call(this, step);
+	if (this.m_map != null) {
+		this.m_map.update(step);
+	}
+};
+
 /**
  * @inheritDoc
  */
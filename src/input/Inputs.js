@@ -13,7 +13,7 @@
  * @classdesc
  * 
  * The Inputs class is a subsystem that handles all of Rune's input devices, 
- * such as keyboards and gamepads. All access to input devices thus passes 
+ * such as keyboards, gamepads, mice and touch screens. All access to input devices thus passes 
  * through an instance of this class.
  */
 rune.input.Inputs = function(options) {
@@ -46,6 +46,14 @@ rune.input.Inputs = function(options) {
      */
     this.m_options = options || {};
     
+    /**
+     * The subsystem responsible for mouse and touch input.
+     *
+     * @type {rune.input.Pointer}
+     * @private
+     */
+    this.m_pointer = null;
+    
     //--------------------------------------------------------------------------
     // Constructor call
     //--------------------------------------------------------------------------
@@ -98,6 +106,25 @@ Object.defineProperty(rune.input.Inputs.prototype, "keyboard", {
     },
 });
 
+/**
+ * Represents the mouse and touch screen. Use this object to read the current 
+ * position and state of the mouse and of each touch contact.
+ *
+ * @member {rune.input.Pointer} pointer
+ * @memberof rune.input.Inputs
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Inputs.prototype, "pointer", {
+    /**
+     * @this rune.input.Inputs
+     * @ignore
+     */
+    get : function() {
+        return this.m_pointer;
+    },
+});
+
 //------------------------------------------------------------------------------
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
@@ -110,6 +137,7 @@ Object.defineProperty(rune.input.Inputs.prototype, "keyboard", {
 rune.input.Inputs.prototype.reset = function() {
     if (this.m_keyboard != null) this.m_keyboard.reset();
     if (this.m_gamepads != null) this.m_gamepads.reset();
+    if (this.m_pointer  != null) this.m_pointer.reset();
 };
 
 //------------------------------------------------------------------------------
@@ -127,6 +155,7 @@ rune.input.Inputs.prototype.reset = function() {
 rune.input.Inputs.prototype.update = function(step) {
     this.m_updateKeyboard(step);
     this.m_updateGamepads(step);
+    this.m_updatePointer(step);
 };
 
 /**
@@ -137,6 +166,7 @@ rune.input.Inputs.prototype.update = function(step) {
  * @ignore
  */
 rune.input.Inputs.prototype.dispose = function() {
+    this.m_disposePointer();
     this.m_disposeGamepads();
     this.m_disposeKeyboard();
 };
@@ -155,6 +185,7 @@ rune.input.Inputs.prototype.dispose = function() {
 rune.input.Inputs.prototype.m_construct = function() {
     this.m_constructKeyboard();
     this.m_constructGamepads();
+    this.m_constructPointer();
 };
 
 /**
@@ -194,6 +225,25 @@ rune.input.Inputs.prototype.m_constructGamepads = function() {
     } else throw new Error();
 };
 
+/**
+ * Creates and activates the mouse and touch management system.
+ *
+ * @throws {Error} If an object reference already exists.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.Inputs.prototype.m_constructPointer = function() {
+    this.m_disposePointer();
+    if (this.m_pointer === null) {
+        this.m_pointer = new rune.input.Pointer({
+            enable: this.m_options.usePointer,
+            target: window
+        });
+    } else throw new Error();
+};
+
 /**
  * Updates the state of the keyboard.
  *
@@ -224,6 +274,21 @@ rune.input.Inputs.prototype.m_updateGamepads = function(step) {
     }
 };
 
+/**
+ * Updates the state of the mouse and all touch contacts.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.Inputs.prototype.m_updatePointer = function(step) {
+    if (this.m_pointer != null) {
+        this.m_pointer.update();
+    }
+};
+
 /**
  * Removes all handling of gamepad devices.
  *
@@ -250,4 +315,18 @@ rune.input.Inputs.prototype.m_disposeKeyboard = function() {
         this.m_keyboard.dispose();
         this.m_keyboard = null;
     }
+};
+
+/**
+ * Removes the representation of the mouse and touch screen.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.Inputs.prototype.m_disposePointer = function() {
+    if (this.m_pointer instanceof rune.input.Pointer) {
+        this.m_pointer.dispose();
+        this.m_pointer = null;
+    }
 };
\ No newline at end of file
@@ -48,6 +48,26 @@ rune.input.Gamepads = function(options) {
      */
     this.m_options = new rune.input.GamepadsOptions(options);
     
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Functions that are executed when a gamepad is connected.
+     *
+     * @type {rune.util.Stack}
+     * @private
+     */
+    this.m_onConnect = new rune.util.Stack();
+    
+    /**
+     * Functions that are executed when a gamepad is disconnected.
+     *
+     * @type {rune.util.Stack}
+     * @private
+     */
+    this.m_onDisconnect = new rune.util.Stack();
+    
     //--------------------------------------------------------------------------
     // Constructor call
     //--------------------------------------------------------------------------
@@ -94,6 +114,26 @@ Object.defineProperty(rune.input.Gamepads.prototype, "enable", {
     }
 });
 
+/**
+ * Returns the number of Gamepad objects, ie. the number of gamepads that 
+ * can be connected at the same time. Valid IDs for the get method range 
+ * from 0 to length - 1.
+ *
+ * @member {number} length
+ * @memberof rune.input.Gamepads
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Gamepads.prototype, "length", {
+    /**
+     * @this rune.input.Gamepads
+     * @ignore
+     */
+    get : function() {
+        return (this.m_gamepads != null) ? this.m_gamepads.length : 0;
+    }
+});
+
 /**
  * Returns the number of connected gamepads. This value is always represented 
  * by an integer between 0 and 4.
@@ -122,6 +162,46 @@ Object.defineProperty(rune.input.Gamepads.prototype, "numGamepads", {
     }
 });
 
+/**
+ * Functions that are executed when a gamepad is connected. In addition to 
+ * the onConnect option, any number of functions can be added to this stack. 
+ * The functions receive the number of connected devices as argument.
+ *
+ * @member {rune.util.Stack} onConnect
+ * @memberof rune.input.Gamepads
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Gamepads.prototype, "onConnect", {
+    /**
+     * @this rune.input.Gamepads
+     * @ignore
+     */
+    get : function() {
+        return this.m_onConnect;
+    }
+});
+
+/**
+ * Functions that are executed when a gamepad is disconnected. In addition 
+ * to the onDisconnect option, any number of functions can be added to this 
+ * stack. The functions receive the number of connected devices as argument.
+ *
+ * @member {rune.util.Stack} onDisconnect
+ * @memberof rune.input.Gamepads
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Gamepads.prototype, "onDisconnect", {
+    /**
+     * @this rune.input.Gamepads
+     * @ignore
+     */
+    get : function() {
+        return this.m_onDisconnect;
+    }
+});
+
 /**
  * Returns true if the direction of any of the connected gamepad's left analog 
  * stick is facing up. For gamepads that do not have analog sticks, this value 
@@ -607,6 +687,7 @@ rune.input.Gamepads.prototype.vibrate = function(duration, delay, weak, strong,
  */
 rune.input.Gamepads.prototype.dispose = function() {
     this.vibrate(0);
+    this.m_disposeStacks();
     this.m_disposeGamepads();
     this.m_disposeDevices();
 };
@@ -733,6 +814,24 @@ rune.input.Gamepads.prototype.m_disposeGamepads = function() {
     this.m_gamepads = null;
 };
 
+/**
+ * Destroys the stacks of connect and disconnect functions.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Gamepads.prototype.m_disposeStacks = function() {
+    if (this.m_onConnect != null) {
+        this.m_onConnect.dispose();
+        this.m_onConnect = null;
+    }
+    
+    if (this.m_onDisconnect != null) {
+        this.m_onDisconnect.dispose();
+        this.m_onDisconnect = null;
+    }
+};
+
 /**
  * Destroy connection to physical devices.
  *
@@ -799,6 +898,7 @@ rune.input.Gamepads.prototype.m_getPropOfGamepads = function(prop) {
  */
 rune.input.Gamepads.prototype.m_onDeviceConnected = function() {
     this.m_options.exec("onConnect");
+    this.m_onConnect.execute(this['m_numDevices']);
 };
 
 /**
@@ -809,4 +909,5 @@ rune.input.Gamepads.prototype.m_onDeviceConnected = function() {
  */
 rune.input.Gamepads.prototype.m_onDeviceDisconnected = function() {
     this.m_options.exec("onDisconnect");
+    this.m_onDisconnect.execute(this['m_numDevices']);
 };
\ No newline at end of file
@@ -0,0 +1,693 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/** 
+ * Creates a new instance of the Pointer class.
+ * 
+ * @constructor
+ *
+ * @param {Object} [options] Pointer settings.
+ *
+ * @class
+ * @classdesc
+ * 
+ * The Pointer class represents the mouse and all touch contacts on a touch 
+ * screen. Each point of contact is represented by a PointerPoint object whose 
+ * position is mapped to the native resolution of the screen, as well as to 
+ * the world coordinates of the camera located under the point. With class 
+ * instances, it is possible to read the state (pressed, released, etc.) of 
+ * mouse buttons and touch contacts.
+ */
+rune.input.Pointer = function(options) {
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Whether the pointer should be activated or not. An inactive pointer, 
+     * registers no input.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_enabled = Boolean(options.enable);
+    
+    /**
+     * Registered event listeners.
+     *
+     * @type {Array.<Object>}
+     * @private
+     */
+    this.m_events = [];
+    
+    /**
+     * Represents the mouse.
+     *
+     * @type {rune.input.PointerPoint}
+     * @private
+     */
+    this.m_mouse = null;
+    
+    /**
+     * Settings for the current pointer.
+     *
+     * @type {rune.input.PointerOptions}
+     * @private
+     */
+    this.m_options = new rune.input.PointerOptions(options);
+    
+    /**
+     * List of all points, where the first point represents the mouse and the 
+     * remaining points represent touch contacts.
+     *
+     * @type {Array.<rune.input.PointerPoint>}
+     * @private
+     */
+    this.m_points = null;
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct();
+};
+
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Primary button, ie. the left mouse button or a touch contact.
+ * 
+ * @constant {number}
+ * @default 0
+ */
+rune.input.Pointer.BUTTON_PRIMARY = 0;
+
+/**
+ * Auxiliary button, usually the mouse wheel button.
+ * 
+ * @constant {number}
+ * @default 1
+ */
+rune.input.Pointer.BUTTON_AUXILIARY = 1;
+
+/**
+ * Secondary button, usually the right mouse button.
+ * 
+ * @constant {number}
+ * @default 2
+ */
+rune.input.Pointer.BUTTON_SECONDARY = 2;
+
+/**
+ * Maximum number of simultaneous touch contacts.
+ * 
+ * @constant {number}
+ * @default 10
+ */
+rune.input.Pointer.NUM_TOUCHES = 10;
+
+//------------------------------------------------------------------------------
+// Public prototype getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * Whether the pointer should be activated or not. An inactive (false) 
+ * pointer, registers no input.
+ *
+ * @member {boolean} enabled
+ * @memberof rune.input.Pointer
+ * @instance
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "enabled", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this.m_enabled;
+    },
+
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    set : function(value) {
+        if (this.m_enabled != value) {
+            this.m_enabled  = value;
+            
+            if (this.m_enabled == true) {
+                this.m_constructEvent();
+            } else {
+                this.m_disposeEvent();
+                this.reset();
+            }
+        }
+    }
+});
+
+/**
+ * Represents the mouse.
+ *
+ * @member {rune.input.PointerPoint} mouse
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "mouse", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this.m_mouse;
+    }
+});
+
+/**
+ * Whether the primary point has moved since the previous update (true) or 
+ * not (false).
+ *
+ * @member {boolean} moved
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "moved", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this['primary']['moved'];
+    }
+});
+
+/**
+ * The number of active points.
+ *
+ * @member {number} numPoints
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "numPoints", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        var num = 0;
+        for (var i = 0; i < this.m_points.length; i++) {
+            if (this.m_points[i]['active'] == true) {
+                num++;
+            }
+        }
+        
+        return num;
+    }
+});
+
+/**
+ * List of all points, where the first point represents the mouse and the 
+ * remaining points represent touch contacts. Note that inactive points are 
+ * included in the list.
+ *
+ * @member {Array.<rune.input.PointerPoint>} points
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "points", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this.m_points;
+    }
+});
+
+/**
+ * The primary point, ie. the first active touch contact or, if there are no 
+ * touch contacts, the mouse.
+ *
+ * @member {rune.input.PointerPoint} primary
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "primary", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        for (var i = 1; i < this.m_points.length; i++) {
+            if (this.m_points[i]['active'] == true) {
+                return this.m_points[i];
+            }
+        }
+        
+        return this.m_mouse;
+    }
+});
+
+/**
+ * The position of the primary point, expressed in the coordinate system of 
+ * the camera located under the point.
+ *
+ * @member {rune.geom.Point} world
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "world", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this['primary']['world'];
+    }
+});
+
+/**
+ * The horizontal coordinate of the primary point, in screen resolution.
+ *
+ * @member {number} x
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "x", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this['primary']['x'];
+    }
+});
+
+/**
+ * The vertical coordinate of the primary point, in screen resolution.
+ *
+ * @member {number} y
+ * @memberof rune.input.Pointer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.Pointer.prototype, "y", {
+    /**
+     * @this rune.input.Pointer
+     * @ignore
+     */
+    get : function() {
+        return this['primary']['y'];
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Checks if the specified button was just pressed by any point.
+ *
+ * @param {number} [button=0] Button index, such as rune.input.Pointer.BUTTON_PRIMARY.
+ * 
+ * @returns {boolean}
+ */
+rune.input.Pointer.prototype.justPressed = function(button) {
+    var i = this.m_points.length;
+    while (i--) {
+        if (this.m_points[i]['active'] == true && this.m_points[i].isJustPressed(button)) {
+            return true;
+        }
+    }
+    
+    return false;
+};
+
+/**
+ * Checks if the specified button has just been released by any point.
+ *
+ * @param {number} [button=0] Button index, such as rune.input.Pointer.BUTTON_PRIMARY.
+ * 
+ * @returns {boolean}
+ */
+rune.input.Pointer.prototype.justReleased = function(button) {
+    var i = this.m_points.length;
+    while (i--) {
+        if (this.m_points[i]['active'] == true && this.m_points[i].isJustReleased(button)) {
+            return true;
+        }
+    }
+    
+    return false;
+};
+
+/**
+ * Checks if the specified button is pressed by any point.
+ *
+ * @param {number} [button=0] Button index, such as rune.input.Pointer.BUTTON_PRIMARY.
+ * 
+ * @returns {boolean}
+ */
+rune.input.Pointer.prototype.pressed = function(button) {
+    var i = this.m_points.length;
+    while (i--) {
+        if (this.m_points[i]['active'] == true && this.m_points[i].isPressed(button)) {
+            return true;
+        }
+    }
+    
+    return false;
+};
+
+/**
+ * Resets the state of all points.
+ *
+ * @returns {undefined}
+ */
+rune.input.Pointer.prototype.reset = function() {
+    var i = this.m_points.length;
+    while (i--) {
+        this.m_points[i].reset();
+    }
+};
+
+//------------------------------------------------------------------------------
+// Public prototype methods (ENGINE)
+//------------------------------------------------------------------------------
+
+/**
+ * Updating the pointer.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.input.Pointer.prototype.update = function() {
+    if (this.m_enabled == true) {
+        this.m_updatePoints();
+    }
+};
+
+/**
+ * Removes memory allocated by the pointer.
+ * 
+ * @returns {undefined}
+ * @ignore
+ */
+rune.input.Pointer.prototype.dispose = function() {
+    this.m_disposeEvent();
+    this.m_disposePoints();
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ * 
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.Pointer.prototype.m_construct = function() {
+    this.m_constructPoints();
+    if (this.m_options.enable == true) {
+        this.m_constructEvent();
+    }
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates one PointerPoint object for the mouse and one for each possible 
+ * touch contact.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_constructPoints = function() {
+    this.m_mouse  = new rune.input.PointerPoint(false);
+    this.m_points = [this.m_mouse];
+    
+    for (var i = 0; i < rune.input.Pointer.NUM_TOUCHES; i++) {
+        this.m_points.push(new rune.input.PointerPoint(true));
+    }
+};
+
+/**
+ * Creates necessary event listeners.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_constructEvent = function() {
+    var m_this = this;
+    
+    this.m_addEvent("mousedown", function(event) {
+        m_this.m_onMouseMove(event);
+        m_this.m_mouse.onButtonDown(event.button);
+    });
+    
+    this.m_addEvent("mouseup", function(event) {
+        m_this.m_onMouseMove(event);
+        m_this.m_mouse.onButtonUp(event.button);
+    });
+    
+    this.m_addEvent("mousemove", function(event) {
+        m_this.m_onMouseMove(event);
+    });
+    
+    this.m_addEvent("touchstart", function(event) {
+        event.preventDefault();
+        m_this.m_onTouchStart(event.changedTouches);
+    });
+    
+    this.m_addEvent("touchmove", function(event) {
+        event.preventDefault();
+        m_this.m_onTouchMove(event.changedTouches);
+    });
+    
+    this.m_addEvent("touchend", function(event) {
+        event.preventDefault();
+        m_this.m_onTouchEnd(event.changedTouches);
+    });
+    
+    this.m_addEvent("touchcancel", function(event) {
+        m_this.m_onTouchEnd(event.changedTouches);
+    });
+};
+
+/**
+ * Registers an event listener and stores a reference to it so that it can be 
+ * removed later.
+ *
+ * @param {string} type Event type.
+ * @param {Function} handler Event handler.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_addEvent = function(type, handler) {
+    this.m_options.target.addEventListener(type, handler, {passive: false});
+    this.m_events.push({
+        type: type,
+        handler: handler
+    });
+};
+
+/**
+ * Updates the position and state of all active points. Client coordinates 
+ * are converted to the native resolution of the screen and then mapped to 
+ * the camera located under each point.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_updatePoints = function() {
+    var screen = rune.system.Application['instance']['screen'];
+    if (screen == null) return;
+    
+    var element = screen['canvas']['element'];
+    var rect    = element.getBoundingClientRect();
+    var scaleX  = (rect.width  > 0) ? element.width  / rect.width  : 1.0;
+    var scaleY  = (rect.height > 0) ? element.height / rect.height : 1.0;
+    
+    for (var i = 0; i < this.m_points.length; i++) {
+        var point = this.m_points[i];
+        if (point['active'] == true) {
+            var x = (point['clientX'] - rect.left) * scaleX;
+            var y = (point['clientY'] - rect.top)  * scaleY;
+            
+            point.update(x, y, this.m_getCameraAt(x, y));
+        }
+    }
+};
+
+/**
+ * Returns the top-most camera of the selected scene that contains the 
+ * specified screen coordinate.
+ *
+ * @param {number} x The horizontal coordinate, in screen resolution.
+ * @param {number} y The vertical coordinate, in screen resolution.
+ *
+ * @returns {rune.camera.Camera}
+ * @private
+ */
+rune.input.Pointer.prototype.m_getCameraAt = function(x, y) {
+    var scene = rune.system.Application['instance']['scenes']['selected'];
+    if (scene == null || scene['cameras'] == null) return null;
+    
+    var cameras = scene['cameras'].getCameras();
+    var i = cameras.length;
+    while (i--) {
+        var camera = cameras[i];
+        if (camera['visible'] == true && rune.geom.Rectangle.containsPoint(
+            camera['x'],
+            camera['y'],
+            camera['width'],
+            camera['height'],
+            x,
+            y
+        )) {
+            return camera;
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Returns the touch point associated with a touch identifier. If no point is 
+ * associated with the identifier, an inactive point is returned.
+ *
+ * @param {number} id Touch identifier.
+ *
+ * @returns {rune.input.PointerPoint}
+ * @private
+ */
+rune.input.Pointer.prototype.m_getTouchPoint = function(id) {
+    var free = null;
+    for (var i = 1; i < this.m_points.length; i++) {
+        var point = this.m_points[i];
+        if (point['active'] == true && point['id'] === id) {
+            return point;
+        } else if (free == null && point['active'] == false) {
+            free = point;
+        }
+    }
+    
+    return free;
+};
+
+/**
+ * Deletes registered event listeners.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_disposeEvent = function() {
+    this.reset();
+    while (this.m_events.length > 0) {
+        var event = this.m_events.pop();
+        this.m_options.target.removeEventListener(
+            event.type,
+            event.handler,
+            {passive: false}
+        );
+    }
+};
+
+/**
+ * Clears memory used to store information about available points.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_disposePoints = function() {
+    if (this.m_points != null) {
+        this.m_points.length = 0;
+        this.m_points = null;
+    }
+    
+    this.m_mouse = null;
+};
+
+/**
+ * Event handler for MOUSE_MOVE.
+ *
+ * @param {MouseEvent} event Current mouse event.
+ * 
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_onMouseMove = function(event) {
+    this.m_mouse.onMove(-1, event.clientX, event.clientY);
+};
+
+/**
+ * Event handler for TOUCH_START.
+ *
+ * @param {TouchList} touches Touch contacts that have changed.
+ * 
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_onTouchStart = function(touches) {
+    for (var i = 0; i < touches.length; i++) {
+        var point = this.m_getTouchPoint(touches[i].identifier);
+        if (point != null) {
+            point.onMove(touches[i].identifier, touches[i].clientX, touches[i].clientY);
+            point.onButtonDown(rune.input.Pointer.BUTTON_PRIMARY);
+        }
+    }
+};
+
+/**
+ * Event handler for TOUCH_MOVE.
+ *
+ * @param {TouchList} touches Touch contacts that have changed.
+ * 
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_onTouchMove = function(touches) {
+    for (var i = 0; i < touches.length; i++) {
+        var point = this.m_getTouchPoint(touches[i].identifier);
+        if (point != null && point['active'] == true) {
+            point.onMove(touches[i].identifier, touches[i].clientX, touches[i].clientY);
+        }
+    }
+};
+
+/**
+ * Event handler for TOUCH_END and TOUCH_CANCEL.
+ *
+ * @param {TouchList} touches Touch contacts that have changed.
+ * 
+ * @returns {undefined}
+ * @private
+ */
+rune.input.Pointer.prototype.m_onTouchEnd = function(touches) {
+    for (var i = 0; i < touches.length; i++) {
+        var point = this.m_getTouchPoint(touches[i].identifier);
+        if (point != null && point['active'] == true) {
+            point.onMove(touches[i].identifier, touches[i].clientX, touches[i].clientY);
+            point.onButtonUp(rune.input.Pointer.BUTTON_PRIMARY);
+        }
+    }
+};
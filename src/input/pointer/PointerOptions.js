@@ -0,0 +1,50 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/** 
+ * Creates a new instance of the PointerOptions class.
+ * 
+ * @constructor
+ *
+ * @param {Object} [options] Pointer settings.
+ *
+ * @class
+ * @classdesc
+ * 
+ * The PointerOptions class contains properties that represent pointer 
+ * class settings.
+ */
+rune.input.PointerOptions = function(options) {
+
+    //--------------------------------------------------------------------------
+    // Default arguments
+    //--------------------------------------------------------------------------
+
+    /**
+     * @ignore
+     */
+    options = options || {};
+
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Whether the pointer should be activated or not. An inactive pointer, 
+     * registers no input.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.enable = options.enable || false;
+
+    /**
+     * The EventTarget object to which the mouse and touch event listeners 
+     * must be registered.
+     *
+     * @type {Object}
+     * @default window
+     */
+    this.target = options.target || window;
+};
@@ -0,0 +1,627 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/** 
+ * Creates a new instance of the PointerPoint class.
+ * 
+ * @constructor
+ * @extends rune.geom.Point
+ *
+ * @param {boolean} [touch=false] Whether the point represents a touch contact (true) or the mouse (false).
+ *
+ * @class
+ * @classdesc
+ * 
+ * The PointerPoint class represents a single point of contact, such as the 
+ * mouse cursor or a finger on a touch screen. The x and y coordinates of the 
+ * point are expressed in the native resolution of the screen, while the 
+ * world coordinates are expressed in the coordinate system of the camera 
+ * located under the point.
+ */
+rune.input.PointerPoint = function(touch) {
+
+    //--------------------------------------------------------------------------
+    // Protected properties
+    //--------------------------------------------------------------------------
+
+    /**
+     * Whether the point is active (true) or not (false). Inactive points 
+     * registers no input.
+     *
+     * @type {boolean}
+     * @protected
+     * @ignore
+     */
+    this.m_active = false;
+
+    /**
+     * The state of each button associated with the point. Touch contacts 
+     * only use the primary button.
+     *
+     * @type {Array.<rune.input.KeyboardKey>}
+     * @protected
+     * @ignore
+     */
+    this.m_buttons = null;
+
+    /**
+     * The camera located under the point.
+     *
+     * @type {rune.camera.Camera}
+     * @protected
+     * @ignore
+     */
+    this.m_camera = null;
+
+    /**
+     * The horizontal coordinate of the point, relative to the client area.
+     *
+     * @type {number}
+     * @protected
+     * @ignore
+     */
+    this.m_clientX = 0.0;
+
+    /**
+     * The vertical coordinate of the point, relative to the client area.
+     *
+     * @type {number}
+     * @protected
+     * @ignore
+     */
+    this.m_clientY = 0.0;
+
+    /**
+     * Identifier of the touch contact represented by the point. The mouse 
+     * always uses -1.
+     *
+     * @type {number}
+     * @protected
+     * @ignore
+     */
+    this.m_id = -1;
+
+    /**
+     * The world position where the primary button was most recently pressed.
+     *
+     * @type {rune.geom.Point}
+     * @protected
+     * @ignore
+     */
+    this.m_origin = new rune.geom.Point();
+
+    /**
+     * Whether the primary button has been pressed since the previous 
+     * update, ie. whether the origin is to be set during the next update.
+     *
+     * @type {boolean}
+     * @protected
+     * @ignore
+     */
+    this.m_originPending = false;
+
+    /**
+     * The horizontal coordinate of the point from the previous update.
+     *
+     * @type {number}
+     * @protected
+     * @ignore
+     */
+    this.m_previousX = 0.0;
+
+    /**
+     * The vertical coordinate of the point from the previous update.
+     *
+     * @type {number}
+     * @protected
+     * @ignore
+     */
+    this.m_previousY = 0.0;
+
+    /**
+     * Whether the point represents a touch contact (true) or the mouse 
+     * (false).
+     *
+     * @type {boolean}
+     * @protected
+     * @ignore
+     */
+    this.m_touch = Boolean(touch);
+
+    /**
+     * The position of the point, expressed in world coordinates.
+     *
+     * @type {rune.geom.Point}
+     * @protected
+     * @ignore
+     */
+    this.m_world = new rune.geom.Point();
+    
+    //--------------------------------------------------------------------------
+    // Super call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Extend rune.geom.Point.
+     */
+    rune.geom.Point.call(this, 0, 0);
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct();
+};
+
+//------------------------------------------------------------------------------
+// Inheritance
+//------------------------------------------------------------------------------
+
+rune.input.PointerPoint.prototype = Object.create(rune.geom.Point.prototype);
+rune.input.PointerPoint.prototype.constructor = rune.input.PointerPoint;
+
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Number of buttons per point.
+ * 
+ * @constant {number}
+ * @default 3
+ */
+rune.input.PointerPoint.NUM_BUTTONS = 3;
+
+//------------------------------------------------------------------------------
+// Public prototype getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * Whether the point is active (true) or not (false). The mouse becomes active 
+ * when it is first moved, while a touch contact is active as long as it is 
+ * in contact with the screen.
+ *
+ * @member {boolean} active
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "active", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_active;
+    }
+});
+
+/**
+ * The camera located under the point, or null if the point is not located 
+ * over any camera.
+ *
+ * @member {rune.camera.Camera} camera
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "camera", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_camera;
+    }
+});
+
+/**
+ * Identifier of the touch contact represented by the point. The mouse always 
+ * uses -1.
+ *
+ * @member {number} id
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "id", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_id;
+    }
+});
+
+/**
+ * Whether the point has moved since the previous update (true) or not 
+ * (false).
+ *
+ * @member {boolean} moved
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "moved", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this['x'] != this.m_previousX || this['y'] != this.m_previousY;
+    }
+});
+
+/**
+ * The world position where the primary button was most recently pressed.
+ *
+ * @member {rune.geom.Point} origin
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "origin", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_origin;
+    }
+});
+
+/**
+ * The horizontal coordinate of the point from the previous update.
+ *
+ * @member {number} previousX
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "previousX", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_previousX;
+    }
+});
+
+/**
+ * The vertical coordinate of the point from the previous update.
+ *
+ * @member {number} previousY
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "previousY", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_previousY;
+    }
+});
+
+/**
+ * Whether the point represents a touch contact (true) or the mouse (false).
+ *
+ * @member {boolean} touch
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "touch", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_touch;
+    }
+});
+
+/**
+ * The position of the point, expressed in the coordinate system of the camera 
+ * located under the point.
+ *
+ * @member {rune.geom.Point} world
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "world", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_world;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Internal getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The horizontal coordinate of the point, relative to the client area.
+ *
+ * @member {number} clientX
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ * @package
+ * @ignore
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "clientX", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_clientX;
+    }
+});
+
+/**
+ * The vertical coordinate of the point, relative to the client area.
+ *
+ * @member {number} clientY
+ * @memberof rune.input.PointerPoint
+ * @instance
+ * @readonly
+ * @package
+ * @ignore
+ */
+Object.defineProperty(rune.input.PointerPoint.prototype, "clientY", {
+    /**
+     * @this rune.input.PointerPoint
+     * @ignore
+     */
+    get : function() {
+        return this.m_clientY;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Checks whether the specified button is pressed (true) or not (false).
+ *
+ * @param {number} [button=0] Button index, where 0 is the primary button.
+ * 
+ * @returns {boolean}
+ */
+rune.input.PointerPoint.prototype.isPressed = function(button) {
+    var key = this.m_buttons[button || 0];
+    return (key != null) ? key.isPressed() : false;
+};
+
+/**
+ * Checks whether the specified button was just pressed (true) or not (false).
+ *
+ * @param {number} [button=0] Button index, where 0 is the primary button.
+ * 
+ * @returns {boolean}
+ */
+rune.input.PointerPoint.prototype.isJustPressed = function(button) {
+    var key = this.m_buttons[button || 0];
+    return (key != null) ? key.isJustPressed() : false;
+};
+
+/**
+ * Checks whether the specified button was just released (true) or not 
+ * (false).
+ *
+ * @param {number} [button=0] Button index, where 0 is the primary button.
+ * 
+ * @returns {boolean}
+ */
+rune.input.PointerPoint.prototype.isJustReleased = function(button) {
+    var key = this.m_buttons[button || 0];
+    return (key != null) ? key.isJustReleased() : false;
+};
+
+/**
+ * Resets the state of all buttons associated with the point.
+ *
+ * @returns {undefined}
+ */
+rune.input.PointerPoint.prototype.reset = function() {
+    var i = this.m_buttons.length;
+    while (i--) {
+        this.m_buttons[i].reset();
+    }
+    
+    this.m_originPending = false;
+    
+    if (this.m_touch == true) {
+        this.m_active = false;
+        this.m_id = -1;
+    }
+};
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Updates the position and button states of the point.
+ *
+ * @param {number} x The horizontal coordinate, in screen resolution.
+ * @param {number} y The vertical coordinate, in screen resolution.
+ * @param {rune.camera.Camera} [camera] The camera located under the point.
+ *
+ * @return {undefined}
+ * @package
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.update = function(x, y, camera) {
+    this.m_updatePosition(x, y, camera);
+    this.m_updateButtons();
+    this.m_updateOrigin();
+    this.m_updateActive();
+};
+
+/**
+ * Activates the point and sets its position in the client area.
+ *
+ * @param {number} id Identifier of the touch contact.
+ * @param {number} clientX The horizontal coordinate, relative to the client area.
+ * @param {number} clientY The vertical coordinate, relative to the client area.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.onMove = function(id, clientX, clientY) {
+    this.m_active  = true;
+    this.m_id      = id;
+    this.m_clientX = clientX;
+    this.m_clientY = clientY;
+};
+
+/**
+ * Simulates that a button is pressed.
+ *
+ * @param {number} button Button index.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.onButtonDown = function(button) {
+    var key = this.m_buttons[button];
+    if (key != null) key['onKeyDown'](); //@note: KeyboardKey is part of another package.
+    if (button == 0) this.m_originPending = true;
+};
+
+/**
+ * Simulates the release of a button.
+ *
+ * @param {number} button Button index.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.onButtonUp = function(button) {
+    var key = this.m_buttons[button];
+    if (key != null) key['onKeyUp'](); //@note: KeyboardKey is part of another package.
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ * 
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.m_construct = function() {
+    this.m_constructButtons();
+};
+
+/**
+ * Creates an object for each button associated with the point.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.m_constructButtons = function() {
+    this.m_buttons = [];
+    
+    var i = (this.m_touch == true) ? 1 : rune.input.PointerPoint.NUM_BUTTONS;
+    while (i--) {
+        this.m_buttons.push(new rune.input.KeyboardKey());
+    }
+};
+
+/**
+ * Updates the screen and world position of the point.
+ *
+ * @param {number} x The horizontal coordinate, in screen resolution.
+ * @param {number} y The vertical coordinate, in screen resolution.
+ * @param {rune.camera.Camera} [camera] The camera located under the point.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.m_updatePosition = function(x, y, camera) {
+    this.m_previousX = this.m_x;
+    this.m_previousY = this.m_y;
+    
+    this.m_x = x;
+    this.m_y = y;
+    
+    this.m_camera = camera || null;
+    if (this.m_camera != null) {
+        var viewport = this.m_camera['viewport'];
+        this.m_world['x'] = viewport['x'] + (x - this.m_camera['x']) * (viewport['width']  / this.m_camera['width']);
+        this.m_world['y'] = viewport['y'] + (y - this.m_camera['y']) * (viewport['height'] / this.m_camera['height']);
+    } else {
+        this.m_world['x'] = x;
+        this.m_world['y'] = y;
+    }
+};
+
+/**
+ * Updates the state of all buttons.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.m_updateButtons = function() {
+    for (var i = 0; i < this.m_buttons.length; i++) {
+        this.m_buttons[i]['update'](); //@note: KeyboardKey is part of another package.
+    }
+};
+
+/**
+ * Stores the world position of the point if the primary button has been 
+ * pressed since the previous update. The press is registered by 
+ * onButtonDown, since a button that is pressed and released between two 
+ * updates is never just pressed.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.m_updateOrigin = function() {
+    if (this.m_originPending == true) {
+        this.m_originPending = false;
+        this.m_origin['x'] = this.m_world['x'];
+        this.m_origin['y'] = this.m_world['y'];
+    }
+};
+
+/**
+ * Deactivates touch contacts that are no longer in contact with the screen.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.input.PointerPoint.prototype.m_updateActive = function() {
+    if (this.m_touch == true && this.m_buttons[0].isPressed() == false && this.m_buttons[0].isJustReleased() == false) {
+        this.m_active = false;
+        this.m_id = -1;
+    }
+};
@@ -142,6 +142,11 @@ rune.net.URLResponse.prototype.asEncodedResource = function(handler, scope) {
             this.asImage(handler, scope);
             break;
             
+        case "application/xml":
+        case "text/xml":
+            this.asXML(handler, scope);
+            break;
+            
         case "text/plain":
             this.asText(handler, scope);
             
@@ -201,6 +206,21 @@ rune.net.URLResponse.prototype.asText = function(handler, scope) {
     }, 0);
 };
 
+/**
+ * Decodes response data into an XML string.
+ *
+ * @param {Function} handler Called when the decoding is complete.
+ * @param {Object} [scope] Scope of execution for the handler.
+ *
+ * @return {undefined}
+ */
+rune.net.URLResponse.prototype.asXML = function(handler, scope) {
+    var str = window.atob(this.m_data.split(",")[1]);
+    window.setTimeout(function() {
+        handler.call(scope, str);
+    }, 0);
+};
+
 //------------------------------------------------------------------------------
 // Internal prototype methods
 //------------------------------------------------------------------------------
@@ -25,6 +25,20 @@
  */
 rune.particle.Emitter = function(x, y, width, height, options) {
     
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The random number generator used when particles are created. If null, 
+     * the generator of rune.util.Math is used. Assign a seeded generator to 
+     * make particle effects reproducible.
+     *
+     * @type {rune.util.Random}
+     * @default null
+     */
+    this.generator = null;
+    
     //--------------------------------------------------------------------------
     // Protected properties
     //--------------------------------------------------------------------------
@@ -298,18 +312,18 @@ rune.particle.Emitter.prototype.m_updateTimer = function(step) {
  */
 rune.particle.Emitter.prototype.m_emit = function() {
     var particle = this.m_createParticle();
-        particle['x'] = this['centerX'] + rune.util.Math.random(-this['width']  >> 1, this['width']  >> 1);
-        particle['y'] = this['centerY'] + rune.util.Math.random(-this['height'] >> 1, this['height'] >> 1);
+        particle['x'] = this['centerX'] + rune.util.Math.random(-this['width']  >> 1, this['width']  >> 1, this.generator);
+        particle['y'] = this['centerY'] + rune.util.Math.random(-this['height'] >> 1, this['height'] >> 1, this.generator);
         
-        particle['velocity']['y'] = rune.util.Math.random(this.m_options.minVelocity['y'], this.m_options.maxVelocity['y']);
-        particle['velocity']['x'] = rune.util.Math.random(this.m_options.minVelocity['x'], this.m_options.maxVelocity['x']);
+        particle['velocity']['y'] = rune.util.Math.random(this.m_options.minVelocity['y'], this.m_options.maxVelocity['y'], this.generator);
+        particle['velocity']['x'] = rune.util.Math.random(this.m_options.minVelocity['x'], this.m_options.maxVelocity['x'], this.generator);
         particle['velocity'].acceleration['x'] = this.m_options.acceleration['x'];
         particle['velocity'].acceleration['y'] = this.m_options.acceleration['y'];
         particle['velocity'].drag['x'] = this.m_options.drag['x'];
         particle['velocity'].drag['y'] = this.m_options.drag['y'];
         
-        particle.lifespan = rune.util.Math.randomInt(this.m_options.minLifespan, this.m_options.maxLifespan);
-        particle['velocity'].angular = rune.util.Math.random(this.m_options.minRotation, this.m_options.maxRotation);
+        particle.lifespan = rune.util.Math.randomInt(this.m_options.minLifespan, this.m_options.maxLifespan, this.generator);
+        particle['velocity'].angular = rune.util.Math.random(this.m_options.minRotation, this.m_options.maxRotation, this.generator);
         
     if (this['parent'] != null) {
         this['parent'].addChild(particle);
@@ -327,7 +341,7 @@ rune.particle.Emitter.prototype.m_createParticle = function() {
     var particle = null;
     
     if (this.m_particles.length < this.m_options.capacity) {
-        particle = new this.m_options.particles[Math.floor(Math.random() * this.m_options.particles.length)]();
+        particle = new this.m_options.particles[Math.floor(rune.util.Math.random(0, 1, this.generator) * this.m_options.particles.length)]();
     } else {
         particle = this.m_particles.shift();
     }
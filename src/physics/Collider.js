@@ -0,0 +1,293 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new Collider object.
+ *
+ * @constructor
+ *
+ * @param {rune.physics.ColliderTarget} a The first target.
+ * @param {rune.physics.ColliderTarget=} [b] The second target. Defaults to the first target.
+ * @param {boolean} [separate=true] Whether colliding objects are separated (true) or only tested for overlap (false).
+ * @param {Function} [callback] Executed for each detected collision.
+ * @param {Object} [scope] Scope of execution for the callback method.
+ *
+ * @class
+ * @classdesc
+ *
+ * The Collider class represents a collision rule between two targets, where
+ * a target can be an interactive object, a group, a tilemap layer or a list
+ * of such targets. Each time the rule is resolved, all pairs of objects
+ * from the two targets that overlap and whose collision categories and
+ * masks accept each other, are either separated or just reported. Groups
+ * that use a quad tree only evaluate members in close proximity. Colliders
+ * are created via instances of the Collisions class.
+ *
+ * @see rune.physics.Collisions
+ */
+rune.physics.Collider = function(a, b, separate, callback, scope) {
+    
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Whether the collision rule is resolved (true) or ignored (false).
+     *
+     * @type {boolean}
+     * @default true
+     */
+    this.active = true;
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The first target.
+     *
+     * @type {rune.physics.ColliderTarget}
+     * @private
+     */
+    this.m_a = a;
+    
+    /**
+     * The second target.
+     *
+     * @type {rune.physics.ColliderTarget}
+     * @private
+     */
+    this.m_b = b || a;
+    
+    /**
+     * Executed for each detected collision.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_callback = callback || null;
+    
+    /**
+     * Scope of execution for the callback method.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_scope = scope || null;
+    
+    /**
+     * Whether colliding objects are separated.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_separate = (separate !== false);
+};
+
+//------------------------------------------------------------------------------
+// Public types
+//------------------------------------------------------------------------------
+
+/**
+ * A target of a collision rule; an interactive object, a group, a tilemap 
+ * layer or a list of such targets.
+ *
+ * @typedef {rune.display.InteractiveObject|rune.display.DisplayGroup|rune.tilemap.TilemapLayer|Array}
+ */
+rune.physics.ColliderTarget;
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The first target of the collision rule.
+ *
+ * @member {rune.physics.ColliderTarget} a
+ * @memberof rune.physics.Collider
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.physics.Collider.prototype, "a", {
+    /**
+     * @this rune.physics.Collider
+     * @ignore
+     */
+    get : function() {
+        return this.m_a;
+    }
+});
+
+/**
+ * The second target of the collision rule.
+ *
+ * @member {rune.physics.ColliderTarget} b
+ * @memberof rune.physics.Collider
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.physics.Collider.prototype, "b", {
+    /**
+     * @this rune.physics.Collider
+     * @ignore
+     */
+    get : function() {
+        return this.m_b;
+    }
+});
+
+/**
+ * Whether colliding objects are separated (true) or only tested for
+ * overlap (false).
+ *
+ * @member {boolean} separate
+ * @memberof rune.physics.Collider
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.physics.Collider.prototype, "separate", {
+    /**
+     * @this rune.physics.Collider
+     * @ignore
+     */
+    get : function() {
+        return this.m_separate;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Clears memory allocated by this instance.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.physics.Collider.prototype.dispose = function() {
+    this.active     = false;
+    this.m_a        = null;
+    this.m_b        = null;
+    this.m_callback = null;
+    this.m_scope    = null;
+};
+
+/**
+ * Resolves the collision rule.
+ *
+ * @returns {boolean} Whether any collision was detected.
+ * @package
+ * @ignore
+ */
+rune.physics.Collider.prototype.resolve = function() {
+    if (this.active !== true || this.m_a == null) return false;
+    
+    if (this.m_a instanceof rune.tilemap.TilemapLayer) {
+        return this.m_resolveLayer(this.m_a, this.m_getObjects(this.m_b, []));
+    } else if (this.m_b instanceof rune.tilemap.TilemapLayer) {
+        return this.m_resolveLayer(this.m_b, this.m_getObjects(this.m_a, []));
+    }
+    
+    return this.m_resolveObjects(this.m_getObjects(this.m_a, []));
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the interactive objects that are part of a target.
+ *
+ * @param {rune.physics.ColliderTarget} target Target. Tilemap layers contain no objects.
+ * @param {Array.<rune.display.InteractiveObject>} output List to populate.
+ *
+ * @returns {Array.<rune.display.InteractiveObject>}
+ * @private
+ */
+rune.physics.Collider.prototype.m_getObjects = function(target, output) {
+    if (target instanceof rune.display.InteractiveObject) {
+        output.push(target);
+    } else if (target instanceof rune.display.DisplayGroup) {
+        this.m_getObjects(target.getMembers(), output);
+    } else if (target instanceof Array) {
+        for (var i = 0; i < target.length; i++) {
+            this.m_getObjects(target[i], output);
+        }
+    }
+    
+    return output;
+};
+
+/**
+ * Returns the interactive objects of the second target that are candidates
+ * for collision with a specific object.
+ *
+ * @param {rune.display.InteractiveObject} obj Object from the first target.
+ *
+ * @returns {Array.<rune.display.InteractiveObject>}
+ * @private
+ */
+rune.physics.Collider.prototype.m_getCandidates = function(obj) {
+    if (this.m_b instanceof rune.display.DisplayGroup) {
+        return this.m_getObjects(this.m_b.getMembersCloseTo(obj), []);
+    }
+    
+    return this.m_getObjects(this.m_b, []);
+};
+
+/**
+ * Resolves collisions between objects and a tilemap layer.
+ *
+ * @param {rune.tilemap.TilemapLayer} layer Tilemap layer.
+ * @param {Array.<rune.display.InteractiveObject>} objects Objects to evaluate.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.physics.Collider.prototype.m_resolveLayer = function(layer, objects) {
+    var result = false;
+    for (var i = 0; i < objects.length; i++) {
+        if (this.m_separate) {
+            if (layer.hitTestAndSeparateObject(objects[i], this.m_callback, this.m_scope)) result = true;
+        } else {
+            if (layer.hitTestObject(objects[i], this.m_callback, this.m_scope)) result = true;
+        }
+    }
+    
+    return result;
+};
+
+/**
+ * Resolves collisions between the objects of the first target and the
+ * objects of the second target. If both targets are the same, each pair of
+ * objects is only evaluated once.
+ *
+ * @param {Array.<rune.display.InteractiveObject>} objects Objects of the first target.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.physics.Collider.prototype.m_resolveObjects = function(objects) {
+    var result = false;
+    var self = (this.m_a === this.m_b);
+    for (var i = 0; i < objects.length; i++) {
+        var a = objects[i];
+        var candidates = this.m_getCandidates(a);
+        for (var j = 0; j < candidates.length; j++) {
+            var b = candidates[j];
+            if (a === b || !a.canCollideWith(b)) continue;
+            if (self && objects.indexOf(b) < i) continue;
+            
+            if (this.m_separate) {
+                if (a.hitTestAndSeparateObject(b, this.m_callback, this.m_scope)) result = true;
+            } else {
+                if (a.hitTestObject(b, this.m_callback, this.m_scope)) result = true;
+            }
+        }
+    }
+    
+    return result;
+};
\ No newline at end of file
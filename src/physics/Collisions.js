@@ -0,0 +1,212 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the Collisions class.
+ *
+ * @constructor
+ *
+ * @param {Object} [scope] Default scope within which callback methods are executed.
+ *
+ * @class
+ * @classdesc
+ *
+ * The Collisions class represents a handler for collision rules (Collider
+ * objects). Instead of calling hitTest or hitTestAndSeparate for each pair
+ * of targets during each update, the collision rules of a scene can be
+ * declared once, for example that the player collides with enemies and the
+ * tilemap, while bullets overlap enemies. All registered rules are then
+ * resolved automatically once per update, after the scene's groups have
+ * been updated.
+ */
+rune.physics.Collisions = function(scope) {
+    
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Pauses the resolution of all registered collision rules.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.paused = false;
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * List containing all registered collision rules.
+     *
+     * @type {Array.<rune.physics.Collider>}
+     * @private
+     */
+    this.m_colliders = [];
+    
+    /**
+     * Default scope within which callback methods are executed.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_scope = scope || null;
+};
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The number of registered collision rules.
+ *
+ * @member {number} length
+ * @memberof rune.physics.Collisions
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.physics.Collisions.prototype, "length", {
+    /**
+     * @this rune.physics.Collisions
+     * @ignore
+     */
+    get : function() {
+        return this.m_colliders.length;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Registers a collision rule. Note that new rules should be created using the
+ * collide and overlap methods.
+ *
+ * @param {rune.physics.Collider} collider Collision rule to add.
+ *
+ * @throws {TypeError} If incorrect data type is used.
+ *
+ * @returns {rune.physics.Collider}
+ */
+rune.physics.Collisions.prototype.add = function(collider) {
+    if (collider instanceof rune.physics.Collider) {
+        if (this.m_colliders.indexOf(collider) === -1) {
+            this.m_colliders.push(collider);
+        }
+        
+        return collider;
+    } else throw new TypeError();
+};
+
+/**
+ * Removes, and deallocates, all registered collision rules.
+ *
+ * @returns {undefined}
+ */
+rune.physics.Collisions.prototype.clear = function() {
+    while (this.m_colliders.length > 0) {
+        this.remove(this.m_colliders[0]);
+    }
+};
+
+/**
+ * Creates and registers a rule stating that objects from the two targets
+ * collide, ie. are separated based on their physical properties when their
+ * hitboxes overlap. If the second target is omitted, the objects of the
+ * first target collide with each other.
+ *
+ * @param {rune.physics.ColliderTarget} a The first target.
+ * @param {rune.physics.ColliderTarget=} [b] The second target.
+ * @param {Function} [callback] Executed for each pair of objects that are separated.
+ * @param {Object} [scope] Scope of execution for the callback method.
+ *
+ * @returns {rune.physics.Collider} The new collision rule.
+ */
+rune.physics.Collisions.prototype.collide = function(a, b, callback, scope) {
+    return this.add(new rune.physics.Collider(a, b, true, callback, scope || this.m_scope));
+};
+
+/**
+ * Creates and registers a rule stating that objects from the two targets
+ * overlap, ie. are reported, but not separated, when their hitboxes overlap.
+ * If the second target is omitted, the objects of the first target are
+ * tested against each other.
+ *
+ * @param {rune.physics.ColliderTarget} a The first target.
+ * @param {rune.physics.ColliderTarget=} [b] The second target.
+ * @param {Function} [callback] Executed for each pair of overlapping objects.
+ * @param {Object} [scope] Scope of execution for the callback method.
+ *
+ * @returns {rune.physics.Collider} The new collision rule.
+ */
+rune.physics.Collisions.prototype.overlap = function(a, b, callback, scope) {
+    return this.add(new rune.physics.Collider(a, b, false, callback, scope || this.m_scope));
+};
+
+/**
+ * Removes the specified collision rule and deallocates it.
+ *
+ * @param {rune.physics.Collider} collider Collision rule to remove.
+ *
+ * @returns {boolean}
+ */
+rune.physics.Collisions.prototype.remove = function(collider) {
+    var i = this.m_colliders.indexOf(collider);
+    if (i > -1) {
+        this.m_colliders.splice(i, 1)[0].dispose();
+        return true;
+    }
+    
+    return false;
+};
+
+/**
+ * Resolves all registered collision rules immediately. This is done
+ * automatically once per update, but can be used when collisions must be
+ * resolved at a specific point in the update loop.
+ *
+ * @returns {boolean} Whether any collision was detected.
+ */
+rune.physics.Collisions.prototype.resolve = function() {
+    var result = false;
+    var colliders = this.m_colliders.slice();
+    for (var i = 0; i < colliders.length; i++) {
+        if (colliders[i].resolve()) {
+            result = true;
+        }
+    }
+    
+    return result;
+};
+
+//------------------------------------------------------------------------------
+// Public prototype methods (ENGINE)
+//------------------------------------------------------------------------------
+
+/**
+ * Removes all collision rules.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.physics.Collisions.prototype.dispose = function() {
+    this.clear();
+    this.m_scope = null;
+};
+
+/**
+ * Resolves all registered collision rules, unless the handler is paused.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.physics.Collisions.prototype.update = function(step) {
+    if (this.paused === false) {
+        this.resolve();
+    }
+};
\ No newline at end of file
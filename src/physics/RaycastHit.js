@@ -0,0 +1,77 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new RaycastHit object.
+ *
+ * @constructor
+ *
+ * @param {number} x The x coordinate of the point of impact.
+ * @param {number} y The y coordinate of the point of impact.
+ * @param {number} normalX The normal of the hit surface in the x direction.
+ * @param {number} normalY The normal of the hit surface in the y direction.
+ * @param {number} distance Distance from the origin of the ray to the point of impact.
+ *
+ * @class
+ * @classdesc
+ *
+ * The RaycastHit class describes where a ray, ie. a line segment between two
+ * points, first hits a solid tile or the hitbox of an interactive object.
+ * Objects of this class are returned by the raycast methods of TilemapLayer
+ * and DisplayGroup.
+ */
+rune.physics.RaycastHit = function(x, y, normalX, normalY, distance) {
+    
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Distance from the origin of the ray to the point of impact.
+     *
+     * @type {number}
+     * @default 0.0
+     */
+    this.distance = distance || 0.0;
+    
+    /**
+     * The normal of the surface that was hit, ie. a vector of length one
+     * that points away from the surface. If the ray starts inside a solid
+     * area, the normal has a length of zero.
+     *
+     * @type {rune.geom.Point}
+     */
+    this.normal = new rune.geom.Point(normalX || 0, normalY || 0);
+    
+    /**
+     * The interactive object that was hit, or null if the ray hit a tile.
+     *
+     * @type {rune.display.InteractiveObject}
+     * @default null
+     */
+    this.object = null;
+    
+    /**
+     * Point of impact.
+     *
+     * @type {rune.geom.Point}
+     */
+    this.point = new rune.geom.Point(x || 0, y || 0);
+    
+    /**
+     * Index of the tile that was hit, or -1 if the ray hit an object.
+     *
+     * @type {number}
+     * @default -1
+     */
+    this.tileIndex = -1;
+    
+    /**
+     * Value of the tile that was hit, or 0 if the ray hit an object.
+     *
+     * @type {number}
+     * @default 0
+     */
+    this.tileValue = 0;
+};
\ No newline at end of file
@@ -14,8 +14,10 @@
  * objects. The logic behind the class consists of a modified version of the 
  * collision logic used by Adam Saltsman's Flixel engine. Collision is limited 
  * to the object's hitbox and therefore ignores the size of the object's 
- * graphic representation. Note that all class content is static, so the class 
- * never needs to be instantiated.
+ * graphic representation. Hitboxes shaped as circles or convex polygons are 
+ * evaluated using the Separating Axis Theorem (SAT) and separated along the 
+ * axis of least penetration. Note that all class content is static, so the 
+ * class never needs to be instantiated.
  */
 rune.physics.Space = function() {
     console.warn("This class is not meant to be instantiated.");
@@ -85,13 +87,103 @@ rune.physics.Space.ANY = rune.physics.Space.LEFT | rune.physics.Space.RIGHT | ru
  */
 rune.physics.Space.OVERLAP_BIAS = 2;
 
+/**
+ * Tolerance (in pixels) used when evaluating whether an object was above a 
+ * one-way object during the previous update.
+ *
+ * @const {number}
+ * @private
+ */
+rune.physics.Space.ONE_WAY_BIAS = 0.01;
+
+/**
+ * The smallest component of a collision normal that is considered to touch 
+ * in the direction of the component.
+ *
+ * @const {number}
+ * @private
+ */
+rune.physics.Space.NORMAL_BIAS = 0.01;
+
 //------------------------------------------------------------------------------
 // Public static methods
 //------------------------------------------------------------------------------
 
+/**
+ * Returns the area that the hitbox of an object has swept through during the 
+ * current update, ie. the bounding box of its previous and current position.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ *
+ * @returns {rune.geom.Rectangle}
+ */
+rune.physics.Space.getSweptBounds = function(obj) {
+    var hitbox = obj['hitbox'];
+    var x = Math.min(hitbox['x'], hitbox['previousX']);
+    var y = Math.min(hitbox['y'], hitbox['previousY']);
+    
+    return new rune.geom.Rectangle(
+        x,
+        y,
+        Math.max(hitbox['x'], hitbox['previousX']) + hitbox['width']  - x,
+        Math.max(hitbox['y'], hitbox['previousY']) + hitbox['height'] - y
+    );
+};
+
+/**
+ * Calculates when, during the current update, the hitboxes of two moving 
+ * objects first touch each other. The time is expressed as a fraction of the 
+ * movement between the previous and the current position of the objects, 
+ * where 0 is the previous position and 1 is the current position. If the 
+ * hitboxes do not come into contact during the update, or if they already 
+ * overlapped at their previous positions, -1 is returned.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ *
+ * @returns {number}
+ */
+rune.physics.Space.getTimeOfImpact = function(obj1, obj2) {
+    var impact = rune.physics.Space.m_sweep(obj1, obj2);
+    
+    return (impact != null) ? impact['time'] : -1;
+};
+
+/**
+ * Evaluates whether the hitboxes of two objects overlap. Rectangular hitboxes 
+ * are evaluated as axis-aligned rectangles, while circular and polygonal 
+ * hitboxes are evaluated using the Separating Axis Theorem.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ *
+ * @returns {boolean}
+ */
+rune.physics.Space.intersects = function(obj1, obj2) {
+    var hitbox1 = obj1['hitbox'];
+    var hitbox2 = obj2['hitbox'];
+    
+    if (hitbox1['shape'] === rune.display.Hitbox.RECTANGLE && hitbox2['shape'] === rune.display.Hitbox.RECTANGLE) {
+        return rune.geom.Rectangle.intersects(
+            hitbox1['x'],
+            hitbox1['y'],
+            hitbox1['width'],
+            hitbox1['height'],
+            hitbox2['x'],
+            hitbox2['y'],
+            hitbox2['width'],
+            hitbox2['height']
+        );
+    }
+    
+    return rune.physics.Space.m_getPenetration(hitbox1, hitbox2) != null;
+};
+
 /**
  * Resolves collision between two objects based on their physical properties.
- * The objects are separated in both x and y directions.
+ * The objects are separated in both x and y directions. If any of the objects 
+ * has a circular or polygonal hitbox, the objects are instead separated along 
+ * the axis of least penetration, unless any of the objects is one-way.
  *
  * @param {rune.display.InteractiveObject} obj1 The first object.
  * @param {rune.display.InteractiveObject} obj2 The second object.
@@ -99,6 +191,10 @@ rune.physics.Space.OVERLAP_BIAS = 2;
  * @returns {boolean} If the objects were separated.
  */
 rune.physics.Space.separate = function(obj1, obj2) {
+    if ((obj1['hitbox']['shape'] !== rune.display.Hitbox.RECTANGLE || obj2['hitbox']['shape'] !== rune.display.Hitbox.RECTANGLE) && !obj1.oneWay && !obj2.oneWay) {
+        return rune.physics.Space.separateShapes(obj1, obj2);
+    }
+    
     var separatedX = rune.physics.Space.separateX(obj1, obj2);
     var separatedY = rune.physics.Space.separateY(obj1, obj2);
 
@@ -107,7 +203,8 @@ rune.physics.Space.separate = function(obj1, obj2) {
 
 /**
  * Resolves collision between two objects, but only in x direction. The y 
- * coordinates of the objects will not change.
+ * coordinates of the objects will not change. Note that one-way objects 
+ * never block movement in the x direction.
  *
  * @param {rune.display.InteractiveObject} obj1 The first object.
  * @param {rune.display.InteractiveObject} obj2 obj2 The second object.
@@ -118,7 +215,7 @@ rune.physics.Space.separateX = function(obj1, obj2) {
     var obj1immovable = obj1['immovable'];
     var obj2immovable = obj2['immovable'];
 
-    if (obj1immovable && obj2immovable) {
+    if ((obj1immovable && obj2immovable) || obj1.oneWay || obj2.oneWay) {
         return false;
     }
 
@@ -160,44 +257,14 @@ rune.physics.Space.separateX = function(obj1, obj2) {
         }
     }
 
-    if (overlap != 0) {
-        var obj1v = obj1['velocity']['x'];
-        var obj2v = obj2['velocity']['x'];
-        
-        if (!obj1immovable && !obj2immovable) {
-            
-            overlap *= 0.5;
-            obj1.x = obj1.x - overlap;
-            obj2.x += overlap;
-            
-            var obj1velocity = Math.sqrt((obj2v * obj2v * obj2.mass) / obj1.mass) * ((obj2v > 0) ? 1 : -1);
-            var obj2velocity = Math.sqrt((obj1v * obj1v * obj1.mass) / obj2.mass) * ((obj1v > 0) ? 1 : -1);
-            var average = (obj1velocity + obj2velocity) * 0.5;
-            
-            obj1velocity -= average;
-            obj2velocity -= average;
-            
-            obj1['velocity']['x'] = average + obj1velocity * obj1.elasticity;
-            obj2['velocity']['x'] = average + obj2velocity * obj2.elasticity;
-            
-        } else if (!obj1immovable) {
-            obj1.x = obj1.x - overlap;
-            obj1['velocity']['x'] = obj2v - obj1v * obj1.elasticity;
-        } else if (!obj2immovable) {
-            obj2.x += overlap;
-            obj2['velocity']['x'] = obj1v - obj2v * obj2.elasticity;
-        }
-        
-        return true;
-        
-    } else {
-        return false;
-    }
+    return rune.physics.Space.m_resolveX(obj1, obj2, overlap);
 };
 
 /**
  * Resolves collision between two objects, but only in y direction. The x 
- * coordinates of the objects will not change.
+ * coordinates of the objects will not change. A one-way object only blocks 
+ * objects that were above it during the previous update, that are moving 
+ * down towards it, and that are not dropping through one-way objects.
  *
  * @param {rune.display.InteractiveObject} obj1 The first object.
  * @param {rune.display.InteractiveObject} obj2 The second object.
@@ -212,6 +279,10 @@ rune.physics.Space.separateY = function(obj1, obj2) {
         return false;
     }
     
+    if (!rune.physics.Space.m_landsOn(obj1, obj2) || !rune.physics.Space.m_landsOn(obj2, obj1)) {
+        return false;
+    }
+    
     var overlap = 0;
     var obj1delta = obj1['hitbox']['y'] - obj1['hitbox']['previousY'];
     var obj2delta = obj2['hitbox']['y'] - obj2['hitbox']['previousY'];
@@ -250,6 +321,399 @@ rune.physics.Space.separateY = function(obj1, obj2) {
         }
     }
     
+    return rune.physics.Space.m_resolveY(obj1, obj2, overlap, obj1delta, obj2delta);
+};
+
+/**
+ * Resolves collision between two objects along the axis of least 
+ * penetration, as determined by the Separating Axis Theorem. This method is 
+ * used for circular and polygonal hitboxes, but works for any combination of 
+ * hitbox shapes. The velocity of the objects along the collision normal is 
+ * resolved based on their mass and elasticity, while the velocity along the 
+ * surface is preserved, which allows objects to slide along sloped surfaces.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ *
+ * @returns {boolean} If the objects were separated.
+ */
+rune.physics.Space.separateShapes = function(obj1, obj2) {
+    var obj1immovable = obj1['immovable'];
+    var obj2immovable = obj2['immovable'];
+    
+    if (obj1immovable && obj2immovable) {
+        return false;
+    }
+    
+    var mtv = rune.physics.Space.m_getPenetration(obj1['hitbox'], obj2['hitbox']);
+    if (mtv == null) {
+        return false;
+    }
+    
+    var depth = Math.sqrt(mtv.x * mtv.x + mtv.y * mtv.y);
+    var nx = mtv.x / depth;
+    var ny = mtv.y / depth;
+    
+    var bias = rune.physics.Space.NORMAL_BIAS;
+    var obj1touching = rune.physics.Space.NONE;
+    var obj2touching = rune.physics.Space.NONE;
+    
+    if      (nx >  bias) { obj1touching |= rune.physics.Space.LEFT;  obj2touching |= rune.physics.Space.RIGHT; }
+    else if (nx < -bias) { obj1touching |= rune.physics.Space.RIGHT; obj2touching |= rune.physics.Space.LEFT;  }
+    if      (ny >  bias) { obj1touching |= rune.physics.Space.UP;    obj2touching |= rune.physics.Space.DOWN;  }
+    else if (ny < -bias) { obj1touching |= rune.physics.Space.DOWN;  obj2touching |= rune.physics.Space.UP;    }
+    
+    if (!(obj1['allowCollisions'] & obj1touching) || !(obj2['allowCollisions'] & obj2touching)) {
+        return false;
+    }
+    
+    obj1.touching |= obj1touching;
+    obj2.touching |= obj2touching;
+    
+    if (!obj1immovable && !obj2immovable) {
+        obj1.x += mtv.x * 0.5;
+        obj1.y += mtv.y * 0.5;
+        obj2.x -= mtv.x * 0.5;
+        obj2.y -= mtv.y * 0.5;
+    } else if (!obj1immovable) {
+        obj1.x += mtv.x;
+        obj1.y += mtv.y;
+    } else {
+        obj2.x -= mtv.x;
+        obj2.y -= mtv.y;
+    }
+    
+    var obj1inverseMass = obj1immovable ? 0 : 1 / obj1.mass;
+    var obj2inverseMass = obj2immovable ? 0 : 1 / obj2.mass;
+    var velocity = (obj1['velocity']['x'] - obj2['velocity']['x']) * nx + (obj1['velocity']['y'] - obj2['velocity']['y']) * ny;
+    
+    if (velocity < 0) {
+        var elasticity = obj1immovable ? obj2.elasticity : (obj2immovable ? obj1.elasticity : (obj1.elasticity + obj2.elasticity) * 0.5);
+        var impulse = -(1 + elasticity) * velocity / (obj1inverseMass + obj2inverseMass);
+        
+        obj1['velocity']['x'] += impulse * obj1inverseMass * nx;
+        obj1['velocity']['y'] += impulse * obj1inverseMass * ny;
+        obj2['velocity']['x'] -= impulse * obj2inverseMass * nx;
+        obj2['velocity']['y'] -= impulse * obj2inverseMass * ny;
+    }
+    
+    return true;
+};
+
+/**
+ * Resolves collision between two objects using continuous (swept) collision 
+ * detection. The hitboxes are swept from their previous to their current 
+ * positions, and the collision is resolved along the axis on which they 
+ * first touch each other. This prevents fast-moving objects from passing 
+ * through thin objects between two updates. Note that hitboxes are swept as 
+ * axis-aligned rectangles, regardless of their shape.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ *
+ * @returns {boolean} If the objects were separated.
+ */
+rune.physics.Space.separateSwept = function(obj1, obj2) {
+    if (obj1['immovable'] && obj2['immovable']) {
+        return false;
+    }
+    
+    var impact = rune.physics.Space.m_sweep(obj1, obj2);
+    if (impact == null) {
+        return false;
+    }
+    
+    var hitbox1 = obj1['hitbox'];
+    var hitbox2 = obj2['hitbox'];
+    var overlap = 0;
+    
+    if (impact['axis'] === "x") {
+        if (obj1.oneWay || obj2.oneWay) {
+            return false;
+        }
+        
+        var LEFT  = rune.physics.Space.LEFT;
+        var RIGHT = rune.physics.Space.RIGHT;
+        
+        if (impact['delta'] > 0) {
+            if (!(obj1['allowCollisions'] & RIGHT) || !(obj2['allowCollisions'] & LEFT)) return false;
+            overlap = hitbox1['x'] + hitbox1['width'] - hitbox2['x'];
+            obj1.touching |= RIGHT;
+            obj2.touching |= LEFT;
+        } else {
+            if (!(obj1['allowCollisions'] & LEFT) || !(obj2['allowCollisions'] & RIGHT)) return false;
+            overlap = hitbox1['x'] - hitbox2['width'] - hitbox2['x'];
+            obj1.touching |= LEFT;
+            obj2.touching |= RIGHT;
+        }
+        
+        return rune.physics.Space.m_resolveX(obj1, obj2, overlap);
+    } else {
+        if (!rune.physics.Space.m_landsOn(obj1, obj2) || !rune.physics.Space.m_landsOn(obj2, obj1)) {
+            return false;
+        }
+        
+        var UP   = rune.physics.Space.UP;
+        var DOWN = rune.physics.Space.DOWN;
+        
+        if (impact['delta'] > 0) {
+            if (!(obj1['allowCollisions'] & DOWN) || !(obj2['allowCollisions'] & UP)) return false;
+            overlap = hitbox1['y'] + hitbox1['height'] - hitbox2['y'];
+            obj1.touching |= DOWN;
+            obj2.touching |= UP;
+        } else {
+            if (!(obj1['allowCollisions'] & UP) || !(obj2['allowCollisions'] & DOWN)) return false;
+            overlap = hitbox1['y'] - hitbox2['height'] - hitbox2['y'];
+            obj1.touching |= UP;
+            obj2.touching |= DOWN;
+        }
+        
+        return rune.physics.Space.m_resolveY(
+            obj1,
+            obj2,
+            overlap,
+            hitbox1['y'] - hitbox1['previousY'],
+            hitbox2['y'] - hitbox2['previousY']
+        );
+    }
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Adds the separating axes of a shape to a list of axes. The axes of a 
+ * polygon are the normals of its edges, while a circle contributes the axis 
+ * between its center and the closest vertex of the other shape.
+ *
+ * @param {rune.display.Hitbox} hitbox The hitbox whose axes are added.
+ * @param {Array.<rune.geom.Point>} vertices Vertices of the hitbox.
+ * @param {Array.<rune.geom.Point>} others Vertices of the other hitbox.
+ * @param {Array.<rune.geom.Vector2D>} output List of axes.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.physics.Space.m_addAxes = function(hitbox, vertices, others, output) {
+    var dx = 0;
+    var dy = 0;
+    var length = 0;
+    
+    if (hitbox['shape'] === rune.display.Hitbox.CIRCLE) {
+        var closest = Infinity;
+        for (var i = 0; i < others.length; i++) {
+            var ox = vertices[0].x - others[i].x;
+            var oy = vertices[0].y - others[i].y;
+            var distance = ox * ox + oy * oy;
+            if (distance < closest) {
+                closest = distance;
+                dx = ox;
+                dy = oy;
+            }
+        }
+        
+        length = Math.sqrt(dx * dx + dy * dy);
+        output.push(length > 0 ? new rune.geom.Vector2D(dx / length, dy / length) : new rune.geom.Vector2D(1, 0));
+    } else {
+        for (var j = 0; j < vertices.length; j++) {
+            var next = vertices[(j + 1) % vertices.length];
+            dx = next.x - vertices[j].x;
+            dy = next.y - vertices[j].y;
+            length = Math.sqrt(dx * dx + dy * dy);
+            if (length > 0) {
+                output.push(new rune.geom.Vector2D(-dy / length, dx / length));
+            }
+        }
+    }
+};
+
+/**
+ * Calculates the minimum translation vector required to move the first 
+ * hitbox out of the second hitbox, using the Separating Axis Theorem. If the 
+ * hitboxes do not overlap, null is returned.
+ *
+ * @param {rune.display.Hitbox} hitbox1 The first hitbox.
+ * @param {rune.display.Hitbox} hitbox2 The second hitbox.
+ *
+ * @returns {rune.geom.Vector2D}
+ * @private
+ */
+rune.physics.Space.m_getPenetration = function(hitbox1, hitbox2) {
+    var vertices1 = hitbox1.getVertices();
+    var vertices2 = hitbox2.getVertices();
+    var axes = [];
+    
+    rune.physics.Space.m_addAxes(hitbox1, vertices1, vertices2, axes);
+    rune.physics.Space.m_addAxes(hitbox2, vertices2, vertices1, axes);
+    
+    var depth = Infinity;
+    var normal = null;
+    
+    for (var i = 0; i < axes.length; i++) {
+        var projection1 = rune.physics.Space.m_project(hitbox1, vertices1, axes[i]);
+        var projection2 = rune.physics.Space.m_project(hitbox2, vertices2, axes[i]);
+        var overlap = Math.min(projection1[1], projection2[1]) - Math.max(projection1[0], projection2[0]);
+        
+        if (overlap <= 0) {
+            return null;
+        }
+        
+        if (overlap < depth) {
+            depth = overlap;
+            normal = axes[i];
+        }
+    }
+    
+    var center1 = rune.physics.Space.m_getCentroid(vertices1);
+    var center2 = rune.physics.Space.m_getCentroid(vertices2);
+    if ((center1.x - center2.x) * normal.x + (center1.y - center2.y) * normal.y < 0) {
+        normal.reverse();
+    }
+    
+    return normal.multiply(depth);
+};
+
+/**
+ * Calculates the average position of a list of vertices.
+ *
+ * @param {Array.<rune.geom.Point>} vertices Vertices to evaluate.
+ *
+ * @returns {rune.geom.Point}
+ * @private
+ */
+rune.physics.Space.m_getCentroid = function(vertices) {
+    var x = 0;
+    var y = 0;
+    for (var i = 0; i < vertices.length; i++) {
+        x += vertices[i].x;
+        y += vertices[i].y;
+    }
+    
+    return new rune.geom.Point(x / vertices.length, y / vertices.length);
+};
+
+/**
+ * Projects a hitbox onto an axis.
+ *
+ * @param {rune.display.Hitbox} hitbox The hitbox to project.
+ * @param {Array.<rune.geom.Point>} vertices Vertices of the hitbox.
+ * @param {rune.geom.Vector2D} axis Axis of unit length.
+ *
+ * @returns {Array.<number>} The minimum and maximum value of the projection.
+ * @private
+ */
+rune.physics.Space.m_project = function(hitbox, vertices, axis) {
+    var min =  Infinity;
+    var max = -Infinity;
+    for (var i = 0; i < vertices.length; i++) {
+        var value = vertices[i].x * axis.x + vertices[i].y * axis.y;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    
+    if (hitbox['shape'] === rune.display.Hitbox.CIRCLE) {
+        min -= hitbox['radius'];
+        max += hitbox['radius'];
+    }
+    
+    return [min, max];
+};
+
+/**
+ * Evaluates whether an object may collide with a one-way object in the y 
+ * direction. Objects that are not one-way always allow collision.
+ *
+ * @param {rune.display.InteractiveObject} obj The colliding object.
+ * @param {rune.display.InteractiveObject} platform The potentially one-way object.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.physics.Space.m_landsOn = function(obj, platform) {
+    if (platform.oneWay !== true || obj.oneWay === true) {
+        return true;
+    }
+    
+    if (obj['droppingThrough']) {
+        return false;
+    }
+    
+    var objDelta      = obj['hitbox']['y'] - obj['hitbox']['previousY'];
+    var platformDelta = platform['hitbox']['y'] - platform['hitbox']['previousY'];
+    var objBottom     = obj['hitbox']['previousY'] + obj['hitbox']['height'];
+    
+    return (objDelta > platformDelta) && (objBottom <= platform['hitbox']['previousY'] + rune.physics.Space.ONE_WAY_BIAS);
+};
+
+/**
+ * Separates two objects in the x direction and exchanges their velocities 
+ * based on their mass and elasticity.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ * @param {number} overlap The overlap to resolve.
+ *
+ * @returns {boolean} If the objects were separated.
+ * @private
+ */
+rune.physics.Space.m_resolveX = function(obj1, obj2, overlap) {
+    var obj1immovable = obj1['immovable'];
+    var obj2immovable = obj2['immovable'];
+    
+    if (overlap != 0) {
+        var obj1v = obj1['velocity']['x'];
+        var obj2v = obj2['velocity']['x'];
+        
+        if (!obj1immovable && !obj2immovable) {
+            
+            overlap *= 0.5;
+            obj1.x = obj1.x - overlap;
+            obj2.x += overlap;
+            
+            var obj1velocity = Math.sqrt((obj2v * obj2v * obj2.mass) / obj1.mass) * ((obj2v > 0) ? 1 : -1);
+            var obj2velocity = Math.sqrt((obj1v * obj1v * obj1.mass) / obj2.mass) * ((obj1v > 0) ? 1 : -1);
+            var average = (obj1velocity + obj2velocity) * 0.5;
+            
+            obj1velocity -= average;
+            obj2velocity -= average;
+            
+            obj1['velocity']['x'] = average + obj1velocity * obj1.elasticity;
+            obj2['velocity']['x'] = average + obj2velocity * obj2.elasticity;
+            
+        } else if (!obj1immovable) {
+            obj1.x = obj1.x - overlap;
+            obj1['velocity']['x'] = obj2v - obj1v * obj1.elasticity;
+        } else if (!obj2immovable) {
+            obj2.x += overlap;
+            obj2['velocity']['x'] = obj1v - obj2v * obj2.elasticity;
+        }
+        
+        return true;
+        
+    } else {
+        return false;
+    }
+};
+
+/**
+ * Separates two objects in the y direction and exchanges their velocities 
+ * based on their mass and elasticity. Objects on top of sticky objects 
+ * follow their horizontal movement.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ * @param {number} overlap The overlap to resolve.
+ * @param {number} obj1delta Vertical movement of the first object.
+ * @param {number} obj2delta Vertical movement of the second object.
+ *
+ * @returns {boolean} If the objects were separated.
+ * @private
+ */
+rune.physics.Space.m_resolveY = function(obj1, obj2, overlap, obj1delta, obj2delta) {
+    var obj1immovable = obj1['immovable'];
+    var obj2immovable = obj2['immovable'];
+    
     if (overlap != 0) {
         var obj1v = obj1['velocity']['y'];
         var obj2v = obj2['velocity']['y'];
@@ -288,4 +752,67 @@ rune.physics.Space.separateY = function(obj1, obj2) {
     } else {
         return false;
     }
+};
+
+/**
+ * Sweeps the hitbox of the first object, relative to the movement of the 
+ * second object, from its previous to its current position and calculates 
+ * when and on which axis the hitboxes first touch each other.
+ *
+ * @param {rune.display.InteractiveObject} obj1 The first object.
+ * @param {rune.display.InteractiveObject} obj2 The second object.
+ *
+ * @returns {Object} The time, axis and relative movement along the axis of the impact, or null if the hitboxes do not touch during the update.
+ * @private
+ */
+rune.physics.Space.m_sweep = function(obj1, obj2) {
+    var hitbox1 = obj1['hitbox'];
+    var hitbox2 = obj2['hitbox'];
+    var dx = (hitbox1['x'] - hitbox1['previousX']) - (hitbox2['x'] - hitbox2['previousX']);
+    var dy = (hitbox1['y'] - hitbox1['previousY']) - (hitbox2['y'] - hitbox2['previousY']);
+    
+    if (dx == 0 && dy == 0) {
+        return null;
+    }
+    
+    var x = rune.physics.Space.m_sweepAxis(hitbox1['previousX'], hitbox1['width'],  hitbox2['previousX'], hitbox2['width'],  dx);
+    var y = rune.physics.Space.m_sweepAxis(hitbox1['previousY'], hitbox1['height'], hitbox2['previousY'], hitbox2['height'], dy);
+    
+    if (x == null || y == null) {
+        return null;
+    }
+    
+    var entry = Math.max(x[0], y[0]);
+    var exit  = Math.min(x[1], y[1]);
+    
+    if (entry < 0 || entry > 1 || entry >= exit) {
+        return null;
+    }
+    
+    return (x[0] > y[0]) ? { time : entry, axis : "x", delta : dx } : { time : entry, axis : "y", delta : dy };
+};
+
+/**
+ * Calculates when, along a single axis, a moving segment enters and exits 
+ * another segment. The times are expressed as fractions of the movement.
+ *
+ * @param {number} p1 Start of the moving segment.
+ * @param {number} l1 Length of the moving segment.
+ * @param {number} p2 Start of the other segment.
+ * @param {number} l2 Length of the other segment.
+ * @param {number} d Movement of the moving segment.
+ *
+ * @returns {Array.<number>} Entry and exit time, or null if the segments never overlap.
+ * @private
+ */
+rune.physics.Space.m_sweepAxis = function(p1, l1, p2, l2, d) {
+    if (d > 0) {
+        return [(p2 - (p1 + l1)) / d, (p2 + l2 - p1) / d];
+    } else if (d < 0) {
+        return [(p2 + l2 - p1) / d, (p2 - (p1 + l1)) / d];
+    } else if (p1 < p2 + l2 && p1 + l1 > p2) {
+        return [-Infinity, Infinity];
+    }
+    
+    return null;
 };
\ No newline at end of file
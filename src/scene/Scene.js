@@ -45,6 +45,15 @@ rune.scene.Scene = function(name) {
      */
     this.m_cameras = null;
     
+    /**
+     * Handler for the collision rules of the scene.
+     *
+     * @type {rune.physics.Collisions}
+     * @protected
+     * @ignore
+     */
+    this.m_collisions = null;
+    
     /**
      * Group manager if the scene objects need to be divided into 
      * groups.
@@ -152,6 +161,26 @@ Object.defineProperty(rune.scene.Scene.prototype, "cameras", {
     }
 });
 
+/**
+ * Handler for the collision rules of the scene. Use this reference to declare 
+ * which objects, groups and tilemap layers collide with, or overlap, each 
+ * other. The rules are resolved automatically once per update.
+ *
+ * @member {rune.physics.Collisions} collisions
+ * @memberof rune.scene.Scene
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.scene.Scene.prototype, "collisions", {
+    /**
+     * @this rune.scene.Scene
+     * @ignore
+     */
+    get : function() {
+        return this.m_collisions;
+    }
+});
+
 /**
  * Reference to the developer console. This can be used during the development 
  * stage to execute tests and debugging commands during runtime.
@@ -189,6 +218,25 @@ Object.defineProperty(rune.scene.Scene.prototype, "gamepads", {
     }
 });
 
+/**
+ * Reference to the pointer manager. Use this reference to read the state of 
+ * the mouse and touch contacts.
+ *
+ * @member {rune.input.Pointer} pointer
+ * @memberof rune.scene.Scene
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.scene.Scene.prototype, "pointer", {
+    /**
+     * @this rune.scene.Scene
+     * @ignore
+     */
+    get : function() {
+        return rune.system.Application["instance"]['inputs']['pointer'];
+    }
+});
+
 /**
  * Reference to the scene's built-in group manager. Useful when objects that 
  * appear within the scene need to be divided into groups.
@@ -378,6 +426,7 @@ rune.scene.Scene.prototype.update = function(step) {
     this.m_updateTimers(step);
     this.m_updateTweens(step);
     this.m_updateGroups(step);
+    this.m_updateCollisions(step);
     this.m_updateStates(step);
 };
 
@@ -398,6 +447,7 @@ rune.scene.Scene.prototype.render = function() {
  */
 rune.scene.Scene.prototype.dispose = function() {
     this.m_disposeStates();
+    this.m_disposeCollisions();
     this.m_disposeGroups();
     this.m_disposeTweens();
     this.m_disposeTimers();
@@ -422,6 +472,7 @@ rune.scene.Scene.prototype.m_construct = function() {
     this.m_constructTimers();
     this.m_constructTweens();
     this.m_constructGroups();
+    this.m_constructCollisions();
     this.m_constructStates();
 };
 
@@ -504,6 +555,22 @@ rune.scene.Scene.prototype.m_constructGroups = function() {
     } else throw new Error();
 };
 
+/**
+ * Creates the handler for collision rules.
+ *
+ * @throws {Error} If an object reference already exists.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.scene.Scene.prototype.m_constructCollisions = function() {
+    this.m_disposeCollisions();
+    if (this.m_collisions == null) {
+        this.m_collisions = new rune.physics.Collisions(this);
+    } else throw new Error();
+};
+
 /**
  * Creates the scene's finite-state machine.
  *
@@ -611,6 +678,21 @@ rune.scene.Scene.prototype.m_updateGroups = function(step) {
     }
 };
 
+/**
+ * Resolves the collision rules of the scene.
+ *
+ * @param {number} step The current time step.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.scene.Scene.prototype.m_updateCollisions = function(step) {
+    if (this.m_collisions != null) {
+        this.m_collisions.update(step * this.m_stage.timeScale);
+    }
+};
+
 /**
  * Updates the scene's finite-state machine.
  *
@@ -653,6 +735,20 @@ rune.scene.Scene.prototype.m_disposeStates = function() {
     }
 };
 
+/**
+ * Removes the handler for collision rules.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.scene.Scene.prototype.m_disposeCollisions = function() {
+    if (this.m_collisions instanceof rune.physics.Collisions) {
+        this.m_collisions.dispose();
+        this.m_collisions = null;
+    }
+};
+
 /**
  * Removes all groups.
  *
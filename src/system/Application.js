@@ -54,6 +54,14 @@ rune.system.Application = function(options) {
      */
     this.m_resources = null;
     
+    /**
+     * Reference to the handler of saved games.
+     *
+     * @type {rune.data.Saves}
+     * @private
+     */
+    this.m_saves = null;
+    
     /**
      * Reference to the subsystem that handles scenes within the application.
      *
@@ -271,6 +279,24 @@ Object.defineProperty(rune.system.Application.prototype, "resources", {
     }
 });
 
+/**
+ * Used to save and load games via named slots.
+ *
+ * @member {rune.data.Saves} saves
+ * @memberof rune.system.Application
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.system.Application.prototype, "saves", {
+    /**
+     * @this rune.system.Application
+     * @ignore
+     */
+    get : function() {
+        return this.m_saves;
+    }
+});
+
 /**
  * Reference to the subsystem that handles scenes within the application.
  *
@@ -499,6 +525,7 @@ rune.system.Application.prototype.m_preInitResources = function() {
 rune.system.Application.prototype.m_init = function() {
     this.m_initInstance();
     this.m_initHighscores();
+    this.m_initSaves();
     this.m_initSounds();
     this.m_initInputs();
     this.m_initScreen();
@@ -541,6 +568,24 @@ rune.system.Application.prototype.m_initHighscores = function() {
     } else throw new Error();
 };
 
+/**
+ * Initializes the handler of saved games.
+ *
+ * @throws {Error} If an object reference already exists.
+ *
+ * @return {undefined}
+ * @private
+ */
+rune.system.Application.prototype.m_initSaves = function() {
+    this.m_disposeSaves();
+    if (this.m_saves == null) {
+        this.m_saves = new rune.data.Saves(
+            this['id'],
+            this.m_config.saveVersion
+        );
+    } else throw new Error();
+};
+
 /**
  * Creates the audio subsystem.
  *
@@ -658,6 +703,7 @@ rune.system.Application.prototype.m_update = function(step) {
     this.m_updateScenes(step);
     this.m_updateScreen(step);
     this.m_updateSounds(step);
+    this.m_updateSaves(step);
 };
 
 /**
@@ -716,6 +762,20 @@ rune.system.Application.prototype.m_updateSounds = function(step) {
     }
 };
 
+/**
+ * Accumulates play time for saved games.
+ *
+ * @param {number} step Current time step.
+ *
+ * @return {undefined}
+ * @private
+ */
+rune.system.Application.prototype.m_updateSaves = function(step) {
+    if (this.m_saves != null) {
+        this.m_saves.update(step);
+    }
+};
+
 /**
  * Renders graphics to the screen.
  *
@@ -763,6 +823,7 @@ rune.system.Application.prototype.m_dispose = function() {
     this.m_disposeScreen();
     this.m_disposeInputs();
     this.m_disposeSounds();
+    this.m_disposeSaves();
     this.m_disposeHighscores();
     this.m_disposeInstance();
     this.m_disposeResources();
@@ -836,6 +897,19 @@ rune.system.Application.prototype.m_disposeSounds = function() {
     }
 };
 
+/**
+ * Removes the handler of saved games.
+ *
+ * @return {undefined}
+ * @private
+ */
+rune.system.Application.prototype.m_disposeSaves = function() {
+    if (this.m_saves instanceof rune.data.Saves) {
+        this.m_saves.dispose();
+        this.m_saves = null;
+    }
+};
+
 /**
  * Removes the local highscore system.
  *
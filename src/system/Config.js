@@ -108,6 +108,15 @@ rune.system.Config = function(options) {
      */
     this.resources = options.resources || null;
     
+    /**
+     * The current version of the application's save data format. Saved 
+     * payloads of older versions are migrated to this version when loaded.
+     *
+     * @type {number}
+     * @default 1
+     */
+    this.saveVersion = options.saveVersion || 1;
+    
     /**
      * Reference to the scene class to be used after the start-up process is 
      * completed. This class thus constitutes the starting point for the 
@@ -149,4 +158,12 @@ rune.system.Config = function(options) {
      * @default false
      */
     this.useKeyboard = Boolean(options.useKeyboard);
+    
+    /**
+     * If the application is to be started with mouse and touch input support.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.usePointer = Boolean(options.usePointer);
 };
\ No newline at end of file
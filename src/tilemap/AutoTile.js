@@ -0,0 +1,309 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new AutoTile object.
+ *
+ * @constructor
+ *
+ * @param {Object|Array.<number>} tiles Tile values indexed by bitmask.
+ * @param {number} [mode=rune.tilemap.AutoTile.BITMASK_4] Whether the set uses a 4-bit or 8-bit bitmask.
+ * @param {Array.<number>} [members] Tile values that belong to the set.
+ *
+ * @class
+ * @classdesc
+ *
+ * The AutoTile class represents a rule set for auto-tiling, ie. for choosing
+ * the visual variant of a tile based on which of its neighbours belong to
+ * the same set. When a tile of a TilemapLayer changes, the tile and its
+ * neighbours are assigned the variant that matches their neighbourhood,
+ * provided that the rule set has been added to the map.
+ * <br><br>
+ * Sets using a 4-bit bitmask (Wang edge sets of 16 tiles) sum the following
+ * values for each neighbour that belongs to the set: north 1, east 2,
+ * south 4 and west 8. Sets using an 8-bit bitmask (blob sets of 47 tiles)
+ * sum north-west 1, north 2, north-east 4, west 8, east 16, south-west 32,
+ * south 64 and south-east 128, where corners are only included when both
+ * adjacent edges belong to the set. The tiles argument maps each bitmask to
+ * a tile value, for example { 0: 17, 1: 18, ... }. If a bitmask of an
+ * 8-bit set lacks a tile value, the variant without corners is used.
+ * <br><br>
+ * By default, the members of the set are the tile values of the tiles
+ * argument. Additional members, such as a base value that is only used
+ * when placing tiles, can be specified via the members argument.
+ *
+ * @see rune.tilemap.Tilemap
+ * @see rune.tilemap.TilemapLayer
+ */
+rune.tilemap.AutoTile = function(tiles, mode, members) {
+    
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Whether neighbours outside the map are treated as members of the set.
+     * This makes tiles along the edges of the map appear continuous.
+     *
+     * @type {boolean}
+     * @default true
+     */
+    this.edges = true;
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Tile values that belong to the set.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_members = [];
+    
+    /**
+     * Whether the set uses a 4-bit or 8-bit bitmask.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_mode = (mode == rune.tilemap.AutoTile.BITMASK_8) ? rune.tilemap.AutoTile.BITMASK_8 : rune.tilemap.AutoTile.BITMASK_4;
+    
+    /**
+     * Tile values indexed by bitmask.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_tiles = {};
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct(tiles, members);
+};
+
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Mode of sets that are based on the four orthogonal neighbours of a tile.
+ *
+ * @const {number}
+ * @default 4
+ */
+rune.tilemap.AutoTile.BITMASK_4 = 4;
+
+/**
+ * Mode of sets that are based on all eight neighbours of a tile.
+ *
+ * @const {number}
+ * @default 8
+ */
+rune.tilemap.AutoTile.BITMASK_8 = 8;
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Neighbour offsets and bitmask values of 4-bit sets, stored as triplets
+ * of x-offset, y-offset and value.
+ *
+ * @const {Array.<number>}
+ * @private
+ */
+rune.tilemap.AutoTile.NEIGHBORS_4 = [
+     0, -1, 1,
+     1,  0, 2,
+     0,  1, 4,
+    -1,  0, 8
+];
+
+/**
+ * Neighbour offsets and bitmask values of 8-bit sets, stored as triplets
+ * of x-offset, y-offset and value.
+ *
+ * @const {Array.<number>}
+ * @private
+ */
+rune.tilemap.AutoTile.NEIGHBORS_8 = [
+    -1, -1,   1,
+     0, -1,   2,
+     1, -1,   4,
+    -1,  0,   8,
+     1,  0,  16,
+    -1,  1,  32,
+     0,  1,  64,
+     1,  1, 128
+];
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * Tile values that belong to the set. Note that this reference is intended
+ * for read-only purposes; avoid modifying this list directly.
+ *
+ * @member {Array.<number>} members
+ * @memberof rune.tilemap.AutoTile
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.AutoTile.prototype, "members", {
+    /**
+     * @this rune.tilemap.AutoTile
+     * @ignore
+     */
+    get : function() {
+        return this.m_members;
+    }
+});
+
+/**
+ * Whether the set uses a 4-bit or 8-bit bitmask, ie.
+ * rune.tilemap.AutoTile.BITMASK_4 or rune.tilemap.AutoTile.BITMASK_8.
+ *
+ * @member {number} mode
+ * @memberof rune.tilemap.AutoTile
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.AutoTile.prototype, "mode", {
+    /**
+     * @this rune.tilemap.AutoTile
+     * @ignore
+     */
+    get : function() {
+        return this.m_mode;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Whether a tile value belongs to the set.
+ *
+ * @param {number} v Tile value.
+ *
+ * @returns {boolean}
+ */
+rune.tilemap.AutoTile.prototype.contains = function(v) {
+    return this.m_members.indexOf(v) > -1;
+};
+
+/**
+ * Computes the bitmask of a tile within a layer, based on which of its
+ * neighbours belong to the set.
+ *
+ * @param {rune.tilemap.TilemapLayer} layer The layer that contains the tile.
+ * @param {number} i Tile index.
+ *
+ * @returns {number}
+ */
+rune.tilemap.AutoTile.prototype.getMaskAt = function(layer, i) {
+    var w = layer['map']['widthInTiles'];
+    var h = layer['map']['heightInTiles'];
+    var x = i % w;
+    var y = Math.floor(i / w);
+    var n = (this.m_mode == rune.tilemap.AutoTile.BITMASK_8) ? rune.tilemap.AutoTile.NEIGHBORS_8 : rune.tilemap.AutoTile.NEIGHBORS_4;
+    var m = 0;
+    
+    for (var j = 0; j < n.length; j += 3) {
+        var nx = x + n[j];
+        var ny = y + n[j + 1];
+        var c  = (nx < 0 || ny < 0 || nx >= w || ny >= h) ? this.edges : this.contains(layer.getTileValueAt(ny * w + nx));
+        if (c) {
+            m |= n[j + 2];
+        }
+    }
+    
+    if (this.m_mode == rune.tilemap.AutoTile.BITMASK_8) {
+        if ((m & 10) != 10) m &= ~1;
+        if ((m & 18) != 18) m &= ~4;
+        if ((m & 72) != 72) m &= ~32;
+        if ((m & 80) != 80) m &= ~128;
+    }
+    
+    return m;
+};
+
+/**
+ * Returns the tile value of a bitmask. If the bitmask of an 8-bit set lacks 
+ * a tile value, the tile value of the bitmask without corners is returned.
+ *
+ * @param {number} m Bitmask.
+ *
+ * @returns {number} The tile value, or -1 if the set has no variant for the bitmask.
+ */
+rune.tilemap.AutoTile.prototype.getTileValue = function(m) {
+    if (this.m_tiles[m] != null) {
+        return this.m_tiles[m];
+    }
+    
+    if (this.m_mode == rune.tilemap.AutoTile.BITMASK_8) {
+        m &= 90; //@note: Edges only.
+        if (this.m_tiles[m] != null) {
+            return this.m_tiles[m];
+        }
+    }
+    
+    return -1;
+};
+
+/**
+ * Returns the tile value that matches the neighbourhood of a tile within
+ * a layer.
+ *
+ * @param {rune.tilemap.TilemapLayer} layer The layer that contains the tile.
+ * @param {number} i Tile index.
+ *
+ * @returns {number} The tile value, or -1 if the set has no variant for the neighbourhood.
+ */
+rune.tilemap.AutoTile.prototype.getTileValueAt = function(layer, i) {
+    return this.getTileValue(this.getMaskAt(layer, i));
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ *
+ * @param {Object|Array.<number>} tiles Tile values indexed by bitmask.
+ * @param {Array.<number>} [members] Tile values that belong to the set.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.tilemap.AutoTile.prototype.m_construct = function(tiles, members) {
+    for (var k in tiles) {
+        var v = parseInt(tiles[k], 10);
+        if (isNaN(v)) continue;
+        
+        this.m_tiles[parseInt(k, 10)] = v;
+        if (this.m_members.indexOf(v) == -1) {
+            this.m_members.push(v);
+        }
+    }
+    
+    if (members instanceof Array) {
+        for (var i = 0; i < members.length; i++) {
+            if (this.m_members.indexOf(members[i]) == -1) {
+                this.m_members.push(members[i]);
+            }
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,602 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new FlowField object. Note that flow fields should be created
+ * via the createFlowField method of the TilemapLayer class.
+ *
+ * @constructor
+ *
+ * @param {rune.tilemap.TilemapLayer} layer The layer that the field covers.
+ * @param {number} x The x-coordinate of the goal.
+ * @param {number} y The y-coordinate of the goal.
+ * @param {boolean} [md=false] Whether the field is allowed to include diagonal moves.
+ *
+ * @class
+ * @classdesc
+ *
+ * The FlowField class represents a vector field that leads toward a goal
+ * within a tilemap layer. The field is computed once for the whole layer,
+ * after which any number of objects can sample a steering direction from
+ * their position, which is far cheaper than computing a path per object.
+ * Solid tiles are impassable and movement costs are read from the cost
+ * property in the tile properties table of the map. When tile values of
+ * the layer change, only the part of the field that is affected by the
+ * change is recomputed.
+ *
+ * @see rune.tilemap.TilemapLayer
+ */
+rune.tilemap.FlowField = function(layer, x, y, md) {
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Movement cost of each tile, where solid tiles have a cost of -1.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_costs = null;
+    
+    /**
+     * Whether the field includes diagonal moves.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_diagonal = (md == true);
+    
+    /**
+     * The accumulated cost of moving from each tile to the goal.
+     * Unreachable tiles have a cost of Infinity.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_distances = null;
+    
+    /**
+     * Tile index of the goal.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_goal = -1;
+    
+    /**
+     * The x-coordinate of the goal.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_goalX = 0;
+    
+    /**
+     * The y-coordinate of the goal.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_goalY = 0;
+    
+    /**
+     * The layer that the field covers.
+     *
+     * @type {rune.tilemap.TilemapLayer}
+     * @private
+     */
+    this.m_layer = layer;
+    
+    /**
+     * The index of the next tile toward the goal, for each tile. Tiles
+     * without a next tile have a value of -1.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_parents = null;
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct(x, y);
+};
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Tile offsets in the x direction, where the first four represent
+ * orthogonal moves and the last four represent diagonal moves.
+ *
+ * @const {Array.<number>}
+ * @private
+ */
+rune.tilemap.FlowField.OFFSET_X = [0, 1, 0, -1, 1, 1, -1, -1];
+
+/**
+ * Tile offsets in the y direction, where the first four represent
+ * orthogonal moves and the last four represent diagonal moves.
+ *
+ * @const {Array.<number>}
+ * @private
+ */
+rune.tilemap.FlowField.OFFSET_Y = [-1, 0, 1, 0, -1, 1, 1, -1];
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * Whether the field includes diagonal moves.
+ *
+ * @member {boolean} diagonal
+ * @memberof rune.tilemap.FlowField
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.FlowField.prototype, "diagonal", {
+    /**
+     * @this rune.tilemap.FlowField
+     * @ignore
+     */
+    get : function() {
+        return this.m_diagonal;
+    }
+});
+
+/**
+ * The x-coordinate of the goal.
+ *
+ * @member {number} goalX
+ * @memberof rune.tilemap.FlowField
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.FlowField.prototype, "goalX", {
+    /**
+     * @this rune.tilemap.FlowField
+     * @ignore
+     */
+    get : function() {
+        return this.m_goalX;
+    }
+});
+
+/**
+ * The y-coordinate of the goal.
+ *
+ * @member {number} goalY
+ * @memberof rune.tilemap.FlowField
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.FlowField.prototype, "goalY", {
+    /**
+     * @this rune.tilemap.FlowField
+     * @ignore
+     */
+    get : function() {
+        return this.m_goalY;
+    }
+});
+
+/**
+ * The layer that the field covers.
+ *
+ * @member {rune.tilemap.TilemapLayer} layer
+ * @memberof rune.tilemap.FlowField
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.FlowField.prototype, "layer", {
+    /**
+     * @this rune.tilemap.FlowField
+     * @ignore
+     */
+    get : function() {
+        return this.m_layer;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the direction toward the goal from a specific position, as a
+ * normalized vector. The vector has a length of zero if the position is
+ * outside the layer, within a solid tile or if the goal can not be
+ * reached from the position.
+ *
+ * @param {number} x The x-coordinate of the position.
+ * @param {number} y The y-coordinate of the position.
+ * @param {rune.geom.Vector2D} [out] Vector to store the result in.
+ *
+ * @returns {rune.geom.Vector2D}
+ */
+rune.tilemap.FlowField.prototype.getDirection = function(x, y, out) {
+    out = out || new rune.geom.Vector2D();
+    out.x = 0;
+    out.y = 0;
+    
+    var i = this.m_getIndex(x, y);
+    if (i < 0) return out;
+    
+    var dx = 0;
+    var dy = 0;
+    
+    if (i == this.m_goal) {
+        dx = this.m_goalX - x;
+        dy = this.m_goalY - y;
+    } else if (this.m_parents[i] > -1) {
+        var wt = this.m_layer['map']['widthInTiles'];
+        dx = (this.m_parents[i] % wt) - (i % wt);
+        dy = Math.floor(this.m_parents[i] / wt) - Math.floor(i / wt);
+    }
+    
+    var dl = Math.sqrt(dx * dx + dy * dy);
+    if (dl > 0) {
+        out.x = dx / dl;
+        out.y = dy / dl;
+    }
+    
+    return out;
+};
+
+/**
+ * Returns the direction toward the goal from the center of an object's
+ * hitbox, as a normalized vector.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ * @param {rune.geom.Vector2D} [out] Vector to store the result in.
+ *
+ * @returns {rune.geom.Vector2D}
+ */
+rune.tilemap.FlowField.prototype.getDirectionOf = function(obj, out) {
+    return this.getDirection(
+        obj['hitbox']['centerX'],
+        obj['hitbox']['centerY'],
+        out
+    );
+};
+
+/**
+ * Returns the accumulated cost of moving from a specific position to the
+ * goal, or -1 if the goal can not be reached from the position.
+ *
+ * @param {number} x The x-coordinate of the position.
+ * @param {number} y The y-coordinate of the position.
+ *
+ * @returns {number}
+ */
+rune.tilemap.FlowField.prototype.getDistance = function(x, y) {
+    var i = this.m_getIndex(x, y);
+    if ((i < 0) || (this.m_distances[i] === Infinity)) return -1;
+    
+    return this.m_distances[i];
+};
+
+/**
+ * Recomputes the entire field. Changes made via the setTileValue methods
+ * of the layer are applied automatically, so this method is only needed
+ * if tile properties of the map are modified.
+ *
+ * @returns {undefined}
+ */
+rune.tilemap.FlowField.prototype.rebuild = function() {
+    var ms = this.m_layer['map']['numTiles'];
+    
+    this.m_costs     = Array(ms);
+    this.m_distances = Array(ms);
+    this.m_parents   = Array(ms);
+    
+    for (var i = 0; i < ms; i++) {
+        this.m_costs[i]     = this.m_layer.getTileCostAt(i);
+        this.m_distances[i] = Infinity;
+        this.m_parents[i]   = -1;
+    }
+    
+    if ((this.m_goal > -1) && (this.m_costs[this.m_goal] > -1)) {
+        this.m_distances[this.m_goal] = 0;
+        var heap = new rune.util.Heap();
+        heap.push(this.m_goal, 0);
+        this.m_propagate(heap);
+    }
+};
+
+/**
+ * Moves the goal of the field to a new position. The field is recomputed
+ * if the goal is moved to another tile.
+ *
+ * @param {number} x The x-coordinate of the goal.
+ * @param {number} y The y-coordinate of the goal.
+ *
+ * @returns {undefined}
+ */
+rune.tilemap.FlowField.prototype.setGoal = function(x, y) {
+    var i = this.m_getIndex(x, y);
+    
+    this.m_goalX = x;
+    this.m_goalY = y;
+    
+    if ((i != this.m_goal) || (this.m_costs == null)) {
+        this.m_goal = i;
+        this.rebuild();
+    }
+};
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Clears memory allocated by this instance.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.FlowField.prototype.dispose = function() {
+    this.m_costs     = null;
+    this.m_distances = null;
+    this.m_layer     = null;
+    this.m_parents   = null;
+};
+
+/**
+ * Updates the field after the value of a tile has changed. Tiles whose
+ * route to the goal passes the modified tile are reset, after which the
+ * costs are propagated again from the tiles surrounding the modified tile
+ * and the reset tiles.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.FlowField.prototype.invalidate = function(i) {
+    var nc = this.m_layer.getTileCostAt(i);
+    var oc = this.m_costs[i];
+    if (nc === oc) return;
+    
+    this.m_costs[i] = nc;
+    
+    if (i == this.m_goal) {
+        this.rebuild();
+        return;
+    }
+    
+    var rs = [];
+    var dt = [];
+    var dl = [];
+    
+    if ((nc < 0) || (nc > oc)) {
+        rs.push(i);
+        if ((nc < 0) && this.m_diagonal) {
+            this.m_getCornerDependents(i, rs);
+        }
+    }
+    
+    while (rs.length > 0) {
+        var ri = rs.pop();
+        if ((dt[ri] === true) || (this.m_distances[ri] === Infinity)) continue;
+        
+        dt[ri] = true;
+        dl.push(ri);
+        this.m_distances[ri] = Infinity;
+        this.m_parents[ri] = -1;
+        this.m_getChildren(ri, rs);
+    }
+    
+    var heap = new rune.util.Heap();
+    var ns = [i];
+    
+    this.m_getNeighbors(i, ns);
+    for (var d = 0; d < dl.length; d++) {
+        this.m_getNeighbors(dl[d], ns);
+    }
+    
+    for (var n = 0; n < ns.length; n++) {
+        if ((dt[ns[n]] !== true) && (this.m_distances[ns[n]] !== Infinity)) {
+            heap.push(ns[n], this.m_distances[ns[n]]);
+        }
+    }
+    
+    this.m_propagate(heap);
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ *
+ * @param {number} x The x-coordinate of the goal.
+ * @param {number} y The y-coordinate of the goal.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.tilemap.FlowField.prototype.m_construct = function(x, y) {
+    this.setGoal(x, y);
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Evaluates whether it is possible to move from one tile to a neighboring
+ * tile. Diagonal moves are only possible if both tiles next to the corner
+ * are walkable.
+ *
+ * @param {number} fx The x-coordinate, in tiles, to move from.
+ * @param {number} fy The y-coordinate, in tiles, to move from.
+ * @param {number} tx The x-coordinate, in tiles, to move to.
+ * @param {number} ty The y-coordinate, in tiles, to move to.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.tilemap.FlowField.prototype.m_canMove = function(fx, fy, tx, ty) {
+    var wt = this.m_layer['map']['widthInTiles'];
+    var ht = this.m_layer['map']['heightInTiles'];
+    
+    if ((tx < 0) || (tx >= wt) || (ty < 0) || (ty >= ht)) return false;
+    if (this.m_costs[ty * wt + tx] < 0) return false;
+    if ((fx != tx) && (fy != ty)) {
+        return (this.m_costs[fy * wt + tx] > -1) && (this.m_costs[ty * wt + fx] > -1);
+    }
+    
+    return true;
+};
+
+/**
+ * Adds the tiles whose next tile is a specific tile to a list.
+ *
+ * @param {number} i Tile index.
+ * @param {Array.<number>} out List to populate.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.FlowField.prototype.m_getChildren = function(i, out) {
+    var ns = [];
+    this.m_getNeighbors(i, ns);
+    for (var n = 0; n < ns.length; n++) {
+        if (this.m_parents[ns[n]] == i) {
+            out.push(ns[n]);
+        }
+    }
+};
+
+/**
+ * Adds the tiles whose diagonal move to their next tile passes the corner
+ * of a specific tile to a list.
+ *
+ * @param {number} i Tile index.
+ * @param {Array.<number>} out List to populate.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.FlowField.prototype.m_getCornerDependents = function(i, out) {
+    var wt = this.m_layer['map']['widthInTiles'];
+    var ix = i % wt;
+    var iy = Math.floor(i / wt);
+    var ns = [];
+    
+    this.m_getNeighbors(i, ns);
+    
+    for (var n = 0; n < ns.length; n++) {
+        var p = this.m_parents[ns[n]];
+        if (p < 0) continue;
+        
+        var nx = ns[n] % wt;
+        var ny = Math.floor(ns[n] / wt);
+        var px = p % wt;
+        var py = Math.floor(p / wt);
+        
+        if ((nx != px) && (ny != py) && (((px == ix) && (ny == iy)) || ((nx == ix) && (py == iy)))) {
+            out.push(ns[n]);
+        }
+    }
+};
+
+/**
+ * Returns the tile index of a specific position, or -1 if the position is
+ * outside the layer.
+ *
+ * @param {number} x The x-coordinate of the position.
+ * @param {number} y The y-coordinate of the position.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.FlowField.prototype.m_getIndex = function(x, y) {
+    var map = this.m_layer['map'];
+    var tx = Math.floor(x / map['tileWidth']);
+    var ty = Math.floor(y / map['tileHeight']);
+    
+    if ((tx < 0) || (tx >= map['widthInTiles']) || (ty < 0) || (ty >= map['heightInTiles'])) {
+        return -1;
+    }
+    
+    return ty * map['widthInTiles'] + tx;
+};
+
+/**
+ * Adds the neighbors of a specific tile to a list.
+ *
+ * @param {number} i Tile index.
+ * @param {Array.<number>} out List to populate.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.FlowField.prototype.m_getNeighbors = function(i, out) {
+    var wt = this.m_layer['map']['widthInTiles'];
+    var ht = this.m_layer['map']['heightInTiles'];
+    var cx = i % wt;
+    var cy = Math.floor(i / wt);
+    var nd = this.m_diagonal ? 8 : 4;
+    
+    for (var d = 0; d < nd; d++) {
+        var nx = cx + rune.tilemap.FlowField.OFFSET_X[d];
+        var ny = cy + rune.tilemap.FlowField.OFFSET_Y[d];
+        if ((nx > -1) && (nx < wt) && (ny > -1) && (ny < ht)) {
+            out.push(ny * wt + nx);
+        }
+    }
+};
+
+/**
+ * Propagates costs from the tiles of a heap to the rest of the field,
+ * using Dijkstra's algorithm. The cost of moving into a tile is
+ * multiplied by the square root of two for diagonal moves.
+ *
+ * @param {rune.util.Heap} heap Heap of tile indexes, prioritized by cost.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.FlowField.prototype.m_propagate = function(heap) {
+    var wt = this.m_layer['map']['widthInTiles'];
+    var nd = this.m_diagonal ? 8 : 4;
+    var ds = this.m_distances;
+    
+    while (heap['length'] > 0) {
+        var cd = heap['lowestPriority'];
+        var ci = heap.pop();
+        if (cd > ds[ci]) continue;
+        
+        var cx = ci % wt;
+        var cy = Math.floor(ci / wt);
+        
+        for (var d = 0; d < nd; d++) {
+            var nx = cx + rune.tilemap.FlowField.OFFSET_X[d];
+            var ny = cy + rune.tilemap.FlowField.OFFSET_Y[d];
+            if (!this.m_canMove(cx, cy, nx, ny)) continue;
+            
+            var ni = ny * wt + nx;
+            var ng = cd + this.m_costs[ci] * ((d > 3) ? Math.SQRT2 : 1);
+            if (ng < ds[ni]) {
+                ds[ni] = ng;
+                this.m_parents[ni] = ci;
+                heap.push(ni, ng);
+            }
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,707 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the Generator class.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Generator class contains static methods for procedural generation of
+ * map data that can be loaded by a Tilemap. Supported techniques are
+ * cellular automata caves, BSP rooms with corridors, drunkard's walk and
+ * Perlin noise. All methods accept an options object, where the following
+ * options are shared by all methods:
+ * <br><br>
+ * width (64) and height (48): The size of the map, in tiles.<br>
+ * tileWidth (16) and tileHeight (16): The size of each tile, in pixels.<br>
+ * wall (1) and floor (0): Tile values of solid and open tiles.<br>
+ * seed: The seed of the generation, as a number or a string.<br>
+ * random: A rune.util.Random object to use instead of a seed.<br>
+ * name, texture, tiles: Copied to the map data as is.
+ * <br><br>
+ * Generation is deterministic, meaning that the same seed and options
+ * always produce the same map. The seed that was used is stored in the seed
+ * property of the map properties. Generated map data is loaded by adding it
+ * to the resource library, for example:
+ * <br><br>
+ * this.application.resources.add("floor", rune.tilemap.Generator.cave({ seed: 42 }));<br>
+ * this.tilemap.load("floor");
+ * <br><br>
+ * Note that all class content is static, so the class never needs to be
+ * instantiated.
+ *
+ * @see rune.tilemap.Tilemap
+ * @see rune.util.Random
+ */
+rune.tilemap.Generator = function() {
+    console.warn("This class is not meant to be instantiated.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Generates a cave using cellular automata. The map is randomly filled with
+ * walls, after which it is smoothed a number of times. During smoothing,
+ * walls with at least four wall neighbours remain walls and open tiles with
+ * at least five wall neighbours become walls. Supports the following
+ * options, in addition to the shared ones:
+ * <br><br>
+ * fill (0.45): The share of tiles that are initially walls.<br>
+ * steps (4): The number of smoothing steps.<br>
+ * connected (true): Whether caves that are not connected to the largest
+ * cave are filled with walls.
+ *
+ * @param {Object} [options] Generation options.
+ *
+ * @returns {Object} Map data.
+ */
+rune.tilemap.Generator.cave = function(options) {
+    options = options || {};
+    
+    var random = rune.tilemap.Generator.m_getRandom(options);
+    var w      = options['width']  || 64;
+    var h      = options['height'] || 48;
+    var fill   = (typeof options['fill']  === "number") ? options['fill']  : 0.45;
+    var steps  = (typeof options['steps'] === "number") ? options['steps'] : 4;
+    var grid   = [];
+    
+    for (var i = 0; i < w * h; i++) {
+        grid.push((rune.tilemap.Generator.m_isBorder(i, w, h) || random.next() < fill) ? 1 : 0);
+    }
+    
+    for (var s = 0; s < steps; s++) {
+        var next = [];
+        for (var j = 0; j < w * h; j++) {
+            var n = rune.tilemap.Generator.m_countWalls(grid, j, w, h);
+            if (rune.tilemap.Generator.m_isBorder(j, w, h)) {
+                next.push(1);
+            } else {
+                next.push((n >= 5 || (grid[j] == 1 && n >= 4)) ? 1 : 0);
+            }
+        }
+        
+        grid = next;
+    }
+    
+    if (options['connected'] !== false) {
+        rune.tilemap.Generator.m_fillRegions(grid, w, h);
+    }
+    
+    return rune.tilemap.Generator.m_createData(options, random, grid, []);
+};
+
+/**
+ * Generates a noise field using Perlin noise. Each value of the field is a
+ * number between 0 and 1, where nearby values are similar. Supports the
+ * following options, in addition to the width, height, seed and random
+ * options:
+ * <br><br>
+ * scale (0.1): The frequency of the noise, where lower values produce
+ * larger features.<br>
+ * octaves (4): The number of noise layers that are combined.<br>
+ * persistence (0.5): The amplitude of each octave relative to the
+ * previous one.<br>
+ * lacunarity (2): The frequency of each octave relative to the previous
+ * one.
+ *
+ * @param {Object} [options] Generation options.
+ *
+ * @returns {Array.<number>} Noise values, one for each tile.
+ */
+rune.tilemap.Generator.field = function(options) {
+    options = options || {};
+    
+    var random      = rune.tilemap.Generator.m_getRandom(options);
+    var w           = options['width']  || 64;
+    var h           = options['height'] || 48;
+    var scale       = options['scale']       || 0.1;
+    var octaves     = options['octaves']     || 4;
+    var persistence = (typeof options['persistence'] === "number") ? options['persistence'] : 0.5;
+    var lacunarity  = options['lacunarity']  || 2;
+    var p           = [];
+    var output      = [];
+    
+    for (var i = 0; i < 256; i++) {
+        p.push(i);
+    }
+    
+    random.shuffle(p);
+    p = p.concat(p);
+    
+    for (var y = 0; y < h; y++) {
+        for (var x = 0; x < w; x++) {
+            var amplitude = 1;
+            var frequency = scale;
+            var total     = 0;
+            var sum       = 0;
+            
+            for (var o = 0; o < octaves; o++) {
+                total     += rune.tilemap.Generator.m_perlin(p, x * frequency, y * frequency) * amplitude;
+                sum       += amplitude;
+                amplitude *= persistence;
+                frequency *= lacunarity;
+            }
+            
+            output.push(Math.min(Math.max((total / sum + 1) * 0.5, 0), 1));
+        }
+    }
+    
+    return output;
+};
+
+/**
+ * Generates a map from a noise field, where each tile value is chosen from
+ * a list of levels based on the noise value of the tile. Supports the same
+ * options as the field method, in addition to the shared ones, as well as:
+ * <br><br>
+ * levels: A list of objects with a threshold and a value, sorted by
+ * threshold. Each tile gets the value of the first level whose threshold
+ * exceeds the noise value of the tile. Defaults to open tiles below 0.5
+ * and walls above it.
+ *
+ * @param {Object} [options] Generation options.
+ *
+ * @returns {Object} Map data.
+ */
+rune.tilemap.Generator.noise = function(options) {
+    options = options || {};
+    
+    var random = rune.tilemap.Generator.m_getRandom(options);
+    var levels = options['levels'] || [
+        { threshold : 0.5, value : rune.tilemap.Generator.m_getFloor(options) },
+        { threshold : 1.0, value : rune.tilemap.Generator.m_getWall(options)  }
+    ];
+    
+    var field = rune.tilemap.Generator.field({
+        width       : options['width'],
+        height      : options['height'],
+        scale       : options['scale'],
+        octaves     : options['octaves'],
+        persistence : options['persistence'],
+        lacunarity  : options['lacunarity'],
+        random      : random
+    });
+    
+    var back = [];
+    for (var i = 0; i < field.length; i++) {
+        var v = levels[levels.length - 1]['value'];
+        for (var j = 0; j < levels.length; j++) {
+            if (field[i] < levels[j]['threshold']) {
+                v = levels[j]['value'];
+                break;
+            }
+        }
+        
+        back.push(v);
+    }
+    
+    return rune.tilemap.Generator.m_createData(options, random, back, [], true);
+};
+
+/**
+ * Generates rooms connected by corridors, using binary space partitioning
+ * (BSP). The map is recursively divided into areas, where each remaining
+ * area contains a room. Rooms of neighbouring areas are connected by
+ * corridors. Each room is also included as an object of the type "room"
+ * in the map data. Supports the following options, in addition to the
+ * shared ones:
+ * <br><br>
+ * minArea (10): The smallest size of an area, in tiles.<br>
+ * minRoom (4): The smallest size of a room, in tiles.<br>
+ * padding (1): The minimum distance between a room and the edges of its
+ * area, in tiles.
+ *
+ * @param {Object} [options] Generation options.
+ *
+ * @returns {Object} Map data.
+ */
+rune.tilemap.Generator.rooms = function(options) {
+    options = options || {};
+    
+    var random  = rune.tilemap.Generator.m_getRandom(options);
+    var w       = options['width']  || 64;
+    var h       = options['height'] || 48;
+    var minArea = options['minArea'] || 10;
+    var minRoom = options['minRoom'] || 4;
+    var padding = (typeof options['padding'] === "number") ? options['padding'] : 1;
+    var rooms   = [];
+    var grid    = [];
+    
+    for (var i = 0; i < w * h; i++) {
+        grid.push(1);
+    }
+    
+    var root = rune.tilemap.Generator.m_splitArea({ x : 1, y : 1, width : w - 2, height : h - 2 }, random, minArea);
+    rune.tilemap.Generator.m_createRooms(root, random, minRoom, padding, rooms);
+    
+    for (var r = 0; r < rooms.length; r++) {
+        for (var y = rooms[r]['y']; y < rooms[r]['y'] + rooms[r]['height']; y++) {
+            for (var x = rooms[r]['x']; x < rooms[r]['x'] + rooms[r]['width']; x++) {
+                grid[y * w + x] = 0;
+            }
+        }
+    }
+    
+    rune.tilemap.Generator.m_connectAreas(root, random, grid, w);
+    
+    var tw      = options['tileWidth']  || 16;
+    var th      = options['tileHeight'] || 16;
+    var objects = [];
+    for (var o = 0; o < rooms.length; o++) {
+        objects.push({
+            id     : o + 1,
+            name   : "room" + (o + 1),
+            type   : "room",
+            x      : rooms[o]['x'] * tw,
+            y      : rooms[o]['y'] * th,
+            width  : rooms[o]['width']  * tw,
+            height : rooms[o]['height'] * th
+        });
+    }
+    
+    return rune.tilemap.Generator.m_createData(options, random, grid, objects);
+};
+
+/**
+ * Generates a cave using a drunkard's walk. A walker starts in the middle
+ * of the map, which is initially filled with walls, and carves open tiles
+ * as it moves in random directions. Supports the following options, in
+ * addition to the shared ones:
+ * <br><br>
+ * coverage (0.4): The share of tiles to carve.<br>
+ * x and y: The starting position of the walker, in tiles.
+ *
+ * @param {Object} [options] Generation options.
+ *
+ * @returns {Object} Map data.
+ */
+rune.tilemap.Generator.walk = function(options) {
+    options = options || {};
+    
+    var random   = rune.tilemap.Generator.m_getRandom(options);
+    var w        = options['width']  || 64;
+    var h        = options['height'] || 48;
+    var coverage = (typeof options['coverage'] === "number") ? options['coverage'] : 0.4;
+    var x        = Math.min(Math.max((typeof options['x'] === "number") ? options['x'] : w >> 1, 1), w - 2);
+    var y        = Math.min(Math.max((typeof options['y'] === "number") ? options['y'] : h >> 1, 1), h - 2);
+    var target   = Math.min(Math.max(Math.floor((w - 2) * (h - 2) * coverage), 1), (w - 2) * (h - 2));
+    var limit    = w * h * 20;
+    var carved   = 0;
+    var grid     = [];
+    
+    for (var i = 0; i < w * h; i++) {
+        grid.push(1);
+    }
+    
+    for (var s = 0; s < limit && carved < target; s++) {
+        if (grid[y * w + x] == 1) {
+            grid[y * w + x] = 0;
+            carved++;
+        }
+        
+        switch (random.randomInt(0, 3)) {
+            case 0: x = Math.min(x + 1, w - 2); break;
+            case 1: x = Math.max(x - 1, 1);     break;
+            case 2: y = Math.min(y + 1, h - 2); break;
+            case 3: y = Math.max(y - 1, 1);     break;
+        }
+    }
+    
+    return rune.tilemap.Generator.m_createData(options, random, grid, []);
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Carves a corridor between two points. The corridor consists of a
+ * horizontal and a vertical segment, in random order.
+ *
+ * @param {Array.<number>} grid The grid to carve in.
+ * @param {number} w The width of the grid.
+ * @param {number} x1 The x-coordinate of the first point.
+ * @param {number} y1 The y-coordinate of the first point.
+ * @param {number} x2 The x-coordinate of the second point.
+ * @param {number} y2 The y-coordinate of the second point.
+ * @param {rune.util.Random} random Random number generator.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Generator.m_carveCorridor = function(grid, w, x1, y1, x2, y2, random) {
+    var cx = random.chance(50) ? x2 : x1;
+    var cy = (cx == x2) ? y1 : y2;
+    
+    for (var x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+        grid[cy * w + x] = 0;
+    }
+    
+    for (var y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+        grid[y * w + cx] = 0;
+    }
+};
+
+/**
+ * Connects the rooms of the two halves of each area with corridors.
+ *
+ * @param {Object} area The area to connect.
+ * @param {rune.util.Random} random Random number generator.
+ * @param {Array.<number>} grid The grid to carve in.
+ * @param {number} w The width of the grid.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Generator.m_connectAreas = function(area, random, grid, w) {
+    if (area['a'] == null) return;
+    
+    rune.tilemap.Generator.m_connectAreas(area['a'], random, grid, w);
+    rune.tilemap.Generator.m_connectAreas(area['b'], random, grid, w);
+    
+    var a = random.pick(rune.tilemap.Generator.m_getRooms(area['a'], []));
+    var b = random.pick(rune.tilemap.Generator.m_getRooms(area['b'], []));
+    
+    rune.tilemap.Generator.m_carveCorridor(
+        grid,
+        w,
+        a['x'] + (a['width']  >> 1),
+        a['y'] + (a['height'] >> 1),
+        b['x'] + (b['width']  >> 1),
+        b['y'] + (b['height'] >> 1),
+        random
+    );
+};
+
+/**
+ * Counts the walls among the eight neighbours of a tile. Neighbours outside
+ * the grid are counted as walls.
+ *
+ * @param {Array.<number>} grid The grid to count in.
+ * @param {number} i Tile index.
+ * @param {number} w The width of the grid.
+ * @param {number} h The height of the grid.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.Generator.m_countWalls = function(grid, i, w, h) {
+    var x = i % w;
+    var y = Math.floor(i / w);
+    var n = 0;
+    
+    for (var ny = y - 1; ny <= y + 1; ny++) {
+        for (var nx = x - 1; nx <= x + 1; nx++) {
+            if (nx == x && ny == y) continue;
+            if (nx < 0 || ny < 0 || nx >= w || ny >= h || grid[ny * w + nx] == 1) {
+                n++;
+            }
+        }
+    }
+    
+    return n;
+};
+
+/**
+ * Creates map data from a generated grid.
+ *
+ * @param {Object} options Generation options.
+ * @param {rune.util.Random} random The generator that was used.
+ * @param {Array.<number>} grid Generated grid.
+ * @param {Array.<Object>} objects Generated object data.
+ * @param {boolean} [values=false] Whether the grid contains tile values, instead of ones for walls and zeros for open tiles.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Generator.m_createData = function(options, random, grid, objects, values) {
+    var wall  = rune.tilemap.Generator.m_getWall(options);
+    var floor = rune.tilemap.Generator.m_getFloor(options);
+    var back  = [];
+    var front = [];
+    
+    for (var i = 0; i < grid.length; i++) {
+        back.push((values == true) ? grid[i] : (grid[i] == 1) ? wall : floor);
+        front.push(0);
+    }
+    
+    return {
+        name       : options['name']       || "",
+        texture    : options['texture']    || "",
+        width      : options['width']      || 64,
+        height     : options['height']     || 48,
+        tileWidth  : options['tileWidth']  || 16,
+        tileHeight : options['tileHeight'] || 16,
+        tiles      : options['tiles']      || {},
+        properties : { seed : random['seed'] },
+        back       : back,
+        front      : front,
+        objects    : objects
+    };
+};
+
+/**
+ * Creates a room within each area that has not been divided.
+ *
+ * @param {Object} area The area to create rooms in.
+ * @param {rune.util.Random} random Random number generator.
+ * @param {number} minRoom The smallest size of a room.
+ * @param {number} padding The minimum distance between a room and the edges of its area.
+ * @param {Array.<Object>} rooms List to add created rooms to.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Generator.m_createRooms = function(area, random, minRoom, padding, rooms) {
+    if (area['a'] != null) {
+        rune.tilemap.Generator.m_createRooms(area['a'], random, minRoom, padding, rooms);
+        rune.tilemap.Generator.m_createRooms(area['b'], random, minRoom, padding, rooms);
+        return;
+    }
+    
+    var mw = Math.max(area['width']  - padding * 2, 1);
+    var mh = Math.max(area['height'] - padding * 2, 1);
+    var rw = random.randomInt(Math.min(minRoom, mw), mw);
+    var rh = random.randomInt(Math.min(minRoom, mh), mh);
+    
+    area['room'] = {
+        x      : area['x'] + Math.min(padding, area['width']  - 1) + random.randomInt(0, mw - rw),
+        y      : area['y'] + Math.min(padding, area['height'] - 1) + random.randomInt(0, mh - rh),
+        width  : rw,
+        height : rh
+    };
+    
+    rooms.push(area['room']);
+};
+
+/**
+ * Fills all open regions, except the largest one, with walls. Regions are
+ * connected orthogonally.
+ *
+ * @param {Array.<number>} grid The grid to fill.
+ * @param {number} w The width of the grid.
+ * @param {number} h The height of the grid.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Generator.m_fillRegions = function(grid, w, h) {
+    var regions = [];
+    var largest = -1;
+    var size    = 0;
+    
+    for (var i = 0; i < grid.length; i++) {
+        regions.push(-1);
+    }
+    
+    for (var j = 0; j < grid.length; j++) {
+        if (grid[j] != 0 || regions[j] > -1) continue;
+        
+        var id    = j;
+        var count = 0;
+        var stack = [j];
+        
+        regions[j] = id;
+        while (stack.length > 0) {
+            var c = stack.pop();
+            var x = c % w;
+            var y = Math.floor(c / w);
+            
+            count++;
+            
+            var n = [
+                (x > 0)     ? c - 1 : -1,
+                (x < w - 1) ? c + 1 : -1,
+                (y > 0)     ? c - w : -1,
+                (y < h - 1) ? c + w : -1
+            ];
+            
+            for (var k = 0; k < n.length; k++) {
+                if (n[k] > -1 && grid[n[k]] == 0 && regions[n[k]] == -1) {
+                    regions[n[k]] = id;
+                    stack.push(n[k]);
+                }
+            }
+        }
+        
+        if (count > size) {
+            size    = count;
+            largest = id;
+        }
+    }
+    
+    for (var l = 0; l < grid.length; l++) {
+        if (grid[l] == 0 && regions[l] != largest) {
+            grid[l] = 1;
+        }
+    }
+};
+
+/**
+ * Returns the tile value of open tiles.
+ *
+ * @param {Object} options Generation options.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.Generator.m_getFloor = function(options) {
+    return (typeof options['floor'] === "number") ? options['floor'] : 0;
+};
+
+/**
+ * Returns the random number generator of the generation. A new generator
+ * is created from the seed option, unless a generator is specified.
+ *
+ * @param {Object} options Generation options.
+ *
+ * @returns {rune.util.Random}
+ * @private
+ */
+rune.tilemap.Generator.m_getRandom = function(options) {
+    if (options['random'] instanceof rune.util.Random) {
+        return options['random'];
+    }
+    
+    return new rune.util.Random(options['seed']);
+};
+
+/**
+ * Returns all rooms within an area.
+ *
+ * @param {Object} area The area to search.
+ * @param {Array.<Object>} output List to add the rooms to.
+ *
+ * @returns {Array.<Object>}
+ * @private
+ */
+rune.tilemap.Generator.m_getRooms = function(area, output) {
+    if (area['room'] != null) {
+        output.push(area['room']);
+    } else if (area['a'] != null) {
+        rune.tilemap.Generator.m_getRooms(area['a'], output);
+        rune.tilemap.Generator.m_getRooms(area['b'], output);
+    }
+    
+    return output;
+};
+
+/**
+ * Returns the tile value of walls.
+ *
+ * @param {Object} options Generation options.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.Generator.m_getWall = function(options) {
+    return (typeof options['wall'] === "number") ? options['wall'] : 1;
+};
+
+/**
+ * Computes the dot product of a pseudorandom gradient, selected by a hash
+ * value, and a distance vector.
+ *
+ * @param {number} hash Hash value.
+ * @param {number} dx The x-component of the distance vector.
+ * @param {number} dy The y-component of the distance vector.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.Generator.m_gradient = function(hash, dx, dy) {
+    return ((hash & 1) ? -dx : dx) + ((hash & 2) ? -dy : dy);
+};
+
+/**
+ * Whether a tile is located along the edges of the grid.
+ *
+ * @param {number} i Tile index.
+ * @param {number} w The width of the grid.
+ * @param {number} h The height of the grid.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.tilemap.Generator.m_isBorder = function(i, w, h) {
+    var x = i % w;
+    var y = Math.floor(i / w);
+    
+    return x == 0 || y == 0 || x == w - 1 || y == h - 1;
+};
+
+/**
+ * Computes two-dimensional Perlin noise at a specific position.
+ *
+ * @param {Array.<number>} p Permutation table of 512 values.
+ * @param {number} x The x-coordinate of the position.
+ * @param {number} y The y-coordinate of the position.
+ *
+ * @returns {number} A number between approximately -1 and 1.
+ * @private
+ */
+rune.tilemap.Generator.m_perlin = function(p, x, y) {
+    var xi = Math.floor(x) & 255;
+    var yi = Math.floor(y) & 255;
+    var xf = x - Math.floor(x);
+    var yf = y - Math.floor(y);
+    var u  = xf * xf * xf * (xf * (xf * 6 - 15) + 10);
+    var v  = yf * yf * yf * (yf * (yf * 6 - 15) + 10);
+    
+    var aa = rune.tilemap.Generator.m_gradient(p[p[xi]     + yi],     xf,     yf);
+    var ba = rune.tilemap.Generator.m_gradient(p[p[xi + 1] + yi],     xf - 1, yf);
+    var ab = rune.tilemap.Generator.m_gradient(p[p[xi]     + yi + 1], xf,     yf - 1);
+    var bb = rune.tilemap.Generator.m_gradient(p[p[xi + 1] + yi + 1], xf - 1, yf - 1);
+    
+    var x1 = aa + u * (ba - aa);
+    var x2 = ab + u * (bb - ab);
+    
+    return x1 + v * (x2 - x1);
+};
+
+/**
+ * Recursively divides an area into two halves, until the halves would be
+ * smaller than the smallest size of an area. Areas that are clearly wider
+ * than they are tall are divided vertically, and vice versa.
+ *
+ * @param {Object} area The area to divide.
+ * @param {rune.util.Random} random Random number generator.
+ * @param {number} minArea The smallest size of an area.
+ *
+ * @returns {Object} The divided area.
+ * @private
+ */
+rune.tilemap.Generator.m_splitArea = function(area, random, minArea) {
+    var vertical = random.chance(50);
+    if (area['width']  > area['height'] * 1.25) vertical = true;
+    if (area['height'] > area['width']  * 1.25) vertical = false;
+    
+    var size = vertical ? area['width'] : area['height'];
+    if (size < minArea * 2) {
+        vertical = !vertical;
+        size     = vertical ? area['width'] : area['height'];
+        if (size < minArea * 2) {
+            return area;
+        }
+    }
+    
+    var split = random.randomInt(minArea, size - minArea);
+    if (vertical) {
+        area['a'] = { x : area['x'],         y : area['y'], width : split,                  height : area['height'] };
+        area['b'] = { x : area['x'] + split, y : area['y'], width : area['width'] - split, height : area['height'] };
+    } else {
+        area['a'] = { x : area['x'], y : area['y'],         width : area['width'], height : split };
+        area['b'] = { x : area['x'], y : area['y'] + split, width : area['width'], height : area['height'] - split };
+    }
+    
+    rune.tilemap.Generator.m_splitArea(area['a'], random, minArea);
+    rune.tilemap.Generator.m_splitArea(area['b'], random, minArea);
+    
+    return area;
+};
\ No newline at end of file
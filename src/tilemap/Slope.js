@@ -0,0 +1,232 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the Slope class.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Slope class describes the slope tile types that can be used in a
+ * Tilemap. A tile is declared as a slope via the slope property of its entry
+ * in the tile properties table of the map, for example { value: 5,
+ * collision: 4369, slope: "floor45Left" }. Floor slopes are solid below
+ * their surface, while ceiling slopes are vertically mirrored versions that
+ * are solid above their surface. The side in the name of a slope type is
+ * the side where the tile is thickest, ie. where the surface meets the
+ * opposite edge of the tile. The 22.5° slopes are divided into pairs of
+ * half-slope tiles, where the high tile contains the thickest half of the
+ * slope and the low tile the thinnest half.
+ * <br><br>
+ * Note that all class content is static, so the class never needs to be
+ * instantiated.
+ *
+ * @see rune.tilemap.TilemapLayer#hitTestAndSeparate
+ */
+rune.tilemap.Slope = function() {
+    console.warn("This class is not meant to be instantiated.");
+};
+
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * 45° ceiling slope that is thickest on the left side.
+ *
+ * @const {string}
+ * @default "ceiling45Left"
+ */
+rune.tilemap.Slope.CEILING_45_LEFT = "ceiling45Left";
+
+/**
+ * 45° ceiling slope that is thickest on the right side.
+ *
+ * @const {string}
+ * @default "ceiling45Right"
+ */
+rune.tilemap.Slope.CEILING_45_RIGHT = "ceiling45Right";
+
+/**
+ * The thickest half of a 22.5° ceiling slope that is thickest on the left
+ * side.
+ *
+ * @const {string}
+ * @default "ceiling22LeftHigh"
+ */
+rune.tilemap.Slope.CEILING_22_LEFT_HIGH = "ceiling22LeftHigh";
+
+/**
+ * The thinnest half of a 22.5° ceiling slope that is thickest on the left
+ * side.
+ *
+ * @const {string}
+ * @default "ceiling22LeftLow"
+ */
+rune.tilemap.Slope.CEILING_22_LEFT_LOW = "ceiling22LeftLow";
+
+/**
+ * The thickest half of a 22.5° ceiling slope that is thickest on the right
+ * side.
+ *
+ * @const {string}
+ * @default "ceiling22RightHigh"
+ */
+rune.tilemap.Slope.CEILING_22_RIGHT_HIGH = "ceiling22RightHigh";
+
+/**
+ * The thinnest half of a 22.5° ceiling slope that is thickest on the right
+ * side.
+ *
+ * @const {string}
+ * @default "ceiling22RightLow"
+ */
+rune.tilemap.Slope.CEILING_22_RIGHT_LOW = "ceiling22RightLow";
+
+/**
+ * 45° floor slope that is thickest on the left side, ie. a slope that
+ * descends to the right.
+ *
+ * @const {string}
+ * @default "floor45Left"
+ */
+rune.tilemap.Slope.FLOOR_45_LEFT = "floor45Left";
+
+/**
+ * 45° floor slope that is thickest on the right side, ie. a slope that
+ * ascends to the right.
+ *
+ * @const {string}
+ * @default "floor45Right"
+ */
+rune.tilemap.Slope.FLOOR_45_RIGHT = "floor45Right";
+
+/**
+ * The high half of a 22.5° floor slope that descends to the right.
+ *
+ * @const {string}
+ * @default "floor22LeftHigh"
+ */
+rune.tilemap.Slope.FLOOR_22_LEFT_HIGH = "floor22LeftHigh";
+
+/**
+ * The low half of a 22.5° floor slope that descends to the right.
+ *
+ * @const {string}
+ * @default "floor22LeftLow"
+ */
+rune.tilemap.Slope.FLOOR_22_LEFT_LOW = "floor22LeftLow";
+
+/**
+ * The high half of a 22.5° floor slope that ascends to the right.
+ *
+ * @const {string}
+ * @default "floor22RightHigh"
+ */
+rune.tilemap.Slope.FLOOR_22_RIGHT_HIGH = "floor22RightHigh";
+
+/**
+ * The low half of a 22.5° floor slope that ascends to the right.
+ *
+ * @const {string}
+ * @default "floor22RightLow"
+ */
+rune.tilemap.Slope.FLOOR_22_RIGHT_LOW = "floor22RightLow";
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * The surface of each slope type, described as the distance from the top
+ * edge of the tile to the surface at the left and right edge of the tile.
+ * The distances are specified as fractions of the tile height.
+ *
+ * @const {Object}
+ * @private
+ */
+rune.tilemap.Slope.SURFACES = {
+    "floor45Left"        : [0.0, 1.0],
+    "floor45Right"       : [1.0, 0.0],
+    "floor22LeftHigh"    : [0.0, 0.5],
+    "floor22LeftLow"     : [0.5, 1.0],
+    "floor22RightHigh"   : [0.5, 0.0],
+    "floor22RightLow"    : [1.0, 0.5],
+    "ceiling45Left"      : [1.0, 0.0],
+    "ceiling45Right"     : [0.0, 1.0],
+    "ceiling22LeftHigh"  : [1.0, 0.5],
+    "ceiling22LeftLow"   : [0.5, 0.0],
+    "ceiling22RightHigh" : [0.5, 1.0],
+    "ceiling22RightLow"  : [0.0, 0.5]
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the vertical distance that the surface of a slope changes per
+ * pixel in the x direction.
+ *
+ * @param {string} type Slope type.
+ * @param {number} width Tile width.
+ * @param {number} height Tile height.
+ *
+ * @returns {number}
+ */
+rune.tilemap.Slope.getGradient = function(type, width, height) {
+    var surface = rune.tilemap.Slope.SURFACES[type];
+    if (surface) {
+        return Math.abs(surface[1] - surface[0]) * height / width;
+    }
+    
+    return 0;
+};
+
+/**
+ * Returns the y position of the surface of a slope tile at a specific x
+ * position. Positions outside the tile are clamped to its edges.
+ *
+ * @param {string} type Slope type.
+ * @param {number} x The x position of the tile.
+ * @param {number} y The y position of the tile.
+ * @param {number} width Tile width.
+ * @param {number} height Tile height.
+ * @param {number} px The x position at which the surface is evaluated.
+ *
+ * @returns {number}
+ */
+rune.tilemap.Slope.getSurfaceY = function(type, x, y, width, height, px) {
+    var surface = rune.tilemap.Slope.SURFACES[type];
+    if (surface) {
+        var t = rune.util.Math.clamp((px - x) / width, 0, 1);
+        return y + height * (surface[0] + (surface[1] - surface[0]) * t);
+    }
+    
+    return y;
+};
+
+/**
+ * Whether the specified slope type is a ceiling slope.
+ *
+ * @param {string} type Slope type.
+ *
+ * @returns {boolean}
+ */
+rune.tilemap.Slope.isCeiling = function(type) {
+    return rune.tilemap.Slope.isSlope(type) && type.indexOf("ceiling") === 0;
+};
+
+/**
+ * Whether the specified value represents a slope type.
+ *
+ * @param {*} type The value to evaluate.
+ *
+ * @returns {boolean}
+ */
+rune.tilemap.Slope.isSlope = function(type) {
+    return typeof type === "string" && rune.tilemap.Slope.SURFACES.hasOwnProperty(type);
+};
\ No newline at end of file
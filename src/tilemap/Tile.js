@@ -36,6 +36,16 @@ rune.tilemap.Tile = function(width, height) {
      */
     this.m_index = 0;
     
+    /**
+     * Slope type of the Tile object, or an empty string if the object is 
+     * not a slope.
+     *
+     * @type {string}
+     * @private
+     * @ignore
+     */
+    this.m_slope = "";
+    
     /**
      * The value of the Tile object, i.e. what the object represents in 
      * the map.
@@ -229,6 +239,27 @@ Object.defineProperty(rune.tilemap.Tile.prototype, "index", {
     }
 });
 
+/**
+ * Slope type of the Tile object, or an empty string if the object is not a 
+ * slope.
+ *
+ * @see rune.tilemap.Slope
+ *
+ * @member {string} slope
+ * @memberof rune.tilemap.Tile
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.Tile.prototype, "slope", {
+    /**
+     * @this rune.tilemap.Tile
+     * @ignore
+     */
+    get : function() {
+        return this.m_slope;
+    }
+});
+
 /**
  * The value of the Tile object, i.e. what the object represents in 
  * the map.
@@ -274,8 +305,12 @@ rune.tilemap.Tile.prototype.set = function(i, x, y, p) {
     if (p) {
         this.m_value = p['value'];
         this.m_allowCollisions = parseInt(Number(p['collision']), 10) || rune.physics.Space.NONE;
+        this.m_slope = rune.tilemap.Slope.isSlope(p['slope']) ? p['slope'] : "";
+        this.oneWay = p['oneWay'] === true;
     } else {
         this.m_value = 0;
         this.m_allowCollisions = rune.physics.Space.NONE;
+        this.m_slope = "";
+        this.oneWay = false;
     }
 };
\ No newline at end of file
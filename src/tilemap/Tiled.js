@@ -0,0 +1,715 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the Tiled class.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Tiled class contains static methods for converting maps created with
+ * the Tiled map editor (https://www.mapeditor.org) into map data that can be
+ * loaded by a Tilemap. Both the JSON (TMJ) and XML (TMX) formats are
+ * supported. Tile layers are converted into TilemapLayer data, where visible
+ * layers are merged into the back or front buffer of the map. Tile
+ * properties are converted into the property table of the map, while object
+ * layers are converted into TilemapObject data.
+ * <br><br>
+ * Note that the converter supports orthogonal, finite maps that use a single
+ * tileset. Layer data must be stored as CSV, XML or uncompressed Base64.
+ * Note that all class content is static, so the class never needs to be
+ * instantiated.
+ *
+ * @see rune.tilemap.Tilemap
+ */
+rune.tilemap.Tiled = function() {
+    console.warn("This class is not meant to be instantiated.");
+};
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Bit flag used by Tiled to indicate that a tile is flipped diagonally.
+ *
+ * @const {number}
+ * @private
+ */
+rune.tilemap.Tiled.FLIPPED_DIAGONALLY = 0x20000000;
+
+/**
+ * Bit flag used by Tiled to indicate that a tile is flipped horizontally.
+ *
+ * @const {number}
+ * @private
+ */
+rune.tilemap.Tiled.FLIPPED_HORIZONTALLY = 0x80000000;
+
+/**
+ * Bit flag used by Tiled to indicate that a tile is flipped vertically.
+ *
+ * @const {number}
+ * @private
+ */
+rune.tilemap.Tiled.FLIPPED_VERTICALLY = 0x40000000;
+
+/**
+ * Bit mask used to extract the global tile ID from a tile value.
+ *
+ * @const {number}
+ * @private
+ */
+rune.tilemap.Tiled.GID_MASK = 0x1FFFFFFF;
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Determines whether the specified data represents a Tiled map, either as a
+ * parsed JSON object (TMJ) or as an XML string (TMX).
+ *
+ * @param {Object|string} data The data to evaluate.
+ *
+ * @returns {boolean}
+ */
+rune.tilemap.Tiled.isTiled = function(data) {
+    if (typeof data === "string") {
+        return data.indexOf("<map") > -1;
+    } else if (data != null && typeof data === "object") {
+        return Array.isArray(data['layers']) && data['tilewidth'] != null;
+    }
+    
+    return false;
+};
+
+/**
+ * Converts a Tiled map (TMJ or TMX) into map data that can be loaded by a
+ * Tilemap.
+ *
+ * @param {Object|string} data Tiled map, as a parsed JSON object or an XML string.
+ * @param {string} [name] The name of the map.
+ *
+ * @throws {Error} In case of unsupported or corrupt map data.
+ *
+ * @returns {Object}
+ */
+rune.tilemap.Tiled.parse = function(data, name) {
+    if (typeof data === "string") {
+        data = rune.tilemap.Tiled.m_parseXML(data);
+    }
+    
+    if (!rune.tilemap.Tiled.isTiled(data)) throw new Error("Invalid map");
+    if (data['infinite'] == true) throw new Error("Infinite maps are not supported.");
+    if (data['orientation'] && data['orientation'] != "orthogonal") throw new Error("Unsupported map orientation.");
+    
+    var properties = rune.tilemap.Tiled.m_parseProperties(data['properties']);
+    var tileset    = rune.tilemap.Tiled.m_parseTileset(data['tilesets']);
+    var numTiles   = data['width'] * data['height'];
+    var output     = {
+        name       : properties['name']    || name || "",
+        texture    : properties['texture'] || tileset['name'],
+        width      : data['width'],
+        height     : data['height'],
+        tileWidth  : data['tilewidth'],
+        tileHeight : data['tileheight'],
+        tiles      : tileset['tiles'],
+        back       : rune.tilemap.Tiled.m_createArray(numTiles),
+        backFlags  : rune.tilemap.Tiled.m_createArray(numTiles),
+        front      : rune.tilemap.Tiled.m_createArray(numTiles),
+        frontFlags : rune.tilemap.Tiled.m_createArray(numTiles),
+        layers     : [],
+        objects    : [],
+        properties : properties
+    };
+    
+    var layers = [];
+    rune.tilemap.Tiled.m_flattenLayers(data['layers'], true, layers);
+    
+    for (var i = 0; i < layers.length; i++) {
+        var layer = layers[i];
+        if (layer['type'] == "tilelayer") {
+            rune.tilemap.Tiled.m_parseTileLayer(layer, tileset, output);
+        } else if (layer['type'] == "objectgroup") {
+            rune.tilemap.Tiled.m_parseObjectLayer(layer, tileset, output);
+        }
+    }
+    
+    return output;
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates an array of the specified length, filled with zeros.
+ *
+ * @param {number} length The length of the array.
+ *
+ * @returns {Array.<number>}
+ * @private
+ */
+rune.tilemap.Tiled.m_createArray = function(length) {
+    var a = new Array(length);
+    for (var i = 0; i < length; i++) {
+        a[i] = 0;
+    }
+    
+    return a;
+};
+
+/**
+ * Decodes the tile data of a tile layer into a list of global tile IDs.
+ *
+ * @param {Object} layer Tile layer.
+ *
+ * @throws {Error} In case of unsupported encoding or compression.
+ *
+ * @returns {Array.<number>}
+ * @private
+ */
+rune.tilemap.Tiled.m_decodeData = function(layer) {
+    var data = layer['data'];
+    if (Array.isArray(data)) {
+        return data;
+    }
+    
+    if (layer['compression']) {
+        throw new Error("Compressed layer data is not supported.");
+    }
+    
+    var out = [];
+    if (layer['encoding'] == "base64") {
+        var str = window.atob(String(data).trim());
+        for (var i = 0; i + 3 < str.length; i += 4) {
+            out.push((
+                (str.charCodeAt(i)) |
+                (str.charCodeAt(i + 1) << 8) |
+                (str.charCodeAt(i + 2) << 16) |
+                (str.charCodeAt(i + 3) << 24)
+            ) >>> 0);
+        }
+    } else if (layer['encoding'] == "csv") {
+        var values = String(data).split(",");
+        for (var j = 0; j < values.length; j++) {
+            out.push(Number(values[j]) >>> 0);
+        }
+    } else throw new Error("Unsupported layer encoding.");
+    
+    return out;
+};
+
+/**
+ * Flattens group layers into a single list of layers. Layers inherit the
+ * visibility of their parent group.
+ *
+ * @param {Array.<Object>} layers Layers to flatten.
+ * @param {boolean} visible Visibility of the parent group.
+ * @param {Array.<Object>} output Output list.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tiled.m_flattenLayers = function(layers, visible, output) {
+    layers = layers || [];
+    for (var i = 0; i < layers.length; i++) {
+        var layer = layers[i];
+        var v = visible && layer['visible'] !== false;
+        if (layer['type'] == "group") {
+            rune.tilemap.Tiled.m_flattenLayers(layer['layers'], v, output);
+        } else {
+            layer['visible'] = v;
+            output.push(layer);
+        }
+    }
+};
+
+/**
+ * Converts a global tile ID into a tile value and flip flags.
+ *
+ * @param {number} gid Global tile ID, including flip flags.
+ * @param {Object} tileset The tileset of the map.
+ * @param {Object} output Object in which the value and flags are stored.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseGID = function(gid, tileset, output) {
+    var id = gid & rune.tilemap.Tiled.GID_MASK;
+    var f  = rune.tilemap.TilemapLayer.FLIP_NONE;
+    
+    if (gid & rune.tilemap.Tiled.FLIPPED_HORIZONTALLY) f |= rune.tilemap.TilemapLayer.FLIP_HORIZONTAL;
+    if (gid & rune.tilemap.Tiled.FLIPPED_VERTICALLY)   f |= rune.tilemap.TilemapLayer.FLIP_VERTICAL;
+    if (gid & rune.tilemap.Tiled.FLIPPED_DIAGONALLY)   f |= rune.tilemap.TilemapLayer.FLIP_DIAGONAL;
+    
+    output['value'] = (id > 0) ? id - tileset['firstgid'] + 1 : 0;
+    output['flags'] = (id > 0) ? f : rune.tilemap.TilemapLayer.FLIP_NONE;
+    
+    return output;
+};
+
+/**
+ * Converts an object layer into TilemapObject data.
+ *
+ * @param {Object} layer Object layer.
+ * @param {Object} tileset The tileset of the map.
+ * @param {Object} output Map data.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseObjectLayer = function(layer, tileset, output) {
+    var objects = layer['objects'] || [];
+    var ox = layer['offsetx'] || 0;
+    var oy = layer['offsety'] || 0;
+    var tmp = {};
+    
+    for (var i = 0; i < objects.length; i++) {
+        var obj = objects[i];
+        var out = {
+            id         : obj['id'] || 0,
+            name       : obj['name'] || "",
+            type       : obj['type'] || obj['class'] || "",
+            layer      : layer['name'] || "",
+            x          : (obj['x'] || 0) + ox,
+            y          : (obj['y'] || 0) + oy,
+            width      : obj['width']  || 0,
+            height     : obj['height'] || 0,
+            rotation   : obj['rotation'] || 0,
+            shape      : "rectangle",
+            points     : [],
+            properties : rune.tilemap.Tiled.m_parseProperties(obj['properties']),
+            value      : 0
+        };
+        
+        if (obj['point'] == true) {
+            out['shape'] = "point";
+        } else if (obj['ellipse'] == true) {
+            out['shape'] = "ellipse";
+        } else if (obj['gid'] != null) {
+            //@note: Tile objects are positioned by their bottom-left corner.
+            rune.tilemap.Tiled.m_parseGID(obj['gid'], tileset, tmp);
+            out['shape'] = "tile";
+            out['value'] = tmp['value'];
+            out['y']    -= out['height'];
+        } else if (obj['polygon'] || obj['polyline']) {
+            var points = obj['polygon'] || obj['polyline'];
+            out['shape'] = (obj['polygon']) ? "polygon" : "polyline";
+            for (var j = 0; j < points.length; j++) {
+                out['points'].push({
+                    x: out['x'] + points[j]['x'],
+                    y: out['y'] + points[j]['y']
+                });
+            }
+        }
+        
+        output['objects'].push(out);
+    }
+};
+
+/**
+ * Converts Tiled properties into a key-value object. Supports both the
+ * list-based format, and the older object-based format.
+ *
+ * @param {Array.<Object>|Object} properties Tiled properties.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseProperties = function(properties) {
+    var out = {};
+    if (Array.isArray(properties)) {
+        for (var i = 0; i < properties.length; i++) {
+            out[properties[i]['name']] = properties[i]['value'];
+        }
+    } else if (properties != null && typeof properties === "object") {
+        for (var k in properties) {
+            out[k] = properties[k];
+        }
+    }
+    
+    return out;
+};
+
+/**
+ * Converts a tile layer into TilemapLayer data. Visible layers are also
+ * merged into the back or front buffer of the map. A layer is merged into
+ * the front buffer if it has a property named "buffer" with the value
+ * "front", or if the layer is named "front".
+ *
+ * @param {Object} layer Tile layer.
+ * @param {Object} tileset The tileset of the map.
+ * @param {Object} output Map data.
+ *
+ * @throws {Error} If the size of the layer does not match the size of the map.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseTileLayer = function(layer, tileset, output) {
+    var gids = rune.tilemap.Tiled.m_decodeData(layer);
+    if (gids.length !== output['back'].length) {
+        throw new Error("Invalid map data.");
+    }
+    
+    var properties = rune.tilemap.Tiled.m_parseProperties(layer['properties']);
+    var name   = layer['name'] || "";
+    var front  = (properties['buffer'] == "front") || (name.toLowerCase() == "front");
+    var data   = rune.tilemap.Tiled.m_createArray(gids.length);
+    var flags  = rune.tilemap.Tiled.m_createArray(gids.length);
+    var buffer = (front) ? output['front'] : output['back'];
+    var bflags = (front) ? output['frontFlags'] : output['backFlags'];
+    var tmp    = {};
+    
+    for (var i = 0; i < gids.length; i++) {
+        rune.tilemap.Tiled.m_parseGID(gids[i], tileset, tmp);
+        data[i]  = tmp['value'];
+        flags[i] = tmp['flags'];
+        
+        if (layer['visible'] == true && tmp['value'] > 0) {
+            buffer[i] = tmp['value'];
+            bflags[i] = tmp['flags'];
+        }
+    }
+    
+    output['layers'].push({
+        name       : name,
+        data       : data,
+        flags      : flags,
+        visible    : layer['visible'],
+        properties : properties
+    });
+};
+
+/**
+ * Converts the tileset of the map into a tile property table. A tile's
+ * "collision" property is used as its collision data. Boolean collision
+ * properties, as well as tiles with collision shapes, are assigned collision
+ * in all directions. Tile animations are converted into frame sequences.
+ *
+ * @param {Array.<Object>} tilesets Tilesets of the map.
+ *
+ * @throws {Error} If the map does not contain any tileset.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseTileset = function(tilesets) {
+    if (!Array.isArray(tilesets) || tilesets.length == 0) {
+        throw new Error("Invalid tileset");
+    }
+    
+    if (tilesets.length > 1) {
+        console.warn("Multiple tilesets are not supported, only the first tileset is used.");
+    }
+    
+    var tileset = tilesets[0];
+    var tiles   = tileset['tiles'] || [];
+    var output  = {
+        firstgid : tileset['firstgid'] || 1,
+        name     : tileset['name'] || "",
+        tiles    : {}
+    };
+    
+    //@note: External tilesets are identified by their file name.
+    if (output['name'] == "" && typeof tileset['source'] === "string") {
+        output['name'] = tileset['source'].split("/").pop().split(".")[0];
+    }
+    
+    //@note: Tiled 1.1 and older stores tile data as an object.
+    if (!Array.isArray(tiles)) {
+        var list = [];
+        for (var k in tiles) {
+            tiles[k]['id'] = parseInt(k, 10);
+            list.push(tiles[k]);
+        }
+        
+        tiles = list;
+    }
+    
+    for (var i = 0; i < tiles.length; i++) {
+        var tile  = tiles[i];
+        var props = rune.tilemap.Tiled.m_parseProperties(tile['properties'] || (tileset['tileproperties'] || {})[tile['id']]);
+        var value = tile['id'] + 1;
+        
+        if (typeof props['collision'] === "boolean") {
+            props['collision'] = (props['collision']) ? rune.physics.Space.ANY : rune.physics.Space.NONE;
+        } else if (props['collision'] == null && tile['objectgroup'] != null && (tile['objectgroup']['objects'] || []).length > 0) {
+            props['collision'] = rune.physics.Space.ANY;
+        }
+        
+        if (tile['type'] || tile['class']) {
+            props['type'] = tile['type'] || tile['class'];
+        }
+        
+        if (Array.isArray(tile['animation']) && tile['animation'].length > 0) {
+            props['frames']    = [];
+            props['durations'] = [];
+            for (var j = 0; j < tile['animation'].length; j++) {
+                props['frames'].push(tile['animation'][j]['tileid'] + 1);
+                props['durations'].push(tile['animation'][j]['duration']);
+            }
+        }
+        
+        props['value'] = value;
+        output['tiles']["tile" + value] = props;
+    }
+    
+    return output;
+};
+
+/**
+ * Converts a Tiled XML map (TMX) into the same structure as a Tiled JSON
+ * map (TMJ).
+ *
+ * @param {string} str XML string.
+ *
+ * @throws {Error} If the XML string could not be parsed.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseXML = function(str) {
+    var doc = new DOMParser().parseFromString(str, "text/xml");
+    var map = doc.getElementsByTagName("map")[0];
+    if (map == null) throw new Error("Invalid map");
+    
+    var out = {
+        width       : rune.tilemap.Tiled.m_parseXMLNumber(map, "width"),
+        height      : rune.tilemap.Tiled.m_parseXMLNumber(map, "height"),
+        tilewidth   : rune.tilemap.Tiled.m_parseXMLNumber(map, "tilewidth"),
+        tileheight  : rune.tilemap.Tiled.m_parseXMLNumber(map, "tileheight"),
+        orientation : map.getAttribute("orientation"),
+        infinite    : map.getAttribute("infinite") == "1",
+        properties  : rune.tilemap.Tiled.m_parseXMLProperties(map),
+        tilesets    : [],
+        layers      : rune.tilemap.Tiled.m_parseXMLLayers(map)
+    };
+    
+    var tilesets = rune.tilemap.Tiled.m_getXMLChildren(map, "tileset");
+    for (var i = 0; i < tilesets.length; i++) {
+        var tileset = {
+            firstgid : rune.tilemap.Tiled.m_parseXMLNumber(tilesets[i], "firstgid"),
+            name     : tilesets[i].getAttribute("name") || "",
+            source   : tilesets[i].getAttribute("source"),
+            tiles    : []
+        };
+        
+        var tiles = rune.tilemap.Tiled.m_getXMLChildren(tilesets[i], "tile");
+        for (var j = 0; j < tiles.length; j++) {
+            var tile = {
+                id         : rune.tilemap.Tiled.m_parseXMLNumber(tiles[j], "id"),
+                type       : tiles[j].getAttribute("type") || tiles[j].getAttribute("class") || "",
+                properties : rune.tilemap.Tiled.m_parseXMLProperties(tiles[j])
+            };
+            
+            var groups = rune.tilemap.Tiled.m_getXMLChildren(tiles[j], "objectgroup");
+            if (groups.length > 0) {
+                tile['objectgroup'] = {
+                    objects: rune.tilemap.Tiled.m_getXMLChildren(groups[0], "object")
+                };
+            }
+            
+            var animations = rune.tilemap.Tiled.m_getXMLChildren(tiles[j], "animation");
+            if (animations.length > 0) {
+                var frames = rune.tilemap.Tiled.m_getXMLChildren(animations[0], "frame");
+                tile['animation'] = [];
+                for (var f = 0; f < frames.length; f++) {
+                    tile['animation'].push({
+                        tileid   : rune.tilemap.Tiled.m_parseXMLNumber(frames[f], "tileid"),
+                        duration : rune.tilemap.Tiled.m_parseXMLNumber(frames[f], "duration")
+                    });
+                }
+            }
+            
+            tileset['tiles'].push(tile);
+        }
+        
+        out['tilesets'].push(tileset);
+    }
+    
+    return out;
+};
+
+/**
+ * Converts the layers of an XML element into the same structure as a Tiled
+ * JSON map (TMJ).
+ *
+ * @param {Element} parent The parent element.
+ *
+ * @returns {Array.<Object>}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseXMLLayers = function(parent) {
+    var out = [];
+    var children = parent.children;
+    for (var i = 0; i < children.length; i++) {
+        var el = children[i];
+        var layer = {
+            name       : el.getAttribute("name") || "",
+            visible    : el.getAttribute("visible") != "0",
+            offsetx    : rune.tilemap.Tiled.m_parseXMLNumber(el, "offsetx"),
+            offsety    : rune.tilemap.Tiled.m_parseXMLNumber(el, "offsety"),
+            properties : rune.tilemap.Tiled.m_parseXMLProperties(el)
+        };
+        
+        if (el.tagName == "layer") {
+            var data = rune.tilemap.Tiled.m_getXMLChildren(el, "data")[0];
+            layer['type']        = "tilelayer";
+            layer['encoding']    = data.getAttribute("encoding");
+            layer['compression'] = data.getAttribute("compression");
+            layer['data']        = data.textContent;
+            
+            if (layer['encoding'] == null) {
+                var tiles = rune.tilemap.Tiled.m_getXMLChildren(data, "tile");
+                layer['data'] = [];
+                for (var j = 0; j < tiles.length; j++) {
+                    layer['data'].push(Number(tiles[j].getAttribute("gid") || 0) >>> 0);
+                }
+            }
+        } else if (el.tagName == "objectgroup") {
+            layer['type']    = "objectgroup";
+            layer['objects'] = [];
+            
+            var objects = rune.tilemap.Tiled.m_getXMLChildren(el, "object");
+            for (var k = 0; k < objects.length; k++) {
+                layer['objects'].push(rune.tilemap.Tiled.m_parseXMLObject(objects[k]));
+            }
+        } else if (el.tagName == "group") {
+            layer['type']   = "group";
+            layer['layers'] = rune.tilemap.Tiled.m_parseXMLLayers(el);
+        } else continue;
+        
+        out.push(layer);
+    }
+    
+    return out;
+};
+
+/**
+ * Converts an XML object element into the same structure as a Tiled JSON
+ * map (TMJ).
+ *
+ * @param {Element} el Object element.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseXMLObject = function(el) {
+    var out = {
+        id         : rune.tilemap.Tiled.m_parseXMLNumber(el, "id"),
+        name       : el.getAttribute("name") || "",
+        type       : el.getAttribute("type") || el.getAttribute("class") || "",
+        x          : rune.tilemap.Tiled.m_parseXMLNumber(el, "x"),
+        y          : rune.tilemap.Tiled.m_parseXMLNumber(el, "y"),
+        width      : rune.tilemap.Tiled.m_parseXMLNumber(el, "width"),
+        height     : rune.tilemap.Tiled.m_parseXMLNumber(el, "height"),
+        rotation   : rune.tilemap.Tiled.m_parseXMLNumber(el, "rotation"),
+        properties : rune.tilemap.Tiled.m_parseXMLProperties(el)
+    };
+    
+    if (el.getAttribute("gid") != null) {
+        out['gid'] = Number(el.getAttribute("gid")) >>> 0;
+    }
+    
+    if (rune.tilemap.Tiled.m_getXMLChildren(el, "point").length > 0) {
+        out['point'] = true;
+    } else if (rune.tilemap.Tiled.m_getXMLChildren(el, "ellipse").length > 0) {
+        out['ellipse'] = true;
+    } else {
+        var poly = rune.tilemap.Tiled.m_getXMLChildren(el, "polygon")[0] ||
+                   rune.tilemap.Tiled.m_getXMLChildren(el, "polyline")[0];
+        
+        if (poly != null) {
+            var points = [];
+            var pairs = (poly.getAttribute("points") || "").split(" ");
+            for (var i = 0; i < pairs.length; i++) {
+                var xy = pairs[i].split(",");
+                points.push({
+                    x: Number(xy[0]) || 0,
+                    y: Number(xy[1]) || 0
+                });
+            }
+            
+            out[poly.tagName] = points;
+        }
+    }
+    
+    return out;
+};
+
+/**
+ * Converts the properties of an XML element into a key-value object.
+ *
+ * @param {Element} el The element that owns the properties.
+ *
+ * @returns {Object}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseXMLProperties = function(el) {
+    var out = {};
+    var properties = rune.tilemap.Tiled.m_getXMLChildren(el, "properties")[0];
+    if (properties != null) {
+        var list = rune.tilemap.Tiled.m_getXMLChildren(properties, "property");
+        for (var i = 0; i < list.length; i++) {
+            var type  = list[i].getAttribute("type");
+            var value = list[i].getAttribute("value");
+            if (value == null) value = list[i].textContent;
+            
+            switch (type) {
+                case "bool":
+                    value = (value == "true");
+                    break;
+                
+                case "int":
+                case "float":
+                case "object":
+                    value = Number(value);
+                    break;
+            }
+            
+            out[list[i].getAttribute("name")] = value;
+        }
+    }
+    
+    return out;
+};
+
+/**
+ * Reads a numeric attribute of an XML element.
+ *
+ * @param {Element} el The element.
+ * @param {string} name Attribute name.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.Tiled.m_parseXMLNumber = function(el, name) {
+    return Number(el.getAttribute(name)) || 0;
+};
+
+/**
+ * Returns the direct child elements of an XML element with a specific tag
+ * name.
+ *
+ * @param {Element} el The parent element.
+ * @param {string} tag Tag name.
+ *
+ * @returns {Array.<Element>}
+ * @private
+ */
+rune.tilemap.Tiled.m_getXMLChildren = function(el, tag) {
+    var out = [];
+    for (var i = 0; i < el.children.length; i++) {
+        if (el.children[i].tagName == tag) {
+            out.push(el.children[i]);
+        }
+    }
+    
+    return out;
+};
\ No newline at end of file
@@ -14,9 +14,28 @@
  * textured rectangles (Tiles). A Tilemap contains two layers (buffers) of 
  * tiles; back and front, where each layer is represented by a TilemapLayer 
  * object. Rune's Scene objects automatically instantiate their own Tilemap.
+ * <br><br>
+ * In addition to the back and front buffer, a map can contain any number of 
+ * named layers and objects. Maps created with the Tiled map editor (TMJ or 
+ * TMX) are automatically converted when loaded. Large maps can be divided 
+ * into chunks, which are streamed as the cameras move.
+ * <br><br>
+ * Tiles can be animated by declaring a frame sequence in the tile property 
+ * table, for example { value: 5, frames: [5, 6, 7], durations: [100, 100, 
+ * 200] }, where each frame is a tile value whose texture is drawn and each 
+ * duration is given in milliseconds. A single duration can be declared for 
+ * all frames via the duration property. Animations are advanced 
+ * automatically, and do not affect the properties of the tile.
+ * <br><br>
+ * Auto-tiling rule sets (AutoTile objects) can be added to the map, or 
+ * declared in the autoTiles list of the map data. When a tile value of a 
+ * layer changes, the tile and its neighbours then get the variant that 
+ * matches their neighbourhood.
  *
  * @see rune.scene.Scene
  * @see rune.tilemap.TilemapLayer
+ * @see rune.tilemap.Tiled
+ * @see rune.tilemap.AutoTile
  */
 rune.tilemap.Tilemap = function() {
     
@@ -24,6 +43,22 @@ rune.tilemap.Tilemap = function() {
     // Private properties
     //--------------------------------------------------------------------------
     
+    /**
+     * Animated tiles of the map, indexed by tile value.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_animations = {};
+    
+    /**
+     * Auto-tiling rule sets of the map.
+     *
+     * @type {Array.<rune.tilemap.AutoTile>}
+     * @private
+     */
+    this.m_autoTiles = [];
+    
     /**
      * The back buffer.
      *
@@ -40,6 +75,14 @@ rune.tilemap.Tilemap = function() {
      */
     this.m_bufferB = null;
     
+    /**
+     * Chunks of the back and front buffer, if the map is chunked.
+     *
+     * @type {rune.tilemap.TilemapChunks}
+     * @private
+     */
+    this.m_chunks = null;
+    
     /**
      * The height of the tile map, given in number of tiles.
      *
@@ -48,6 +91,14 @@ rune.tilemap.Tilemap = function() {
      */
     this.m_heightInTiles = 0;
     
+    /**
+     * Named layers of the map.
+     *
+     * @type {Object.<string, rune.tilemap.TilemapLayer>}
+     * @private
+     */
+    this.m_layers = {};
+    
     /**
      * The name of the current map.
      *
@@ -56,6 +107,22 @@ rune.tilemap.Tilemap = function() {
      */
     this.m_name = "";
     
+    /**
+     * Objects (named rectangles and points) of the map.
+     *
+     * @type {Array.<rune.tilemap.TilemapObject>}
+     * @private
+     */
+    this.m_objects = [];
+    
+    /**
+     * Custom properties of the map.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_properties = {};
+    
     /**
      * The name of the texture that the map uses.
      *
@@ -90,6 +157,14 @@ rune.tilemap.Tilemap = function() {
      */
     this.m_tmpRect = new rune.geom.Rectangle();
     
+    /**
+     * The time, in milliseconds, that tile animations have been playing.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_time = 0;
+    
     /**
      * The height of a Tile, given in pixels.
      *
@@ -172,6 +247,25 @@ Object.defineProperty(rune.tilemap.Tilemap.prototype, "back", {
     }
 });
 
+/**
+ * Chunks of the back and front buffer, if the map is chunked. The reference 
+ * is null for ordinary maps.
+ *
+ * @member {rune.tilemap.TilemapChunks} chunks
+ * @memberof rune.tilemap.Tilemap
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.Tilemap.prototype, "chunks", {
+    /**
+     * @this rune.tilemap.Tilemap
+     * @ignore
+     */
+    get : function() {
+        return this.m_chunks;
+    }
+});
+
 /**
  * Reference to the Tilemap's front buffer, i.e. the top layer in the layer 
  * hierarchy. Note that this layer is rendered on top of both the 
@@ -193,6 +287,24 @@ Object.defineProperty(rune.tilemap.Tilemap.prototype, "front", {
     }
 });
 
+/**
+ * The current height of the map, specified in pixels.
+ *
+ * @member {number} height
+ * @memberof rune.tilemap.Tilemap
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.Tilemap.prototype, "height", {
+    /**
+     * @this rune.tilemap.Tilemap
+     * @ignore
+     */
+    get : function() {
+        return this.m_heightInTiles * this.m_tileHeight;
+    }
+});
+
 /**
  * The height of the tile map, given in number of tiles.
  *
@@ -231,6 +343,26 @@ Object.defineProperty(rune.tilemap.Tilemap.prototype, "name", {
     }
 });
 
+/**
+ * Objects (named rectangles and points) of the current map, such as spawn 
+ * points and trigger areas. Note that this reference is intended for 
+ * read-only purposes; avoid modifying this list directly.
+ *
+ * @member {Array.<rune.tilemap.TilemapObject>} objects
+ * @memberof rune.tilemap.Tilemap
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.Tilemap.prototype, "objects", {
+    /**
+     * @this rune.tilemap.Tilemap
+     * @ignore
+     */
+    get : function() {
+        return this.m_objects;
+    }
+});
+
 /**
  * The total number of Tiles included in the current map.
  *
@@ -249,6 +381,24 @@ Object.defineProperty(rune.tilemap.Tilemap.prototype, "numTiles", {
     }
 });
 
+/**
+ * Custom properties of the current map.
+ *
+ * @member {Object} properties
+ * @memberof rune.tilemap.Tilemap
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.Tilemap.prototype, "properties", {
+    /**
+     * @this rune.tilemap.Tilemap
+     * @ignore
+     */
+    get : function() {
+        return this.m_properties;
+    }
+});
+
 /**
  * Reference to the texture the map uses for its Tiles.
  *
@@ -367,6 +517,23 @@ Object.defineProperty(rune.tilemap.Tilemap.prototype, "application", {
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
 
+/**
+ * Adds an auto-tiling rule set to the map. Note that tiles that already 
+ * exist are not affected until they, or their neighbours, change. Use the 
+ * applyAutoTiles method of TilemapLayer to update an entire layer.
+ *
+ * @param {rune.tilemap.AutoTile} autoTile The rule set to add.
+ *
+ * @returns {rune.tilemap.AutoTile}
+ */
+rune.tilemap.Tilemap.prototype.addAutoTile = function(autoTile) {
+    if (this.m_autoTiles.indexOf(autoTile) == -1) {
+        this.m_autoTiles.push(autoTile);
+    }
+    
+    return autoTile;
+};
+
 /**
  * Resets the map.
  *
@@ -380,6 +547,13 @@ rune.tilemap.Tilemap.prototype.clear = function() {
     this.m_tileHeight    = 0;
     this.m_tileWidth     = 0;
     this.m_tiles         = {};
+    this.m_properties    = {};
+    this.m_animations    = {};
+    this.m_autoTiles     = [];
+    this.m_time          = 0;
+    
+    this.m_disposeLayers();
+    this.m_disposeObjects();
     
     if (this.m_bufferA) {
         this.m_bufferA.clear();
@@ -388,6 +562,26 @@ rune.tilemap.Tilemap.prototype.clear = function() {
     if (this.m_bufferB) {
         this.m_bufferB.clear();
     }
+    
+    this.m_disposeChunks();
+};
+
+/**
+ * Returns the first auto-tiling rule set that contains a specific tile 
+ * value.
+ *
+ * @param {number} v Tile value.
+ *
+ * @returns {rune.tilemap.AutoTile} The rule set, or null if the value does not belong to any rule set.
+ */
+rune.tilemap.Tilemap.prototype.getAutoTileOf = function(v) {
+    for (var i = 0; i < this.m_autoTiles.length; i++) {
+        if (this.m_autoTiles[i].contains(v)) {
+            return this.m_autoTiles[i];
+        }
+    }
+    
+    return null;
 };
 
 /**
@@ -405,16 +599,123 @@ rune.tilemap.Tilemap.prototype.getBlock = function(v) {
     );
 };
 
+/**
+ * Returns a named layer of the map. Named layers are not rendered, but can 
+ * be used to store map data such as collision or spawn information. Note 
+ * that visible layers of Tiled maps are also merged into the back and front 
+ * buffer.
+ *
+ * @param {string} name The name of the layer.
+ *
+ * @returns {rune.tilemap.TilemapLayer} The layer, or null if no layer with the specified name exists.
+ */
+rune.tilemap.Tilemap.prototype.getLayer = function(name) {
+    return this.m_layers[name] || null;
+};
+
+/**
+ * Returns the first object with the specified name.
+ *
+ * @param {string} name The name of the object.
+ *
+ * @returns {rune.tilemap.TilemapObject} The object, or null if no object with the specified name exists.
+ */
+rune.tilemap.Tilemap.prototype.getObject = function(name) {
+    for (var i = 0; i < this.m_objects.length; i++) {
+        if (this.m_objects[i]['name'] == name) {
+            return this.m_objects[i];
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Returns all objects with the specified name. If no name is specified, all 
+ * objects of the map are returned.
+ *
+ * @param {string} [name] The name of the objects.
+ *
+ * @returns {Array.<rune.tilemap.TilemapObject>}
+ */
+rune.tilemap.Tilemap.prototype.getObjects = function(name) {
+    var o = [];
+    for (var i = 0; i < this.m_objects.length; i++) {
+        if (name == null || this.m_objects[i]['name'] == name) {
+            o.push(this.m_objects[i]);
+        }
+    }
+    
+    return o;
+};
+
+/**
+ * Returns all objects that belong to the specified layer.
+ *
+ * @param {string} layer The name of the layer.
+ *
+ * @returns {Array.<rune.tilemap.TilemapObject>}
+ */
+rune.tilemap.Tilemap.prototype.getObjectsOfLayer = function(layer) {
+    var o = [];
+    for (var i = 0; i < this.m_objects.length; i++) {
+        if (this.m_objects[i]['layer'] == layer) {
+            o.push(this.m_objects[i]);
+        }
+    }
+    
+    return o;
+};
+
+/**
+ * Returns all objects of the specified type (class). Useful when spawning 
+ * entities from map data.
+ *
+ * @param {string} type The type of the objects.
+ *
+ * @returns {Array.<rune.tilemap.TilemapObject>}
+ */
+rune.tilemap.Tilemap.prototype.getObjectsOfType = function(type) {
+    var o = [];
+    for (var i = 0; i < this.m_objects.length; i++) {
+        if (this.m_objects[i]['type'] == type) {
+            o.push(this.m_objects[i]);
+        }
+    }
+    
+    return o;
+};
+
+/**
+ * Returns the tile value whose texture is currently drawn for a specific 
+ * tile value. For animated tiles, this is the value of the current frame, 
+ * otherwise the tile value itself is returned.
+ *
+ * @param {number} v Tile value.
+ *
+ * @returns {number}
+ */
+rune.tilemap.Tilemap.prototype.getTileFrameOf = function(v) {
+    var a = this.m_animations[v];
+    if (a) {
+        return a['frames'][a['frame']];
+    }
+    
+    return v;
+};
+
 /**
  * Returns a rectangle object that describes a value's location in the 
  * texture atlas. The method is mainly intended for internal use, 
- * but can be useful if you want to copy a "piece" of the texture atlas.
+ * but can be useful if you want to copy a "piece" of the texture atlas. 
+ * The location of animated tiles is based on their current frame.
  *
  * @param {number} v Tile value.
  *
  * @returns {rune.geom.Rectangle}
  */
 rune.tilemap.Tilemap.prototype.getTileTextureRectOf = function(v) {
+    v = this.getTileFrameOf(v);
     if (v > 0) v -= 1; //@note: Offset tile atlas
     
     this.m_tmpRect.x = Math.floor(v * this['tileWidth']) % this['texture'].width;
@@ -447,7 +748,11 @@ rune.tilemap.Tilemap.prototype.getTilePropertiesOf = function(v) {
 };
 
 /**
- * Loads a map from map-data.
+ * Loads a map from map-data. The map data can either be in Rune's own 
+ * format, or be a map created with the Tiled map editor (TMJ or TMX). Maps 
+ * in Rune's own format are chunked if the map data contains chunk options.
+ *
+ * @see rune.tilemap.TilemapChunks
  *
  * @param {string} name The name of the resource that represents the map data.
  *
@@ -459,6 +764,11 @@ rune.tilemap.Tilemap.prototype.load = function(name) {
     var map = this['application']['resources'].get(name);
     if (map) {
         map = map['data'];
+        if (rune.tilemap.Tiled.isTiled(map)) {
+            map = rune.tilemap.Tiled.parse(map, name);
+        }
+        
+        this.clear();
         
         this.m_name          = map['name']       || name;
         this.m_texture       = map['texture']    || "";
@@ -467,13 +777,43 @@ rune.tilemap.Tilemap.prototype.load = function(name) {
         this.m_tileHeight    = map['tileHeight'] || 0;
         this.m_tileWidth     = map['tileWidth']  || 0;
         this.m_tiles         = map['tiles']      || {};
+        this.m_properties    = map['properties'] || {};
         
-        this.m_bufferA       = new rune.tilemap.TilemapLayer(this, map['back']); 
-        this.m_bufferB       = new rune.tilemap.TilemapLayer(this, map['front']);
+        this.m_constructAnimations();
+        this.m_constructAutoTiles(map['autoTiles']);
+        
+        if (map['chunks']) {
+            this.m_constructChunks(map['chunks']);
+            this.m_bufferA   = new rune.tilemap.TilemapLayer(this, null, null, this.m_chunks, rune.tilemap.Tilemap.BACK_BUFFER);
+            this.m_bufferB   = new rune.tilemap.TilemapLayer(this, null, null, this.m_chunks, rune.tilemap.Tilemap.FRONT_BUFFER);
+        } else {
+            this.m_bufferA   = new rune.tilemap.TilemapLayer(this, map['back'],  map['backFlags']); 
+            this.m_bufferB   = new rune.tilemap.TilemapLayer(this, map['front'], map['frontFlags']);
+        }
+        
+        this.m_constructLayers(map['layers']);
+        this.m_constructObjects(map['objects']);
         
     } else throw new Error("Invalid map");
 };
 
+/**
+ * Removes an auto-tiling rule set from the map.
+ *
+ * @param {rune.tilemap.AutoTile} autoTile The rule set to remove.
+ *
+ * @returns {boolean} If the rule set was removed.
+ */
+rune.tilemap.Tilemap.prototype.removeAutoTile = function(autoTile) {
+    var i = this.m_autoTiles.indexOf(autoTile);
+    if (i > -1) {
+        this.m_autoTiles.splice(i, 1);
+        return true;
+    }
+    
+    return false;
+};
+
 //------------------------------------------------------------------------------
 // Public prototype methods (ENGINE)
 //------------------------------------------------------------------------------
@@ -487,10 +827,28 @@ rune.tilemap.Tilemap.prototype.load = function(name) {
 rune.tilemap.Tilemap.prototype.dispose = function() {
     this.clear();
     
+    this.m_layers = null;
+    this.m_objects = null;
     this.m_tmpArray = null;
     this.m_tmpRect = null;
 };
 
+/**
+ * Advances tile animations and updates the chunks of the map, if the map 
+ * is chunked.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.tilemap.Tilemap.prototype.update = function(step) {
+    this.m_updateAnimations(step);
+    if (this.m_chunks != null) {
+        this.m_chunks.update(step);
+    }
+};
+
 /**
  * Returns a chunk of the back buffer, based on specified coordinates (in the 
  * form of a rectangle). Note that this method is primarily intended for 
@@ -585,4 +943,185 @@ rune.tilemap.Tilemap.prototype.getFrontBufferInRect = function(r) {
  */
 rune.tilemap.Tilemap.prototype.m_construct = function() {
     //@note: Nothing ATM.
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates animations for tiles whose properties declare a frame sequence.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_constructAnimations = function() {
+    this.m_animations = {};
+    for (var k in this.m_tiles) {
+        var p = this.m_tiles[k];
+        if (!(p['frames'] instanceof Array) || p['frames'].length == 0) continue;
+        
+        var a = {
+            frame     : 0,
+            frames    : [],
+            durations : [],
+            duration  : 0
+        };
+        
+        for (var i = 0; i < p['frames'].length; i++) {
+            var d = (p['durations'] instanceof Array) ? p['durations'][i] : p['duration'];
+            
+            a['frames'].push(parseInt(p['frames'][i], 10) || 0);
+            a['durations'].push(Math.max(Number(d) || 100, 1));
+            a['duration'] += a['durations'][i];
+        }
+        
+        this.m_animations[p['value']] = a;
+    }
+};
+
+/**
+ * Creates auto-tiling rule sets from map data.
+ *
+ * @param {Array.<Object>} [autoTiles] Rule set data.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_constructAutoTiles = function(autoTiles) {
+    autoTiles = autoTiles || [];
+    for (var i = 0; i < autoTiles.length; i++) {
+        var autoTile = new rune.tilemap.AutoTile(
+            autoTiles[i]['tiles'],
+            autoTiles[i]['mode'],
+            autoTiles[i]['members']
+        );
+        
+        if (typeof autoTiles[i]['edges'] === "boolean") {
+            autoTile.edges = autoTiles[i]['edges'];
+        }
+        
+        this.m_autoTiles.push(autoTile);
+    }
+};
+
+/**
+ * Creates the chunks of the back and front buffer.
+ *
+ * @param {Object} options Chunk options.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_constructChunks = function(options) {
+    this.m_disposeChunks();
+    if (this.m_chunks == null) {
+        this.m_chunks = new rune.tilemap.TilemapChunks(this, options);
+    } else throw new Error();
+};
+
+/**
+ * Creates named layers from map data.
+ *
+ * @param {Array.<Object>} [layers] Layer data.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_constructLayers = function(layers) {
+    layers = layers || [];
+    for (var i = 0; i < layers.length; i++) {
+        var layer = new rune.tilemap.TilemapLayer(this, layers[i]['data'], layers[i]['flags']);
+            layer.visible = layers[i]['visible'] !== false;
+        
+        this.m_layers[layers[i]['name']] = layer;
+    }
+};
+
+/**
+ * Creates TilemapObject instances from map data.
+ *
+ * @param {Array.<Object>} [objects] Object data.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_constructObjects = function(objects) {
+    objects = objects || [];
+    for (var i = 0; i < objects.length; i++) {
+        this.m_objects.push(new rune.tilemap.TilemapObject(objects[i]));
+    }
+};
+
+/**
+ * Removes the chunks of the back and front buffer.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_disposeChunks = function() {
+    if (this.m_chunks instanceof rune.tilemap.TilemapChunks) {
+        this.m_chunks.dispose();
+        this.m_chunks = null;
+    }
+};
+
+/**
+ * Removes all named layers.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_disposeLayers = function() {
+    for (var name in this.m_layers) {
+        this.m_layers[name].dispose();
+    }
+    
+    this.m_layers = {};
+};
+
+/**
+ * Removes all objects.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_disposeObjects = function() {
+    while (this.m_objects.length > 0) {
+        this.m_objects.pop().dispose();
+    }
+};
+
+/**
+ * Advances tile animations. Chunks containing tiles whose frame has 
+ * changed are rendered again.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.Tilemap.prototype.m_updateAnimations = function(step) {
+    var changed = [];
+    
+    this.m_time += step;
+    
+    for (var v in this.m_animations) {
+        var a = this.m_animations[v];
+        var t = this.m_time % a['duration'];
+        var f = 0;
+        
+        while (t >= a['durations'][f]) {
+            t -= a['durations'][f++];
+        }
+        
+        if (f != a['frame']) {
+            a['frame'] = f;
+            changed.push(parseInt(v, 10));
+        }
+    }
+    
+    if (changed.length > 0 && this.m_chunks != null) {
+        this.m_chunks.invalidateValues(changed);
+    }
 };
\ No newline at end of file
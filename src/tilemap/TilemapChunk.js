@@ -0,0 +1,372 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new TilemapChunk object.
+ *
+ * @constructor
+ * @package
+ *
+ * @param {number} x The x-coordinate of the chunk, given in number of chunks.
+ * @param {number} y The y-coordinate of the chunk, given in number of chunks.
+ * @param {number} size The number of tiles in the chunk.
+ * @param {Object} [data] Chunk data.
+ *
+ * @class
+ * @classdesc
+ *
+ * The TilemapChunk class represents a fixed-size part of a chunked tilemap.
+ * The class holds the tile values and flip flags of both the back and front
+ * buffer within the chunk, as well as cached canvases where the tiles of
+ * the chunk are pre-rendered. The class is internal to the tilemap package
+ * and is managed by the TilemapChunks class.
+ *
+ * @see rune.tilemap.TilemapChunks
+ */
+rune.tilemap.TilemapChunk = function(x, y, size, data) {
+    
+    //--------------------------------------------------------------------------
+    // Default arguments
+    //--------------------------------------------------------------------------
+    
+    /**
+     * @ignore
+     */
+    data = data || {};
+    
+    //--------------------------------------------------------------------------
+    // Internal properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Whether the tiles of the chunk have been modified since the chunk was
+     * loaded. Modified chunks are never unloaded, as that would discard
+     * the modifications.
+     *
+     * @type {boolean}
+     * @package
+     */
+    this.modified = false;
+    
+    /**
+     * The time at which the chunk was last requested, given in
+     * milliseconds since the map was loaded.
+     *
+     * @type {number}
+     * @package
+     */
+    this.time = 0;
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Pre-rendered graphics of the back and front buffer.
+     *
+     * @type {Array.<rune.display.Canvas>}
+     * @private
+     */
+    this.m_canvases = [null, null];
+    
+    /**
+     * Tile values of the back and front buffer.
+     *
+     * @type {Array.<Array.<number>>}
+     * @private
+     */
+    this.m_data = [
+        rune.tilemap.TilemapChunk.m_copy(size, data['back']),
+        rune.tilemap.TilemapChunk.m_copy(size, data['front'])
+    ];
+    
+    /**
+     * Flip flags of the back and front buffer.
+     *
+     * @type {Array.<Array.<number>>}
+     * @private
+     */
+    this.m_flags = [
+        rune.tilemap.TilemapChunk.m_copy(size, data['backFlags']),
+        rune.tilemap.TilemapChunk.m_copy(size, data['frontFlags'])
+    ];
+    
+    /**
+     * Whether the pre-rendered graphics of each buffer must be rendered
+     * again.
+     *
+     * @type {Array.<boolean>}
+     * @private
+     */
+    this.m_invalid = [true, true];
+    
+    /**
+     * The x-coordinate of the chunk, given in number of chunks.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_x = x;
+    
+    /**
+     * The y-coordinate of the chunk, given in number of chunks.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_y = y;
+};
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The x-coordinate of the chunk, given in number of chunks.
+ *
+ * @member {number} x
+ * @memberof rune.tilemap.TilemapChunk
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunk.prototype, "x", {
+    /**
+     * @this rune.tilemap.TilemapChunk
+     * @ignore
+     */
+    get : function() {
+        return this.m_x;
+    }
+});
+
+/**
+ * The y-coordinate of the chunk, given in number of chunks.
+ *
+ * @member {number} y
+ * @memberof rune.tilemap.TilemapChunk
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunk.prototype, "y", {
+    /**
+     * @this rune.tilemap.TilemapChunk
+     * @ignore
+     */
+    get : function() {
+        return this.m_y;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (ENGINE)
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the flip flags of a tile within the chunk.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index within the chunk.
+ *
+ * @returns {number}
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.getTileFlagsAt = function(buffer, i) {
+    return this.m_flags[buffer][i] || rune.tilemap.TilemapLayer.FLIP_NONE;
+};
+
+/**
+ * Returns the value of a tile within the chunk.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index within the chunk.
+ *
+ * @returns {number}
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.getTileValueAt = function(buffer, i) {
+    return this.m_data[buffer][i] || 0;
+};
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Clears memory allocated by this instance.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.dispose = function() {
+    for (var i = 0; i < this.m_canvases.length; i++) {
+        if (this.m_canvases[i] != null) {
+            this.m_canvases[i].dispose();
+            this.m_canvases[i] = null;
+        }
+    }
+    
+    this.m_data  = null;
+    this.m_flags = null;
+};
+
+/**
+ * Sets all tiles of a buffer to zero. Unlike modifications made via 
+ * setTileValueAt and setTileFlagsAt, clearing does not mark the chunk as 
+ * modified.
+ *
+ * @param {number} buffer Index of the buffer.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.clear = function(buffer) {
+    for (var i = 0; i < this.m_data[buffer].length; i++) {
+        this.m_data[buffer][i]  = 0;
+        this.m_flags[buffer][i] = rune.tilemap.TilemapLayer.FLIP_NONE;
+    }
+    
+    this.invalidate();
+};
+
+/**
+ * Returns the cached canvas of a buffer. The canvas is created, with the
+ * specified size, the first time it is requested.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} width The width of the canvas.
+ * @param {number} height The height of the canvas.
+ *
+ * @returns {rune.display.Canvas}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.getCanvas = function(buffer, width, height) {
+    if (this.m_canvases[buffer] == null) {
+        this.m_canvases[buffer] = new rune.display.Canvas(width, height);
+        this.m_invalid[buffer]  = true;
+    }
+    
+    return this.m_canvases[buffer];
+};
+
+/**
+ * Whether any tile of the chunk, in either buffer, has one of the 
+ * specified values.
+ *
+ * @param {Array.<number>} values Tile values to look for.
+ *
+ * @returns {boolean}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.hasTileValues = function(values) {
+    for (var b = 0; b < this.m_data.length; b++) {
+        for (var i = 0; i < this.m_data[b].length; i++) {
+            if (values.indexOf(this.m_data[b][i]) > -1) {
+                return true;
+            }
+        }
+    }
+    
+    return false;
+};
+
+/**
+ * Marks the pre-rendered graphics of both buffers as outdated. The back
+ * buffer is included since tiles of the front buffer hide the tiles
+ * behind them.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.invalidate = function() {
+    this.m_invalid[0] = true;
+    this.m_invalid[1] = true;
+};
+
+/**
+ * Whether the pre-rendered graphics of a buffer must be rendered again.
+ *
+ * @param {number} buffer Index of the buffer.
+ *
+ * @returns {boolean}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.isInvalid = function(buffer) {
+    return this.m_invalid[buffer];
+};
+
+/**
+ * Sets the flip flags of a tile within the chunk.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index within the chunk.
+ * @param {number} f Bit field of flip flags.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.setTileFlagsAt = function(buffer, i, f) {
+    this.m_flags[buffer][i] = f;
+    this.modified = true;
+    this.invalidate();
+};
+
+/**
+ * Sets the value of a tile within the chunk.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index within the chunk.
+ * @param {number} v Tile value.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.setTileValueAt = function(buffer, i, v) {
+    this.m_data[buffer][i] = v;
+    this.modified = true;
+    this.invalidate();
+};
+
+/**
+ * Marks the pre-rendered graphics of a buffer as up to date.
+ *
+ * @param {number} buffer Index of the buffer.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunk.prototype.validate = function(buffer) {
+    this.m_invalid[buffer] = false;
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a copy of chunk data, so that modifications do not affect the
+ * resource that the data originates from. Missing values are set to zero.
+ *
+ * @param {number} size The number of tiles in the chunk.
+ * @param {Array.<number>=} data Data to copy.
+ *
+ * @returns {Array.<number>}
+ * @private
+ */
+rune.tilemap.TilemapChunk.m_copy = function(size, data) {
+    var output = Array(size);
+    for (var i = 0; i < size; i++) {
+        output[i] = (data && data[i]) ? parseInt(data[i], 10) : 0;
+    }
+    
+    return output;
+};
\ No newline at end of file
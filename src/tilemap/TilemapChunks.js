@@ -0,0 +1,714 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new TilemapChunks object. Note that the object is created
+ * automatically when a chunked map is loaded.
+ *
+ * @constructor
+ *
+ * @param {rune.tilemap.Tilemap} map The map that the chunks belong to.
+ * @param {Object} options Chunk options from the map data.
+ *
+ * @class
+ * @classdesc
+ *
+ * The TilemapChunks class is used by chunked maps, where the back and front
+ * buffer are divided into chunks of a fixed size instead of being stored as
+ * two arrays that cover the entire map. Chunks are loaded through the
+ * Resources system when they come into view of a camera, and unloaded when
+ * they have been out of view for a while. Each chunk is pre-rendered to a
+ * cached canvas, which is only rendered again when tiles of the chunk
+ * change.
+ * <br><br>
+ * A map is chunked by adding a chunks object to the map data, for example
+ * { width: 16, height: 16, path: "maps/world/{x}_{y}.json" }, where width and
+ * height specify the size of a chunk, given in number of tiles. Chunk data
+ * is read from the resource named after the map and the chunk coordinates,
+ * for example world_2_3, and if the resource does not exist, it is requested
+ * from the path. The data of a chunk consists of back, front, backFlags and
+ * frontFlags arrays, just like the data of an ordinary map, but sized
+ * according to the chunk.
+ * <br><br>
+ * The tilemap layers of a chunked map work as usual across chunk borders.
+ * Hit tests load the chunks around the tested objects on demand and keep 
+ * them from being unloaded, so objects outside the view of the cameras keep 
+ * colliding with the map. Other operations, such as path finding, flow 
+ * fields and raycasts, only read loaded chunks, where the tiles of chunks 
+ * that are not loaded are treated as empty and modifications to them are 
+ * ignored. The same applies to chunks whose resources must first be 
+ * requested from their path, until the request is completed. To avoid that, 
+ * preload the chunk resources or load them ahead of time via getChunksIn. 
+ * Note that chunks whose tiles have been modified are never unloaded 
+ * automatically.
+ *
+ * @see rune.tilemap.Tilemap
+ */
+rune.tilemap.TilemapChunks = function(map, options) {
+    
+    //--------------------------------------------------------------------------
+    // Default arguments
+    //--------------------------------------------------------------------------
+    
+    /**
+     * @ignore
+     */
+    options = options || {};
+    
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The number of chunks, in each direction, that are loaded around the
+     * visible area of a camera before they come into view.
+     *
+     * @type {number}
+     * @default 1
+     */
+    this.preload = (options['preload'] != null) ? options['preload'] : 1;
+    
+    /**
+     * The time, in milliseconds, that a chunk must be out of view before it
+     * is unloaded.
+     *
+     * @type {number}
+     * @default 1000
+     */
+    this.unloadDelay = (options['unloadDelay'] != null) ? options['unloadDelay'] : 1000;
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The height of a chunk, given in number of tiles.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_chunkHeight = Math.max(parseInt(options['height'], 10) || 16, 1);
+    
+    /**
+     * The width of a chunk, given in number of tiles.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_chunkWidth = Math.max(parseInt(options['width'], 10) || 16, 1);
+    
+    /**
+     * Loaded chunks, indexed by chunk index.
+     *
+     * @type {Array.<rune.tilemap.TilemapChunk>}
+     * @private
+     */
+    this.m_chunks = [];
+    
+    /**
+     * The number of chunks in the x direction.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_columns = Math.ceil(map['widthInTiles'] / this.m_chunkWidth);
+    
+    /**
+     * Buffers that have been cleared. Chunks that are loaded afterwards are 
+     * cleared as well.
+     *
+     * @type {Array.<boolean>}
+     * @private
+     */
+    this.m_cleared = [];
+    
+    /**
+     * Chunk indexes whose resources could not be loaded.
+     *
+     * @type {Array.<boolean>}
+     * @private
+     */
+    this.m_failed = [];
+    
+    /**
+     * Index of the chunk that is currently requested, or -1 if no chunk is
+     * requested.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_loading = -1;
+    
+    /**
+     * The map that the chunks belong to.
+     *
+     * @type {rune.tilemap.Tilemap}
+     * @private
+     */
+    this.m_map = map;
+    
+    /**
+     * Resource name pattern, where {x} and {y} are replaced by the
+     * coordinates of the chunk.
+     *
+     * @type {string}
+     * @private
+     */
+    this.m_name = options['name'] || (map['name'] + "_{x}_{y}");
+    
+    /**
+     * Resource path pattern, where {x} and {y} are replaced by the
+     * coordinates of the chunk. Chunks are only requested if a path is
+     * specified.
+     *
+     * @type {string}
+     * @private
+     */
+    this.m_path = options['path'] || "";
+    
+    /**
+     * Chunk indexes waiting to be requested.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_queue = [];
+    
+    /**
+     * The number of chunks in the y direction.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_rows = Math.ceil(map['heightInTiles'] / this.m_chunkHeight);
+    
+    /**
+     * The time, in milliseconds, since the map was loaded.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_time = 0;
+};
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The height of a chunk, given in number of tiles.
+ *
+ * @member {number} chunkHeight
+ * @memberof rune.tilemap.TilemapChunks
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunks.prototype, "chunkHeight", {
+    /**
+     * @this rune.tilemap.TilemapChunks
+     * @ignore
+     */
+    get : function() {
+        return this.m_chunkHeight;
+    }
+});
+
+/**
+ * The width of a chunk, given in number of tiles.
+ *
+ * @member {number} chunkWidth
+ * @memberof rune.tilemap.TilemapChunks
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunks.prototype, "chunkWidth", {
+    /**
+     * @this rune.tilemap.TilemapChunks
+     * @ignore
+     */
+    get : function() {
+        return this.m_chunkWidth;
+    }
+});
+
+/**
+ * The number of chunks in the x direction.
+ *
+ * @member {number} columns
+ * @memberof rune.tilemap.TilemapChunks
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunks.prototype, "columns", {
+    /**
+     * @this rune.tilemap.TilemapChunks
+     * @ignore
+     */
+    get : function() {
+        return this.m_columns;
+    }
+});
+
+/**
+ * The number of loaded chunks.
+ *
+ * @member {number} length
+ * @memberof rune.tilemap.TilemapChunks
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunks.prototype, "length", {
+    /**
+     * @this rune.tilemap.TilemapChunks
+     * @ignore
+     */
+    get : function() {
+        var n = 0;
+        for (var i = 0; i < this.m_chunks.length; i++) {
+            if (this.m_chunks[i] != null) n++;
+        }
+        
+        return n;
+    }
+});
+
+/**
+ * The number of chunks in the y direction.
+ *
+ * @member {number} rows
+ * @memberof rune.tilemap.TilemapChunks
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapChunks.prototype, "rows", {
+    /**
+     * @this rune.tilemap.TilemapChunks
+     * @ignore
+     */
+    get : function() {
+        return this.m_rows;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Returns a loaded chunk, based on its coordinates.
+ *
+ * @param {number} x The x-coordinate of the chunk, given in number of chunks.
+ * @param {number} y The y-coordinate of the chunk, given in number of chunks.
+ *
+ * @returns {rune.tilemap.TilemapChunk} The chunk, or null if it is not loaded.
+ */
+rune.tilemap.TilemapChunks.prototype.getChunkAt = function(x, y) {
+    if ((x < 0) || (x >= this.m_columns) || (y < 0) || (y >= this.m_rows)) {
+        return null;
+    }
+    
+    return this.m_chunks[y * this.m_columns + x] || null;
+};
+
+/**
+ * Returns the loaded chunks that overlap a specific area, given in pixels.
+ * Chunks within the area, and within the preload distance around it, are
+ * kept from being unloaded and are loaded if necessary. The method is
+ * called automatically for the visible area of each camera and for the
+ * area of each hit test against a tilemap layer, but can also be used to
+ * keep chunks loaded where no camera is looking.
+ *
+ * @param {number} x The x-coordinate of the area.
+ * @param {number} y The y-coordinate of the area.
+ * @param {number} w The width of the area.
+ * @param {number} h The height of the area.
+ *
+ * @returns {Array.<rune.tilemap.TilemapChunk>}
+ */
+rune.tilemap.TilemapChunks.prototype.getChunksIn = function(x, y, w, h) {
+    var pw = this.m_chunkWidth  * this.m_map['tileWidth'];
+    var ph = this.m_chunkHeight * this.m_map['tileHeight'];
+    var x1 = Math.floor(x / pw);
+    var y1 = Math.floor(y / ph);
+    var x2 = Math.floor((x + w - 1) / pw);
+    var y2 = Math.floor((y + h - 1) / ph);
+    var pl = Math.max(parseInt(this.preload, 10) || 0, 0);
+    var output = [];
+    
+    for (var cy = Math.max(y1 - pl, 0); cy <= Math.min(y2 + pl, this.m_rows - 1); cy++) {
+        for (var cx = Math.max(x1 - pl, 0); cx <= Math.min(x2 + pl, this.m_columns - 1); cx++) {
+            var chunk = this.getChunkAt(cx, cy);
+            if (chunk == null) {
+                this.load(cx, cy);
+                chunk = this.getChunkAt(cx, cy);
+            }
+            
+            if (chunk != null) {
+                chunk.time = this.m_time;
+                if ((cx >= x1) && (cx <= x2) && (cy >= y1) && (cy <= y2)) {
+                    output.push(chunk);
+                }
+            }
+        }
+    }
+    
+    return output;
+};
+
+/**
+ * Returns the loaded chunks that overlap a specific area, where the area
+ * is represented by a Rectangle object.
+ *
+ * @param {rune.geom.Rectangle} r Rectangle object.
+ *
+ * @returns {Array.<rune.tilemap.TilemapChunk>}
+ */
+rune.tilemap.TilemapChunks.prototype.getChunksInRect = function(r) {
+    return this.getChunksIn(
+        r['x'],
+        r['y'],
+        r['width'],
+        r['height']
+    );
+};
+
+/**
+ * Loads a chunk. If the resource of the chunk exists in the resource
+ * library, the chunk is loaded immediately. Otherwise the resource is
+ * requested from the path of the chunk, and the chunk is loaded once the
+ * request is completed.
+ *
+ * @param {number} x The x-coordinate of the chunk, given in number of chunks.
+ * @param {number} y The y-coordinate of the chunk, given in number of chunks.
+ *
+ * @returns {boolean} Whether the chunk is loaded.
+ */
+rune.tilemap.TilemapChunks.prototype.load = function(x, y) {
+    if ((x < 0) || (x >= this.m_columns) || (y < 0) || (y >= this.m_rows)) {
+        return false;
+    }
+    
+    var ci = y * this.m_columns + x;
+    if (this.m_chunks[ci] != null) return true;
+    if (this.m_install(ci)) return true;
+    
+    if ((this.m_path != "") && (this.m_failed[ci] !== true) && (this.m_loading != ci) && (this.m_queue.indexOf(ci) === -1)) {
+        this.m_queue.push(ci);
+        this.m_processQueue();
+    }
+    
+    return false;
+};
+
+/**
+ * Unloads a chunk, including any modifications made to its tiles. If the
+ * chunk can be requested again, its resource is also removed from the
+ * resource library.
+ *
+ * @param {number} x The x-coordinate of the chunk, given in number of chunks.
+ * @param {number} y The y-coordinate of the chunk, given in number of chunks.
+ *
+ * @returns {boolean} Whether a chunk was unloaded.
+ */
+rune.tilemap.TilemapChunks.prototype.unload = function(x, y) {
+    var chunk = this.getChunkAt(x, y);
+    if (chunk == null) return false;
+    
+    this.m_chunks[y * this.m_columns + x] = null;
+    chunk.dispose();
+    
+    if (this.m_path != "") {
+        this.m_map['application']['resources'].remove(this.m_getName(this.m_name, x, y));
+    }
+    
+    return true;
+};
+
+//------------------------------------------------------------------------------
+// Public prototype methods (ENGINE)
+//------------------------------------------------------------------------------
+
+/**
+ * Unloads all chunks and clears memory allocated by this instance.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.dispose = function() {
+    for (var i = 0; i < this.m_chunks.length; i++) {
+        if (this.m_chunks[i] != null) {
+            this.m_chunks[i].dispose();
+        }
+    }
+    
+    this.m_chunks  = [];
+    this.m_cleared = [];
+    this.m_failed  = [];
+    this.m_queue   = [];
+    this.m_loading = -1;
+    this.m_columns = 0;
+    this.m_rows    = 0;
+};
+
+/**
+ * Unloads unmodified chunks that have been out of view longer than the
+ * unload delay.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.update = function(step) {
+    this.m_time += step;
+    
+    for (var i = 0; i < this.m_chunks.length; i++) {
+        var chunk = this.m_chunks[i];
+        if ((chunk != null) && (chunk.modified === false) && (this.m_time - chunk.time > this.unloadDelay)) {
+            this.unload(chunk['x'], chunk['y']);
+        }
+    }
+};
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Sets all tiles of a buffer to zero. Loaded chunks are cleared at once, 
+ * while the remaining chunks are cleared when they are loaded.
+ *
+ * @param {number} buffer Index of the buffer.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.clear = function(buffer) {
+    this.m_cleared[buffer] = true;
+    for (var i = 0; i < this.m_chunks.length; i++) {
+        if (this.m_chunks[i] != null) {
+            this.m_chunks[i].clear(buffer);
+        }
+    }
+};
+
+/**
+ * Returns the flip flags of a tile, based on its index within the map.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index.
+ *
+ * @returns {number}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.getTileFlagsAt = function(buffer, i) {
+    var chunk = this.m_getChunkOf(i);
+    if (chunk != null) {
+        return chunk.getTileFlagsAt(buffer, this.m_getLocalIndex(i));
+    }
+    
+    return rune.tilemap.TilemapLayer.FLIP_NONE;
+};
+
+/**
+ * Returns the value of a tile, based on its index within the map. Tiles
+ * within chunks that are not loaded have a value of zero.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index.
+ *
+ * @returns {number}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.getTileValueAt = function(buffer, i) {
+    var chunk = this.m_getChunkOf(i);
+    if (chunk != null) {
+        return chunk.getTileValueAt(buffer, this.m_getLocalIndex(i));
+    }
+    
+    return 0;
+};
+
+/**
+ * Marks the pre-rendered graphics of loaded chunks that contain any of the 
+ * specified tile values as outdated. Used when the frame of an animated 
+ * tile changes.
+ *
+ * @param {Array.<number>} values Tile values.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.invalidateValues = function(values) {
+    for (var i = 0; i < this.m_chunks.length; i++) {
+        if (this.m_chunks[i] != null && this.m_chunks[i].hasTileValues(values)) {
+            this.m_chunks[i].invalidate();
+        }
+    }
+};
+
+/**
+ * Sets the flip flags of a tile, based on its index within the map. The
+ * flags are ignored if the chunk of the tile is not loaded.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index.
+ * @param {number} f Bit field of flip flags.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.setTileFlagsAt = function(buffer, i, f) {
+    var chunk = this.m_getChunkOf(i);
+    if (chunk != null) {
+        chunk.setTileFlagsAt(buffer, this.m_getLocalIndex(i), f);
+    }
+};
+
+/**
+ * Sets the value of a tile, based on its index within the map. The value
+ * is ignored if the chunk of the tile is not loaded.
+ *
+ * @param {number} buffer Index of the buffer.
+ * @param {number} i Tile index.
+ * @param {number} v Tile value.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tilemap.TilemapChunks.prototype.setTileValueAt = function(buffer, i, v) {
+    var chunk = this.m_getChunkOf(i);
+    if (chunk != null) {
+        chunk.setTileValueAt(buffer, this.m_getLocalIndex(i), v);
+    }
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the loaded chunk that contains a tile.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {rune.tilemap.TilemapChunk} The chunk, or null if it is not loaded.
+ * @private
+ */
+rune.tilemap.TilemapChunks.prototype.m_getChunkOf = function(i) {
+    var wt = this.m_map['widthInTiles'];
+    if ((i < 0) || (i >= this.m_map['numTiles'])) return null;
+    
+    var cx = Math.floor((i % wt) / this.m_chunkWidth);
+    var cy = Math.floor(Math.floor(i / wt) / this.m_chunkHeight);
+    
+    return this.m_chunks[cy * this.m_columns + cx] || null;
+};
+
+/**
+ * Converts a tile index within the map to a tile index within its chunk.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.TilemapChunks.prototype.m_getLocalIndex = function(i) {
+    var wt = this.m_map['widthInTiles'];
+    
+    return (Math.floor(i / wt) % this.m_chunkHeight) * this.m_chunkWidth + ((i % wt) % this.m_chunkWidth);
+};
+
+/**
+ * Replaces the chunk coordinates of a name or path pattern.
+ *
+ * @param {string} pattern Name or path pattern.
+ * @param {number} x The x-coordinate of the chunk.
+ * @param {number} y The y-coordinate of the chunk.
+ *
+ * @returns {string}
+ * @private
+ */
+rune.tilemap.TilemapChunks.prototype.m_getName = function(pattern, x, y) {
+    return pattern.split("{x}").join(x).split("{y}").join(y);
+};
+
+/**
+ * Creates a chunk from its resource, if the resource exists in the
+ * resource library. Buffers that have been cleared are also cleared within 
+ * the new chunk.
+ *
+ * @param {number} ci Chunk index.
+ *
+ * @returns {boolean} Whether the chunk was created.
+ * @private
+ */
+rune.tilemap.TilemapChunks.prototype.m_install = function(ci) {
+    var x = ci % this.m_columns;
+    var y = Math.floor(ci / this.m_columns);
+    var resource = this.m_map['application']['resources'].get(this.m_getName(this.m_name, x, y));
+    
+    if (resource != null) {
+        var chunk = new rune.tilemap.TilemapChunk(x, y, this.m_chunkWidth * this.m_chunkHeight, resource['data']);
+            chunk.time = this.m_time;
+        
+        for (var i = 0; i < this.m_cleared.length; i++) {
+            if (this.m_cleared[i] === true) {
+                chunk.clear(i);
+            }
+        }
+        
+        this.m_chunks[ci] = chunk;
+        return true;
+    }
+    
+    return false;
+};
+
+/**
+ * Requests the resource of the next chunk in the queue. Chunks are
+ * requested one at a time, since the resource library only processes one
+ * batch of requests at a time.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.TilemapChunks.prototype.m_processQueue = function() {
+    if ((this.m_loading > -1) || (this.m_queue.length == 0)) return;
+    
+    var ci = this.m_queue.shift();
+    var x = ci % this.m_columns;
+    var y = Math.floor(ci / this.m_columns);
+    var batch = new rune.resource.Requests();
+        batch.add(this.m_getName(this.m_name, x, y), this.m_getName(this.m_path, x, y));
+    
+    this.m_loading = ci;
+    this.m_map['application']['resources'].request({
+        batch: batch,
+        onComplete: function() {
+            this.m_loading = -1;
+            if (this.m_chunks[ci] == null) {
+                this.m_install(ci);
+            }
+            
+            this.m_processQueue();
+        },
+        onError: function() {
+            this.m_loading = -1;
+            this.m_failed[ci] = true;
+            this.m_processQueue();
+        },
+        onAbort: function() {
+            this.m_loading = -1;
+            this.m_processQueue();
+        },
+        scope: this
+    });
+};
\ No newline at end of file
@@ -9,6 +9,9 @@
  *
  * @param {rune.tilemap.Tilemap} map Reference to the map to which the layer belongs.
  * @param {Array.<number>} [data] Tilemap data.
+ * @param {Array.<number>} [flags] Flip flags for each tile in the map data.
+ * @param {rune.tilemap.TilemapChunks} [chunks] Chunks that store the tiles of the layer, if the map is chunked.
+ * @param {number} [buffer] Index of the buffer that the layer represents within the chunks.
  * 
  * @class
  * @classdesc
@@ -16,21 +19,24 @@
  * The rune.tilemap.TilemapLayer class represents a layer (buffer) within a 
  * Tilemap. Each layer has its own set of Tiles, which can be managed from the 
  * layer object. A Tilemap object automatically instantiates two layers; one 
- * for the back buffer, and one for the front buffer.
+ * for the back buffer, and one for the front buffer. The back and front 
+ * buffer of chunked maps store their tiles in chunks, but are accessed in 
+ * the same way as the layers of ordinary maps.
  *
  * @see rune.tilemap.Tilemap
  */
-rune.tilemap.TilemapLayer = function(map, data) {
+rune.tilemap.TilemapLayer = function(map, data, flags, chunks, buffer) {
     
     //--------------------------------------------------------------------------
     // Public properties
     //--------------------------------------------------------------------------
     
     /**
-     * Whether the layer should be rendered or not. Useful for troubleshooting.
+     * Whether the layer should be rendered or not. Useful for troubleshooting, 
+     * and for hiding layers that are imported as invisible.
      *
      * @type {boolean}
-     * @private
+     * @default true
      */
     this.visible = true;
     
@@ -38,6 +44,22 @@ rune.tilemap.TilemapLayer = function(map, data) {
     // Private properties
     //--------------------------------------------------------------------------
     
+    /**
+     * Index of the buffer that the layer represents within the chunks.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_buffer = buffer || 0;
+    
+    /**
+     * Chunks that store the tiles of the layer, if the map is chunked.
+     *
+     * @type {rune.tilemap.TilemapChunks}
+     * @private
+     */
+    this.m_chunks = chunks || null;
+    
     /**
      * Map data.
      *
@@ -46,6 +68,22 @@ rune.tilemap.TilemapLayer = function(map, data) {
      */
     this.m_data = data || null;
     
+    /**
+     * Flip flags for each tile in the map data.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_flags = flags || null;
+    
+    /**
+     * Flow fields that are updated when tile values of the layer change.
+     *
+     * @type {Array.<rune.tilemap.FlowField>}
+     * @private
+     */
+    this.m_flowFields = [];
+    
     /**
      * Reference to the map to which the layer belongs.
      *
@@ -83,6 +121,56 @@ rune.tilemap.TilemapLayer = function(map, data) {
     this.m_construct();
 };
 
+//------------------------------------------------------------------------------
+// Public static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Flag indicating that a tile is flipped diagonally, ie. that its x and y 
+ * axes are swapped. The diagonal flip is applied before the horizontal and 
+ * vertical flip.
+ *
+ * @const {number}
+ * @default 0x4
+ */
+rune.tilemap.TilemapLayer.FLIP_DIAGONAL = 0x4;
+
+/**
+ * Flag indicating that a tile is flipped horizontally.
+ *
+ * @const {number}
+ * @default 0x1
+ */
+rune.tilemap.TilemapLayer.FLIP_HORIZONTAL = 0x1;
+
+/**
+ * Flag indicating that a tile is not flipped.
+ *
+ * @const {number}
+ * @default 0x0
+ */
+rune.tilemap.TilemapLayer.FLIP_NONE = 0x0;
+
+/**
+ * Flag indicating that a tile is flipped vertically.
+ *
+ * @const {number}
+ * @default 0x2
+ */
+rune.tilemap.TilemapLayer.FLIP_VERTICAL = 0x2;
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * Tolerance (in pixels) used when placing objects on the surface of slopes.
+ *
+ * @const {number}
+ * @private
+ */
+rune.tilemap.TilemapLayer.SLOPE_BIAS = 2;
+
 //------------------------------------------------------------------------------
 // Public getter and setter methods
 //------------------------------------------------------------------------------
@@ -90,7 +178,8 @@ rune.tilemap.TilemapLayer = function(map, data) {
 /**
  * Reference to the raw map data of the layer, i.e., an array containing all 
  * map indices. Note that this reference is intended for read-only purposes; 
- * avoid modifying this list directly.
+ * avoid modifying this list directly. Layers of chunked maps have no raw 
+ * map data, in which case the reference is null.
  *
  * @member {Array.<number>} data
  * @memberof rune.tilemap.TilemapLayer
@@ -107,6 +196,45 @@ Object.defineProperty(rune.tilemap.TilemapLayer.prototype, "data", {
     }
 });
 
+/**
+ * Reference to the flip flags of the layer, i.e., an array containing a bit 
+ * field for each map index. Note that this reference is intended for 
+ * read-only purposes; avoid modifying this list directly. Layers of chunked 
+ * maps have no flip flag list, in which case the reference is null.
+ *
+ * @member {Array.<number>} flags
+ * @memberof rune.tilemap.TilemapLayer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapLayer.prototype, "flags", {
+    /**
+     * @this rune.tilemap.TilemapLayer
+     * @ignore
+     */
+    get : function() {
+        return this.m_flags;
+    }
+});
+
+/**
+ * Reference to the map to which the layer belongs.
+ *
+ * @member {rune.tilemap.Tilemap} map
+ * @memberof rune.tilemap.TilemapLayer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapLayer.prototype, "map", {
+    /**
+     * @this rune.tilemap.TilemapLayer
+     * @ignore
+     */
+    get : function() {
+        return this.m_map;
+    }
+});
+
 /**
  * A stack of Path objects. Each object included in the stack is rendered on 
  * top of the layer. Used primarily for troubleshooting.
@@ -130,55 +258,105 @@ Object.defineProperty(rune.tilemap.TilemapLayer.prototype, "paths", {
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
 
+/**
+ * Assigns all tiles of the layer the variants that match their 
+ * neighbourhood, according to the auto-tiling rule sets of the map. Useful 
+ * after the layer has been generated or loaded without auto-tiling.
+ *
+ * @returns {undefined}
+ */
+rune.tilemap.TilemapLayer.prototype.applyAutoTiles = function() {
+    var n = this.m_map['widthInTiles'] * this.m_map['heightInTiles'];
+    for (var i = 0; i < n; i++) {
+        this.m_applyAutoTile(i);
+    }
+};
+
 /**
  * Clears all map data.
  *
  * @returns {undefined}
  */
 rune.tilemap.TilemapLayer.prototype.clear = function() {
-    this.m_data = Array(this.m_map['numTiles']);
-    for (var i = 0; i < this.m_data.length; i++) {
-        this.m_data[i] = 0;
+    if (this.m_chunks != null) {
+        this.m_chunks.clear(this.m_buffer);
+    } else {
+        this.m_data  = Array(this.m_map['numTiles']);
+        this.m_flags = Array(this.m_map['numTiles']);
+        for (var i = 0; i < this.m_data.length; i++) {
+            this.m_data[i]  = 0;
+            this.m_flags[i] = rune.tilemap.TilemapLayer.FLIP_NONE;
+        }
+    }
+    
+    for (var j = 0; j < this.m_flowFields.length; j++) {
+        this.m_flowFields[j].rebuild();
     }
 };
 
+/**
+ * Creates a flow field that leads toward a goal within the layer. The field 
+ * is kept up to date when tile values of the layer change, until it is 
+ * removed via the removeFlowField method.
+ *
+ * @param {number} x The x-coordinate of the goal.
+ * @param {number} y The y-coordinate of the goal.
+ * @param {boolean} [md=false] Whether the field is allowed to include diagonal moves.
+ *
+ * @returns {rune.tilemap.FlowField}
+ */
+rune.tilemap.TilemapLayer.prototype.createFlowField = function(x, y, md) {
+    var field = new rune.tilemap.FlowField(this, x, y, md);
+    this.m_flowFields.push(field);
+    
+    return field;
+};
+
 /**
  * Returns a Path object that describes the shortest path between two points 
- * within the layer data.
+ * within the layer data. The path is calculated using the A* algorithm, 
+ * where solid tiles are considered impassable. The cost of moving into a 
+ * tile is read from the cost property in the tile properties table of the 
+ * map, for example { value: 3, cost: 4 }, and defaults to 1 (which is also 
+ * the lowest possible cost). Diagonal moves are never allowed to cut the 
+ * corner of a solid tile. Unless smoothing is disabled, points that can be 
+ * skipped via a straight, unobstructed line that does not pass through more 
+ * expensive tiles are removed. Without diagonal moves, only points along 
+ * horizontal and vertical lines are skipped.
  *
  * @param {number} sx The x-coordinate of the starting point.
  * @param {number} sy The y-coordinate of the starting point.
  * @param {number} gx The x-coordinate of the target point.
  * @param {number} gy The y-coordinate of the target point.
  * @param {boolean} [md=false] Whether the Path object is allowed to include diagonal paths.
+ * @param {boolean} [sm=true] Whether the Path object should be smoothed.
  *
  * @returns {rune.util.Path}
- * @private
  */
-rune.tilemap.TilemapLayer.prototype.getPath = function(sx, sy, gx, gy, md) {
-    var si = this.getTileIndexOf(sx, sy);
-    var gi = this.getTileIndexOf(gx, gy);
-    
-    var st = this.getTileAt(si);
-    var gt = this.getTileAt(gi);
+rune.tilemap.TilemapLayer.prototype.getPath = function(sx, sy, gx, gy, md, sm) {
+    var si = this.m_getPathIndex(sx, sy);
+    var gi = this.m_getPathIndex(gx, gy);
+    var cc = [];
     
-    if ((st['allowCollisions'] > 0) && (gt['allowCollisions'] > 0)) return null;
+    if ((si < 0) || (gi < 0) || (this.m_getPathCost(gi, cc) < 0)) return null;
     
-    var ad = this.m_computeDistance(si, gi, md);
-    if (ad == null) return null;
+    var ap = this.m_findPath(si, gi, md == true, cc);
+    if (ap == null) return null;
     
-    var ap = [];
-    this.m_walk(ad, gi, ap, md);
+    if (sm !== false) {
+        ap = this.m_smoothPath(ap, md == true, cc);
+    }
     
+    var wt = this.m_map['widthInTiles'];
+    var tw = this.m_map['tileWidth'];
+    var th = this.m_map['tileHeight'];
     var np = new rune.util.Path();
-    var pi = ap.length - 1;
-    var cn = null;
-    
-    while (pi >= 0) {
-        cn = ap[pi--];
-        if (cn != null) {
-            np.addPoint(cn, true);
-        } 
+    
+    for (var i = 0; i < ap.length; i++) {
+        np.add(
+            (ap[i] % wt) * tw + tw * 0.5,
+            Math.floor(ap[i] / wt) * th + th * 0.5
+        );
     }
     
     return np;
@@ -191,17 +369,18 @@ rune.tilemap.TilemapLayer.prototype.getPath = function(sx, sy, gx, gy, md) {
  * @param {rune.geom.Point} s Starting point.
  * @param {rune.geom.Point} g Target point.
  * @param {boolean} [md=false] Whether the Path object is allowed to include diagonal paths.
+ * @param {boolean} [sm=true] Whether the Path object should be smoothed.
  *
  * @returns {rune.util.Path}
- * @private
  */
-rune.tilemap.TilemapLayer.prototype.getPathBetweenPoints = function(s, g, md) {
+rune.tilemap.TilemapLayer.prototype.getPathBetweenPoints = function(s, g, md, sm) {
     return this.getPath(
         s['x'],
         s['y'],
         g['x'],
         g['y'],
-        md
+        md,
+        sm
     );
 };
 
@@ -231,6 +410,44 @@ rune.tilemap.TilemapLayer.prototype.getTileAt = function(i) {
     return tt;
 };
 
+/**
+ * Returns the cost of moving into a specific tile, or -1 if the tile is 
+ * solid. The cost is read from the cost property in the tile properties 
+ * table of the map and defaults to 1, which is also the lowest possible 
+ * cost.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {number}
+ */
+rune.tilemap.TilemapLayer.prototype.getTileCostAt = function(i) {
+    var tp = this.m_map.getTilePropertiesOf(this.getTileValueAt(i));
+    if (tp) {
+        if ((parseInt(Number(tp['collision']), 10) || rune.physics.Space.NONE) > 0) {
+            return -1;
+        }
+        
+        return Math.max(Number(tp['cost']) || 1, 1);
+    }
+    
+    return 1;
+};
+
+/**
+ * Returns the flip flags of a specific tile index.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {number}
+ */
+rune.tilemap.TilemapLayer.prototype.getTileFlagsAt = function(i) {
+    if (this.m_chunks != null) {
+        return this.m_chunks.getTileFlagsAt(this.m_buffer, i);
+    }
+    
+    return this.m_flags[i] || rune.tilemap.TilemapLayer.FLIP_NONE;
+};
+
 /**
  * Returns a Tile object based on the given x and y coordinates.
  *
@@ -355,6 +572,10 @@ rune.tilemap.TilemapLayer.prototype.getTileIndexOfPoint = function(p) {
  * @returns {number}
  */
 rune.tilemap.TilemapLayer.prototype.getTileValueAt = function(i) {
+    if (this.m_chunks != null) {
+        return this.m_chunks.getTileValueAt(this.m_buffer, i);
+    }
+    
     return this.m_data[i];
 };
 
@@ -371,11 +592,10 @@ rune.tilemap.TilemapLayer.prototype.getTileValueAt = function(i) {
  */
 rune.tilemap.TilemapLayer.prototype.getTileValuesIn = function(x, y, w, h) {
     var od = [];
-    var td = this.m_data;
     var ti = this.getTileIndexesIn(x, y, w, h);
     
     for (var i = 0; i < ti.length; i++) {
-        od.push(td[ti[i]]);
+        od.push(this.getTileValueAt(ti[i]));
     }
     
     return od;
@@ -406,10 +626,9 @@ rune.tilemap.TilemapLayer.prototype.getTileValuesInRect = function(r) {
  * @returns {number}
  */
 rune.tilemap.TilemapLayer.prototype.getTileValueOf = function(x, y) {
-    var td = this.m_data;
     var ti = this.getTileIndexOf(x, y);
     
-    return td[ti];
+    return this.getTileValueAt(ti);
 };
 
 /**
@@ -500,6 +719,8 @@ rune.tilemap.TilemapLayer.prototype.hitTestContentOf = function(array, callback,
  * @returns {boolean}
  */
 rune.tilemap.TilemapLayer.prototype.hitTestObject = function(obj, callback, scope) {
+    this.m_loadChunksIn(obj['hitbox']);
+    
     var result = false;
     var tile = null;
     var tiles = this.getTileIndexesInRect(obj['hitbox']);
@@ -548,6 +769,8 @@ rune.tilemap.TilemapLayer.prototype.hitTestGroup = function(group, callback, sco
  * @returns {boolean}
  */
 rune.tilemap.TilemapLayer.prototype.hitTestPoint = function(point, callback, scope) {
+    this.m_loadChunksIn(new rune.geom.Rectangle(point['x'], point['y'], 1, 1));
+    
     var i = this.getTileIndexOfPoint(point);
     var t = this.getTileAt(i);
     
@@ -614,24 +837,41 @@ rune.tilemap.TilemapLayer.prototype.hitTestAndSeparateContentOf = function(array
 
 /**
  * Evaluates and resolves collision between the tilemap layer and the hitbox of an interactive object.
+ * Tiles whose properties contain oneWay set to true act as one-way platforms, 
+ * ie. they only block objects that land on them from above. Tiles whose 
+ * properties contain a slope type are treated as slopes, where the object 
+ * is placed on the surface of the slope, based on the horizontal center of 
+ * its hitbox. For continuous objects, all tiles that the hitbox has passed 
+ * during the update are evaluated, in the order the hitbox reaches them.
+ *
+ * @see rune.tilemap.Slope
  *
- * @param {rune.display.InteractiveObject} obj The obje5
- ct to evaluate.
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
  * @param {Function} [callback] Executed for each detected collision.
  * @param {Object} [scope] Scope of execution for the callback method.
  *
  * @returns {boolean}
  */
 rune.tilemap.TilemapLayer.prototype.hitTestAndSeparateObject = function(obj, callback, scope) {
-    var result = false;
+    this.m_loadChunksIn(obj.continuous ? rune.physics.Space.getSweptBounds(obj) : obj['hitbox']);
+    
+    var slopes = this.m_separateSlopes(obj, callback, scope);
+    var result = slopes.length > 0;
+    var delta = obj['hitbox']['y'] - obj['hitbox']['previousY'];
     var tile = null;
-    var tiles = this.getTileIndexesInRect(obj['hitbox']);
+    var tiles = obj.continuous ? this.m_getSweptTileIndexes(obj) : this.getTileIndexesInRect(obj['hitbox']);
     for (var i = 0; i < tiles.length; i++) {
         var value = this.getTileValueAt(tiles[i]);
         if (value > 0) {
             tile = this.getTileAt(tiles[i]);
-            if (obj.hitTestAndSeparateObject(tile, callback, scope)) {
-                result = true;
+            if (tile['slope'] != "") {
+                if (this.m_separateSlopeEdge(obj, tile, delta, callback, scope)) {
+                    result = true;
+                }
+            } else if (!this.m_isBehindSlopes(tile, slopes)) {
+                if (obj.hitTestAndSeparateObject(tile, callback, scope)) {
+                    result = true;
+                }
             }
         }
     }
@@ -660,7 +900,126 @@ rune.tilemap.TilemapLayer.prototype.hitTestAndSeparateGroup = function(group, ca
 };
 
 /**
- * Sets a tile value at a specified index.
+ * Casts a ray, ie. a line segment, between two points and returns 
+ * information about the first solid tile that the ray hits. Tiles are 
+ * traversed in the order the ray passes them (DDA), which means that only 
+ * the tiles along the ray are evaluated. Solid tiles are tiles that allow 
+ * collisions, where slope tiles are only hit by their sloping surface or 
+ * their flat sides. If the ray does not hit any solid tile, null is 
+ * returned.
+ *
+ * @param {number} x1 The x-coordinate of the starting point.
+ * @param {number} y1 The y-coordinate of the starting point.
+ * @param {number} x2 The x-coordinate of the end point.
+ * @param {number} y2 The y-coordinate of the end point.
+ *
+ * @returns {rune.physics.RaycastHit}
+ */
+rune.tilemap.TilemapLayer.prototype.raycast = function(x1, y1, x2, y2) {
+    var tw = this.m_map['tileWidth'];
+    var th = this.m_map['tileHeight'];
+    var wt = this.m_map['widthInTiles'];
+    var ht = this.m_map['heightInTiles'];
+    var dx = x2 - x1;
+    var dy = y2 - y1;
+    var cx = Math.floor(x1 / tw);
+    var cy = Math.floor(y1 / th);
+    var ex = Math.floor(x2 / tw);
+    var ey = Math.floor(y2 / th);
+    var sx = (dx > 0) ? 1 : -1;
+    var sy = (dy > 0) ? 1 : -1;
+    var tx = (dx != 0) ? ((dx > 0) ? (cx + 1) * tw - x1 : cx * tw - x1) / dx : Infinity;
+    var ty = (dy != 0) ? ((dy > 0) ? (cy + 1) * th - y1 : cy * th - y1) / dy : Infinity;
+    var nx = 0;
+    var ny = 0;
+    var t  = 0;
+    
+    while (t <= 1) {
+        if (cx >= 0 && cx < wt && cy >= 0 && cy < ht) {
+            var hit = this.m_raycastTile(cy * wt + cx, x1, y1, dx, dy, t, Math.min(tx, ty, 1), nx, ny);
+            if (hit != null) {
+                return hit;
+            }
+        }
+        
+        if (cx == ex && cy == ey) break;
+        
+        if (tx < ty) {
+            t   = tx;
+            tx += Math.abs(tw / dx);
+            cx += sx;
+            nx  = -sx;
+            ny  = 0;
+        } else {
+            t   = ty;
+            ty += Math.abs(th / dy);
+            cy += sy;
+            nx  = 0;
+            ny  = -sy;
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Casts a ray between two points and returns information about the first 
+ * solid tile that the ray hits, where the points are defined via Point 
+ * objects.
+ *
+ * @param {rune.geom.Point} a Starting point.
+ * @param {rune.geom.Point} b End point.
+ *
+ * @returns {rune.physics.RaycastHit}
+ */
+rune.tilemap.TilemapLayer.prototype.raycastBetweenPoints = function(a, b) {
+    return this.raycast(
+        a['x'],
+        a['y'],
+        b['x'],
+        b['y']
+    );
+};
+
+/**
+ * Removes a flow field created via the createFlowField method and 
+ * deallocates it.
+ *
+ * @param {rune.tilemap.FlowField} field The flow field to remove.
+ *
+ * @returns {boolean}
+ */
+rune.tilemap.TilemapLayer.prototype.removeFlowField = function(field) {
+    var i = this.m_flowFields.indexOf(field);
+    if (i > -1) {
+        this.m_flowFields.splice(i, 1)[0].dispose();
+        return true;
+    }
+    
+    return false;
+};
+
+/**
+ * Sets the flip flags of a tile at a specified index.
+ *
+ * @param {number} i Index.
+ * @param {number} f Bit field of flip flags, such as rune.tilemap.TilemapLayer.FLIP_HORIZONTAL.
+ *
+ * @returns {undefined}
+ */
+rune.tilemap.TilemapLayer.prototype.setTileFlagsAt = function(i, f) {
+    if (this.m_chunks != null) {
+        this.m_chunks.setTileFlagsAt(this.m_buffer, i, parseInt(f, 10) || rune.tilemap.TilemapLayer.FLIP_NONE);
+    } else {
+        this.m_flags[i] = parseInt(f, 10) || rune.tilemap.TilemapLayer.FLIP_NONE;
+    }
+};
+
+/**
+ * Sets a tile value at a specified index. Note that the flip flags of the 
+ * tile are reset and that flow fields of the layer are updated. If the map 
+ * contains auto-tiling rule sets, the tile and its neighbours are assigned 
+ * the variants that match their neighbourhood.
  *
  * @param {number} i Index.
  * @param {number} v Value.
@@ -668,7 +1027,8 @@ rune.tilemap.TilemapLayer.prototype.hitTestAndSeparateGroup = function(group, ca
  * @returns {undefined}
  */
 rune.tilemap.TilemapLayer.prototype.setTileValueAt = function(i, v) {
-    this.m_data[i] = parseInt(v, 10);
+    this.m_setTileValueAt(i, v);
+    this.m_applyAutoTilesAround(i);
 };
 
 /**
@@ -718,10 +1078,10 @@ rune.tilemap.TilemapLayer.prototype.setTileValueInRect = function(r, v) {
  * @returns {undefined}
  */
 rune.tilemap.TilemapLayer.prototype.setTileValueOf = function(x, y, v) {
-    var td = this.m_data;
-    var ti = this.getTileIndexOf(x, y);
-    
-    td[ti] = v;
+    this.setTileValueAt(
+        this.getTileIndexOf(x, y),
+        v
+    );
 };
 
 /**
@@ -751,8 +1111,14 @@ rune.tilemap.TilemapLayer.prototype.setTileValueOfPoint = function(p, v) {
  * @ignore
  */
 rune.tilemap.TilemapLayer.prototype.dispose = function() {
+    while (this.m_flowFields.length > 0) {
+        this.removeFlowField(this.m_flowFields[0]);
+    }
+    
     this.clear();
+    this.m_chunks = null;
     this.m_data = null;
+    this.m_flags = null;
     this.m_map = null;
     this.m_tmpTile = null;
 };
@@ -783,254 +1149,553 @@ rune.tilemap.TilemapLayer.prototype.m_construct = function() {
  * @private
  */
 rune.tilemap.TilemapLayer.prototype.m_constructData = function() {
-    if (this.m_data == null) {
+    if (this.m_chunks != null) {
+        this.m_data  = null;
+        this.m_flags = null;
+    } else if (this.m_data == null) {
         this.clear();
     } else {
         if ((this.m_data.length > 0) && (this.m_data.length !== this.m_map['numTiles'])) {
             throw new Error("Invalid map data.");
         }
+        
+        if (this.m_flags == null) {
+            this.m_flags = Array(this.m_data.length);
+            for (var i = 0; i < this.m_flags.length; i++) {
+                this.m_flags[i] = rune.tilemap.TilemapLayer.FLIP_NONE;
+            }
+        } else if (this.m_flags.length !== this.m_data.length) {
+            throw new Error("Invalid map data.");
+        }
     }    
 };
 
 /**
- * Calculates the distance between a start and destination index.
+ * Returns the tile index of a specific position, or -1 if the position is 
+ * outside the layer.
+ *
+ * @param {number} x The x-coordinate of the position.
+ * @param {number} y The y-coordinate of the position.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_getPathIndex = function(x, y) {
+    var tx = Math.floor(x / this.m_map['tileWidth']);
+    var ty = Math.floor(y / this.m_map['tileHeight']);
+    
+    if ((tx < 0) || (tx >= this.m_map['widthInTiles']) || (ty < 0) || (ty >= this.m_map['heightInTiles'])) {
+        return -1;
+    }
+    
+    return ty * this.m_map['widthInTiles'] + tx;
+};
+
+/**
+ * Returns the cost of moving into a specific tile, or -1 if the tile is 
+ * solid. Costs are stored in a cache to avoid looking up the properties of 
+ * the same tile more than once per query.
+ *
+ * @param {number} i Tile index.
+ * @param {Array.<number>} cc Cost cache.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_getPathCost = function(i, cc) {
+    if (cc[i] === undefined) {
+        cc[i] = this.getTileCostAt(i);
+    }
+    
+    return cc[i];
+};
+
+/**
+ * Finds the cheapest path between a start and destination index using the 
+ * A* algorithm. The open list is a rune.util.Heap of tile indexes, 
+ * prioritized by their estimated total costs.
  *
  * @param {number} si Start index.
  * @param {number} gi Target index.
- * @param {boolean} [md=false] Whether the distance may be calculated with diagonal movement.
+ * @param {boolean} md Whether diagonal moves are allowed.
+ * @param {Array.<number>} cc Cost cache.
  *
- * @returns {Array.<number>}
+ * @returns {Array.<number>} Tile indexes from start to target, or null if no path exists.
  * @private
  */
-rune.tilemap.TilemapLayer.prototype.m_computeDistance = function(si, gi, md) {
+rune.tilemap.TilemapLayer.prototype.m_findPath = function(si, gi, md, cc) {
     var wt = this.m_map['widthInTiles'];
     var ht = this.m_map['heightInTiles'];
-    var ms = this.m_map['numTiles'];
-    var ad = Array(ms);
-    var td = 1;
-    var tn = [si];
-    var ca = null;
-    var ci = 0;
-    var cl = 0;
-    var ni = 0;
-    var dl = false;
-    var dr = false;
-    var du = false;
-    var dd = false;
-    var fe = false;
+    var ox = [0, 1, 0, -1, 1, 1, -1, -1];
+    var oy = [-1, 0, 1, 0, -1, 1, 1, -1];
+    var nd = md ? 8 : 4;
+    var gs = [];
+    var ps = [];
+    var cl = [];
+    var hp = new rune.util.Heap();
+    var gx = gi % wt;
+    var gy = Math.floor(gi / wt);
     
-    var ti = 0;
-    var tt = null;
+    gs[si] = 0;
+    ps[si] = -1;
+    hp.push(si, 0);
     
-    while(ti < ms) {
-        tt = this.getTileAt(ti);
-        
-        if ((tt) && (tt['allowCollisions'] > 0)) {
-            ad[ti] = -2;
-        } else {
-            ad[ti] = -1;
-        }
+    while (hp['length'] > 0) {
+        var ci = hp.pop();
+        if (ci == gi) {
+            var ap = [];
+            while (ci > -1) {
+                ap.push(ci);
+                ci = ps[ci];
+            }
             
-        ti++;
-    }
-    
-    ad[si] = 0;
-    
-    while(tn.length > 0) {
-        ca = tn;
-        tn = [];
+            return ap.reverse();
+        }
         
-        ti = 0;
-        cl = ca.length;
+        if (cl[ci] === true) continue;
+        cl[ci] = true;
         
-        while (ti < cl) {
-            ci = ca[ti++];
-            if (ci == gi) {
-                fe = true;
-                ca.length = 0;
-                break;
-            }
+        var cx = ci % wt;
+        var cy = Math.floor(ci / wt);
+        
+        for (var d = 0; d < nd; d++) {
+            var nx = cx + ox[d];
+            var ny = cy + oy[d];
+            if ((nx < 0) || (nx >= wt) || (ny < 0) || (ny >= ht)) continue;
             
-            dl = (ci % wt > 0);
-            dr = (ci % wt < wt - 1);
-            du = (ci / wt > 0);
-            dd = (ci / wt < ht - 1);
-              
-            if (du) {
-                ni = ci - wt;
-                if (ad[ni] == -1) {
-                    ad[ni] = td;
-                    tn.push(ni);
-                }
-            }
+            var ni = ny * wt + nx;
+            if (cl[ni] === true) continue;
             
-            if (dr) {
-                ni = ci + 1;
-                if (ad[ni] == -1) {
-                    ad[ni] = td;
-                    tn.push(ni);
-                }
-            }
+            var nc = this.m_getPathCost(ni, cc);
+            if (nc < 0) continue;
             
-            if (dd) {
-                ni = ci + wt;
-                if (ad[ni] == -1) {
-                    ad[ni] = td;
-                    tn.push(ni);
-                }
-            }
-            
-            if (dl) {
-                ni = ci - 1;
-                if (ad[ni] == -1) {
-                    ad[ni] = td;
-                    tn.push(ni);
-                }
+            if (d > 3) {
+                if ((this.m_getPathCost(cy * wt + nx, cc) < 0) || (this.m_getPathCost(ny * wt + cx, cc) < 0)) continue;
+                nc *= Math.SQRT2;
             }
             
-            if (md == true) {
-                
-                if (du && dr) {
-                    ni = ci - wt + 1;
-                    if ((ad[ni] == -1) && (ad[ci - wt] >= -1) && (ad[ci + 1] >= -1)) {
-                        ad[ni] = td;
-                        tn.push(ni);
-                    }
-                }
+            var ng = gs[ci] + nc;
+            if ((gs[ni] === undefined) || (ng < gs[ni])) {
+                var dx = Math.abs(gx - nx);
+                var dy = Math.abs(gy - ny);
+                var eh = md ? Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy) : dx + dy;
                 
-                if (dr && dd) {
-                    ni = ci + wt + 1;
-                    if ((ad[ni] == -1) && (ad[ci + wt] >= -1) && (ad[ci + 1] >= -1)) {
-                        ad[ni] = td;
-                        tn.push(ni);
-                    }
-                }
-                
-                if (dl && dd) {
-                    ni = ci + wt - 1;
-                    if ((ad[ni] == -1) && (ad[ci + wt] >= -1) && (ad[ci - 1] >= -1)) {
-                        ad[ni] = td;
-                        tn.push(ni);
-                    }
-                }
-                
-                if (du && dl) {
-                    ni = ci - wt - 1;
-                    if ((ad[ni] == -1) && (ad[ci - wt] >= -1) && (ad[ci - 1] >= -1)) {
-                        ad[ni] = td;
-                        tn.push(ni);
-                    }
-                }
+                gs[ni] = ng;
+                ps[ni] = ci;
+                hp.push(ni, ng + eh);
             }
         }
-        
-        td++;
     }
     
-    if (!fe) {
-        ad = null;
-    }
+    return null;
+};
+
+/**
+ * Removes tile indexes that can be skipped from a path. A tile index is 
+ * skipped if there is an unobstructed line of sight past it, that does not 
+ * pass through tiles that are more expensive than those it replaces. 
+ * Without diagonal moves, the line of sight must be horizontal or vertical.
+ *
+ * @param {Array.<number>} ap Tile indexes from start to target.
+ * @param {boolean} md Whether diagonal moves are allowed.
+ * @param {Array.<number>} cc Cost cache.
+ *
+ * @returns {Array.<number>}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_smoothPath = function(ap, md, cc) {
+    if (ap.length < 3) return ap;
+    
+    var wt = this.m_map['widthInTiles'];
+    var op = [ap[0]];
+    var ai = 0;
+    
+    while (ai < ap.length - 1) {
+        var ni = ai + 1;
+        var mc = Math.max(this.m_getPathCost(ap[ai], cc), this.m_getPathCost(ap[ni], cc));
         
-    return ad;
+        for (var j = ai + 2; j < ap.length; j++) {
+            if (!md && (ap[ai] % wt != ap[j] % wt) && (Math.floor(ap[ai] / wt) != Math.floor(ap[j] / wt))) break;
+            mc = Math.max(mc, this.m_getPathCost(ap[j], cc));
+            if (!this.m_hasLineOfSight(ap[ai], ap[j], mc, cc)) break;
+            ni = j;
+        }
+        
+        op.push(ap[ni]);
+        ai = ni;
+    }
+    
+    return op;
 };
 
 /**
- * Recursive function that walks through the grid backwards, with the aim of finding 
- * the shortest path back to the starting position.
+ * Evaluates whether a straight line between the centers of two tiles only 
+ * passes through walkable tiles whose cost does not exceed a certain value. 
+ * Lines that pass exactly through the corner of a tile are treated as if 
+ * they pass through both neighboring tiles, so that corners are not cut.
  *
- * @param {Array} ad Distance array.
- * @param {number} si Start index.
- * @param {Array} ap Path array.
- * @param {boolean} [md=false] Whether diagonal calculations should be used.
+ * @param {number} ai Start index.
+ * @param {number} bi Target index.
+ * @param {number} mc Highest allowed cost.
+ * @param {Array.<number>} cc Cost cache.
  *
- * @returns {undefined}
+ * @returns {boolean}
  * @private
  */
-rune.tilemap.TilemapLayer.prototype.m_walk = function(ad, si, ap, md) {
+rune.tilemap.TilemapLayer.prototype.m_hasLineOfSight = function(ai, bi, mc, cc) {
     var wt = this.m_map['widthInTiles'];
-    var ht = this.m_map['heightInTiles'];
+    var cx = ai % wt;
+    var cy = Math.floor(ai / wt);
+    var ex = bi % wt;
+    var ey = Math.floor(bi / wt);
+    var dx = Math.abs(ex - cx);
+    var dy = Math.abs(ey - cy);
+    var sx = (ex > cx) ? 1 : -1;
+    var sy = (ey > cy) ? 1 : -1;
+    var er = dx - dy;
+    var tc = 0;
+    
+    dx *= 2;
+    dy *= 2;
+    
+    while (true) {
+        tc = this.m_getPathCost(cy * wt + cx, cc);
+        if ((tc < 0) || (tc > mc)) return false;
+        if ((cx == ex) && (cy == ey)) return true;
+        
+        if (er > 0) {
+            cx += sx;
+            er -= dy;
+        } else if (er < 0) {
+            cy += sy;
+            er += dx;
+        } else {
+            tc = this.m_getPathCost(cy * wt + cx + sx, cc);
+            if ((tc < 0) || (tc > mc)) return false;
+            tc = this.m_getPathCost((cy + sy) * wt + cx, cc);
+            if ((tc < 0) || (tc > mc)) return false;
+            cx += sx;
+            cy += sy;
+            er += dx - dy;
+        }
+    }
+};
+
+/**
+ * Places an object on the surface of the floor slope below it, or below the 
+ * surface of the ceiling slope above it. Objects that stood on the ground 
+ * during the previous update are snapped to floor slopes that descend below 
+ * them, so that they can walk down slopes without losing contact with the 
+ * ground.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ * @param {Function} [callback] Executed for each detected collision.
+ * @param {Object} [scope] Scope of execution for the callback method.
+ *
+ * @returns {Array.<Object>} Description of the slopes that the object was separated from.
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_separateSlopes = function(obj, callback, scope) {
+    var output = [];
+    if (obj['immovable']) return output;
+    
     var tw = this.m_map['tileWidth'];
     var th = this.m_map['tileHeight'];
+    var wt = this.m_map['widthInTiles'];
+    var ht = this.m_map['heightInTiles'];
+    var hb = obj['hitbox'];
+    var cx = hb['x'] + hb['width'] * 0.5;
+    var tx = Math.floor(cx / tw);
+    if (tx < 0 || tx >= wt) return output;
     
-    ap.push(new rune.geom.Point(
-        parseInt(si % wt, 10) * tw + tw * 0.5, 
-        parseInt(si / wt, 10) * th + th * 0.5
-    ));
+    var dx = Math.abs(hb['x'] - hb['previousX']);
+    var dy = hb['y'] - hb['previousY'];
+    var sn = ((obj['touched'] & rune.physics.Space.DOWN) > 0) && dy >= 0;
+    var y0 = Math.max(Math.floor(hb['y'] / th), 0);
+    var y1 = Math.min(Math.floor((hb['y'] + hb['height'] + (sn ? dx * th / tw + rune.tilemap.TilemapLayer.SLOPE_BIAS : 0)) / th), ht - 1);
     
-    if (ad[si] == 0) return;
+    var floor = null;
+    var ceiling = null;
     
-    var dl = (si % wt > 0);
-    var dr = (si % wt < wt - 1);
-    var du = (si / wt > 0);
-    var dd = (si / wt < ht - 1);
+    for (var ty = y0; ty <= y1; ty++) {
+        var ti = ty * wt + tx;
+        if (this.getTileValueAt(ti) > 0) {
+            var tile = this.getTileAt(ti);
+            var type = tile['slope'];
+            if (type == "") continue;
+            
+            var sy = rune.tilemap.Slope.getSurfaceY(type, tile['x'], tile['y'], tw, th, cx);
+            var sg = rune.tilemap.Slope.getGradient(type, tw, th) * dx + rune.tilemap.TilemapLayer.SLOPE_BIAS;
+            
+            if (rune.tilemap.Slope.isCeiling(type)) {
+                if ((obj['allowCollisions'] & rune.physics.Space.UP) && (tile['allowCollisions'] & rune.physics.Space.DOWN) && 
+                    (hb['y'] < sy) && (hb['previousY'] >= sy - sg) && (ceiling == null || sy > ceiling['surface'])) {
+                    ceiling = {index: ti, type: type, x: tile['x'], y: tile['y'], surface: sy};
+                }
+            } else {
+                var bottom = hb['y'] + hb['height'];
+                if ((obj['allowCollisions'] & rune.physics.Space.DOWN) && (tile['allowCollisions'] & rune.physics.Space.UP) && 
+                    ((bottom > sy && hb['previousY'] + hb['height'] <= sy + sg) || (sn && bottom <= sy && sy - bottom <= sg)) && 
+                    (floor == null || sy < floor['surface'])) {
+                    floor = {index: ti, type: type, x: tile['x'], y: tile['y'], surface: sy};
+                }
+            }
+        }
+    }
     
-    var cd = ad[si];
-    var ci = 0;
+    if (floor != null) {
+        obj.y += floor['surface'] - (hb['y'] + hb['height']);
+        obj.touching |= rune.physics.Space.DOWN;
+        if (obj['velocity']['y'] > 0) {
+            obj['velocity']['y'] = 0;
+        }
+        
+        output.push(floor);
+    }
     
-    if (du) {
-        ci = si - wt;
-        if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-            this.m_walk(ad, ci, ap, md);
-            return;
+    if (ceiling != null) {
+        obj.y += ceiling['surface'] - hb['y'];
+        obj.touching |= rune.physics.Space.UP;
+        if (obj['velocity']['y'] < 0) {
+            obj['velocity']['y'] = 0;
         }
+        
+        output.push(ceiling);
     }
     
-    if (dr) {
-        ci = si + 1;
-        if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-            this.m_walk(ad, ci, ap, md);
-            return;
+    if (typeof callback === "function") {
+        for (var i = 0; i < output.length; i++) {
+            callback.call(scope || obj, obj, this.getTileAt(output[i]['index']));
         }
     }
     
-    if (dd) {
-        ci = si + wt;
-        if((ad[ci] >= 0) && (ad[ci] < cd)) {
-            this.m_walk(ad, ci, ap, md);
-            return;
+    return output;
+};
+
+/**
+ * Resolves collision against the flat side of a slope tile, ie. the bottom 
+ * of a floor slope or the top of a ceiling slope.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ * @param {rune.tilemap.Tile} tile The slope tile.
+ * @param {number} delta The movement of the object in the y direction.
+ * @param {Function} [callback] Executed in case of collision.
+ * @param {Object} [scope] Scope of execution for the callback method.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_separateSlopeEdge = function(obj, tile, delta, callback, scope) {
+    var ceiling = rune.tilemap.Slope.isCeiling(tile['slope']);
+    if ((ceiling ? delta > 0 : delta < 0) && obj.hitTestObject(tile)) {
+        if (rune.physics.Space.separateY(obj, tile)) {
+            if (typeof callback === "function") {
+                callback.call(scope || obj, obj, tile);
+            }
+            
+            return true;
         }
     }
     
-    if (dl) {
-        ci = si - 1;
-        if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-            this.m_walk(ad, ci, ap, md);
-            return;
+    return false;
+};
+
+/**
+ * Whether a solid tile lies behind the surface of any of the specified 
+ * slopes, ie. below a floor slope or above a ceiling slope, as seen from 
+ * the edge of the slope that is closest to the tile. Such tiles continue 
+ * the slope and must not block an object that moves along it.
+ *
+ * @param {rune.tilemap.Tile} tile The tile to evaluate.
+ * @param {Array.<Object>} slopes Slopes from which an object was separated.
+ *
+ * @returns {boolean}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_isBehindSlopes = function(tile, slopes) {
+    var tw = this.m_map['tileWidth'];
+    var th = this.m_map['tileHeight'];
+    for (var i = 0; i < slopes.length; i++) {
+        var s = slopes[i];
+        var x = rune.util.Math.clamp(tile['x'] + tw * 0.5, s['x'], s['x'] + tw);
+        var y = rune.tilemap.Slope.getSurfaceY(s['type'], s['x'], s['y'], tw, th, x);
+        if (rune.tilemap.Slope.isCeiling(s['type'])) {
+            if (tile['y'] + th <= y) return true;
+        } else {
+            if (tile['y'] >= y) return true;
         }
     }
     
-    if (md == true) {
+    return false;
+};
+
+/**
+ * Loads the chunks that overlap an area, and keeps them from being 
+ * unloaded, so that hit tests within the area are evaluated against the 
+ * tiles of the chunks. Has no effect if the map is not chunked.
+ *
+ * @param {rune.geom.Rectangle} r The area, in pixels.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_loadChunksIn = function(r) {
+    if (this.m_chunks != null) {
+        this.m_chunks.getChunksInRect(r);
+    }
+};
+
+/**
+ * Returns the indexes of the tiles that the hitbox of a continuous object 
+ * has passed during the current update, sorted by the time at which the 
+ * hitbox reaches them. Tiles that the hitbox overlapped already at its 
+ * previous position are placed first.
+ *
+ * @param {rune.display.InteractiveObject} obj The object to evaluate.
+ *
+ * @returns {Array.<number>}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_getSweptTileIndexes = function(obj) {
+    var tiles = this.getTileIndexesInRect(rune.physics.Space.getSweptBounds(obj));
+    var times = {};
+    for (var i = 0; i < tiles.length; i++) {
+        times[tiles[i]] = Math.max(rune.physics.Space.getTimeOfImpact(obj, this.getTileAt(tiles[i])), 0);
+    }
+    
+    return tiles.sort(function(a, b) {
+        return times[a] - times[b];
+    });
+};
+
+/**
+ * Evaluates whether the part of a ray that passes through a specific tile 
+ * hits the tile.
+ *
+ * @param {number} i Tile index.
+ * @param {number} x1 The x-coordinate of the starting point of the ray.
+ * @param {number} y1 The y-coordinate of the starting point of the ray.
+ * @param {number} dx The length of the ray in the x direction.
+ * @param {number} dy The length of the ray in the y direction.
+ * @param {number} t0 Where the ray enters the tile, as a fraction of its length.
+ * @param {number} t1 Where the ray exits the tile, as a fraction of its length.
+ * @param {number} nx The normal of the entered tile side in the x direction.
+ * @param {number} ny The normal of the entered tile side in the y direction.
+ *
+ * @returns {rune.physics.RaycastHit}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_raycastTile = function(i, x1, y1, dx, dy, t0, t1, nx, ny) {
+    if (this.getTileValueAt(i) <= 0) return null;
+    
+    var tile = this.getTileAt(i);
+    if (tile['allowCollisions'] <= rune.physics.Space.NONE) return null;
+    
+    var type = tile['slope'];
+    var t = t0;
+    
+    if (type != "") {
+        var tw = this.m_map['tileWidth'];
+        var th = this.m_map['tileHeight'];
+        var ceiling = rune.tilemap.Slope.isCeiling(type);
+        var px = x1 + dx * t0;
+        var py = y1 + dy * t0;
+        var sy = rune.tilemap.Slope.getSurfaceY(type, tile['x'], tile['y'], tw, th, px);
         
-        if (du && dr) {
-            ci = si - wt + 1;
-            if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-                this.m_walk(ad, ci, ap, md);
-                return;
-            }
+        if (ceiling ? py > sy : py < sy) {
+            var sl = rune.tilemap.Slope.getSurfaceY(type, tile['x'], tile['y'], tw, th, tile['x']);
+            var sr = rune.tilemap.Slope.getSurfaceY(type, tile['x'], tile['y'], tw, th, tile['x'] + tw);
+            var sg = (sr - sl) / tw;
+            var sd = dy - sg * dx;
+            if (sd == 0) return null;
+            
+            t = (sl + sg * (x1 - tile['x']) - y1) / sd;
+            if (t < t0 || t > t1) return null;
+            
+            var sn = Math.sqrt(sg * sg + 1);
+            nx = (ceiling ? -sg : sg) / sn;
+            ny = (ceiling ? 1 : -1) / sn;
         }
-        
-        if (dr && dd) {
-            ci = si + wt + 1;
-            if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-                this.m_walk(ad, ci, ap, md);
-                return;
-            }
+    }
+    
+    var hit = new rune.physics.RaycastHit(
+        x1 + dx * t,
+        y1 + dy * t,
+        nx,
+        ny,
+        Math.sqrt(dx * dx + dy * dy) * t
+    );
+    
+    hit.tileIndex = i;
+    hit.tileValue = tile['value'];
+    
+    return hit;
+};
+
+/**
+ * Assigns a tile the variant that matches its neighbourhood, provided that 
+ * the tile value belongs to an auto-tiling rule set of the map.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_applyAutoTile = function(i) {
+    var v = this.getTileValueAt(i);
+    var a = this.m_map.getAutoTileOf(v);
+    if (a != null) {
+        var t = a.getTileValueAt(this, i);
+        if (t > -1 && t != v) {
+            this.m_setTileValueAt(i, t);
         }
-        
-        if (dl && dd) {
-            ci = si + wt - 1;
-            if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-                this.m_walk(ad, ci, ap, md);
-                return;
-            }
+    }
+};
+
+/**
+ * Assigns a tile and its eight neighbours the variants that match their 
+ * neighbourhood.
+ *
+ * @param {number} i Tile index.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_applyAutoTilesAround = function(i) {
+    var w = this.m_map['widthInTiles'];
+    var h = this.m_map['heightInTiles'];
+    if (i < 0 || i >= w * h) return;
+    
+    var x = i % w;
+    var y = Math.floor(i / w);
+    
+    for (var ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, h - 1); ny++) {
+        for (var nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, w - 1); nx++) {
+            this.m_applyAutoTile(ny * w + nx);
         }
-        
-        if (du && dl) {
-            ci = si - wt - 1;
-            if ((ad[ci] >= 0) && (ad[ci] < cd)) {
-                this.m_walk(ad, ci, ap, md);
-                return;
-            }
-        }   
-    }        
+    }
+};
+
+/**
+ * Sets a tile value at a specified index, without auto-tiling. The flip 
+ * flags of the tile are reset and flow fields of the layer are updated.
+ *
+ * @param {number} i Index.
+ * @param {number} v Value.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tilemap.TilemapLayer.prototype.m_setTileValueAt = function(i, v) {
+    if (this.m_chunks != null) {
+        this.m_chunks.setTileValueAt(this.m_buffer, i, parseInt(v, 10));
+        this.m_chunks.setTileFlagsAt(this.m_buffer, i, rune.tilemap.TilemapLayer.FLIP_NONE);
+    } else {
+        this.m_data[i]  = parseInt(v, 10);
+        this.m_flags[i] = rune.tilemap.TilemapLayer.FLIP_NONE;
+    }
+    
+    for (var j = 0; j < this.m_flowFields.length; j++) {
+        this.m_flowFields[j].invalidate(i);
+    }
 };
\ No newline at end of file
@@ -0,0 +1,207 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/** 
+ * Creates a new TilemapObject.
+ * 
+ * @constructor
+ * @extends rune.geom.Rectangle
+ *
+ * @param {Object} [data] Object data.
+ * 
+ * @class
+ * @classdesc
+ * 
+ * The rune.tilemap.TilemapObject class represents a named rectangle or point 
+ * placed within a Tilemap, such as a spawn point, a trigger area or the 
+ * position of an entity. TilemapObject instances are created when a map 
+ * containing object data is loaded, and can be requested from the Tilemap 
+ * to which they belong.
+ *
+ * @see rune.tilemap.Tilemap
+ */
+rune.tilemap.TilemapObject = function(data) {
+    
+    //--------------------------------------------------------------------------
+    // Default arguments
+    //--------------------------------------------------------------------------
+    
+    /**
+     * @ignore
+     */
+    data = data || {};
+    
+    //--------------------------------------------------------------------------
+    // Public properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Unique ID of the object.
+     *
+     * @type {number}
+     * @default 0
+     */
+    this.id = data['id'] || 0;
+    
+    /**
+     * The name of the layer to which the object belongs.
+     *
+     * @type {string}
+     * @default ""
+     */
+    this.layer = data['layer'] || "";
+    
+    /**
+     * The name of the object.
+     *
+     * @type {string}
+     * @default ""
+     */
+    this.name = data['name'] || "";
+    
+    /**
+     * Vertices of polygon and polyline objects, expressed in map coordinates.
+     *
+     * @type {Array.<rune.geom.Point>}
+     */
+    this.points = [];
+    
+    /**
+     * Custom properties of the object.
+     *
+     * @type {Object}
+     */
+    this.properties = data['properties'] || {};
+    
+    /**
+     * The rotation of the object, in degrees.
+     *
+     * @type {number}
+     * @default 0.0
+     */
+    this.rotation = data['rotation'] || 0.0;
+    
+    /**
+     * The shape of the object; "rectangle", "point", "ellipse", "polygon", 
+     * "polyline" or "tile".
+     *
+     * @type {string}
+     * @default "rectangle"
+     */
+    this.shape = data['shape'] || "rectangle";
+    
+    /**
+     * The type (class) of the object. Useful to determine which type of 
+     * entity to spawn from the object.
+     *
+     * @type {string}
+     * @default ""
+     */
+    this.type = data['type'] || "";
+    
+    /**
+     * Tile value of tile objects. The value is 0 for objects that are not 
+     * represented by a tile.
+     *
+     * @type {number}
+     * @default 0
+     */
+    this.value = data['value'] || 0;
+    
+    //--------------------------------------------------------------------------
+    // Super call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Extend rune.geom.Rectangle.
+     */
+    rune.geom.Rectangle.call(this, data['x'], data['y'], data['width'], data['height']);
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct(data);
+};
+
+//------------------------------------------------------------------------------
+// Inheritance
+//------------------------------------------------------------------------------
+
+rune.tilemap.TilemapObject.prototype = Object.create(rune.geom.Rectangle.prototype);
+rune.tilemap.TilemapObject.prototype.constructor = rune.tilemap.TilemapObject;
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * Whether the object represents a point (true) or an area (false).
+ *
+ * @member {boolean} point
+ * @memberof rune.tilemap.TilemapObject
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tilemap.TilemapObject.prototype, "point", {
+    /**
+     * @this rune.tilemap.TilemapObject
+     * @ignore
+     */
+    get : function() {
+        return this.shape == "point";
+    }
+});
+
+//------------------------------------------------------------------------------
+// Override public prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * @inheritDoc
+ */
+rune.tilemap.TilemapObject.prototype.toString = function() {
+    return "[{TilemapObject (name=" + this.name + " type=" + this.type + " x=" + this['x'] + " y=" + this['y'] + " width=" + this['width'] + " height=" + this['height'] + ")}]";
+};
+
+//------------------------------------------------------------------------------
+// Public prototype methods (ENGINE)
+//------------------------------------------------------------------------------
+
+/**
+ * Preparing the object for deletion.
+ *
+ * @returns {undefined}
+ * @ignore
+ */
+rune.tilemap.TilemapObject.prototype.dispose = function() {
+    this.points.length = 0;
+    this.properties = null;
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ *
+ * @param {Object} data Object data.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.tilemap.TilemapObject.prototype.m_construct = function(data) {
+    var points = data['points'] || [];
+    for (var i = 0; i < points.length; i++) {
+        this.points.push(new rune.geom.Point(
+            points[i]['x'],
+            points[i]['y']
+        ));
+    }
+};
\ No newline at end of file
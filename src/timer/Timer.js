@@ -55,6 +55,14 @@ rune.timer.Timer = function(options) {
      */
     this.m_elapsed = 0.0;
     
+    /**
+     * Elapsed time at which the current iteration ends.
+     * 
+     * @type {number}
+     * @private
+     */
+    this.m_next = 0.0;
+    
     /**
      * If the Timer object is paused.
      * 
@@ -70,6 +78,14 @@ rune.timer.Timer = function(options) {
      * @private
      */
     this.m_repeats = 0;
+    
+    /**
+     * The length of the current iteration.
+     * 
+     * @type {number}
+     * @private
+     */
+    this.m_tickDuration = 0.0;
 
     //--------------------------------------------------------------------------
     // Constructor call
@@ -159,6 +175,25 @@ Object.defineProperty(rune.timer.Timer.prototype, "disposed", {
     }
 });
 
+/**
+ * Name of the group the Timer object belongs to, or null if it does not 
+ * belong to a group.
+ *
+ * @member {string} group
+ * @memberof rune.timer.Timer
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.timer.Timer.prototype, "group", {
+    /**
+     * @this rune.timer.Timer
+     * @ignore
+     */
+    get : function() {
+        return this.m_arguments.group;
+    }
+});
+
 /**
  * If the Timer object is paused.
  *
@@ -203,7 +238,7 @@ Object.defineProperty(rune.timer.Timer.prototype, "progressTick", {
      * @ignore
      */
     get : function() {
-        return Math.min((this.m_elapsed % this.m_arguments.duration) / this.m_arguments.duration, 1);
+        return Math.max(Math.min(1 - (this.m_next - this.m_elapsed) / this.m_tickDuration, 1), 0);
     }
 });
 
@@ -225,6 +260,32 @@ Object.defineProperty(rune.timer.Timer.prototype, "progressTotal", {
     }
 });
 
+/**
+ * Factor by which the elapsed time of the Timer object is scaled, where 
+ * values below 1 result in slow motion. The factor is combined with the 
+ * time scale of the handler.
+ *
+ * @member {number} timeScale
+ * @memberof rune.timer.Timer
+ * @instance
+ */
+Object.defineProperty(rune.timer.Timer.prototype, "timeScale", {
+    /**
+     * @this rune.timer.Timer
+     * @ignore
+     */
+    get : function() {
+        return this.m_arguments.timeScale;
+    },
+    /**
+     * @this rune.timer.Timer
+     * @ignore
+     */
+    set : function(value) {
+        this.m_arguments.timeScale = value;
+    }
+});
+
 //------------------------------------------------------------------------------
 // Public prototype methods (API)
 //------------------------------------------------------------------------------
@@ -247,6 +308,7 @@ rune.timer.Timer.prototype.pause = function() {
  */
 rune.timer.Timer.prototype.restart = function() {
     this.m_elapsed = 0.0;
+    this.m_resetTicks();
 };
 
 /**
@@ -268,6 +330,7 @@ rune.timer.Timer.prototype.start = function() {
     if (this.m_active === false) {
         this.m_active = true;
         this.m_elapsed = 0.0;
+        this.m_resetTicks();
     }
 };
 
@@ -279,6 +342,7 @@ rune.timer.Timer.prototype.start = function() {
 rune.timer.Timer.prototype.stop = function() {
     this.m_active = false;
     this.m_elapsed = 0.0;
+    this.m_resetTicks();
 };
 
 //------------------------------------------------------------------------------
@@ -329,6 +393,7 @@ rune.timer.Timer.prototype.dispose = function() {
  */
 rune.timer.Timer.prototype.m_construct = function(options) {
     this.m_initArguments(options);
+    this.m_resetTicks();
 };
 
 //------------------------------------------------------------------------------
@@ -361,7 +426,8 @@ rune.timer.Timer.prototype.m_initArguments = function(options) {
  * @private
  */
 rune.timer.Timer.prototype.m_updateElapsed = function(step) {
-    this.m_elapsed += step;
+    if (this.m_arguments.frames === true) this.m_elapsed += 1;
+    else this.m_elapsed += step * this.m_arguments.timeScale;
 };
 
 /**
@@ -374,9 +440,12 @@ rune.timer.Timer.prototype.m_updateElapsed = function(step) {
  */
 rune.timer.Timer.prototype.m_updateComplete = function(step) {
     if (this.m_arguments != null) {
-        var repreats = parseInt(this.m_elapsed / this.m_arguments.duration, 10);
-        if (repreats > this.m_repeats) {
-            this.m_repeats = repreats;
+        if (this.m_elapsed >= this.m_next) {
+            while (this.m_elapsed >= this.m_next && this.complete === false) {
+                this.m_repeats++;
+                this.m_nextTick();
+            }
+            
             this.m_arguments.onTick.call(this.m_arguments.scope, this);
         }
         
@@ -385,6 +454,39 @@ rune.timer.Timer.prototype.m_updateComplete = function(step) {
     }
 };
 
+/**
+ * Resets the iterations of the timer, and schedules the end of the first 
+ * iteration.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.timer.Timer.prototype.m_resetTicks = function() {
+    this.m_repeats = 0;
+    this.m_next = 0.0;
+    this.m_nextTick();
+};
+
+/**
+ * Schedules the end of the next iteration. The length of the iteration is 
+ * randomized if the timer ticks at random intervals, and is never shorter 
+ * than rune.timer.TimerOptions.MIN_DURATION.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.timer.Timer.prototype.m_nextTick = function() {
+    var min = this.m_arguments.duration;
+    var max = this.m_arguments.durationMax;
+    
+    this.m_tickDuration = Math.max(
+        (max > min) ? rune.util.Math.random(min, max) : min,
+        rune.timer.TimerOptions.MIN_DURATION
+    );
+    
+    this.m_next += this.m_tickDuration;
+};
+
 /**
  * Calls the callback method when the object is aborted.
  *
@@ -31,12 +31,42 @@ rune.timer.TimerOptions = function(data) {
     //--------------------------------------------------------------------------
 
     /**
-     * The length of the timer object in milliseconds.
+     * The length of the timer object in milliseconds. Durations shorter 
+     * than rune.timer.TimerOptions.MIN_DURATION are extended to that length.
      *
      * @type {number}
      * @default 1000
      */
-    this.duration = data.duration || rune.timer.TimerOptions.DEFAULT_DURATION;
+    this.duration = (typeof data.duration === "number") ? Math.max(data.duration, rune.timer.TimerOptions.MIN_DURATION) : rune.timer.TimerOptions.DEFAULT_DURATION;
+    
+    /**
+     * The longest length of an iteration. If greater than duration, the 
+     * length of each iteration is randomized between duration and this value, 
+     * which makes the timer tick at random intervals.
+     *
+     * @type {number}
+     * @default 0
+     */
+    this.durationMax = data.durationMax || 0;
+    
+    /**
+     * If set to true, duration is measured in frames (updates) rather than 
+     * milliseconds. Frame-based timers are not affected by time scale.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    this.frames = data.frames || false;
+    
+    /**
+     * Name of the group the Timer object belongs to. Groups can be paused and 
+     * resumed via the Timers handler, for example to freeze gameplay timers 
+     * while a pause menu is open.
+     *
+     * @type {?string}
+     * @default null
+     */
+    this.group = data.group || null;
     
     /**
      * This method is activated automatically when a Timer object is deleted 
@@ -95,7 +125,8 @@ rune.timer.TimerOptions = function(data) {
 
     /**
      * The number of times the timer should be repeated. A setting of 0, means 
-     * that the timer runs once, but is not repeated.
+     * that the timer runs once, but is not repeated, while a setting of 
+     * Infinity repeats the timer until it is removed.
      *
      * @type {number}
      * @default 0
@@ -108,6 +139,15 @@ rune.timer.TimerOptions = function(data) {
      * @type {Object}
      */
     this.scope = data.scope || null;
+    
+    /**
+     * Factor by which the elapsed time of the timer is scaled, where values 
+     * below 1 result in slow motion.
+     *
+     * @type {number}
+     * @default 1
+     */
+    this.timeScale = (typeof data.timeScale === "number") ? data.timeScale : 1.0;
 };
 
 //------------------------------------------------------------------------------
@@ -122,6 +162,16 @@ rune.timer.TimerOptions = function(data) {
  */
 rune.timer.TimerOptions.DEFAULT_DURATION = 1000;
 
+/**
+ * The shortest length of an iteration (in milliseconds or frames). Shorter 
+ * iterations, such as zero or negative durations, are extended to this 
+ * length so that repeating timers always make progress.
+ *
+ * @const {number}
+ * @ignore
+ */
+rune.timer.TimerOptions.MIN_DURATION = 1;
+
 //------------------------------------------------------------------------------
 // Public prototype getter and setter methods
 //------------------------------------------------------------------------------
@@ -157,6 +207,7 @@ Object.defineProperty(rune.timer.TimerOptions.prototype, "durationTotal", {
  */
 rune.timer.TimerOptions.prototype.dispose = function() {
     this.duration = 0;
+    this.group = null;
     this.onAbort = null;
     this.onComplete = null;
     this.onPause = null;
@@ -13,7 +13,11 @@
  * @classdesc
  * 
  * The Timers class represents a handler for Timer objects. All handling of 
- * Timer objects must be done via an instance of this class.
+ * Timer objects must be done via an instance of this class. In addition to 
+ * the create method, the handler provides helpers for common schedules, such 
+ * as repeating and random intervals, and a wait method that returns a 
+ * Promise for asynchronous scripting. Timer objects can be assigned to named 
+ * groups, which can be paused and resumed independently of each other.
  */
 rune.timer.Timers = function(scope) {
 
@@ -28,6 +32,15 @@ rune.timer.Timers = function(scope) {
      * @default false
      */
     this.paused = false;
+    
+    /**
+     * Factor by which the elapsed time of all Timer objects is scaled, where 
+     * values below 1 result in slow motion.
+     *
+     * @type {number}
+     * @default 1
+     */
+    this.timeScale = 1.0;
 
     //--------------------------------------------------------------------------
     // Private properties
@@ -40,6 +53,14 @@ rune.timer.Timers = function(scope) {
      * @private
      */
     this.m_timers = [];
+    
+    /**
+     * Names of paused groups.
+     *
+     * @type {Array.<string>}
+     * @private
+     */
+    this.m_pausedGroups = [];
 
     /**
      * Scope within which the Timer object's callback functions are executed.
@@ -123,6 +144,25 @@ rune.timer.Timers.prototype.add = function(timer, autoStart) {
     return timer;
 };
 
+/**
+ * Creates a Timer object that calls the specified function once, after a 
+ * number of frames (updates) have passed.
+ *
+ * @param {number} frames The number of frames to wait.
+ * @param {Function} callback Function to call.
+ * @param {string} [group] Name of the group the Timer object belongs to.
+ *
+ * @returns {rune.timer.Timer} The new Timer object.
+ */
+rune.timer.Timers.prototype.afterFrames = function(frames, callback, group) {
+    return this.create({
+        duration: Math.max(frames, 1),
+        frames: true,
+        group: group,
+        onComplete: callback
+    });
+};
+
 /**
  * Removes, and deallocates all registered Timer objects.
  *
@@ -150,6 +190,73 @@ rune.timer.Timers.prototype.create = function(options, autoStart) {
     return this.add(timer, autoStart);
 };
 
+/**
+ * Creates a Timer object that calls the specified function repeatedly, at a 
+ * fixed interval, until the Timer object is removed.
+ *
+ * @param {number} duration The interval, in milliseconds.
+ * @param {Function} callback Function to call.
+ * @param {string} [group] Name of the group the Timer object belongs to.
+ *
+ * @returns {rune.timer.Timer} The new Timer object.
+ */
+rune.timer.Timers.prototype.every = function(duration, callback, group) {
+    return this.create({
+        duration: duration,
+        group: group,
+        onTick: callback,
+        repeat: Infinity
+    });
+};
+
+/**
+ * Creates a Timer object that calls the specified function repeatedly, at 
+ * random intervals between min and max, until the Timer object is removed. 
+ * A new interval is randomized after each call.
+ *
+ * @param {number} min The shortest interval, in milliseconds.
+ * @param {number} max The longest interval, in milliseconds.
+ * @param {Function} callback Function to call.
+ * @param {string} [group] Name of the group the Timer object belongs to.
+ *
+ * @returns {rune.timer.Timer} The new Timer object.
+ */
+rune.timer.Timers.prototype.everyRandom = function(min, max, callback, group) {
+    return this.create({
+        duration: min,
+        durationMax: max,
+        group: group,
+        onTick: callback,
+        repeat: Infinity
+    });
+};
+
+/**
+ * Checks whether the specified group is paused.
+ *
+ * @param {string} group Name of the group.
+ *
+ * @returns {boolean}
+ */
+rune.timer.Timers.prototype.isGroupPaused = function(group) {
+    return this.m_pausedGroups.indexOf(group) > -1;
+};
+
+/**
+ * Pauses all Timer objects that belong to the specified group, including 
+ * Timer objects that are added to the group while it is paused. Other Timer 
+ * objects keep running.
+ *
+ * @param {string} group Name of the group.
+ *
+ * @returns {undefined}
+ */
+rune.timer.Timers.prototype.pauseGroup = function(group) {
+    if (group != null && this.isGroupPaused(group) === false) {
+        this.m_pausedGroups.push(group);
+    }
+};
+
 /**
  * Removes the specified Timer object from the handler and activates the 
  * deallocation process for that object.
@@ -171,6 +278,20 @@ rune.timer.Timers.prototype.remove = function(timer) {
     return false;
 };
 
+/**
+ * Resumes all Timer objects that belong to the specified group.
+ *
+ * @param {string} group Name of the group.
+ *
+ * @returns {undefined}
+ */
+rune.timer.Timers.prototype.resumeGroup = function(group) {
+    var i = this.m_pausedGroups.indexOf(group);
+    if (i > -1) {
+        this.m_pausedGroups.splice(i, 1);
+    }
+};
+
 /**
  * Deletes Timer objects that have been completed and restarts Timer objects 
  * that have not yet been completed.
@@ -184,6 +305,30 @@ rune.timer.Timers.prototype.reset = function() {
     }
 };
 
+/**
+ * Returns a Promise that is resolved with a Timer object once the specified 
+ * amount of time has passed. The wait is affected by pausing and time scale 
+ * in the same way as other Timer objects, and can therefore be used to 
+ * script sequences of events via async functions. If the Timer object is 
+ * removed before it completes, for example when the scene is disposed, the 
+ * Promise is never resolved.
+ *
+ * @param {number} duration Time to wait, in milliseconds.
+ * @param {string} [group] Name of the group the Timer object belongs to.
+ *
+ * @returns {Promise}
+ */
+rune.timer.Timers.prototype.wait = function(duration, group) {
+    var timers = this;
+    return new Promise(function(resolve) {
+        timers.create({
+            duration: duration,
+            group: group,
+            onComplete: resolve
+        });
+    });
+};
+
 //------------------------------------------------------------------------------
 // Public prototype methods (ENGINE)
 //------------------------------------------------------------------------------
@@ -207,7 +352,9 @@ rune.timer.Timers.prototype.dispose = function() {
  * @ignore
  */
 rune.timer.Timers.prototype.update = function(step) {
-    this.m_updateTimers(step);
+    if (this.paused === false) {
+        this.m_updateTimers(step * this.timeScale);
+    }
 };
 
 //------------------------------------------------------------------------------
@@ -225,7 +372,7 @@ rune.timer.Timers.prototype.update = function(step) {
 rune.timer.Timers.prototype.m_updateTimers = function(step) {
     for (var i = 0; i < this.m_timers.length; i++) {
         if (this.m_timers[i].disposed) this.m_timers.splice(i, 1);
-        else if (this.m_timers[i]['complete'] === false) this.m_updateTimer(i, step);
+        else if (this.m_timers[i]['complete'] === false && this.isGroupPaused(this.m_timers[i]['group']) === false) this.m_updateTimer(i, step);
     }
 };
 
@@ -261,4 +408,5 @@ rune.timer.Timers.prototype.m_disposeTimers = function() {
     
     this.m_timers.length = 0;
     this.m_timers = null;
+    this.m_pausedGroups.length = 0;
 };
\ No newline at end of file
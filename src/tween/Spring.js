@@ -0,0 +1,406 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Spring.
+ *
+ * @constructor
+ *
+ * @param {Object} options Spring settings.
+ *
+ * @class
+ * @classdesc
+ *
+ * The Spring class represents a physics-based animation, where properties
+ * are pulled toward their final values by a damped spring instead of being
+ * interpolated over a fixed duration. The final values can be changed at
+ * any time via retarget, while the velocity of the properties is kept, which
+ * makes springs suitable for motion that follows a moving target, such as
+ * the cursor.
+ * <br><br>
+ * The args option maps properties of the target object to their final
+ * values, where nested properties are specified as paths such as
+ * "velocity.x", and properties containing Point objects are animated along
+ * both axes. The motion of the spring is controlled by the options
+ * stiffness (default 170), damping (default 26) and mass (default 1). The
+ * spring comes to rest when all properties are within the precision option
+ * (default 0.01) of their final values and almost still, after which the
+ * onComplete callback is called. Springs are kept by their handler when
+ * they come to rest, so that they can be retargeted later, until they are
+ * removed via the remove method of the handler. Set the persist option to
+ * false to have the spring removed as soon as it comes to rest instead, in
+ * which case it can no longer be retargeted. The callback methods onInit,
+ * onUpdate and onDispose are called in the same way as for Tween objects.
+ *
+ * @see rune.tween.Tweens
+ */
+rune.tween.Spring = function(options) {
+    
+    //--------------------------------------------------------------------------
+    // Default arguments
+    //--------------------------------------------------------------------------
+    
+    /**
+     * @ignore
+     */
+    options = options || {};
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Whether the spring is at rest.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_complete = false;
+    
+    /**
+     * Damping of the spring, ie. how quickly the motion loses energy.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_damping = (typeof options.damping === "number") ? options.damping : 26;
+    
+    /**
+     * The mass of the animated object.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_mass = Math.max(options.mass || 1, 0.01);
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onComplete = options.onComplete || null;
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onDispose = options.onDispose || null;
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onInit = options.onInit || null;
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onUpdate = options.onUpdate || null;
+    
+    /**
+     * Whether the spring is kept by its handler when it comes to rest.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_persist = options.persist !== false;
+    
+    /**
+     * How close to their final values, and how still, the properties must
+     * be for the spring to come to rest.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_precision = options.precision || 0.01;
+    
+    /**
+     * Scope for callback methods.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_scope = options.scope || this;
+    
+    /**
+     * Stiffness of the spring, ie. how strongly the properties are pulled
+     * toward their final values.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_stiffness = options.stiffness || 170;
+    
+    /**
+     * Object to animate.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_target = options.target || null;
+    
+    /**
+     * Values to animate.
+     *
+     * @type {Array.<rune.tween.TweenValue>}
+     * @private
+     */
+    this.m_values = [];
+    
+    /**
+     * The velocity of each value, in units per second.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_velocities = [];
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct(options['args']);
+};
+
+//------------------------------------------------------------------------------
+// Private static constants
+//------------------------------------------------------------------------------
+
+/**
+ * The longest time step, in seconds, used when the motion of the spring is
+ * calculated. Longer steps are divided into several shorter steps, which
+ * keeps stiff springs stable at low frame rates.
+ *
+ * @const {number}
+ * @private
+ */
+rune.tween.Spring.MAX_STEP = 1 / 120;
+
+//------------------------------------------------------------------------------
+// Public prototype getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * Whether the spring is at rest, ie. whether all properties have reached
+ * their final values. Springs at rest are kept by the handler, unless
+ * the persist option is set to false.
+ *
+ * @member {boolean} complete
+ * @memberof rune.tween.Spring
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Spring.prototype, "complete", {
+    /**
+     * @this rune.tween.Spring
+     * @ignore
+     */
+    get : function() {
+        return this.m_complete;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Changes the final values of one or more properties. The properties keep
+ * their current velocity, so the motion remains continuous. A spring at
+ * rest is set in motion again, while a spring that has been removed from
+ * its handler is no longer affected.
+ *
+ * @param {Object=} [args] Properties and their new final values.
+ *
+ * @returns {undefined}
+ */
+rune.tween.Spring.prototype.retarget = function(args) {
+    for (var arg in args) {
+        var path  = arg.split(".");
+        var name  = path.pop();
+        var owner = rune.tween.Tween.getOwner(this.m_target, path);
+        if (owner == null || !(name in owner)) continue;
+        
+        if (owner[name] instanceof rune.geom.Point) {
+            this.m_setEnd(owner[name], "x", args[arg]['x']);
+            this.m_setEnd(owner[name], "y", args[arg]['y']);
+        } else {
+            this.m_setEnd(owner, name, args[arg]);
+        }
+    }
+    
+    this.m_complete = false;
+};
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Called by the manager when the spring is initiated.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tween.Spring.prototype.init = function() {
+    this.m_exec("m_onInit");
+};
+
+/**
+ * Called by the manager when the spring is updated.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {boolean} Whether the spring can be removed by the manager.
+ * @package
+ * @ignore
+ */
+rune.tween.Spring.prototype.update = function(step) {
+    if (this.m_complete == false) {
+        this.m_updateValues(step / 1000);
+        this.m_exec("m_onUpdate");
+        
+        if (this.m_complete == true) {
+            this.m_exec("m_onComplete");
+        }
+    }
+    
+    return this.m_complete && this.m_persist == false;
+};
+
+/**
+ * Called by the manager when the spring is removed.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tween.Spring.prototype.dispose = function() {
+    if (this.m_complete == true) {
+        this.m_exec("m_onDispose");
+    }
+    
+    this.m_values = [];
+    this.m_velocities = [];
+    this.m_target = null;
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ *
+ * @param {Object=} [args] Properties and their final values.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.tween.Spring.prototype.m_construct = function(args) {
+    this.retarget(args);
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Updates the properties according to the motion of the spring, and
+ * brings the spring to rest when all properties have settled.
+ *
+ * @param {number} dt Time step, in seconds.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Spring.prototype.m_updateValues = function(dt) {
+    var n = Math.max(Math.ceil(dt / rune.tween.Spring.MAX_STEP), 1);
+    var h = dt / n;
+    var r = true;
+    
+    for (var i = 0; i < this.m_values.length; i++) {
+        var o = this.m_values[i];
+        var x = o['target'][o['name']];
+        var v = this.m_velocities[i];
+        
+        for (var j = 0; j < n; j++) {
+            var a = (-this.m_stiffness * (x - o['end']) - this.m_damping * v) / this.m_mass;
+            v += a * h;
+            x += v * h;
+        }
+        
+        if (Math.abs(x - o['end']) > this.m_precision || Math.abs(v) > this.m_precision) {
+            r = false;
+        }
+        
+        o['target'][o['name']] = x;
+        this.m_velocities[i] = v;
+    }
+    
+    if (r == true) {
+        for (var k = 0; k < this.m_values.length; k++) {
+            this.m_values[k]['target'][this.m_values[k]['name']] = this.m_values[k]['end'];
+            this.m_velocities[k] = 0;
+        }
+        
+        this.m_complete = true;
+    }
+};
+
+/**
+ * Sets the final value of a property. The property is added to the spring,
+ * with zero velocity, if it is not already animated.
+ *
+ * @param {Object} owner The object that owns the property.
+ * @param {string} name The name of the property.
+ * @param {number} end The final value.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Spring.prototype.m_setEnd = function(owner, name, end) {
+    if (typeof end !== "number") return;
+    
+    for (var i = 0; i < this.m_values.length; i++) {
+        if (this.m_values[i]['target'] === owner && this.m_values[i]['name'] === name) {
+            this.m_values[i]['end'] = end;
+            return;
+        }
+    }
+    
+    this.m_values.push(new rune.tween.TweenValue(name, owner[name], end, owner));
+    this.m_velocities.push(0);
+};
+
+/**
+ * Execute requested callback method.
+ *
+ * @param {string} name Name of callback.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Spring.prototype.m_exec = function(name) {
+    if (typeof this[name] === "function") {
+        this[name].call(
+            this.m_scope,
+            this.m_target,
+            this
+        );
+    }
+};
\ No newline at end of file
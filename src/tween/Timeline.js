@@ -0,0 +1,620 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Timeline.
+ *
+ * @constructor
+ *
+ * @param {Object} [options] Timeline settings.
+ *
+ * @class
+ * @classdesc
+ *
+ * The Timeline class represents a composition of Tween objects that are
+ * played in sequence, in parallel, or a combination of both. Instead of
+ * nesting callbacks, an animation such as "move, then fade, wait 300 ms,
+ * then scale" is described by adding tweens to the timeline in order.
+ * <br><br>
+ * Tweens are added with add, which by default places a tween at the end of
+ * the timeline, and join, which plays a tween in parallel with the most
+ * recently added tween. The position of a tween can also be given as a time
+ * in milliseconds, as a label, or relative to the end of the timeline or a
+ * label, for example "+=300", "-=150" or "intro+=100". A delay can be
+ * specified in the options of each tween.
+ * <br><br>
+ * The timeline is played, paused, reversed and sought as a whole. The
+ * following settings are available: delay (time before the timeline starts
+ * playing), cycles (number of times the timeline is played), behavior
+ * (rune.tween.Tween.LOOP or rune.tween.Tween.REVERSE, where the latter
+ * plays every other cycle backwards, ie. yoyo), persist (whether the
+ * timeline is kept by its handler when completed, so that it can be
+ * reversed or sought later), as well as the callback methods onInit,
+ * onUpdate and onDispose and their scope.
+ *
+ * @see rune.tween.Tween
+ * @see rune.tween.Tweens
+ */
+rune.tween.Timeline = function(options) {
+    
+    //--------------------------------------------------------------------------
+    // Default arguments
+    //--------------------------------------------------------------------------
+    
+    /**
+     * @ignore
+     */
+    options = options || {};
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Sets the behavior of a repeating timeline.
+     *
+     * @type {string}
+     * @private
+     */
+    this.m_behavior = options.behavior || rune.tween.Tween.LOOP;
+    
+    /**
+     * The number of times that the timeline is played.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_cycles = Math.max(options['cycles'], 1) || 1;
+    
+    /**
+     * Remaining time, in milliseconds, before the timeline starts playing.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_delay = options.delay || 0;
+    
+    /**
+     * The length of one cycle of the timeline, in milliseconds.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_duration = 0;
+    
+    /**
+     * The tweens of the timeline, stored as objects containing the Tween
+     * object, its start time and whether it has started.
+     *
+     * @type {Array.<Object>}
+     * @private
+     */
+    this.m_entries = [];
+    
+    /**
+     * The start times of labels, indexed by name.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_labels = {};
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onDispose = options.onDispose || null;
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onInit = options.onInit || null;
+    
+    /**
+     * Callback method.
+     *
+     * @type {Function}
+     * @private
+     */
+    this.m_onUpdate = options.onUpdate || null;
+    
+    /**
+     * If the timeline is paused.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_paused = false;
+    
+    /**
+     * Whether the timeline is kept by its handler when completed.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_persist = Boolean(options.persist);
+    
+    /**
+     * The position of the playhead, in milliseconds, including previous
+     * cycles.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_position = 0;
+    
+    /**
+     * The start time of the most recently added tween.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_previous = 0;
+    
+    /**
+     * If the timeline plays backwards.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.m_reversed = false;
+    
+    /**
+     * Scope for callback methods.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_scope = options.scope || this;
+};
+
+//------------------------------------------------------------------------------
+// Public prototype getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * If the timeline is completed, ie. if the playhead has reached the end of
+ * the last cycle, or the beginning of the timeline when reversed. Completed
+ * timelines are automatically removed by the handler, unless they persist.
+ *
+ * @member {boolean} complete
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "complete", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        if (this.m_reversed) return this.m_position <= 0;
+        else return this.m_position >= this['totalDuration'];
+    }
+});
+
+/**
+ * The length of one cycle of the timeline, in milliseconds.
+ *
+ * @member {number} duration
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "duration", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        return this.m_duration;
+    }
+});
+
+/**
+ * If the timeline is paused.
+ *
+ * @member {boolean} paused
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "paused", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        return this.m_paused;
+    }
+});
+
+/**
+ * The progression of the current cycle.
+ *
+ * @member {number} progress
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "progress", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        if (this.m_duration > 0) {
+            var p = this.m_getCycleTime(this.m_position) / this.m_duration;
+            return Math.round(p * 10) / 10;
+        }
+        
+        return 1.0;
+    }
+});
+
+/**
+ * If the timeline plays backwards.
+ *
+ * @member {boolean} reversed
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "reversed", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        return this.m_reversed;
+    }
+});
+
+/**
+ * The position of the playhead, in milliseconds, including previous
+ * cycles.
+ *
+ * @member {number} time
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "time", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        return this.m_position;
+    }
+});
+
+/**
+ * The total length of the timeline, including all cycles, in milliseconds.
+ *
+ * @member {number} totalDuration
+ * @memberof rune.tween.Timeline
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Timeline.prototype, "totalDuration", {
+    /**
+     * @this rune.tween.Timeline
+     * @ignore
+     */
+    get : function() {
+        return this.m_duration * this.m_cycles;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Adds a tween to the timeline. By default, the tween starts when all
+ * previously added tweens have ended, ie. the tweens are played in
+ * sequence.
+ *
+ * @param {Object} options Tween options, see rune.tween.Tween. The delay option shifts the start of the tween.
+ * @param {number|string} [position] Start time in milliseconds, label, or relative position such as "+=300" or "label-=100".
+ *
+ * @returns {rune.tween.Timeline} The timeline, to allow chaining.
+ */
+rune.tween.Timeline.prototype.add = function(options, position) {
+    this.m_addEntry(options, this.m_getPosition(position));
+    
+    return this;
+};
+
+/**
+ * Adds a label, ie. a named position that can be used when adding tweens
+ * or seeking.
+ *
+ * @param {string} name The name of the label.
+ * @param {number|string} [position] The position of the label. The end of the timeline is used if omitted.
+ *
+ * @returns {rune.tween.Timeline} The timeline, to allow chaining.
+ */
+rune.tween.Timeline.prototype.addLabel = function(name, position) {
+    this.m_labels[name] = this.m_getPosition(position);
+    
+    return this;
+};
+
+/**
+ * Adds a tween that starts at the same time as the most recently added
+ * tween, ie. the tweens are played in parallel.
+ *
+ * @param {Object} options Tween options, see rune.tween.Tween. The delay option shifts the start of the tween.
+ * @param {number} [offset=0] Offset, in milliseconds, from the start of the most recently added tween.
+ *
+ * @returns {rune.tween.Timeline} The timeline, to allow chaining.
+ */
+rune.tween.Timeline.prototype.join = function(options, offset) {
+    this.m_addEntry(options, this.m_previous + (offset || 0));
+    
+    return this;
+};
+
+/**
+ * Pauses the timeline.
+ *
+ * @returns {undefined}
+ */
+rune.tween.Timeline.prototype.pause = function() {
+    this.m_paused = true;
+};
+
+/**
+ * Resumes a paused timeline.
+ *
+ * @returns {undefined}
+ */
+rune.tween.Timeline.prototype.play = function() {
+    this.m_paused = false;
+};
+
+/**
+ * Reverses the direction of playback. A timeline that is played backwards
+ * is completed when the playhead reaches the beginning of the timeline.
+ *
+ * @returns {undefined}
+ */
+rune.tween.Timeline.prototype.reverse = function() {
+    this.m_reversed = !this.m_reversed;
+};
+
+/**
+ * Moves the playhead to a specific position and updates all tweens
+ * accordingly.
+ *
+ * @param {number|string} position Time in milliseconds, including previous cycles, or label.
+ *
+ * @returns {undefined}
+ */
+rune.tween.Timeline.prototype.seek = function(position) {
+    this.m_setPosition(this.m_getPosition(position));
+};
+
+/**
+ * Adds a pause at the end of the timeline, ie. tweens that are added
+ * afterwards start after the pause.
+ *
+ * @param {number} duration The length of the pause, in milliseconds.
+ *
+ * @returns {rune.tween.Timeline} The timeline, to allow chaining.
+ */
+rune.tween.Timeline.prototype.wait = function(duration) {
+    this.m_duration += duration || 0;
+    this.m_previous  = this.m_duration;
+    
+    return this;
+};
+
+//------------------------------------------------------------------------------
+// Internal prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Called by the manager when the timeline is initiated.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tween.Timeline.prototype.init = function() {
+    this.m_exec("m_onInit", false);
+};
+
+/**
+ * Called by the manager when the timeline is updated.
+ *
+ * @param {number} step Current time step.
+ *
+ * @returns {boolean} Whether the timeline can be removed by the manager.
+ * @package
+ * @ignore
+ */
+rune.tween.Timeline.prototype.update = function(step) {
+    if (this.m_paused == false && this['complete'] == false) {
+        if (this.m_delay > 0) {
+            this.m_delay = Math.max(this.m_delay - step, 0);
+        } else {
+            this.m_setPosition(this.m_position + ((this.m_reversed) ? -step : step));
+            this.m_exec("m_onUpdate", false);
+        }
+    }
+    
+    return this['complete'] && this.m_persist == false;
+};
+
+/**
+ * Called by the manager when the timeline is removed.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tween.Timeline.prototype.dispose = function() {
+    this.m_exec("m_onDispose", true);
+    
+    for (var i = 0; i < this.m_entries.length; i++) {
+        this.m_entries[i]['tween'].dispose();
+    }
+    
+    this.m_entries = [];
+    this.m_labels = {};
+};
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a tween and adds it to the timeline. The tweens of the timeline
+ * are kept in order of their start time.
+ *
+ * @param {Object} options Tween options.
+ * @param {number} start The start time of the tween.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Timeline.prototype.m_addEntry = function(options, start) {
+    var tween = new rune.tween.Tween(options);
+    var i = this.m_entries.length;
+    
+    start = Math.max(start + (options['delay'] || 0), 0);
+    while (i > 0 && this.m_entries[i - 1]['start'] > start) {
+        i--;
+    }
+    
+    this.m_entries.splice(i, 0, {
+        tween: tween,
+        start: start,
+        started: false
+    });
+    
+    this.m_previous = start;
+    this.m_duration = Math.max(this.m_duration, start + tween['totalDuration']);
+};
+
+/**
+ * Converts a position of the playhead into a time within the current
+ * cycle. Every other cycle of reversing timelines is played backwards.
+ *
+ * @param {number} position Position of the playhead, including previous cycles.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tween.Timeline.prototype.m_getCycleTime = function(position) {
+    if (this.m_duration == 0) return 0;
+    
+    var n = Math.min(Math.floor(position / this.m_duration), this.m_cycles - 1);
+    var t = position - n * this.m_duration;
+    
+    if (this.m_behavior == rune.tween.Tween.REVERSE && n % 2 == 1) {
+        t = this.m_duration - t;
+    }
+    
+    return t;
+};
+
+/**
+ * Converts a position argument into a time in milliseconds. Positions can
+ * be given as numbers, labels, or relative positions such as "+=300"
+ * (relative to the end of the timeline) or "label-=100".
+ *
+ * @param {number|string} [position] The position to convert. The end of the timeline is used if omitted.
+ *
+ * @throws {Error} If the position refers to a label that does not exist.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tween.Timeline.prototype.m_getPosition = function(position) {
+    if (typeof position === "number") return position;
+    if (position == null) return this.m_duration;
+    
+    var m = /^(.*?)(?:([+-])=(\d*\.?\d+))?$/.exec(String(position));
+    var t = this.m_duration;
+    
+    if (m[1] != "") {
+        if (this.m_labels.hasOwnProperty(m[1])) {
+            t = this.m_labels[m[1]];
+        } else throw new Error("Label does not exist: " + m[1]);
+    }
+    
+    if (m[2] != null) {
+        t += parseFloat(m[3]) * ((m[2] == "-") ? -1 : 1);
+    }
+    
+    return t;
+};
+
+/**
+ * Moves the playhead and updates all tweens accordingly. Tweens that start
+ * after the playhead are reset, in reverse order, while tweens that have
+ * started are moved to their position in time, in order. Tweens read the
+ * initial values of their properties the first time they start.
+ *
+ * @param {number} position Position of the playhead, including previous cycles.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Timeline.prototype.m_setPosition = function(position) {
+    this.m_position = rune.util.Math.clamp(position, 0, this['totalDuration']);
+    
+    var t = this.m_getCycleTime(this.m_position);
+    var e = null;
+    var i = 0;
+    
+    for (i = this.m_entries.length - 1; i > -1; i--) {
+        e = this.m_entries[i];
+        if (e['started'] == true && e['start'] > t) {
+            e['tween'].seek(0);
+        }
+    }
+    
+    for (i = 0; i < this.m_entries.length; i++) {
+        e = this.m_entries[i];
+        if (e['start'] <= t) {
+            if (e['started'] == false) {
+                e['started'] = true;
+                e['tween'].prepare();
+                e['tween'].init();
+            }
+            
+            e['tween'].seek(t - e['start']);
+        }
+    }
+};
+
+/**
+ * Execute requested callback method.
+ *
+ * @param {string} name Name of callback.
+ * @param {boolean} complete If the timeline must be completed before the callback method can be called.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Timeline.prototype.m_exec = function(name, complete) {
+    if (this['complete'] == complete) {
+        if (typeof this[name] === "function") {
+            this[name].call(
+                this.m_scope,
+                this
+            );
+        }
+    }
+};
\ No newline at end of file
@@ -14,6 +14,17 @@
  * 
  * The Tween class represents a linear interpolation between a beginning and 
  * ending value.
+ * <br><br>
+ * The args option maps properties of the target object to their final 
+ * values. Nested properties are specified as paths, for example 
+ * "velocity.x" or "hitbox.width". Final values can be given relative to 
+ * the initial value, for example "+=40" or "-=40". Properties containing 
+ * Point objects are animated along both axes, where a final value that is 
+ * not a point, such as 10 or "+=10", applies to both axes. Properties 
+ * containing Color24 or Color32 objects are animated by their components, or by hue, 
+ * saturation and lightness if the colorSpace option is set to 
+ * rune.tween.Tween.HSL. Final colors can be given as Color24 or Color32 
+ * objects, as numbers such as 0xff0000, or as strings such as "#ff0000".
  */
 rune.tween.Tween = function(options) {
     
@@ -30,6 +41,14 @@ rune.tween.Tween = function(options) {
     // Private properties
     //--------------------------------------------------------------------------
     
+    /**
+     * Properties to animate and their final values.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_args = options['args'] || {};
+    
     /**
      * Sets the behavior of a repeating animation.
      *
@@ -38,6 +57,14 @@ rune.tween.Tween = function(options) {
      */
     this.m_behavior = options.behavior || rune.tween.Tween.LOOP;
     
+    /**
+     * The color space in which colors are interpolated.
+     *
+     * @type {string}
+     * @private
+     */
+    this.m_colorSpace = options.colorSpace || rune.tween.Tween.RGB;
+    
     /**
      * The number of times that this animation repeats.
      *
@@ -140,13 +167,21 @@ rune.tween.Tween = function(options) {
      * @type {Object}
      * @private
      */
-    this.m_values = this.m_createTweenValues(options['args']);
+    this.m_values = this.m_createTweenValues(this.m_args);
 };
 
 //------------------------------------------------------------------------------
 // Public static constants
 //------------------------------------------------------------------------------
 
+/**
+ * Specifies that colors are interpolated by hue, saturation and lightness. 
+ * The hue is interpolated along the shortest path around the color wheel.
+ *
+ * @const {string}
+ */
+rune.tween.Tween.HSL = "hsl";
+
 /**
  * Specifies that a repeating animation should progress in a forward direction 
  * on every iteration.
@@ -164,6 +199,14 @@ rune.tween.Tween.LOOP = "loop";
  */
 rune.tween.Tween.REVERSE = "reverse";
 
+/**
+ * Specifies that colors are interpolated by their red, green, blue and 
+ * alpha components.
+ *
+ * @const {string}
+ */
+rune.tween.Tween.RGB = "rgb";
+
 //------------------------------------------------------------------------------
 // Public prototype getter and setter methods
 //------------------------------------------------------------------------------
@@ -210,6 +253,24 @@ Object.defineProperty(rune.tween.Tween.prototype, "progress", {
     }
 });
 
+/**
+ * The total length of the animation, including all cycles, in milliseconds.
+ *
+ * @member {number} totalDuration
+ * @memberof rune.tween.Tween
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.tween.Tween.prototype, "totalDuration", {
+    /**
+     * @this rune.tween.Tween
+     * @ignore
+     */
+    get : function() {
+        return this.m_duration * this.m_cycles;
+    }
+});
+
 //------------------------------------------------------------------------------
 // Internal prototype methods
 //------------------------------------------------------------------------------
@@ -225,6 +286,52 @@ rune.tween.Tween.prototype.init = function() {
     this.m_exec("m_onInit", false);
 };
 
+/**
+ * Reads the initial values of the animated properties from the target 
+ * object. Used by timelines, where an animation starts some time after it 
+ * is created.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tween.Tween.prototype.prepare = function() {
+    this.m_values = this.m_createTweenValues(this.m_args);
+};
+
+/**
+ * Moves the playhead to a specific time and updates the animated 
+ * properties accordingly. Used by timelines, which control the playhead 
+ * of their animations.
+ *
+ * @param {number} time Time since the start of the animation, including previous cycles.
+ *
+ * @returns {undefined}
+ * @package
+ * @ignore
+ */
+rune.tween.Tween.prototype.seek = function(time) {
+    time = rune.util.Math.clamp(time, 0, this['totalDuration']);
+    
+    var n = Math.floor(time / this.m_duration);
+    var r = (this.m_behavior == rune.tween.Tween.REVERSE);
+    
+    if (n < this.m_cycles) {
+        this.m_reversing = (r && n % 2 == 1);
+        this.m_timeCycle = time - n * this.m_duration;
+        if (this.m_reversing) {
+            this.m_timeCycle = this.m_duration - this.m_timeCycle;
+        }
+    } else {
+        this.m_reversing = false;
+        this.m_timeCycle = (r && n % 2 == 0) ? 0 : this.m_duration;
+    }
+    
+    this.m_numCycles = Math.min(n, this.m_cycles);
+    this.m_updateValues(0);
+    this.m_exec("m_onUpdate", false);
+};
+
 /**
  * Called by the manager when the animation is updated.
  *
@@ -337,7 +444,7 @@ rune.tween.Tween.prototype.m_updatePlayheadLoop = function(step) {
  */
 rune.tween.Tween.prototype.m_updateValues = function(step) {
     for (var i = 0; i < this.m_values.length; i++) {
-        this.m_target[this.m_values[i]['name']] = this.m_easing(
+        this.m_values[i]['target'][this.m_values[i]['name']] = this.m_easing(
             this.m_timeCycle,
             this.m_values[i]['start'],
             this.m_values[i]['delta'],
@@ -347,7 +454,9 @@ rune.tween.Tween.prototype.m_updateValues = function(step) {
 };
 
 /**
- * Creates a TweenValue object for each argument to be interpolated.
+ * Creates a TweenValue object for each argument to be interpolated. 
+ * Arguments containing Point or color objects result in one TweenValue 
+ * object per axis or component.
  *
  * @param {Object} args Objects containing properties to interpolate.
  *
@@ -357,20 +466,64 @@ rune.tween.Tween.prototype.m_updateValues = function(step) {
 rune.tween.Tween.prototype.m_createTweenValues = function(args) {
     var values = [];
     for (var arg in args) {
-        if (arg in this.m_target) {
-            var value = new rune.tween.TweenValue(
-                arg,
-                this.m_target[arg],
-                args[arg]
-            );
-            
-            values.push(value);
+        var path  = arg.split(".");
+        var name  = path.pop();
+        var owner = rune.tween.Tween.getOwner(this.m_target, path);
+        if (owner == null || !(name in owner)) continue;
+        
+        var start = owner[name];
+        var end   = args[arg];
+        
+        if (start instanceof rune.color.Color24) {
+            this.m_createColorValues(values, start, end);
+        } else if (start instanceof rune.geom.Point) {
+            var ex = (end instanceof Object) ? end['x'] : end;
+            var ey = (end instanceof Object) ? end['y'] : end;
+            if (ex != null) values.push(new rune.tween.TweenValue("x", start['x'], rune.tween.Tween.m_getEnd(start['x'], ex), start));
+            if (ey != null) values.push(new rune.tween.TweenValue("y", start['y'], rune.tween.Tween.m_getEnd(start['y'], ey), start));
+        } else {
+            values.push(new rune.tween.TweenValue(name, start, rune.tween.Tween.m_getEnd(start, end), owner));
         }
     }
     
     return values;
 };
 
+/**
+ * Creates TweenValue objects that interpolate a color, either by its red, 
+ * green, blue and alpha components or by hue, saturation and lightness.
+ *
+ * @param {Array.<rune.tween.TweenValue>} values List to add the TweenValue objects to.
+ * @param {rune.color.Color24} color The color to interpolate.
+ * @param {rune.color.Color24|number|string} end The final color.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.Tween.prototype.m_createColorValues = function(values, color, end) {
+    var rgba = rune.tween.Tween.m_getRGBA(end);
+    
+    if (this.m_colorSpace == rune.tween.Tween.HSL) {
+        var a = new rune.tween.TweenColor(color);
+        var b = new rune.color.Color24(rgba[0], rgba[1], rgba[2]).getHSL();
+        
+        if      (b['h'] - a['h'] >  180) b['h'] -= 360;
+        else if (b['h'] - a['h'] < -180) b['h'] += 360;
+        
+        values.push(new rune.tween.TweenValue("h", a['h'], b['h'], a));
+        values.push(new rune.tween.TweenValue("s", a['s'], b['s'], a));
+        values.push(new rune.tween.TweenValue("l", a['l'], b['l'], a));
+    } else {
+        values.push(new rune.tween.TweenValue("value", color['r']['value'], rgba[0], color['r']));
+        values.push(new rune.tween.TweenValue("value", color['g']['value'], rgba[1], color['g']));
+        values.push(new rune.tween.TweenValue("value", color['b']['value'], rgba[2], color['b']));
+    }
+    
+    if (color instanceof rune.color.Color32 && rgba[3] != null) {
+        values.push(new rune.tween.TweenValue("value", color['a']['value'], rgba[3], color['a']));
+    }
+};
+
 /**
  * Execute requested callback method.
  *
@@ -390,4 +543,85 @@ rune.tween.Tween.prototype.m_exec = function(name, complete) {
             );
         }
     }
+};
+
+//------------------------------------------------------------------------------
+// Internal static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the object that owns the last property of a path, for example 
+ * the hitbox of the target object for the path "hitbox.width". Used by both 
+ * Tween and Spring objects.
+ *
+ * @param {Object} target The object that the path starts from.
+ * @param {Array.<string>} path Property names, excluding the last property.
+ *
+ * @returns {Object} The owner, or null if the path does not exist.
+ * @package
+ * @ignore
+ */
+rune.tween.Tween.getOwner = function(target, path) {
+    var owner = target;
+    for (var i = 0; i < path.length; i++) {
+        if (owner == null) break;
+        owner = owner[path[i]];
+    }
+    
+    return (owner instanceof Object) ? owner : null;
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the final value of a numeric property. Relative values, such as 
+ * "+=40" or "-=40", are added to the initial value.
+ *
+ * @param {number} start The initial value.
+ * @param {number|string} end The final value, absolute or relative.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tween.Tween.m_getEnd = function(start, end) {
+    if (typeof end === "string") {
+        var m = /^([+-])=(.+)$/.exec(end);
+        if (m) return start + parseFloat(m[2]) * ((m[1] == "-") ? -1 : 1);
+        return parseFloat(end);
+    }
+    
+    return end;
+};
+
+/**
+ * Converts a color into its red, green, blue and alpha components. The 
+ * alpha component is null unless the color is a Color32 object.
+ *
+ * @param {rune.color.Color24|number|string} color Color object, number such as 0xff0000 or string such as "#ff0000".
+ *
+ * @returns {Array.<number>}
+ * @private
+ */
+rune.tween.Tween.m_getRGBA = function(color) {
+    if (color instanceof rune.color.Color24) {
+        return [
+            color['r']['value'],
+            color['g']['value'],
+            color['b']['value'],
+            (color instanceof rune.color.Color32) ? color['a']['value'] : null
+        ];
+    }
+    
+    if (typeof color === "string") {
+        color = parseInt(color.replace("#", ""), 16);
+    }
+    
+    return [
+        (color >> 16) & 0xff,
+        (color >>  8) & 0xff,
+        (color      ) & 0xff,
+        null
+    ];
 };
\ No newline at end of file
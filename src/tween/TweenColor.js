@@ -0,0 +1,143 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of TweenColor.
+ *
+ * @constructor
+ * @package
+ *
+ * @param {rune.color.Color24} color The color to animate.
+ *
+ * @class
+ * @classdesc
+ *
+ * The TweenColor class represents a color in the HSL color model, used by
+ * Tween objects to interpolate colors by hue, saturation and lightness
+ * rather than by their red, green and blue components. Assigning a value to
+ * any of the properties updates the underlying color. Note that this class
+ * is intended for internal use.
+ */
+rune.tween.TweenColor = function(color) {
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The color to animate.
+     *
+     * @type {rune.color.Color24}
+     * @private
+     */
+    this.m_color = color;
+    
+    /**
+     * The current HSL value of the color.
+     *
+     * @type {Object}
+     * @private
+     */
+    this.m_hsl = color.getHSL();
+};
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The hue, between 0 and 360.
+ *
+ * @member {number} h
+ * @memberof rune.tween.TweenColor
+ * @instance
+ */
+Object.defineProperty(rune.tween.TweenColor.prototype, "h", {
+    /**
+     * @this rune.tween.TweenColor
+     * @ignore
+     */
+    get : function() {
+        return this.m_hsl['h'];
+    },
+    
+    /**
+     * @this rune.tween.TweenColor
+     * @ignore
+     */
+    set : function(value) {
+        this.m_hsl['h'] = value;
+        this.m_update();
+    }
+});
+
+/**
+ * The lightness, between 0 and 1.
+ *
+ * @member {number} l
+ * @memberof rune.tween.TweenColor
+ * @instance
+ */
+Object.defineProperty(rune.tween.TweenColor.prototype, "l", {
+    /**
+     * @this rune.tween.TweenColor
+     * @ignore
+     */
+    get : function() {
+        return this.m_hsl['l'];
+    },
+    
+    /**
+     * @this rune.tween.TweenColor
+     * @ignore
+     */
+    set : function(value) {
+        this.m_hsl['l'] = value;
+        this.m_update();
+    }
+});
+
+/**
+ * The saturation, between 0 and 1.
+ *
+ * @member {number} s
+ * @memberof rune.tween.TweenColor
+ * @instance
+ */
+Object.defineProperty(rune.tween.TweenColor.prototype, "s", {
+    /**
+     * @this rune.tween.TweenColor
+     * @ignore
+     */
+    get : function() {
+        return this.m_hsl['s'];
+    },
+    
+    /**
+     * @this rune.tween.TweenColor
+     * @ignore
+     */
+    set : function(value) {
+        this.m_hsl['s'] = value;
+        this.m_update();
+    }
+});
+
+//------------------------------------------------------------------------------
+// Private prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * Applies the current HSL value to the underlying color.
+ *
+ * @returns {undefined}
+ * @private
+ */
+rune.tween.TweenColor.prototype.m_update = function() {
+    this.m_color.setHSL(
+        this.m_hsl['h'],
+        this.m_hsl['s'],
+        this.m_hsl['l']
+    );
+};
\ No newline at end of file
@@ -10,13 +10,14 @@
  * @param {string} name Name of the property.
  * @param {number} [start] The initial value of the property.
  * @param {number} [end] The final value of the property.
+ * @param {Object} [target] The object that owns the property.
  *
  * @class
  * @classdesc
  * 
  * The TweenValue class represents a name-value pair used by Tween objects.
  */
-rune.tween.TweenValue = function(name, start, end) {
+rune.tween.TweenValue = function(name, start, end, target) {
 	
 	//--------------------------------------------------------------------------
 	// Public properties
@@ -45,6 +46,14 @@ rune.tween.TweenValue = function(name, start, end) {
 	 * @default 0
 	 */
 	this.end = end || 0;
+	
+	/**
+	 * The object that owns the property.
+	 * 
+	 * @type {Object}
+	 * @default null
+	 */
+	this.target = target || null;
 };
 
 //------------------------------------------------------------------------------
@@ -12,7 +12,12 @@
  * 
  * The Tweens class represents a Tween-based animation handler. With Tweens, 
  * it is possible to create and remove Tween objects that handle interpolation 
- * of one or more properties of an object.
+ * of one or more properties of an object. Tweens can also be composed into 
+ * timelines, where they are played in sequence or in parallel, and springs 
+ * can be used for physics-based animation.
+ *
+ * @see rune.tween.Spring
+ * @see rune.tween.Timeline
  */
 rune.tween.Tweens = function() {
 	
@@ -34,9 +39,9 @@ rune.tween.Tweens = function() {
 	//--------------------------------------------------------------------------
 	
 	/**
-	 * List of all active tween objects.
+	 * List of all active Tween, Timeline and Spring objects.
 	 * 
-	 * @type {Array.<rune.tween.Tween>}
+	 * @type {Array.<rune.tween.Tween|rune.tween.Timeline|rune.tween.Spring>}
 	 * @private
 	 */
 	this.m_tweens = [];
@@ -47,8 +52,8 @@ rune.tween.Tweens = function() {
 //------------------------------------------------------------------------------
 
 /**
- * The number of Tween objects handled by this instance. When a Tween is 
- * completed, it is automatically removed.
+ * The number of Tween, Timeline and Spring objects handled by this instance. 
+ * When a Tween is completed, it is automatically removed.
  *
  * @member {number} length
  * @memberof rune.tween.Tweens
@@ -94,10 +99,43 @@ rune.tween.Tweens.prototype.create = function(options) {
 	return tween;
 };
 
+/**
+ * Creates a new Spring object based on the specified option object. The 
+ * spring starts moving toward its final values during the next update.
+ *
+ * @param {Object} options Spring options.
+ *
+ * @returns {rune.tween.Spring}
+ */
+rune.tween.Tweens.prototype.createSpring = function(options) {
+    var spring = new rune.tween.Spring(options);
+    this.m_tweens.push(spring);
+    spring.init();
+    
+    return spring;
+};
+
+/**
+ * Creates a new Timeline object based on the specified option object. 
+ * Tweens are then added to the timeline, which starts playing during the 
+ * next update.
+ *
+ * @param {Object} [options] Timeline options.
+ *
+ * @returns {rune.tween.Timeline}
+ */
+rune.tween.Tweens.prototype.createTimeline = function(options) {
+    var timeline = new rune.tween.Timeline(options);
+    this.m_tweens.push(timeline);
+    timeline.init();
+    
+    return timeline;
+};
+
 /**
  * Removes a specific tween object based on the object reference.
  *
- * @param {rune.tween.Tween} tween Tween object to remove.
+ * @param {rune.tween.Tween|rune.tween.Timeline|rune.tween.Spring} tween Object to remove.
  *
  * @returns {undefined}
  */
@@ -184,9 +222,9 @@ rune.tween.Tweens.prototype.m_disposeTweens = function() {
 };
 
 /**
- * Removes a Tween object.
+ * Removes a Tween, Timeline or Spring object.
  *
- * @param {rune.tween.Tween} tween Tween object to remove.
+ * @param {rune.tween.Tween|rune.tween.Timeline|rune.tween.Spring} tween Object to remove.
  *
  * @throws {TypeError} If the specified object is not of the correct type.
  *
@@ -194,7 +232,9 @@ rune.tween.Tweens.prototype.m_disposeTweens = function() {
  * @private
  */
 rune.tween.Tweens.prototype.m_disposeTween = function(tween) {
-    if (tween instanceof rune.tween.Tween) {
+    if (tween instanceof rune.tween.Tween || 
+        tween instanceof rune.tween.Timeline || 
+        tween instanceof rune.tween.Spring) {
         tween.dispose();
         var i = this.m_tweens.indexOf(tween);
         this.m_tweens.splice(i, 1);
@@ -0,0 +1,97 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Back.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Back class provides three easing functions where the motion overshoots
+ * its start or end value before settling, which is useful for lively UI
+ * motion. The amount of overshoot can be configured via the create method,
+ * which returns easing functions that plug into the easing option of Tween
+ * objects.
+ */
+rune.tween.Back = function() {
+    console.warn("This class is not meant to be instantiated; all content is static.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates easing functions with a specific amount of overshoot.
+ *
+ * @param {number} [s=1.70158] Overshoot, where a higher value gives a larger overshoot.
+ *
+ * @returns {Object} Object containing the easing functions easeIn, easeOut and easeInOut.
+ */
+rune.tween.Back.create = function(s) {
+    return {
+        easeIn : function(t, b, c, d) {
+            return rune.tween.Back.easeIn(t, b, c, d, s);
+        },
+        
+        easeOut : function(t, b, c, d) {
+            return rune.tween.Back.easeOut(t, b, c, d, s);
+        },
+        
+        easeInOut : function(t, b, c, d) {
+            return rune.tween.Back.easeInOut(t, b, c, d, s);
+        }
+    };
+};
+
+/**
+ * Ease in.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ * @param {number} [s=1.70158] Specifies the amount of overshoot.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Back.easeIn = function(t, b, c, d, s) {
+    s = (typeof s === "number") ? s : 1.70158;
+    return c * (t /= d) * t * ((s + 1) * t - s) + b;
+};
+
+/**
+ * Ease out.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ * @param {number} [s=1.70158] Specifies the amount of overshoot.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Back.easeOut = function(t, b, c, d, s) {
+    s = (typeof s === "number") ? s : 1.70158;
+    return c * ((t = t / d - 1) * t * ((s + 1) * t + s) + 1) + b;
+};
+
+/**
+ * Ease in and out.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ * @param {number} [s=1.70158] Specifies the amount of overshoot.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Back.easeInOut = function(t, b, c, d, s) {
+    s = ((typeof s === "number") ? s : 1.70158) * 1.525;
+    if ((t /= d * 0.5) < 1) return c * 0.5 * (t * t * ((s + 1) * t - s)) + b;
+    return c * 0.5 * ((t -= 2) * t * ((s + 1) * t + s) + 2) + b;
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Bezier.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Bezier class creates easing functions from cubic bezier curves,
+ * defined by two control points in the same way as the CSS cubic-bezier
+ * timing function. For example, rune.tween.Bezier.create(0.25, 0.1, 0.25, 1)
+ * corresponds to the CSS timing function "ease".
+ */
+rune.tween.Bezier = function() {
+    console.warn("This class is not meant to be instantiated; all content is static.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates an easing function from a cubic bezier curve that starts at
+ * (0, 0) and ends at (1, 1). The x-coordinates of the control points are
+ * limited to the range 0 to 1, while the y-coordinates can be outside the
+ * range to create overshoot.
+ *
+ * @param {number} x1 The x-coordinate of the first control point.
+ * @param {number} y1 The y-coordinate of the first control point.
+ * @param {number} x2 The x-coordinate of the second control point.
+ * @param {number} y2 The y-coordinate of the second control point.
+ *
+ * @returns {Function} Easing function that can be used with Tween objects.
+ */
+rune.tween.Bezier.create = function(x1, y1, x2, y2) {
+    x1 = rune.util.Math.clamp(x1, 0, 1);
+    x2 = rune.util.Math.clamp(x2, 0, 1);
+    
+    return function(t, b, c, d) {
+        var u = rune.tween.Bezier.m_solve(x1, x2, t / d);
+        return c * rune.tween.Bezier.m_sample(y1, y2, u) + b;
+    };
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns a coordinate of a point on the curve.
+ *
+ * @param {number} a1 The coordinate of the first control point.
+ * @param {number} a2 The coordinate of the second control point.
+ * @param {number} u Curve parameter, between 0 and 1.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tween.Bezier.m_sample = function(a1, a2, u) {
+    return ((1 - 3 * a2 + 3 * a1) * u + (3 * a2 - 6 * a1)) * u * u + 3 * a1 * u;
+};
+
+/**
+ * Returns the derivative of a coordinate of the curve.
+ *
+ * @param {number} a1 The coordinate of the first control point.
+ * @param {number} a2 The coordinate of the second control point.
+ * @param {number} u Curve parameter, between 0 and 1.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tween.Bezier.m_slope = function(a1, a2, u) {
+    return 3 * (1 - 3 * a2 + 3 * a1) * u * u + 2 * (3 * a2 - 6 * a1) * u + 3 * a1;
+};
+
+/**
+ * Finds the curve parameter at which the x-coordinate of the curve equals
+ * x. Newton's method is used first, with bisection as a fallback.
+ *
+ * @param {number} x1 The x-coordinate of the first control point.
+ * @param {number} x2 The x-coordinate of the second control point.
+ * @param {number} x The x-coordinate, between 0 and 1.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.tween.Bezier.m_solve = function(x1, x2, x) {
+    var u = x;
+    for (var i = 0; i < 8; i++) {
+        var e = rune.tween.Bezier.m_sample(x1, x2, u) - x;
+        if (Math.abs(e) < 1e-6) return u;
+        
+        var s = rune.tween.Bezier.m_slope(x1, x2, u);
+        if (Math.abs(s) < 1e-6) break;
+        
+        u -= e / s;
+    }
+    
+    var lo = 0;
+    var hi = 1;
+    
+    u = x;
+    while (lo < hi && hi - lo > 1e-6) {
+        var v = rune.tween.Bezier.m_sample(x1, x2, u);
+        if (v < x) lo = u;
+        else hi = u;
+        
+        u = (lo + hi) * 0.5;
+    }
+    
+    return u;
+};
\ No newline at end of file
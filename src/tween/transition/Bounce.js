@@ -0,0 +1,73 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Bounce.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Bounce class provides three easing functions where the motion bounces
+ * against its start or end value, like a ball dropped on the floor.
+ */
+rune.tween.Bounce = function() {
+    console.warn("This class is not meant to be instantiated; all content is static.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Ease in.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Bounce.easeIn = function(t, b, c, d) {
+    return c - rune.tween.Bounce.easeOut(d - t, 0, c, d) + b;
+};
+
+/**
+ * Ease out.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Bounce.easeOut = function(t, b, c, d) {
+    if ((t /= d) < (1 / 2.75)) {
+        return c * (7.5625 * t * t) + b;
+    } else if (t < (2 / 2.75)) {
+        return c * (7.5625 * (t -= (1.5 / 2.75)) * t + 0.75) + b;
+    } else if (t < (2.5 / 2.75)) {
+        return c * (7.5625 * (t -= (2.25 / 2.75)) * t + 0.9375) + b;
+    } else {
+        return c * (7.5625 * (t -= (2.625 / 2.75)) * t + 0.984375) + b;
+    }
+};
+
+/**
+ * Ease in and out.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Bounce.easeInOut = function(t, b, c, d) {
+    if (t < d * 0.5) return rune.tween.Bounce.easeIn(t * 2, 0, c, d) * 0.5 + b;
+    return rune.tween.Bounce.easeOut(t * 2 - d, 0, c, d) * 0.5 + c * 0.5 + b;
+};
\ No newline at end of file
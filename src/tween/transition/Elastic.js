@@ -0,0 +1,119 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Elastic.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Elastic class provides three easing functions where the motion
+ * oscillates around its start or end value, like a spring. The amplitude
+ * and period of the oscillation can be configured via the create method,
+ * which returns easing functions that plug into the easing option of Tween
+ * objects.
+ */
+rune.tween.Elastic = function() {
+    console.warn("This class is not meant to be instantiated; all content is static.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates easing functions with a specific amplitude and period.
+ *
+ * @param {number} [a=1] Amplitude, as a factor of the total change. Values below 1 are treated as 1.
+ * @param {number} [p] Period, as a fraction of the duration. Defaults to 0.3, or 0.45 for easeInOut.
+ *
+ * @returns {Object} Object containing the easing functions easeIn, easeOut and easeInOut.
+ */
+rune.tween.Elastic.create = function(a, p) {
+    return {
+        easeIn : function(t, b, c, d) {
+            return rune.tween.Elastic.easeIn(t, b, c, d, a, p);
+        },
+        
+        easeOut : function(t, b, c, d) {
+            return rune.tween.Elastic.easeOut(t, b, c, d, a, p);
+        },
+        
+        easeInOut : function(t, b, c, d) {
+            return rune.tween.Elastic.easeInOut(t, b, c, d, a, p);
+        }
+    };
+};
+
+/**
+ * Ease in.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ * @param {number} [a=1] Specifies the amplitude, as a factor of the total change.
+ * @param {number} [p=0.3] Specifies the period, as a fraction of the duration.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Elastic.easeIn = function(t, b, c, d, a, p) {
+    if (t == 0) return b;
+    if ((t /= d) == 1) return b + c;
+    
+    p = p || 0.3;
+    a = Math.max(a || 1, 1);
+    
+    var s = p / (2 * Math.PI) * Math.asin(1 / a);
+    return -(c * a * Math.pow(2, 10 * (t -= 1)) * Math.sin((t - s) * (2 * Math.PI) / p)) + b;
+};
+
+/**
+ * Ease out.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ * @param {number} [a=1] Specifies the amplitude, as a factor of the total change.
+ * @param {number} [p=0.3] Specifies the period, as a fraction of the duration.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Elastic.easeOut = function(t, b, c, d, a, p) {
+    if (t == 0) return b;
+    if ((t /= d) == 1) return b + c;
+    
+    p = p || 0.3;
+    a = Math.max(a || 1, 1);
+    
+    var s = p / (2 * Math.PI) * Math.asin(1 / a);
+    return c * a * Math.pow(2, -10 * t) * Math.sin((t - s) * (2 * Math.PI) / p) + c + b;
+};
+
+/**
+ * Ease in and out.
+ *
+ * @param {number} t Specifies the current time, between 0 and duration inclusive.
+ * @param {number} b Specifies the initial value of the animation property.
+ * @param {number} c Specifies the total change in the animation property.
+ * @param {number} d Specifies the duration of the motion.
+ * @param {number} [a=1] Specifies the amplitude, as a factor of the total change.
+ * @param {number} [p=0.45] Specifies the period, as a fraction of the duration.
+ *
+ * @returns {number} The value of the interpolated property at the specified time.
+ */
+rune.tween.Elastic.easeInOut = function(t, b, c, d, a, p) {
+    if (t == 0) return b;
+    if ((t /= d * 0.5) == 2) return b + c;
+    
+    p = p || 0.45;
+    a = Math.max(a || 1, 1);
+    
+    var s = p / (2 * Math.PI) * Math.asin(1 / a);
+    if (t < 1) return -0.5 * (c * a * Math.pow(2, 10 * (t -= 1)) * Math.sin((t - s) * (2 * Math.PI) / p)) + b;
+    return c * a * Math.pow(2, -10 * (t -= 1)) * Math.sin((t - s) * (2 * Math.PI) / p) * 0.5 + c + b;
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of Steps.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Steps class creates easing functions where the value changes in
+ * discrete steps rather than continuously, for example to make pixel art
+ * move in whole pixels or to animate with a deliberately low frame rate.
+ */
+rune.tween.Steps = function() {
+    console.warn("This class is not meant to be instantiated; all content is static.");
+};
+
+//------------------------------------------------------------------------------
+// Public static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates an easing function that divides the motion into a number of
+ * equal steps, in the same way as the CSS steps timing function.
+ *
+ * @param {number} steps The number of steps.
+ * @param {boolean} [start=false] Whether the value changes at the start of each step (true) or at the end (false).
+ *
+ * @returns {Function} Easing function that can be used with Tween objects.
+ */
+rune.tween.Steps.create = function(steps, start) {
+    steps = Math.max(Math.floor(steps), 1);
+    
+    return function(t, b, c, d) {
+        var n = (start === true) ? Math.ceil(t / d * steps) : Math.floor(t / d * steps);
+        return c * Math.min(n, steps) / steps + b;
+    };
+};
+
+/**
+ * Creates an easing function that rounds the values of another easing
+ * function to multiples of a size, for example to snap pixel art to whole
+ * pixels. The initial and final values are never rounded.
+ *
+ * @param {Function} [easing=rune.tween.Linear.easeIn] The easing function to round.
+ * @param {number} [size=1] The size to round to.
+ *
+ * @returns {Function} Easing function that can be used with Tween objects.
+ */
+rune.tween.Steps.snap = function(easing, size) {
+    easing = easing || rune.tween.Linear.easeIn;
+    size = size || 1;
+    
+    return function(t, b, c, d) {
+        if (t <= 0) return b;
+        if (t >= d) return b + c;
+        return Math.round(easing(t, b, c, d) / size) * size;
+    };
+};
\ No newline at end of file
@@ -0,0 +1,155 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new instance of the Heap class.
+ *
+ * @constructor
+ *
+ * @class
+ * @classdesc
+ *
+ * The Heap class represents a binary min-heap of numbers, where each number
+ * is stored together with a priority. The number with the lowest priority is
+ * always removed first, which makes the class suitable as the open list of
+ * search algorithms such as A* and Dijkstra's algorithm. Numbers and
+ * priorities are stored in two parallel lists, so that no objects are
+ * allocated when numbers are added.
+ */
+rune.util.Heap = function() {
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The numbers of the heap.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_items = [];
+    
+    /**
+     * The priority of each number.
+     *
+     * @type {Array.<number>}
+     * @private
+     */
+    this.m_priorities = [];
+};
+
+//------------------------------------------------------------------------------
+// Public prototype getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The number of numbers in the heap.
+ *
+ * @member {number} length
+ * @memberof rune.util.Heap
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.util.Heap.prototype, "length", {
+    /**
+     * @this rune.util.Heap
+     * @ignore
+     */
+    get: function() {
+        return this.m_items.length;
+    }
+});
+
+/**
+ * The lowest priority in the heap, ie. the priority of the number that is
+ * removed by the next call to pop. Infinity if the heap is empty.
+ *
+ * @member {number} lowestPriority
+ * @memberof rune.util.Heap
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.util.Heap.prototype, "lowestPriority", {
+    /**
+     * @this rune.util.Heap
+     * @ignore
+     */
+    get: function() {
+        return (this.m_priorities.length > 0) ? this.m_priorities[0] : Infinity;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Removes all numbers from the heap.
+ *
+ * @returns {undefined}
+ */
+rune.util.Heap.prototype.clear = function() {
+    this.m_items.length = 0;
+    this.m_priorities.length = 0;
+};
+
+/**
+ * Removes and returns the number with the lowest priority.
+ *
+ * @returns {number} The number, or undefined if the heap is empty.
+ */
+rune.util.Heap.prototype.pop = function() {
+    var hi = this.m_items;
+    var hf = this.m_priorities;
+    var ri = hi[0];
+    var li = hi.pop();
+    var lf = hf.pop();
+    var hl = hi.length;
+    var n = 0;
+    var c = 0;
+    
+    if (hl > 0) {
+        while (true) {
+            c = n * 2 + 1;
+            if (c >= hl) break;
+            if ((c + 1 < hl) && (hf[c + 1] < hf[c])) c++;
+            if (hf[c] >= lf) break;
+            hi[n] = hi[c];
+            hf[n] = hf[c];
+            n = c;
+        }
+        
+        hi[n] = li;
+        hf[n] = lf;
+    }
+    
+    return ri;
+};
+
+/**
+ * Adds a number to the heap.
+ *
+ * @param {number} item The number to add.
+ * @param {number} priority The priority of the number.
+ *
+ * @returns {undefined}
+ */
+rune.util.Heap.prototype.push = function(item, priority) {
+    var hi = this.m_items;
+    var hf = this.m_priorities;
+    var n = hi.length;
+    var p = 0;
+    
+    while (n > 0) {
+        p = (n - 1) >> 1;
+        if (hf[p] <= priority) break;
+        hi[n] = hi[p];
+        hf[n] = hf[p];
+        n = p;
+    }
+    
+    hi[n] = item;
+    hf[n] = priority;
+};
\ No newline at end of file
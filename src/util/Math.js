@@ -14,6 +14,11 @@
  * The Math class contains a library of static methods for common mathematical 
  * calculations. The class can thus be used as an alternative to JavaScripts' 
  * built-in Math class.
+ * <br><br>
+ * Random numbers are drawn from Math.random, unless a seedable generator 
+ * (rune.util.Random) is assigned to the generator property, or specified 
+ * when calling the chance, random and randomInt methods. This makes it 
+ * possible to reproduce a sequence of random events.
  */
 rune.util.Math = function() {
     console.warn("This class is not meant to be instantiated; all content is static.");
@@ -39,6 +44,19 @@ rune.util.Math.DEG_TO_RAD = Math.PI / 180.0;
  */
 rune.util.Math.RAD_TO_DEG = 180.0 / Math.PI;
 
+//------------------------------------------------------------------------------
+// Public static properties
+//------------------------------------------------------------------------------
+
+/**
+ * The random number generator used by the chance, random and randomInt 
+ * methods when no generator is specified. If null, Math.random is used.
+ *
+ * @type {rune.util.Random}
+ * @default null
+ */
+rune.util.Math.generator = null;
+
 //------------------------------------------------------------------------------
 // Public static methods
 //------------------------------------------------------------------------------
@@ -87,15 +105,16 @@ rune.util.Math.ceil = function(n) {
  * Returns true based on a chance of n.
  *
  * @param {number} n Chance between 0 and 100.
+ * @param {rune.util.Random} [generator] The random number generator to draw from.
  * 
  * @return {boolean} True or false, depending on the chance of n.
  */
-rune.util.Math.chance = function(n) {
+rune.util.Math.chance = function(n, generator) {
     n = n || 50;
     n = Math.min(n, 100);
     n = Math.max(n,   0);
 
-    return n >= Math.random() * 100;
+    return n >= rune.util.Math.m_next(generator) * 100;
 };
 
 /**
@@ -270,14 +289,15 @@ rune.util.Math.isPowerOfTwo = function(n) {
  *
  * @param {number} [min] Minimum number.
  * @param {number} [max] Maximum number.
+ * @param {rune.util.Random} [generator] The random number generator to draw from.
  * 
  * @return {number} A random number between the minimum and maximum value.
  */
-rune.util.Math.random = function(min, max) {
+rune.util.Math.random = function(min, max, generator) {
     min = (typeof min === "number") ? min : Number.MIN_VALUE;
     max = (typeof max === "number") ? max : Number.MAX_VALUE;
     
-    return Math.random() * (max - min) + min;
+    return rune.util.Math.m_next(generator) * (max - min) + min;
 };
 
 /**
@@ -285,14 +305,15 @@ rune.util.Math.random = function(min, max) {
  *
  * @param {number} [min] Minimum number.
  * @param {number} [max] Maximum number.
+ * @param {rune.util.Random} [generator] The random number generator to draw from.
  * 
  * @return {number} A random number between the minimum and maximum value.
  */
-rune.util.Math.randomInt = function(min, max) {
+rune.util.Math.randomInt = function(min, max, generator) {
     min = (typeof min === "number") ? min : Number.MIN_VALUE;
     max = (typeof max === "number") ? max : Number.MAX_VALUE;
 
-    return Math.round((Math.random() * (max - min)) + min);
+    return Math.round((rune.util.Math.m_next(generator) * (max - min)) + min);
 };
 
 /**
@@ -346,4 +367,26 @@ rune.util.Math.wrap = function(num, min, max) {
     }
 
     return min + (num - min) % range;
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the next random number of a generator, the global generator or 
+ * Math.random, in that order.
+ *
+ * @param {rune.util.Random} [generator] The random number generator to draw from.
+ *
+ * @return {number} A number greater than or equal to 0 and less than 1.
+ * @private
+ */
+rune.util.Math.m_next = function(generator) {
+    generator = generator || rune.util.Math.generator;
+    if (generator != null) {
+        return generator.next();
+    }
+
+    return Math.random();
 };
\ No newline at end of file
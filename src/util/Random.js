@@ -0,0 +1,270 @@
+//------------------------------------------------------------------------------
+// Constructor scope
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a new Random object.
+ *
+ * @constructor
+ *
+ * @param {number|string} [seed] The seed of the generator. A random seed is used if omitted.
+ *
+ * @class
+ * @classdesc
+ *
+ * The Random class represents a seedable pseudorandom number generator.
+ * Unlike Math.random, the sequence of numbers is deterministic; two
+ * generators created with the same seed always produce the same sequence.
+ * Seeds can be numbers or strings, which makes it possible to share seeds
+ * such as "daily-2024-05-01". The state of the generator can be saved and
+ * restored, for example to replay a run from a specific point.
+ *
+ * @see rune.util.Math
+ */
+rune.util.Random = function(seed) {
+    
+    //--------------------------------------------------------------------------
+    // Private properties
+    //--------------------------------------------------------------------------
+    
+    /**
+     * The seed of the generator.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_seed = 0;
+    
+    /**
+     * The internal state of the generator.
+     *
+     * @type {number}
+     * @private
+     */
+    this.m_state = 0;
+    
+    //--------------------------------------------------------------------------
+    // Constructor call
+    //--------------------------------------------------------------------------
+    
+    /**
+     * Invokes secondary class constructor.
+     */
+    this.m_construct(seed);
+};
+
+//------------------------------------------------------------------------------
+// Public getter and setter methods
+//------------------------------------------------------------------------------
+
+/**
+ * The seed of the generator. String seeds are represented by their hash.
+ *
+ * @member {number} seed
+ * @memberof rune.util.Random
+ * @instance
+ * @readonly
+ */
+Object.defineProperty(rune.util.Random.prototype, "seed", {
+    /**
+     * @this rune.util.Random
+     * @ignore
+     */
+    get : function() {
+        return this.m_seed;
+    }
+});
+
+/**
+ * The internal state of the generator. Storing the state and assigning it 
+ * later, to this or another generator, continues the sequence from the 
+ * point where the state was stored.
+ *
+ * @member {number} state
+ * @memberof rune.util.Random
+ * @instance
+ */
+Object.defineProperty(rune.util.Random.prototype, "state", {
+    /**
+     * @this rune.util.Random
+     * @ignore
+     */
+    get : function() {
+        return this.m_state;
+    },
+    
+    /**
+     * @this rune.util.Random
+     * @ignore
+     */
+    set : function(value) {
+        this.m_state = value | 0;
+    }
+});
+
+//------------------------------------------------------------------------------
+// Public prototype methods (API)
+//------------------------------------------------------------------------------
+
+/**
+ * Returns true based on a chance of n.
+ *
+ * @param {number} [n=50] Chance between 0 and 100.
+ *
+ * @return {boolean} True or false, depending on the chance of n.
+ */
+rune.util.Random.prototype.chance = function(n) {
+    n = (typeof n === "number") ? n : 50;
+    n = Math.min(n, 100);
+    n = Math.max(n,   0);
+    
+    return n > this.next() * 100;
+};
+
+/**
+ * Creates a copy of the generator, with the same seed and state.
+ *
+ * @return {rune.util.Random}
+ */
+rune.util.Random.prototype.clone = function() {
+    var output = new rune.util.Random(this.m_seed);
+        output.state = this.m_state;
+    
+    return output;
+};
+
+/**
+ * Returns the next number of the sequence.
+ *
+ * @return {number} A number greater than or equal to 0 and less than 1.
+ */
+rune.util.Random.prototype.next = function() {
+    var t = this.m_state = (this.m_state + 0x6D2B79F5) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Returns a random element of an array.
+ *
+ * @param {Array} array The array to pick from.
+ *
+ * @return {*} A random element, or undefined if the array is empty.
+ */
+rune.util.Random.prototype.pick = function(array) {
+    return array[Math.floor(this.next() * array.length)];
+};
+
+/**
+ * Returns a random floating point number.
+ *
+ * @param {number} [min=0] Minimum number.
+ * @param {number} [max=1] Maximum number.
+ *
+ * @return {number} A random number between the minimum and maximum value.
+ */
+rune.util.Random.prototype.random = function(min, max) {
+    min = (typeof min === "number") ? min : 0;
+    max = (typeof max === "number") ? max : 1;
+    
+    return this.next() * (max - min) + min;
+};
+
+/**
+ * Returns a random integer, where both the minimum and maximum value are
+ * included in the range.
+ *
+ * @param {number} min Minimum number.
+ * @param {number} max Maximum number.
+ *
+ * @return {number} A random integer between the minimum and maximum value.
+ */
+rune.util.Random.prototype.randomInt = function(min, max) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    
+    return Math.floor(this.next() * (max - min + 1)) + min;
+};
+
+/**
+ * Restarts the sequence of the generator, optionally with a new seed.
+ *
+ * @param {number|string} [seed] New seed. The current seed is used if omitted.
+ *
+ * @return {undefined}
+ */
+rune.util.Random.prototype.reset = function(seed) {
+    if (seed != null) {
+        this.m_seed = rune.util.Random.m_hash(seed);
+    }
+    
+    this.m_state = this.m_seed;
+};
+
+/**
+ * Shuffles the elements of an array in place.
+ *
+ * @param {Array} array The array to shuffle.
+ *
+ * @return {Array} The shuffled array.
+ */
+rune.util.Random.prototype.shuffle = function(array) {
+    for (var i = array.length - 1; i > 0; i--) {
+        var j = Math.floor(this.next() * (i + 1));
+        var t = array[i];
+        array[i] = array[j];
+        array[j] = t;
+    }
+    
+    return array;
+};
+
+//------------------------------------------------------------------------------
+// Protected prototype methods
+//------------------------------------------------------------------------------
+
+/**
+ * The class constructor.
+ *
+ * @param {number|string} [seed] The seed of the generator.
+ *
+ * @returns {undefined}
+ * @protected
+ * @ignore
+ */
+rune.util.Random.prototype.m_construct = function(seed) {
+    if (seed == null) {
+        seed = Math.floor(Math.random() * 4294967296);
+    }
+    
+    this.reset(seed);
+};
+
+//------------------------------------------------------------------------------
+// Private static methods
+//------------------------------------------------------------------------------
+
+/**
+ * Converts a seed into a 32-bit unsigned integer. Numeric seeds are used
+ * as is, while string seeds are hashed.
+ *
+ * @param {number|string} seed The seed to convert.
+ *
+ * @returns {number}
+ * @private
+ */
+rune.util.Random.m_hash = function(seed) {
+    if (typeof seed === "number") {
+        return seed >>> 0;
+    }
+    
+    var h = 2166136261;
+    var s = String(seed);
+    for (var i = 0; i < s.length; i++) {
+        h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+    }
+    
+    return h >>> 0;
+};
\ No newline at end of file